@@ -0,0 +1,134 @@
+jest.mock('../models/Budget', () => ({ find: jest.fn(), updateOne: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../models/Transaction', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../services/categoryService', () => ({ getUserCategories: jest.fn(), resolveCategoryName: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ notify: jest.fn() }));
+
+const Budget = require('../models/Budget');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { getUserCategories } = require('../services/categoryService');
+const { notify } = require('../services/notificationService');
+const { getPeriodKey, evaluateBudget, checkBudgetAlerts, retagCategory } = require('../services/budgetService');
+
+const USER_ID = '64b000000000000000000001';
+
+const categories = [
+  { _id: 'c1', name: 'Food & Dining', kind: 'expense', parent: null },
+  { _id: 'c2', name: 'Groceries', kind: 'expense', parent: 'c1' },
+  { _id: 'c3', name: 'Travel', kind: 'expense', parent: null },
+];
+
+function monthlyBudget(overrides = {}) {
+  return {
+    _id: 'budget-1',
+    user: USER_ID,
+    name: 'Food',
+    category: 'Food & Dining',
+    includeSubcategories: true,
+    period: 'monthly',
+    amount: 1000,
+    rollover: 'none',
+    thresholds: [80, 100],
+    timezone: 'UTC',
+    createdAt: new Date(Date.UTC(2024, 0, 1)),
+    ...overrides,
+  };
+}
+
+// Spending per period, in the order sumSpending asks for it
+const spending = (...totals) => totals.forEach(total => Transaction.aggregate.mockResolvedValueOnce([{ total }]));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  getUserCategories.mockResolvedValue(categories);
+  User.findById.mockReturnValue({ select: () => ({ lean: async () => ({ preferences: { defaultCurrency: 'INR' } }) }) });
+});
+
+describe('getPeriodKey', () => {
+  test.each([
+    ['a monthly budget uses the month', {}, '2024-07-31T20:00:00Z', '2024-07'],
+    ['in the budget timezone', { timezone: 'Asia/Kolkata' }, '2024-07-31T20:00:00Z', '2024-08'],
+    ['a custom range containing the date', { period: 'custom', startDate: new Date('2024-07-01'), endDate: new Date('2024-07-15') }, '2024-07-15T10:00:00Z', 'custom'],
+    ['a custom range not containing the date', { period: 'custom', startDate: new Date('2024-07-01'), endDate: new Date('2024-07-15') }, '2024-07-16T10:00:00Z', null],
+  ])('%s', (title, overrides, date, expected) => {
+    expect(getPeriodKey(monthlyBudget(overrides), new Date(date))).toBe(expected);
+  });
+});
+
+describe('evaluateBudget', () => {
+  test('counts the category and its subcategories', async () => {
+    spending(850);
+
+    const result = await evaluateBudget(monthlyBudget(), '2024-07', categories);
+
+    expect(result).toMatchObject({ categories: ['Food & Dining', 'Groceries'], spent: 850, remaining: 150, percentUsed: 85, status: 'warning', thresholdsReached: [80] });
+    const [pipeline] = Transaction.aggregate.mock.calls[0];
+    expect(pipeline[0].$match).toMatchObject({ type: 'expense' });
+  });
+
+  test.each([
+    ['unused money carries over', 'unused', 600, 1400],
+    ['unused money never lowers the limit', 'unused', 1200, 1000],
+    ['full rollover carries overspending over too', 'full', 1200, 800],
+  ])('%s', async (title, rollover, previousSpent, limit) => {
+    spending(500, previousSpent);
+
+    const result = await evaluateBudget(monthlyBudget({ rollover }), '2024-07', categories);
+
+    expect(result.limit).toBe(limit);
+  });
+
+  test('no rollover from before the budget existed', async () => {
+    spending(500);
+
+    const result = await evaluateBudget(monthlyBudget({ rollover: 'unused', createdAt: new Date(Date.UTC(2024, 6, 10)) }), '2024-07', categories);
+
+    expect(result).toMatchObject({ rolloverAmount: 0, limit: 1000 });
+    expect(Transaction.aggregate).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('checkBudgetAlerts', () => {
+  const groceries = { type: 'expense', category: 'Groceries', amount: 300, date: new Date(Date.UTC(2024, 6, 20)) };
+
+  beforeEach(() => {
+    Budget.find.mockReturnValue({ lean: async () => [monthlyBudget()] });
+  });
+
+  test('notifies once for each threshold reached in the period', async () => {
+    spending(1050);
+    Budget.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const alerts = await checkBudgetAlerts(USER_ID, [groceries]);
+
+    expect(alerts.map(alert => alert.threshold)).toEqual([80, 100]);
+    expect(notify.mock.calls.map(([, type]) => type)).toEqual(['budget_warning', 'budget_exceeded']);
+  });
+
+  test('a threshold already recorded for the period is not sent again', async () => {
+    spending(1050);
+    Budget.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(checkBudgetAlerts(USER_ID, [groceries])).resolves.toEqual([]);
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  test('expenses outside the budget categories and income are ignored', async () => {
+    const alerts = await checkBudgetAlerts(USER_ID, [{ ...groceries, category: 'Travel' }, { ...groceries, type: 'income' }]);
+
+    expect(alerts).toEqual([]);
+    expect(Transaction.aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describe('retagCategory', () => {
+  test.each([
+    ['expense', 1],
+    ['income', 0],
+  ])('%s categories re-tag budgets %i time(s)', async (kind, calls) => {
+    await retagCategory(USER_ID, kind, ['Food & Dining'], 'Eating Out');
+
+    expect(Budget.updateMany).toHaveBeenCalledTimes(calls);
+  });
+});
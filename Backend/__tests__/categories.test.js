@@ -0,0 +1,77 @@
+const USER_ID = '64b000000000000000000001';
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  req.user = { _id: USER_ID };
+  next();
+});
+jest.mock('../services/categoryService', () => ({
+  getUserCategories: jest.fn(),
+  resolveCategoryName: jest.fn(),
+  normalizeCategory: jest.fn((categories, name, kind) => (kind === 'income' ? 'Other Income' : 'Other Expense')),
+  retagCategory: jest.fn(),
+}));
+jest.mock('../services/merchantService', () => ({ retagCategory: jest.fn() }));
+jest.mock('../services/recurringService', () => ({ retagCategory: jest.fn() }));
+jest.mock('../services/budgetService', () => ({ retagCategory: jest.fn() }));
+jest.mock('../services/importBatchService', () => ({ retagCategory: jest.fn() }));
+jest.mock('../services/receiptService', () => ({ retagCategory: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const Category = require('../models/Category');
+const categoryService = require('../services/categoryService');
+const categoryRoutes = require('../routes/categories');
+
+const app = express();
+app.use(express.json());
+app.use('/api/categories', categoryRoutes);
+
+const owners = ['merchantService', 'recurringService', 'budgetService', 'importBatchService', 'receiptService']
+  .map(name => require(`../services/${name}`));
+
+const snacks = { _id: '64b0000000000000000000c1', name: 'Snacks', kind: 'expense', parent: null };
+const groceries = { _id: '64b0000000000000000000c2', name: 'Groceries', kind: 'expense', parent: null };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Category, 'updateMany').mockResolvedValue({});
+  jest.spyOn(Category, 'deleteOne').mockResolvedValue({});
+  categoryService.getUserCategories.mockResolvedValue([snacks, groceries]);
+  categoryService.retagCategory.mockResolvedValue(3);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DELETE /api/categories/:id', () => {
+  test('re-tags transactions and every service that stores the name', async () => {
+    const res = await request(app).delete(`/api/categories/${snacks._id}`).query({ reassignTo: groceries._id });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ reassignedTo: 'Groceries', transactionsUpdated: 3 });
+    expect(categoryService.retagCategory).toHaveBeenCalledWith(USER_ID, 'expense', ['Snacks'], 'Groceries');
+    owners.forEach(owner => {
+      expect(owner.retagCategory).toHaveBeenCalledWith(USER_ID, 'expense', ['Snacks'], 'Groceries');
+    });
+  });
+
+  test('moves transactions to the catch-all when there is no parent or replacement', async () => {
+    const res = await request(app).delete(`/api/categories/${snacks._id}`);
+
+    expect(res.body.reassignedTo).toBe('Other Expense');
+    expect(categoryService.retagCategory).toHaveBeenCalledWith(USER_ID, 'expense', ['Snacks'], 'Other Expense');
+  });
+
+  test('rejects a replacement of the other kind without re-tagging anything', async () => {
+    categoryService.getUserCategories.mockResolvedValue([snacks, { ...groceries, kind: 'income' }]);
+
+    const res = await request(app).delete(`/api/categories/${snacks._id}`).query({ reassignTo: groceries._id });
+
+    expect(res.status).toBe(400);
+    expect(categoryService.retagCategory).not.toHaveBeenCalled();
+    owners.forEach(owner => expect(owner.retagCategory).not.toHaveBeenCalled());
+  });
+});
@@ -0,0 +1,237 @@
+const {
+  decodeCsv,
+  parseCsv,
+  detectDelimiter,
+  detectSkipRows,
+  readTable,
+  suggestSettings,
+  compileDateFormat,
+  parseDateWithFormat,
+  parseDecimal,
+  validateSettings,
+  findMissingColumns,
+  readTransactions,
+} = require('../services/csvImportService');
+
+const isoDate = date => (date instanceof Date ? date.toISOString().split('T')[0] : date);
+
+describe('decodeCsv', () => {
+  const text = 'Date,Amount\n01/07/2024,"1.234,50 €"';
+
+  test.each([
+    ['UTF-8', Buffer.from(text, 'utf8')],
+    ['UTF-8 with a byte order mark', Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text, 'utf8')])],
+    ['UTF-16 with a byte order mark', Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')])],
+  ])('reads %s', (title, buffer) => {
+    expect(decodeCsv(buffer)).toBe(text);
+  });
+});
+
+describe('parseCsv', () => {
+  test.each([
+    ['plain fields', 'a,b,c\n1,2,3', ',', [['a', 'b', 'c'], ['1', '2', '3']]],
+    ['a quoted delimiter', 'date,description\n01/07,"Coffee, large"', ',', [['date', 'description'], ['01/07', 'Coffee, large']]],
+    ['a quoted line break', 'a,b\n"first\nsecond",2', ',', [['a', 'b'], ['first\nsecond', '2']]],
+    ['doubled quotes', 'a\n"He said ""hi"""', ',', [['a'], ['He said "hi"']]],
+    ['CRLF line endings and blank lines', 'a;b\r\n\r\n1;2\r\n', ';', [['a', 'b'], ['1', '2']]],
+    ['tabs', 'a\tb\n1\t2', '\t', [['a', 'b'], ['1', '2']]],
+    ['a quoted semicolon in a semicolon file', 'a;b\n"x;y";2', ';', [['a', 'b'], ['x;y', '2']]],
+    ['padding around fields', ' a , "b" \n1,2', ',', [['a', 'b'], ['1', '2']]],
+  ])('splits %s', (title, text, delimiter, expected) => {
+    expect(parseCsv(text, delimiter)).toEqual(expected);
+  });
+});
+
+describe('detectDelimiter', () => {
+  test.each([
+    ['Date,Description,Amount\n01/07/2024,Coffee,-4.50', ','],
+    ['Datum;Buchungstext;Betrag\n01.07.2024;Kaffee;-4,50', ';'],
+    ['Date\tDescription\tAmount\n01/07/2024\tCoffee, large\t-4.50', '\t'],
+    ['Date|Description|Amount\n01/07/2024|Coffee|-4.50', '|'],
+    ['Date,Description,Amount\n01/07/2024,"Lunch; team",-24.50\n02/07/2024,Bus,-2.00', ','],
+  ])('%j uses %j', (text, delimiter) => {
+    expect(detectDelimiter(text)).toBe(delimiter);
+  });
+});
+
+describe('detectSkipRows and readTable', () => {
+  const text = 'Account,12345\nFrom 01/07/2024\nDate,Description,Debit,Credit\n01/07/2024,Coffee,4.50\n02/07/2024,Salary,,1000.00';
+
+  test('skips account details above the header', () => {
+    expect(detectSkipRows(parseCsv(text, ','))).toBe(2);
+  });
+
+  test('pads short records to the header width', () => {
+    expect(readTable(text, { delimiter: ',', skipRows: 2 })).toEqual({
+      headers: ['Date', 'Description', 'Debit', 'Credit'],
+      records: [['01/07/2024', 'Coffee', '4.50', ''], ['02/07/2024', 'Salary', '', '1000.00']],
+    });
+  });
+});
+
+describe('suggestSettings', () => {
+  test.each([
+    [
+      'separate debit and credit columns',
+      'Txn Date,Narration,Withdrawal Amt.,Deposit Amt.,Closing Balance\n31/07/2024,Coffee,"1,250.00",,"48,750.00"',
+      { date: 'Txn Date', description: 'Narration', debit: 'Withdrawal Amt.', credit: 'Deposit Amt.', amount: null, balance: 'Closing Balance' },
+      'DD/MM/YYYY',
+      '.',
+    ],
+    [
+      'a single amount column',
+      'Buchungstag;Verwendungszweck;Betrag;Saldo\n31.07.2024;Kaffee;-4,50;1.234,50',
+      { date: 'Buchungstag', description: 'Verwendungszweck', debit: null, credit: null, amount: 'Betrag', balance: 'Saldo' },
+      'DD.MM.YYYY',
+      ',',
+    ],
+    [
+      'month-first dates',
+      'Date,Payee,Amount\n07/31/2024,Coffee,-4.50\n08/15/2024,Lunch,-12.00',
+      { date: 'Date', description: 'Payee', amount: 'Amount' },
+      'MM/DD/YYYY',
+      '.',
+    ],
+  ])('guesses %s', (title, text, columns, dateFormat, decimalSeparator) => {
+    const delimiter = detectDelimiter(text);
+    expect(suggestSettings(readTable(text, { delimiter }))).toMatchObject({ columns, dateFormat, decimalSeparator });
+  });
+});
+
+describe('parseDateWithFormat', () => {
+  test.each([
+    ['DD/MM/YYYY', '31/07/2024', '2024-07-31'],
+    ['MM/DD/YYYY', '07/31/2024', '2024-07-31'],
+    ['dd/mm/yyyy', '5/7/2024', '2024-07-05'],
+    ['YYYY-MM-DD', '2024-07-31T10:15:00', '2024-07-31'],
+    ['DD-MMM-YY', '31-Jul-24', '2024-07-31'],
+    ['DD MMM YYYY', '31 July 2024', '2024-07-31'],
+    ['DD/MM/YY', '31/07/98', '1998-07-31'],
+    ['DD/MM/YYYY', '31/02/2024', null],
+    ['DD/MM/YYYY', '07/31/2024', null],
+    ['DD-MMM-YYYY', '31-Xyz-2024', null],
+    ['DD/MM/YYYY', '', null],
+  ])('%s reads %j as %s', (format, text, expected) => {
+    const date = parseDateWithFormat(text, compileDateFormat(format));
+    expect(date && isoDate(date)).toBe(expected);
+  });
+
+  test.each([['MM/YYYY'], ['DD/MM/MM/YYYY'], ['DD/MM/YYYY hh'], ['']])('rejects the format %j', format => {
+    expect(compileDateFormat(format)).toBeNull();
+  });
+});
+
+describe('parseDecimal', () => {
+  test.each([
+    ['1,234.50', '.', 1234.5],
+    ['1,23,456.00', '.', 123456],
+    ['1.234,50', ',', 1234.5],
+    ['-4,50', ',', -4.5],
+    ['4.50-', '.', -4.5],
+    ['(120.00)', '.', -120],
+    ['500.00 Dr', '.', -500],
+    ['500.00 Cr', '.', 500],
+    ['Rs. 1,250.00', '.', 1250],
+    ['€ 12,5', ',', 12.5],
+    ['', '.', null],
+    ['-', '.', null],
+    ['n/a', '.', null],
+  ])('%j with %j is %p', (text, decimalSeparator, expected) => {
+    expect(parseDecimal(text, decimalSeparator)).toBe(expected);
+  });
+});
+
+describe('validateSettings and findMissingColumns', () => {
+  const valid = { columns: { date: 'Date', description: 'Details', amount: 'Amount' }, dateFormat: 'DD/MM/YYYY' };
+
+  test('fills in defaults', () => {
+    expect(validateSettings(valid)).toEqual({
+      errors: [],
+      settings: {
+        delimiter: ',',
+        skipRows: 0,
+        columns: { date: 'Date', description: 'Details', debit: null, credit: null, amount: 'Amount', balance: null },
+        amountSign: 'negative-is-expense',
+        dateFormat: 'DD/MM/YYYY',
+        decimalSeparator: '.',
+      },
+    });
+  });
+
+  test.each([
+    ['no mapping', null, ['Column mapping is required']],
+    ['an unknown delimiter', { ...valid, delimiter: '#' }, ['Delimiter must be a comma, semicolon, tab or pipe']],
+    ['too many skipped rows', { ...valid, skipRows: 51 }, ['skipRows must be a whole number from 0 to 50']],
+    ['no amount column', { ...valid, columns: { date: 'Date', description: 'Details' } }, ['Choose an amount column, or debit and credit columns']],
+    ['both amount and debit columns', { ...valid, columns: { ...valid.columns, debit: 'Debit' } }, ['Use either an amount column or debit and credit columns, not both']],
+    ['an incomplete date format', { ...valid, dateFormat: 'MM/YYYY' }, [expect.stringMatching(/^Date format needs/)]],
+    ['an unknown decimal separator', { ...valid, decimalSeparator: ' ' }, ['Decimal separator must be "." or ","']],
+  ])('reports %s', (title, input, errors) => {
+    expect(validateSettings(input).errors).toEqual(errors);
+  });
+
+  test('reports mapped columns missing from the file', () => {
+    const { settings } = validateSettings(valid);
+    expect(findMissingColumns(settings, ['date', 'Narration', 'Amount'])).toEqual(['Column "Details" (description) is not in the file']);
+  });
+});
+
+describe('readTransactions', () => {
+  const read = (text, input) => {
+    const { settings } = validateSettings(input);
+    return readTransactions(readTable(text, { delimiter: settings.delimiter, skipRows: settings.skipRows }), settings);
+  };
+
+  test('reads debit and credit columns and reconciles the balance', () => {
+    const result = read(
+      'Date,Details,Debit,Credit,Balance\n'
+        + 'Opening balance,,,,"1,000.00"\n'
+        + '01/07/2024,"Coffee, large",4.50,,995.50\n'
+        + '02/07/2024,"Salary\nJuly",,"2,000.00","2,995.50"\n'
+        + '03/07/2024,Rent,"1,500.00",,"1,400.00"\n',
+      {
+        columns: { date: 'Date', description: 'Details', debit: 'Debit', credit: 'Credit', balance: 'Balance' },
+        dateFormat: 'DD/MM/YYYY',
+      }
+    );
+
+    expect(result.transactions.map(({ date, amount, type, description, needsManualReview }) => [isoDate(date), amount, type, description, needsManualReview])).toEqual([
+      ['2024-07-01', 4.5, 'expense', 'Coffee, large', false],
+      ['2024-07-02', 2000, 'income', 'Salary\nJuly', false],
+      ['2024-07-03', 1500, 'expense', 'Rent', true],
+    ]);
+    expect(result.rowIndexes).toEqual([1, 2, 3]);
+    expect(result.failedRows).toEqual([{ index: 0, description: '', error: 'No amount' }]);
+    expect(result.reconciliation).toEqual({ checkedRows: 2, mismatchedRows: 1, order: 'oldest-first' });
+  });
+
+  test.each([
+    ['negative-is-expense', ['expense', 'income']],
+    ['negative-is-income', ['income', 'expense']],
+  ])('reads a signed amount column as %s', (amountSign, types) => {
+    const result = read('Datum;Text;Betrag\n01.07.2024;Kaffee;-4,50\n02.07.2024;Lohn;2.000,00', {
+      delimiter: ';',
+      columns: { date: 'Datum', description: 'Text', amount: 'Betrag' },
+      dateFormat: 'DD.MM.YYYY',
+      decimalSeparator: ',',
+      amountSign,
+    });
+
+    expect(result.transactions.map(({ amount, type }) => [amount, type])).toEqual([[4.5, types[0]], [2000, types[1]]]);
+    expect(result.reconciliation).toBeNull();
+  });
+
+  test('reports unreadable amounts and dates by row', () => {
+    const result = read('Date,Details,Amount\nsoon,Coffee,-4.50\n02/07/2024,Refund,0.00\n03/07/2024,Typo,abc', {
+      columns: { date: 'Date', description: 'Details', amount: 'Amount' },
+      dateFormat: 'DD/MM/YYYY',
+    });
+
+    expect(result.transactions).toEqual([expect.objectContaining({ date: 'soon', amount: 4.5 })]);
+    expect(result.unreadableDates).toBe(1);
+    expect(result.failedRows).toEqual([
+      { index: 1, description: 'Refund', error: 'Amount is zero' },
+      { index: 2, description: 'Typo', error: 'Amount "abc" could not be read' },
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+const { toIsoDate, findDates, localeDateOrder, createDateContext, interpretDate } = require('../services/dateParsingService');
+
+const referenceDate = new Date(Date.UTC(2024, 7, 15));
+const read = (value, context) => {
+  const { date, uncertain } = interpretDate(value, context);
+  return { date: date && toIsoDate(date), uncertain };
+};
+
+describe('findDates', () => {
+  test.each([
+    ['Paid 2024-07-30', '2024-07-30'],
+    ['Date: 30 Jul 2024', '30 Jul 2024'],
+    ['30-Jul-24 POS', '30-Jul-24'],
+    ['July 30, 2024', 'July 30, 2024'],
+    ['1st July', '1st July'],
+    ['Txn 30/07/2024 UPI', '30/07/2024'],
+    ['07/30/24', '07/30/24'],
+    ['30/07 NEFT', '30/07'],
+  ])('%s finds %s', (text, expected) => {
+    expect(findDates(text).map(token => token.text)).toEqual([expected]);
+  });
+
+  test.each([
+    ['Decaf latte 4.50'],
+    ['Total 30.07'],
+    ['Ref 45/78'],
+    ['30 Jul 12.50'],
+  ])('%s contains no full date', text => {
+    expect(findDates(text).every(token => !token.hasYear)).toBe(true);
+  });
+
+  test('keeps an amount after a year-less date', () => {
+    const [token] = findDates('30 Jul 12.50');
+    expect(token).toMatchObject({ text: '30 Jul', hasYear: false });
+  });
+});
+
+describe('localeDateOrder', () => {
+  test.each([
+    ['en-IN', 'DMY'],
+    ['en-GB', 'DMY'],
+    ['en-US', 'MDY'],
+    ['not a locale!', null],
+  ])('%s is %s', (locale, order) => {
+    expect(localeDateOrder(locale)).toBe(order);
+  });
+});
+
+describe('createDateContext', () => {
+  test.each([
+    ['document day-first dates win over the locale', '31/07/2024 and 05/08/2024', { locale: 'en-US' }, 'DMY', 'document'],
+    ['document month-first dates win over the locale', '07/31/2024 and 08/05/2024', { locale: 'en-IN' }, 'MDY', 'document'],
+    ['the locale settles an ambiguous document', '05/08/2024', { locale: 'en-US', timezone: 'Asia/Kolkata' }, 'MDY', 'locale'],
+    ['the time zone is used without a locale', '05/08/2024', { timezone: 'America/Chicago' }, 'MDY', 'timezone'],
+    ['other time zones read day first', '05/08/2024', { timezone: 'Europe/Zurich' }, 'DMY', 'timezone'],
+    ['day first is the default', '05/08/2024', {}, 'DMY', 'default'],
+  ])('%s', (title, text, options, order, orderSource) => {
+    expect(createDateContext(text, { ...options, referenceDate })).toMatchObject({ order, orderSource });
+  });
+
+  test('reads the statement period from its header line', () => {
+    const { period } = createDateContext('Statement period: 01/07/2024 to 31/07/2024', { referenceDate });
+    expect(period && [toIsoDate(period.start), toIsoDate(period.end)]).toEqual(['2024-07-01', '2024-07-31']);
+  });
+
+  test('ignores date pairs outside a period line', () => {
+    expect(createDateContext('Issued 01/07/2024, due 31/07/2024', { referenceDate }).period).toBeNull();
+  });
+});
+
+describe('interpretDate', () => {
+  test.each([
+    ['an unambiguous day-first date', '31/07/2024', {}, { date: '2024-07-31', uncertain: false }],
+    ['an unambiguous month-first date', '07/31/2024', {}, { date: '2024-07-31', uncertain: false }],
+    ['an ambiguous date with the default order', '05/08/2024', {}, { date: '2024-08-05', uncertain: true }],
+    ['an ambiguous date in a US locale', '05/08/2024', { locale: 'en-US' }, { date: '2024-05-08', uncertain: true }],
+    ['the same day and month either way', '05/05/2024', {}, { date: '2024-05-05', uncertain: false }],
+    ['a named month', '5 Aug 2024', { locale: 'en-US' }, { date: '2024-08-05', uncertain: false }],
+    ['a two-digit year', '30/07/24', {}, { date: '2024-07-30', uncertain: false }],
+    ['a two-digit year of the last century', '30/07/98', {}, { date: '1998-07-30', uncertain: false }],
+  ])('%s', (title, value, options, expected) => {
+    expect(read(value, createDateContext(value, { ...options, referenceDate }))).toEqual(expected);
+  });
+
+  test('an ambiguous date is certain once the document settles the order', () => {
+    const context = createDateContext('13/07/2024\n05/08/2024', { locale: 'en-US', referenceDate });
+    expect(read('05/08/2024', context)).toEqual({ date: '2024-08-05', uncertain: false });
+  });
+
+  test('the statement period picks the reading that falls inside it', () => {
+    const context = createDateContext('Period: 01/05/2024 - 31/05/2024', { locale: 'en-IN', referenceDate });
+    expect(read('05/08/2024', context)).toEqual({ date: '2024-05-08', uncertain: false });
+  });
+
+  describe('year inference', () => {
+    const decemberStatement = createDateContext('Statement period: 15 Dec 2023 to 14 Jan 2024', { referenceDate });
+
+    test.each([
+      ['20 Dec', '2023-12-20'],
+      ['03 Jan', '2024-01-03'],
+      ['28/12', '2023-12-28'],
+    ])('%s takes its year from a period spanning New Year', (value, expected) => {
+      expect(read(value, decemberStatement)).toEqual({ date: expected, uncertain: false });
+    });
+
+    test('a date outside the period takes the period end year and is flagged', () => {
+      expect(read('20 Mar', decemberStatement)).toEqual({ date: '2024-03-20', uncertain: true });
+    });
+
+    test.each([
+      ['10 Aug', '2024-08-10'],
+      ['20 Dec', '2023-12-20'],
+    ])('without a period %s is the latest one not after the reference date', (value, expected) => {
+      expect(read(value, createDateContext('', { referenceDate }))).toEqual({ date: expected, uncertain: true });
+    });
+  });
+
+  test.each([
+    [new Date(Date.UTC(2024, 6, 30)), { date: '2024-07-30', uncertain: false }],
+    [new Date('nonsense'), { date: null, uncertain: true }],
+    ['no date here', { date: null, uncertain: true }],
+    ['', { date: null, uncertain: true }],
+  ])('%p', (value, expected) => {
+    expect(read(value, createDateContext('', { referenceDate }))).toEqual(expected);
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('../models/ImportBatch', () => ({ findOneAndUpdate: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/Upload', () => ({ updateOne: jest.fn() }));
+jest.mock('../models/Transaction', () => ({ insertMany: jest.fn() }));
+jest.mock('../models/Receipt', () => ({ insertMany: jest.fn() }));
+jest.mock('../services/categoryService', () => ({
+  getUserCategories: jest.fn(),
+  normalizeCategory: jest.fn((categories, name) => name),
+}));
+jest.mock('../services/budgetService', () => ({ checkBudgetAlertsInBackground: jest.fn() }));
+jest.mock('../services/duplicateService', () => ({ flagPossibleDuplicates: jest.fn() }));
+jest.mock('../services/merchantService', () => ({
+  resolveMerchant: jest.fn(),
+  isGenericCategory: jest.fn(category => !category || category === 'Other Expense'),
+}));
+
+const ImportBatch = require('../models/ImportBatch');
+const Transaction = require('../models/Transaction');
+const { resolveMerchant } = require('../services/merchantService');
+const { flagPossibleDuplicates } = require('../services/duplicateService');
+const { confirmBatch } = require('../services/importBatchService');
+
+function draftBatch(rows) {
+  return {
+    _id: 'batch-1',
+    kind: 'bank_statement',
+    fileUrl: null,
+    extractedText: 'statement text',
+    parsingMethod: 'Statement Table Parser',
+    rows,
+    save: jest.fn(),
+  };
+}
+
+const row = overrides => ({
+  date: new Date(Date.UTC(2024, 6, 1)),
+  amount: 120,
+  description: 'UPI-SWIGGY',
+  type: 'expense',
+  category: 'Food & Dining',
+  needsManualReview: false,
+  reviewNote: null,
+  receipt: null,
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  flagPossibleDuplicates.mockResolvedValue(0);
+  Transaction.insertMany.mockImplementation(async docs => docs.map((doc, index) => ({ ...doc, _id: `txn-${index}` })));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('confirmBatch', () => {
+  test('keeps the review reason under the field the transaction schema has', async () => {
+    ImportBatch.findOneAndUpdate.mockResolvedValue(draftBatch([
+      row({ needsManualReview: true, reviewNote: 'Amount is in USD, not INR; convert it before importing.' }),
+      row({ description: 'RENT' }),
+    ]));
+
+    await confirmBatch('user-1', 'batch-1');
+
+    const [docs] = Transaction.insertMany.mock.calls[0];
+    expect(docs.map(doc => doc.reviewNotes)).toEqual(['Amount is in USD, not INR; convert it before importing.', '']);
+    docs.forEach(doc => {
+      expect(doc).not.toHaveProperty('reviewNote');
+      expect(doc).not.toHaveProperty('source');
+      expect(doc).not.toHaveProperty('parsingMethod');
+    });
+  });
+
+  test('adds merchants to the directory only on confirm, one row at a time', async () => {
+    ImportBatch.findOneAndUpdate.mockResolvedValue(draftBatch([
+      row({ merchant: 'SWIGGY' }),
+      row({ merchant: 'Swiggy Ltd', category: 'Other Expense' }),
+      row({ merchant: undefined, description: 'ATM WDL' }),
+    ]));
+    let pending = 0;
+    resolveMerchant.mockImplementation(async () => {
+      expect(pending).toBe(0);
+      pending++;
+      await Promise.resolve();
+      pending--;
+      return { _id: 'merchant-1', name: 'Swiggy' };
+    });
+
+    await confirmBatch('user-1', 'batch-1');
+
+    expect(resolveMerchant.mock.calls).toEqual([
+      ['user-1', 'SWIGGY', { category: 'Food & Dining' }],
+      ['user-1', 'Swiggy Ltd', { category: null }],
+    ]);
+    const [docs] = Transaction.insertMany.mock.calls[0];
+    expect(docs.map(doc => [doc.merchant, doc.merchantRef])).toEqual([
+      ['Swiggy', 'merchant-1'],
+      ['Swiggy', 'merchant-1'],
+      [undefined, undefined],
+    ]);
+  });
+
+  test('returns null without touching merchants when there is no such draft', async () => {
+    ImportBatch.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(confirmBatch('user-1', 'batch-1')).resolves.toBeNull();
+    expect(resolveMerchant).not.toHaveBeenCalled();
+  });
+});
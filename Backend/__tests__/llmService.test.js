@@ -0,0 +1,159 @@
+jest.mock('../services/llmProviders/geminiProvider', () => ({
+  name: 'gemini',
+  label: 'Gemini AI',
+  defaultModel: 'test-model',
+  isConfigured: () => true,
+  complete: jest.fn(),
+}));
+
+const savedEnv = { ...process.env };
+process.env.LLM_PROVIDER = 'gemini';
+process.env.LLM_MAX_RETRIES = '0';
+
+const geminiProvider = require('../services/llmProviders/geminiProvider');
+const { getLlmSettings, extractTransactions, extractReceipt } = require('../services/llmService');
+
+const categories = [
+  { name: 'Food & Dining', kind: 'expense' },
+  { name: 'Groceries', kind: 'expense' },
+  { name: 'Other Expense', kind: 'expense' },
+  { name: 'Salary', kind: 'income' },
+];
+
+const coffee = { date: '2024-07-30', amount: 4.5, type: 'expense', description: 'Coffee', merchant: 'Cafe', category: 'Food & Dining' };
+const receipt = {
+  merchant: 'Corner Shop',
+  date: '2024-07-30',
+  currency: 'CHF',
+  total: 12.5,
+  lineItems: [{ description: 'Bread', quantity: 1, amount: 12.5, category: 'Groceries' }],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  process.env = savedEnv;
+});
+
+const repairPrompt = () => geminiProvider.complete.mock.calls[1][0];
+
+describe('getLlmSettings', () => {
+  test('uses the requested provider with settings from the environment', () => {
+    expect(getLlmSettings()).toMatchObject({ provider: geminiProvider, model: 'test-model', maxRetries: 0 });
+  });
+
+  test('an unusable provider is reported once at load, not on every parse', () => {
+    jest.isolateModules(() => {
+      process.env.LLM_PROVIDER = 'no-such-provider';
+      const llmService = require('../services/llmService');
+      process.env.LLM_PROVIDER = 'gemini';
+
+      llmService.getLlmSettings();
+      llmService.canComplete();
+      expect(llmService.getLlmSettings().provider.name).toBe('rule-based');
+    });
+
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/Unknown LLM_PROVIDER "no-such-provider"/));
+  });
+});
+
+describe('extractTransactions', () => {
+  test('a valid answer is used without a repair round', async () => {
+    geminiProvider.complete.mockResolvedValueOnce(JSON.stringify([coffee]));
+
+    const { transactions, method } = await extractTransactions('30/07/2024 Coffee 4.50', { kind: 'bank_statement', categories });
+
+    expect(method).toBe('Gemini AI');
+    expect(transactions).toEqual([expect.objectContaining({ amount: 4.5, category: 'Food & Dining' })]);
+    expect(geminiProvider.complete).toHaveBeenCalledTimes(1);
+  });
+
+  test('an invalid answer is sent back once with its errors, and the repair is used', async () => {
+    geminiProvider.complete
+      .mockResolvedValueOnce(JSON.stringify([{ ...coffee, amount: 'lots' }]))
+      .mockResolvedValueOnce(JSON.stringify([coffee]));
+
+    const { transactions } = await extractTransactions('30/07/2024 Coffee 4.50', { kind: 'bank_statement', categories });
+
+    expect(repairPrompt()).toMatch(/Transaction 1: "amount" must be a number/);
+    expect(repairPrompt()).toMatch(/Return ONLY the JSON array:$/);
+    expect(transactions).toEqual([expect.objectContaining({ amount: 4.5 })]);
+    expect(transactions[0].needsManualReview).toBeUndefined();
+  });
+
+  test('what is still invalid after the repair is kept and flagged', async () => {
+    const invalid = JSON.stringify([{ ...coffee, amount: 'CHF 4.50', category: 'Snacks' }]);
+    geminiProvider.complete.mockResolvedValueOnce(invalid).mockResolvedValueOnce(invalid);
+
+    const { transactions } = await extractTransactions('30/07/2024 Coffee 4.50', { kind: 'bank_statement', categories });
+
+    expect(geminiProvider.complete).toHaveBeenCalledTimes(2);
+    expect(transactions).toEqual([expect.objectContaining({
+      amount: 4.5,
+      currency: 'CHF',
+      needsManualReview: true,
+      reviewNote: expect.stringMatching(/^Parsed data failed validation: /),
+    })]);
+  });
+
+  test('an answer that is not JSON even after repair falls back to the rule-based parser', async () => {
+    geminiProvider.complete.mockResolvedValue('Sorry, I cannot help with that.');
+
+    const { method } = await extractTransactions('30/07/2024 Coffee 4.50', { kind: 'bank_statement', categories });
+
+    expect(geminiProvider.complete).toHaveBeenCalledTimes(2);
+    expect(method).toBe('Rule-based Parser');
+  });
+});
+
+describe('extractReceipt', () => {
+  test('an invalid receipt is sent back once with its errors, and the repair is used', async () => {
+    geminiProvider.complete
+      .mockResolvedValueOnce(JSON.stringify({ ...receipt, total: -12.5 }))
+      .mockResolvedValueOnce(JSON.stringify(receipt));
+
+    const result = await extractReceipt('Corner Shop\nBread 12.50\nTotal 12.50', { categories });
+
+    expect(repairPrompt()).toMatch(/"total" must be a positive number/);
+    expect(repairPrompt()).toMatch(/Return ONLY the JSON object:$/);
+    expect(result.method).toBe('Gemini AI');
+    expect(result.receipt).toMatchObject({ merchant: 'Corner Shop', total: 12.5 });
+    expect(result.receipt.needsManualReview).toBeUndefined();
+  });
+
+  test('a receipt still invalid after the repair is kept and flagged, not replaced by the rule-based parser', async () => {
+    const invalid = JSON.stringify({ ...receipt, total: 'CHF 12.50', lineItems: [{ description: 'Bread', amount: '12,50' }] });
+    geminiProvider.complete.mockResolvedValueOnce(invalid).mockResolvedValueOnce(invalid);
+
+    const result = await extractReceipt('Corner Shop\nBread 12.50\nTotal 12.50', { categories });
+
+    expect(result.method).toBe('Gemini AI');
+    expect(result.receipt).toMatchObject({
+      merchant: 'Corner Shop',
+      currency: 'CHF',
+      total: 12.5,
+      lineItems: [{ description: 'Bread', quantity: 1, amount: 12.5 }],
+      needsManualReview: true,
+      reviewNote: expect.stringMatching(/^Parsed receipt failed validation: .*"total" must be a number/),
+    });
+  });
+
+  test('an answer that is not JSON even after repair falls back to the rule-based parser', async () => {
+    geminiProvider.complete.mockResolvedValue('no idea');
+
+    const result = await extractReceipt('Corner Shop\nBread 12.50\nTotal 12.50', { categories });
+
+    expect(geminiProvider.complete).toHaveBeenCalledTimes(2);
+    expect(result.method).toBe('Rule-based Parser');
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../models/Merchant', () => ({ findOne: jest.fn(), create: jest.fn(), updateOne: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../models/Transaction', () => ({ distinct: jest.fn() }));
+
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+const { normalizeMerchantKey, applyMerchant, retagCategory } = require('../services/merchantService');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('normalizeMerchantKey', () => {
+  test.each([
+    ['AMZN MKTPLACE', 'amazon'],
+    ['www.Flipkart.com', 'flipkart'],
+    ['SWGY*ORDER 1234', 'swiggy'],
+    ['Retail Store', 'retail store'],
+    ['', ''],
+    [null, ''],
+  ])('%p is %p', (raw, key) => {
+    expect(normalizeMerchantKey(raw)).toBe(key);
+  });
+});
+
+describe('applyMerchant', () => {
+  const known = { _id: 'merchant-1', name: 'Swiggy', defaultCategory: 'Food & Dining', variants: ['SWIGGY'] };
+
+  test('creates a merchant seen for the first time', async () => {
+    Merchant.findOne.mockResolvedValue(null);
+    Merchant.create.mockImplementation(async data => ({ _id: 'merchant-2', ...data }));
+
+    const data = await applyMerchant('user-1', { merchant: 'AMZN MKTPLACE', category: 'Shopping' });
+
+    expect(Merchant.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'Amazon', defaultCategory: 'Shopping' }));
+    expect(data).toMatchObject({ merchant: 'Amazon', merchantRef: 'merchant-2' });
+  });
+
+  test.each([
+    ['a generic category takes the merchant default', 'Other Expense', 'Food & Dining'],
+    ['a specific category is kept', 'Travel', 'Travel'],
+  ])('%s', async (title, category, expected) => {
+    Merchant.findOne.mockResolvedValue(known);
+
+    const data = await applyMerchant('user-1', { merchant: 'Swiggy Instamart', category });
+
+    expect(data).toMatchObject({ merchant: 'Swiggy', merchantRef: 'merchant-1', category: expected });
+  });
+
+  describe('read-only', () => {
+    test('links a known merchant without recording the spelling', async () => {
+      Merchant.findOne.mockResolvedValue(known);
+
+      const data = await applyMerchant('user-1', { merchant: 'SWGY BANGALORE', category: 'Other Expense' }, { readOnly: true });
+
+      expect(data).toMatchObject({ merchant: 'Swiggy', merchantRef: 'merchant-1', category: 'Food & Dining' });
+      expect(Merchant.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('keeps a new name as written and creates nothing', async () => {
+      Merchant.findOne.mockResolvedValue(null);
+
+      const data = await applyMerchant('user-1', { merchant: 'Corner Bakery', category: 'Other Expense' }, { readOnly: true });
+
+      expect(data).toEqual({ merchant: 'Corner Bakery', category: 'Other Expense' });
+      expect(Merchant.create).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('retagCategory', () => {
+  test('moves only defaults of merchants used for transactions of that kind', async () => {
+    Transaction.distinct.mockResolvedValue(['merchant-1']);
+
+    await retagCategory('user-1', 'income', ['Refunds'], 'Other Income');
+
+    expect(Transaction.distinct).toHaveBeenCalledWith('merchantRef', { user: 'user-1', type: 'income', merchantRef: { $ne: null } });
+    expect(Merchant.updateMany).toHaveBeenCalledWith(
+      { user: 'user-1', _id: { $in: ['merchant-1'] }, defaultCategory: { $in: ['Refunds'] } },
+      { $set: { defaultCategory: 'Other Income' } }
+    );
+  });
+});
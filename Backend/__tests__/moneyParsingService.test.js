@@ -0,0 +1,68 @@
+const { findAmounts, parseAmount, detectCurrency } = require('../services/moneyParsingService');
+
+describe('parseAmount', () => {
+  test.each([
+    ['CHF 54.50', 54.5, 'CHF'],
+    ['₹1,23,456.00', 123456, 'INR'],
+    ['Rs. 2,500', 2500, 'INR'],
+    ['1.234,50 €', 1234.5, 'EUR'],
+    ["CHF 1'234.50", 1234.5, 'CHF'],
+    ['Total: 1 234,56', 1234.56, null],
+    ['1 234 567,89 EUR', 1234567.89, 'EUR'],
+    ['1 234,56 €', 1234.56, 'EUR'],
+    ['$1,234', 1234, 'USD'],
+    ['£12.5', 12.5, 'GBP'],
+  ])('%s reads as %d', (text, amount, currency) => {
+    expect(parseAmount(text)).toMatchObject({ amount, currency });
+  });
+
+  test.each([
+    ['1,23,456.00 Cr', 123456, 'credit'],
+    ['5,000.00 DR', 5000, 'debit'],
+    ['(250.00)', 250, 'debit'],
+    ['-45.90', 45.9, 'debit'],
+    ['€ -12,00', 12, 'debit'],
+    ['99.00', 99, null],
+  ])('%s reads as %d, direction %s', (text, amount, direction) => {
+    expect(parseAmount(text)).toMatchObject({ amount, direction });
+  });
+
+  test('skips bare whole numbers unless strict is off', () => {
+    expect(parseAmount('Qty 3')).toBeNull();
+    expect(parseAmount('Qty 3', { strict: false })).toMatchObject({ amount: 3 });
+  });
+
+  test('returns null for empty input', () => {
+    expect(parseAmount(null)).toBeNull();
+    expect(parseAmount('')).toBeNull();
+  });
+});
+
+describe('findAmounts', () => {
+  test('does not read dates or long reference numbers as amounts', () => {
+    expect(findAmounts('Paid on 30.07.2024, ref 1234567890')).toEqual([]);
+  });
+
+  test('only groups spaces in threes', () => {
+    expect(findAmounts('12 3456,00', { strict: false }).map(found => found.amount)).toEqual([12, 3456]);
+  });
+
+  test('does not join numbers across a line break', () => {
+    expect(findAmounts('Items 2\n450.00').map(found => found.amount)).toEqual([450]);
+  });
+
+  test('finds every amount in order', () => {
+    const amounts = findAmounts('Subtotal 1 200,00 € VAT 96,00 € Total 1 296,00 €');
+    expect(amounts.map(found => found.amount)).toEqual([1200, 96, 1296]);
+    expect(amounts.every(found => found.currency === 'EUR')).toBe(true);
+  });
+});
+
+describe('detectCurrency', () => {
+  test.each([
+    ['Total ₹450.00 incl. GST ₹50.00, card charge $1.00', 'INR'],
+    ['Total 45.00', null],
+  ])('%s is %s', (text, currency) => {
+    expect(detectCurrency(text)).toBe(currency);
+  });
+});
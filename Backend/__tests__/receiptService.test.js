@@ -0,0 +1,55 @@
+const { checkReceiptTotals, receiptToTransaction, normalizePaymentMethod } = require('../services/receiptService');
+
+describe('checkReceiptTotals', () => {
+  test.each([
+    ['items match the total', { lineItems: [{ amount: 4 }, { amount: 6 }], total: 10 }, null],
+    ['items plus tax match the total', { lineItems: [{ amount: 10 }], tax: 1.8, total: 11.8 }, null],
+    ['the subtotal matches the items', { lineItems: [{ amount: 10 }], subtotal: 10, total: 12.34 }, null],
+    ['no line items', { lineItems: [], total: 10 }, null],
+    ['items do not add up', { lineItems: [{ amount: 4 }], total: 10 }, 'Line items add up to 4.00, but the receipt total is 10.00.'],
+  ])('%s', (title, receipt, note) => {
+    expect(checkReceiptTotals(receipt)).toBe(note);
+  });
+});
+
+describe('receiptToTransaction', () => {
+  const receipt = {
+    merchant: 'Corner Shop',
+    date: '2024-07-30',
+    total: 10,
+    paymentMethod: 'VISA **1234',
+    lineItems: [{ description: 'Bread', amount: 4, category: 'Groceries' }, { description: 'Cake', amount: 6, category: 'Food & Dining' }],
+  };
+
+  test('stages the receipt as one purchase in the category most of the money went to', () => {
+    expect(receiptToTransaction(receipt)).toMatchObject({
+      amount: 10,
+      type: 'expense',
+      description: 'Purchase at Corner Shop',
+      category: 'Food & Dining',
+      receipt: { paymentMethod: 'card' },
+      needsManualReview: false,
+      reviewNote: null,
+    });
+  });
+
+  test('keeps the reason a flagged receipt needs review, along with any totals mismatch', () => {
+    const flagged = { ...receipt, total: 12, needsManualReview: true, reviewNote: 'Parsed receipt failed validation: "tax" must be a number.' };
+
+    expect(receiptToTransaction(flagged)).toMatchObject({
+      needsManualReview: true,
+      reviewNote: 'Parsed receipt failed validation: "tax" must be a number. Line items add up to 10.00, but the receipt total is 12.00.',
+    });
+  });
+});
+
+describe('normalizePaymentMethod', () => {
+  test.each([
+    ['cash', 'cash'],
+    ['UPI', 'upi'],
+    ['Paid by cheque', 'other'],
+    [null, null],
+  ])('%p is %p', (text, method) => {
+    expect(normalizePaymentMethod(text)).toBe(method);
+  });
+});
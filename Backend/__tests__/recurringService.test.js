@@ -0,0 +1,114 @@
+jest.mock('../models/RecurringRule', () => ({ find: jest.fn(), updateOne: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../models/Transaction', () => ({ updateOne: jest.fn() }));
+jest.mock('../services/merchantService', () => ({ applyMerchant: jest.fn() }));
+jest.mock('../services/budgetService', () => ({ checkBudgetAlertsInBackground: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ notifyInBackground: jest.fn() }));
+
+const RecurringRule = require('../models/RecurringRule');
+const Transaction = require('../models/Transaction');
+const { applyMerchant } = require('../services/merchantService');
+const { checkBudgetAlertsInBackground } = require('../services/budgetService');
+const { materializeRule } = require('../services/recurringService');
+
+const july = day => new Date(Date.UTC(2024, 6, day));
+
+function weeklyRule(overrides = {}) {
+  return {
+    _id: 'rule-1',
+    user: 'user-1',
+    amount: 15,
+    type: 'expense',
+    category: 'Other Expense',
+    description: 'Music subscription',
+    merchant: 'SPOTIFY AB',
+    frequency: 'weekly',
+    dayOfWeek: 1,
+    nextRunAt: july(1),
+    lastRunAt: null,
+    ...overrides,
+  };
+}
+
+const upserts = () => Transaction.updateOne.mock.calls.filter(([, , options]) => options?.upsert);
+const existing = { upsertedCount: 0 };
+const inserted = id => ({ upsertedCount: 1, upsertedId: id });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  RecurringRule.updateOne.mockResolvedValue({});
+  applyMerchant.mockImplementation(async (userId, data) => Object.assign(data, {
+    merchant: 'Spotify',
+    merchantRef: 'merchant-1',
+    category: 'Subscriptions',
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('materializeRule', () => {
+  test('creates each due occurrence once and moves the rule forward from the state it read', async () => {
+    Transaction.updateOne.mockImplementation(async (filter, update, options) => (options?.upsert ? inserted(`txn-${filter.occurrenceDate.getUTCDate()}`) : {}));
+
+    await expect(materializeRule(weeklyRule(), july(10))).resolves.toBe(2);
+
+    expect(upserts().map(([filter]) => filter)).toEqual([
+      { recurringRule: 'rule-1', occurrenceDate: july(1) },
+      { recurringRule: 'rule-1', occurrenceDate: july(8) },
+    ]);
+    expect(RecurringRule.updateOne).toHaveBeenCalledWith(
+      { _id: 'rule-1', nextRunAt: july(1) },
+      { $set: { nextRunAt: july(15), lastRunAt: july(8) }, $inc: { occurrencesCreated: 2 } }
+    );
+    expect(checkBudgetAlertsInBackground).toHaveBeenCalledWith('user-1', [
+      { type: 'expense', category: 'Other Expense', date: july(1) },
+      { type: 'expense', category: 'Other Expense', date: july(8) },
+    ]);
+  });
+
+  test('a repeated run creates nothing and leaves the merchant directory alone', async () => {
+    Transaction.updateOne.mockResolvedValue(existing);
+
+    await expect(materializeRule(weeklyRule(), july(10))).resolves.toBe(0);
+
+    expect(applyMerchant).not.toHaveBeenCalled();
+    expect(Transaction.updateOne).toHaveBeenCalledTimes(2);
+    expect(checkBudgetAlertsInBackground).not.toHaveBeenCalled();
+  });
+
+  test('a run racing another one on the unique index counts the occurrence as existing', async () => {
+    Transaction.updateOne.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(materializeRule(weeklyRule(), july(1))).resolves.toBe(0);
+    expect(applyMerchant).not.toHaveBeenCalled();
+  });
+
+  test('the merchant is linked only on the occurrence that was inserted', async () => {
+    Transaction.updateOne
+      .mockResolvedValueOnce(existing)
+      .mockResolvedValueOnce(inserted('txn-8'))
+      .mockResolvedValueOnce({});
+
+    await expect(materializeRule(weeklyRule(), july(10))).resolves.toBe(1);
+
+    expect(applyMerchant).toHaveBeenCalledTimes(1);
+    expect(applyMerchant).toHaveBeenCalledWith('user-1', expect.objectContaining({ date: july(8) }));
+    expect(Transaction.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'txn-8' },
+      { $set: { merchant: 'Spotify', merchantRef: 'merchant-1', category: 'Subscriptions' } }
+    );
+  });
+
+  test('a rule that has reached its end date is deactivated', async () => {
+    Transaction.updateOne.mockResolvedValue(existing);
+
+    await materializeRule(weeklyRule({ merchant: null, endDate: july(5) }), july(10));
+
+    expect(RecurringRule.updateOne).toHaveBeenCalledWith(
+      { _id: 'rule-1', nextRunAt: july(1) },
+      { $set: { nextRunAt: null, lastRunAt: july(1), isActive: false }, $inc: { occurrencesCreated: 0 } }
+    );
+  });
+});
@@ -0,0 +1,137 @@
+const { createDateContext } = require('../services/dateParsingService');
+const { parseStatementTable } = require('../services/statementParsingService');
+
+// Column positions of a typical statement: date, narration, withdrawal, deposit, balance
+const COLUMNS = [10, 80, 250, 330, 420];
+const HEADER = ['Date', 'Narration', 'Withdrawal Amt.', 'Deposit Amt.', 'Closing Balance'];
+
+// A layout line as textLayout.groupIntoLines returns it; empty values leave their column blank
+function line(top, values, { page = 1, columns = COLUMNS } = {}) {
+  const cells = values
+    .map((text, index) => ({ text, x0: columns[index], x1: columns[index] + text.length * 5 }))
+    .filter(cell => cell.text);
+  return { page, top, height: 10, cells };
+}
+
+function table(rows, { before = [], after = [], header = HEADER } = {}) {
+  let top = 0;
+  const next = values => line((top += 12), values);
+  return [...before.map(next), next(header), ...rows.map(next), ...after.map(next)];
+}
+
+const dateContext = createDateContext('', { locale: 'en-IN', referenceDate: new Date(Date.UTC(2024, 7, 15)) });
+const summary = ({ rows }) => rows.map(row => [row.date, row.type, row.amount, row.needsManualReview]);
+
+describe('parseStatementTable', () => {
+  test('reads withdrawals as expenses and deposits as income', () => {
+    const result = parseStatementTable(table([
+      ['01/07/2024', 'UPI-GROCERY MART', '1,250.00', '', '48,750.00'],
+      ['03/07/2024', 'NEFT SALARY', '', '85,000.00', '1,33,750.00'],
+      ['05/07/2024', 'ATM WDL', '5,000.00', '', '1,28,750.00'],
+    ], { before: [['Opening Balance 50,000.00']] }), { dateContext });
+
+    expect(summary(result)).toEqual([
+      ['2024-07-01', 'expense', 1250, false],
+      ['2024-07-03', 'income', 85000, false],
+      ['2024-07-05', 'expense', 5000, false],
+    ]);
+    expect(result.rows[1]).toMatchObject({ description: 'NEFT SALARY', balance: 133750, category: 'Other Income' });
+    expect(result.openingBalance).toBe(50000);
+    expect(result.reconciliation).toEqual({ order: 'oldest-first', checkedRows: 3, mismatchedRows: 0, closingMatches: null });
+  });
+
+  test('reads a newest-first table in that order', () => {
+    const result = parseStatementTable(table([
+      ['05/07/2024', 'ATM WDL', '5,000.00', '', '1,28,750.00'],
+      ['03/07/2024', 'NEFT SALARY', '', '85,000.00', '1,33,750.00'],
+      ['01/07/2024', 'UPI-GROCERY MART', '1,250.00', '', '48,750.00'],
+    ], { after: [['Closing Balance 1,28,750.00']] }), { dateContext });
+
+    expect(result.reconciliation).toMatchObject({ order: 'newest-first', mismatchedRows: 0, closingMatches: true });
+    expect(summary(result).map(([date]) => date)).toEqual(['2024-07-05', '2024-07-03', '2024-07-01']);
+  });
+
+  test('joins wrapped narration lines into their row', () => {
+    const result = parseStatementTable(table([
+      ['01/07/2024', 'UPI-GROCERY', '1,250.00', '', '48,750.00'],
+      ['', 'MART BANGALORE', '', '', ''],
+    ]), { dateContext });
+
+    expect(result.rows).toHaveLength(1);
+    expect(result.rows[0].description).toBe('UPI-GROCERY MART BANGALORE');
+  });
+
+  test('flags only the row whose balance does not add up', () => {
+    const result = parseStatementTable(table([
+      ['01/07/2024', 'OPENING ROW', '', '1,000.00', '11,000.00'],
+      ['02/07/2024', 'MISREAD', '200.00', '', '10,700.00'],
+      ['03/07/2024', 'COFFEE', '100.00', '', '10,600.00'],
+    ], { before: [['Opening Balance 10,000.00']] }), { dateContext });
+
+    expect(summary(result).map(([, , , flagged]) => flagged)).toEqual([false, true, false]);
+    expect(result.rows[1].reviewNote).toMatch(/expected 10,800\.00, statement shows 10,700\.00/);
+    expect(result.reconciliation.mismatchedRows).toBe(1);
+  });
+
+  test('notes a closing balance that does not match the last row', () => {
+    const result = parseStatementTable(table([
+      ['01/07/2024', 'COFFEE', '100.00', '', '9,900.00'],
+    ], { before: [['Opening Balance 10,000.00']], after: [['Closing Balance 9,000.00']] }), { dateContext });
+
+    expect(result.reconciliation.closingMatches).toBe(false);
+    expect(result.rows[0].reviewNote).toMatch(/Closing balance 9,000\.00 does not match 9,900\.00/);
+  });
+
+  describe('a single amount column', () => {
+    const header = ['Txn Date', 'Description', 'Amount', '', 'Balance'];
+
+    test.each([
+      ['a CR/DR marker', ['500.00 Cr', '250.00 Dr'], [false, false]],
+      ['a minus sign or brackets', ['500.00', '(250.00)'], [false, false]],
+      ['the balance movement', ['500.00', '250.00'], [false, false]],
+    ])('takes the direction from %s', (title, amounts, flags) => {
+      const result = parseStatementTable(table([
+        ['01/07/2024', 'REFUND', amounts[0], '', '1,500.00'],
+        ['02/07/2024', 'BILL', amounts[1], '', '1,250.00'],
+      ], { header, before: [['Opening Balance 1,000.00']] }), { dateContext });
+
+      expect(summary(result)).toEqual([
+        ['2024-07-01', 'income', 500, flags[0]],
+        ['2024-07-02', 'expense', 250, flags[1]],
+      ]);
+    });
+
+    test('flags an amount whose direction cannot be told', () => {
+      const result = parseStatementTable(table([
+        ['01/07/2024', 'UNKNOWN', '500.00', '', ''],
+      ], { header }), { dateContext });
+
+      expect(result.rows[0]).toMatchObject({ type: 'expense', needsManualReview: true });
+      expect(result.rows[0].reviewNote).toMatch(/money in or out/);
+    });
+  });
+
+  test('reads an overdrawn balance marked Dr as negative', () => {
+    const result = parseStatementTable(table([
+      ['01/07/2024', 'RENT', '1,500.00', '', '500.00 Dr'],
+    ], { before: [['Opening Balance 1,000.00']] }), { dateContext });
+
+    expect(result.rows[0]).toMatchObject({ balance: -500, needsManualReview: false });
+  });
+
+  test('continues the table on a page without its own header', () => {
+    const lines = table([['01/07/2024', 'COFFEE', '100.00', '', '9,900.00']]);
+    lines.push(line(12, ['02/07/2024', 'LUNCH', '300.00', '', '9,600.00'], { page: 2 }));
+
+    expect(summary(parseStatementTable(lines, { dateContext })).map(([date]) => date)).toEqual(['2024-07-01', '2024-07-02']);
+  });
+
+  test.each([
+    ['no header', [line(12, ['01/07/2024', 'COFFEE', '100.00', '', '9,900.00'])]],
+    ['a header without rows', table([])],
+    ['a header without a balance column', table([['01/07/2024', 'COFFEE', '100.00', '', '']], { header: ['Date', 'Narration', 'Debit', 'Credit', 'Notes'] })],
+    ['no lines', null],
+  ])('returns null for %s', (title, lines) => {
+    expect(parseStatementTable(lines, { dateContext })).toBeNull();
+  });
+});
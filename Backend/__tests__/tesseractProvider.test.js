@@ -0,0 +1,70 @@
+jest.mock('tesseract.js', () => ({ recognize: jest.fn(), detect: jest.fn(), PSM: { AUTO: '3' }, OEM: { LSTM_ONLY: '1' } }));
+jest.mock('../services/imagePreprocessing', () => ({ preprocessImage: jest.fn() }));
+jest.mock('../services/ocrLanguages', () => ({
+  SCRIPT_LANGUAGES: {},
+  getLanguagePath: () => '/tessdata',
+  listInstalledLanguages: () => ['eng'],
+  hasScriptDetection: () => false,
+  resolveLanguages: () => ['eng'],
+  detectTextLanguage: () => null,
+}));
+
+const Tesseract = require('tesseract.js');
+const { preprocessImage } = require('../services/imagePreprocessing');
+const tesseractProvider = require('../services/ocrProviders/tesseractProvider');
+
+const original = Buffer.from('original');
+const cleaned = Buffer.from('cleaned');
+const reading = (text, confidence) => ({ data: { text, confidence, words: [] } });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.OCR_COMPARE_PREPROCESSING;
+  preprocessImage.mockResolvedValue({ buffer: cleaned, steps: [{ step: 'threshold', applied: true, detail: 'otsu' }] });
+});
+
+afterAll(() => {
+  delete process.env.OCR_COMPARE_PREPROCESSING;
+});
+
+const readImages = () => Tesseract.recognize.mock.calls.map(([image]) => image);
+
+describe('extract', () => {
+  test('reads only the preprocessed image', async () => {
+    Tesseract.recognize.mockResolvedValue(reading('TOTAL 12.50', 81));
+
+    const result = await tesseractProvider.extract(original);
+
+    expect(readImages()).toEqual([cleaned]);
+    expect(result).toMatchObject({ text: 'TOTAL 12.50', preprocessing: { confidenceBefore: null, confidenceAfter: 81, used: 'preprocessed' } });
+  });
+
+  test('reads the image as uploaded when preprocessing leaves no text', async () => {
+    Tesseract.recognize.mockResolvedValueOnce(reading('', 0)).mockResolvedValueOnce(reading('TOTAL 12.50', 64));
+
+    const result = await tesseractProvider.extract(original);
+
+    expect(readImages()).toEqual([cleaned, original]);
+    expect(result).toMatchObject({ text: 'TOTAL 12.50', preprocessing: { confidenceBefore: 64, used: 'original' } });
+  });
+
+  test('reads an image once when no preprocessing step applied', async () => {
+    preprocessImage.mockResolvedValue({ buffer: original, steps: [{ step: 'threshold', applied: false }] });
+    Tesseract.recognize.mockResolvedValue(reading('TOTAL 12.50', 90));
+
+    const result = await tesseractProvider.extract(original);
+
+    expect(readImages()).toEqual([original]);
+    expect(result.preprocessing).toBeNull();
+  });
+
+  test('OCR_COMPARE_PREPROCESSING reads both and keeps the more confident', async () => {
+    process.env.OCR_COMPARE_PREPROCESSING = 'true';
+    Tesseract.recognize.mockResolvedValueOnce(reading('T0TAL 12.5O', 55)).mockResolvedValueOnce(reading('TOTAL 12.50', 88));
+
+    const result = await tesseractProvider.extract(original);
+
+    expect(readImages()).toEqual([cleaned, original]);
+    expect(result).toMatchObject({ text: 'TOTAL 12.50', preprocessing: { confidenceBefore: 88, confidenceAfter: 55, used: 'original' } });
+  });
+});
@@ -0,0 +1,169 @@
+const USER_ID = '64b000000000000000000001';
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  req.user = { _id: USER_ID };
+  next();
+});
+jest.mock('../services/categoryService', () => ({
+  getUserCategories: jest.fn(async () => [
+    { name: 'Food & Dining', kind: 'expense' },
+    { name: 'Other Expense', kind: 'expense' },
+    { name: 'Salary', kind: 'income' },
+  ]),
+  resolveCategoryName: (categories, name, kind) => categories.find(c => c.kind === kind && c.name === name)?.name || null,
+}));
+jest.mock('../services/merchantService', () => ({ applyMerchant: jest.fn(), resolveMerchant: jest.fn() }));
+jest.mock('../services/budgetService', () => ({ checkBudgetAlertsInBackground: jest.fn() }));
+jest.mock('../services/duplicateService', () => ({
+  flagPossibleDuplicates: jest.fn(),
+  clearDuplicateFlags: jest.fn(),
+  mergeDuplicate: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Transaction = require('../models/Transaction');
+const { applyMerchant } = require('../services/merchantService');
+const transactionRoutes = require('../routes/transactions');
+
+const app = express();
+app.use(express.json());
+app.use('/api/transactions', transactionRoutes);
+
+const row = overrides => ({ amount: 12.5, type: 'expense', category: 'Food & Dining', date: '2024-07-30', description: 'Lunch', ...overrides });
+
+// Unordered insert that refuses the rows at the given positions, as MongoDB reports a duplicate key
+function refuseRows(...positions) {
+  return async docs => {
+    const error = new Error('E11000 duplicate key error');
+    error.writeErrors = positions.map(index => ({ index, errmsg: 'E11000 duplicate key error' }));
+    error.insertedDocs = docs.filter((doc, index) => !positions.includes(index));
+    throw error;
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Transaction, 'insertMany').mockImplementation(async docs => docs);
+  jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+  // Read-only lookups know no merchant; writing one creates "Swiggy"
+  applyMerchant.mockImplementation(async (userId, data, { readOnly = false } = {}) => (
+    readOnly ? data : Object.assign(data, { merchant: 'Swiggy', merchantRef: '64b0000000000000000000aa' })
+  ));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/transactions/bulk', () => {
+  test('reports each row and answers 207 when some rows fail', async () => {
+    Transaction.insertMany.mockImplementation(refuseRows(1));
+
+    const res = await request(app).post('/api/transactions/bulk').send({
+      transactions: [row({ merchant: 'SWGY 1' }), row({ amount: 0 }), row({ merchant: 'SWGY 2' }), row({ category: 'Snacks' })],
+    });
+
+    expect(res.status).toBe(207);
+    expect(res.body.summary).toEqual({ total: 4, created: 1, failed: 3 });
+    expect(res.body.results.map(({ index, status }) => [index, status])).toEqual([
+      [0, 'created'],
+      [1, 'failed'],
+      [2, 'failed'],
+      [3, 'failed'],
+    ]);
+    expect(res.body.results[2].errors).toEqual(['E11000 duplicate key error']);
+    expect(res.body.results[3].errors).toEqual(['Unknown expense category "Snacks"']);
+  });
+
+  test('adds merchants to the directory only for rows the database saved', async () => {
+    Transaction.insertMany.mockImplementation(refuseRows(1));
+
+    const res = await request(app).post('/api/transactions/bulk').send({
+      transactions: [row({ merchant: 'SWGY 1' }), row({ merchant: 'SWGY 2' })],
+    });
+
+    const writes = applyMerchant.mock.calls.filter(([, , options]) => !options?.readOnly);
+    expect(writes).toEqual([[USER_ID, expect.objectContaining({ merchant: 'Swiggy' })]]);
+    expect(Transaction.updateOne).toHaveBeenCalledTimes(1);
+    expect(Transaction.updateOne).toHaveBeenCalledWith(
+      { _id: expect.anything() },
+      { $set: { merchant: 'Swiggy', merchantRef: '64b0000000000000000000aa', category: 'Food & Dining' } }
+    );
+    expect(res.body.data[0]).toMatchObject({ merchant: 'Swiggy', merchantRef: '64b0000000000000000000aa' });
+  });
+
+  test('answers 201 when every row is saved', async () => {
+    const res = await request(app).post('/api/transactions/bulk').send({ transactions: [row(), row({ type: 'income', category: 'Salary' })] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.summary).toEqual({ total: 2, created: 2, failed: 0 });
+    expect(Transaction.updateOne).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['no array', {}],
+    ['an empty array', { transactions: [] }],
+  ])('rejects %s', async (title, body) => {
+    const res = await request(app).post('/api/transactions/bulk').send(body);
+
+    expect(res.status).toBe(400);
+    expect(Transaction.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('routes on one transaction', () => {
+  test.each([
+    ['put', '/api/transactions/not-an-id'],
+    ['delete', '/api/transactions/not-an-id'],
+    ['post', '/api/transactions/not-an-id/merge'],
+    ['post', '/api/transactions/not-an-id/keep-both'],
+  ])('%s %s rejects a malformed id before querying', async (method, url) => {
+    const findOne = jest.spyOn(Transaction, 'findOne');
+    const findOneAndDelete = jest.spyOn(Transaction, 'findOneAndDelete');
+
+    const res = await request(app)[method](url).send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ success: false, error: 'Invalid request', details: ['Invalid transaction id'] });
+    expect(findOne).not.toHaveBeenCalled();
+    expect(findOneAndDelete).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/transactions/stats', () => {
+  beforeEach(() => {
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{ totals: [], groups: [] }]);
+  });
+
+  const pipeline = () => Transaction.aggregate.mock.calls[0][0];
+
+  test('limits the totals to the date range and type asked for', async () => {
+    const res = await request(app).get('/api/transactions/stats').query({ groupBy: 'type', startDate: '2024-07-01', type: 'expense' });
+
+    expect(res.status).toBe(200);
+    expect(pipeline()[0].$match).toEqual({ user: USER_ID, type: 'expense', date: { $gte: new Date('2024-07-01') } });
+    expect(res.body.data.totals).toMatchObject({ income: 0, expense: 0, count: 0, averageExpense: 0 });
+  });
+
+  test('with a category, only the parts of split transactions in it are counted', async () => {
+    await request(app).get('/api/transactions/stats').query({ groupBy: 'day', category: 'Food & Dining' });
+
+    expect(pipeline()[0].$match.$and).toHaveLength(1);
+    expect(pipeline()).toContainEqual({ $match: { category: 'Food & Dining' } });
+  });
+
+  test.each([
+    ['an unknown grouping', { groupBy: 'hour' }],
+    ['an unknown type', { type: 'transfer' }],
+    ['a malformed date', { startDate: 'last week' }],
+    ['an unknown timezone', { timezone: 'Mars/Olympus' }],
+  ])('rejects %s', async (title, params) => {
+    const res = await request(app).get('/api/transactions/stats').query(params);
+
+    expect(res.status).toBe(400);
+    expect(Transaction.aggregate).not.toHaveBeenCalled();
+  });
+});
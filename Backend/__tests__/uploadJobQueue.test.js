@@ -0,0 +1,177 @@
+jest.mock('../models/UploadJob', () => ({
+  UPLOAD_JOB_STAGES: ['extracting', 'uploading', 'parsing', 'saving'],
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateMany: jest.fn(),
+  find: jest.fn(),
+  findById: jest.fn(),
+  updateOne: jest.fn(),
+  countDocuments: jest.fn(),
+}));
+jest.mock('../models/Upload', () => ({ updateOne: jest.fn() }));
+jest.mock('../services/uploadProcessingService', () => ({
+  UPLOAD_KINDS: { receipt: { label: 'Receipt' }, bank_statement: { label: 'Bank statement' } },
+  processUpload: jest.fn(),
+  cleanupFile: jest.fn(),
+}));
+jest.mock('../services/notificationService', () => ({ notifyInBackground: jest.fn() }));
+
+const POLL_MS = 3000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+let UploadJob;
+let Upload;
+let uploadProcessing;
+let notifications;
+let queue;
+
+function makeJob(overrides = {}) {
+  return {
+    _id: `job-${Math.random().toString(36).slice(2)}`,
+    user: 'user-1',
+    kind: 'receipt',
+    upload: 'upload-1',
+    status: 'processing',
+    attempts: 1,
+    maxAttempts: 3,
+    file: { originalName: 'receipt.jpg', path: '/tmp/uploads/receipt.jpg' },
+    ...overrides,
+  };
+}
+
+// A promise the test settles by hand, standing in for a slow OCR or model call
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+const finishUpdates = () => UploadJob.updateOne.mock.calls.filter(([, update]) => ['failed', 'completed'].includes(update.$set?.status));
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  UploadJob = require('../models/UploadJob');
+  Upload = require('../models/Upload');
+  uploadProcessing = require('../services/uploadProcessingService');
+  notifications = require('../services/notificationService');
+  queue = require('../services/uploadJobQueue');
+
+  UploadJob.findOneAndUpdate.mockResolvedValue(null);
+  UploadJob.updateMany.mockResolvedValue({ modifiedCount: 0 });
+  UploadJob.find.mockResolvedValue([]);
+  UploadJob.findById.mockReturnValue({ select: () => ({ lean: async () => ({ stage: 'parsing' }) }) });
+  UploadJob.updateOne.mockResolvedValue({ matchedCount: 1 });
+  Upload.updateOne.mockResolvedValue({});
+});
+
+afterEach(() => {
+  queue.stopUploadWorker();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('stale locks', () => {
+  test('a job this worker is still running keeps its lock fresh on every poll', async () => {
+    const job = makeJob();
+    const run = deferred();
+    UploadJob.findOneAndUpdate.mockResolvedValueOnce(job);
+    uploadProcessing.processUpload.mockReturnValue(run.promise);
+
+    queue.startUploadWorker();
+    await jest.advanceTimersByTimeAsync(POLL_MS);
+
+    const [filter, update] = UploadJob.updateMany.mock.calls[0];
+    expect(filter.$or).toContainEqual({ status: 'processing', _id: { $in: [job._id] } });
+    expect(update.$set.lockedAt).toBeInstanceOf(Date);
+    expect(finishUpdates()).toHaveLength(0);
+  });
+
+  test('a stale job is failed only if it still has the lock that was read', async () => {
+    const lockedAt = new Date(Date.now() - STALE_LOCK_MS - 1000);
+    const stale = makeJob({ lockedAt });
+    UploadJob.find.mockResolvedValue([stale]);
+
+    queue.startUploadWorker();
+    await jest.advanceTimersByTimeAsync(POLL_MS);
+
+    const [[filter, update]] = finishUpdates();
+    expect(filter).toEqual({ _id: stale._id, status: 'processing', lockedAt });
+    expect(update.$set.status).toBe('failed');
+    expect(Upload.updateOne).toHaveBeenCalledWith({ _id: 'upload-1' }, { $set: { status: 'failed', error: expect.any(String) } });
+    expect(uploadProcessing.cleanupFile).toHaveBeenCalledWith(stale.file.path);
+    expect(notifications.notifyInBackground).toHaveBeenCalledWith('user-1', 'upload_failed', expect.any(Object));
+  });
+
+  test('a stale job refreshed since it was read is left alone', async () => {
+    UploadJob.find.mockResolvedValue([makeJob({ lockedAt: new Date(0) })]);
+    UploadJob.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+    queue.startUploadWorker();
+    await jest.advanceTimersByTimeAsync(POLL_MS);
+
+    expect(finishUpdates()).toHaveLength(1);
+    expect(Upload.updateOne).not.toHaveBeenCalled();
+    expect(uploadProcessing.cleanupFile).not.toHaveBeenCalled();
+    expect(notifications.notifyInBackground).not.toHaveBeenCalled();
+  });
+
+  test('a run that finishes after its job was failed does not overwrite the failure', async () => {
+    const job = makeJob();
+    const run = deferred();
+    UploadJob.findOneAndUpdate.mockResolvedValueOnce(job);
+    uploadProcessing.processUpload.mockReturnValue(run.promise);
+
+    queue.startUploadWorker();
+    await jest.advanceTimersByTimeAsync(0);
+
+    // Meanwhile the job was failed, so it is no longer processing
+    UploadJob.updateOne.mockResolvedValue({ matchedCount: 0 });
+    run.resolve({ message: 'Found 1 transaction', batchId: 'batch-1', stats: { rowCount: 1 } });
+    await jest.advanceTimersByTimeAsync(0);
+
+    const [[filter, update]] = finishUpdates();
+    expect(filter).toEqual({ _id: job._id, status: 'processing' });
+    expect(update.$set.status).toBe('completed');
+    expect(uploadProcessing.cleanupFile).not.toHaveBeenCalled();
+    expect(notifications.notifyInBackground).not.toHaveBeenCalled();
+  });
+
+  test('a run that completes normally cleans up and notifies', async () => {
+    const job = makeJob();
+    UploadJob.findOneAndUpdate.mockResolvedValueOnce(job);
+    uploadProcessing.processUpload.mockResolvedValue({ message: 'Found 1 transaction', batchId: 'batch-1', stats: { rowCount: 1 } });
+
+    queue.startUploadWorker();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(finishUpdates()).toHaveLength(1);
+    expect(uploadProcessing.cleanupFile).toHaveBeenCalledWith(job.file.path);
+    expect(notifications.notifyInBackground).toHaveBeenCalledWith('user-1', 'upload_completed', expect.any(Object));
+  });
+});
+
+describe('pinning', () => {
+  test('queued jobs are pinned to the worker that stored the file', async () => {
+    UploadJob.create.mockImplementation(async data => ({ _id: 'job-1', ...data }));
+
+    const job = await queue.enqueueUploadJob({ user: 'user-1', kind: 'receipt', file: { originalName: 'a.jpg', path: '/tmp/a.jpg' } });
+
+    expect(job.pinnedWorker).toEqual(expect.stringMatching(/:\d+$/));
+    queue.startUploadWorker();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(UploadJob.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ status: 'queued', pinnedWorker: job.pinnedWorker });
+  });
+
+  test('the queue position counts only jobs pinned to the same worker', async () => {
+    const createdAt = new Date();
+    UploadJob.countDocuments.mockResolvedValue(2);
+
+    await expect(queue.getQueuePosition({ pinnedWorker: 'host-a:1', createdAt })).resolves.toBe(2);
+    expect(UploadJob.countDocuments).toHaveBeenCalledWith({ status: 'queued', pinnedWorker: 'host-a:1', createdAt: { $lt: createdAt } });
+  });
+});
@@ -1,5 +1,5 @@
 const Transaction = require('../models/Transaction');
-const { checkAndNotifyBudgetExceeded } = require('../services/budgetService');
+const { checkBudgetAlertsInBackground } = require('../services/budgetService');
 
 exports.createTransaction = async (req, res, next) => {
   try {
@@ -20,12 +20,7 @@ exports.createTransaction = async (req, res, next) => {
 
     await transaction.save();
 
-    // Notify if monthly expense exceeds budget (example budget: $2000)
-    if (type === 'expense') {
-      const budgetAmount = 2000; // Example static budget, replace with dynamic user-config if needed
-      const dateObj = transaction.date || new Date();
-      await checkAndNotifyBudgetExceeded(req.user.id, budgetAmount, dateObj.getMonth() + 1, dateObj.getFullYear());
-    }
+    checkBudgetAlertsInBackground(req.user.id, [transaction]);
 
     res.status(201).json(transaction);
   } catch (err) {
@@ -0,0 +1,31 @@
+const multer = require('multer');
+
+// Uploaded files are kept in uploads/ under the form field, a timestamp and the sanitized original name
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/');
+  },
+  filename: (req, file, cb) => {
+    const timestamp = Date.now();
+    const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    cb(null, `${file.fieldname}_${timestamp}_${sanitizedFilename}`);
+  },
+});
+
+/**
+ * Multer instance that stores one file per request in uploads/
+ * @param {Object} options - { maxFileSize: bytes, fileFilter: multer file filter for the accepted types }
+ * @returns {Object} - Multer instance; use .single(field) on a route
+ */
+function diskUpload({ maxFileSize, fileFilter }) {
+  return multer({
+    storage,
+    limits: {
+      fileSize: maxFileSize,
+      files: 1,
+    },
+    fileFilter,
+  });
+}
+
+module.exports = { diskUpload };
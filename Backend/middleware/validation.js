@@ -0,0 +1,22 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Answer 400 with every express-validator message when the request failed validation
+ * @param {Object} req - Express request, after the route's validators ran
+ * @param {Object} res - Express response
+ * @param {string} message - Summary for the error field
+ * @returns {boolean} - True when a response was sent and the handler should stop
+ */
+function sendValidationErrors(req, res, message = 'Invalid request') {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: message,
+    details: errors.array().map(e => e.msg),
+  });
+  return true;
+}
+
+module.exports = { sendValidationErrors };
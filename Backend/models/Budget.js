@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  // Expense category the limit applies to; null means all expenses (overall budget)
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Count spending in subcategories of `category` too
+  includeSubcategories: {
+    type: Boolean,
+    default: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  // 'monthly' repeats every calendar month; 'custom' covers startDate..endDate once
+  period: {
+    type: String,
+    enum: ['monthly', 'custom'],
+    default: 'monthly'
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Calendar months and custom days are evaluated in this IANA timezone
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Monthly only: 'unused' adds last month's leftover, 'full' also subtracts last month's overspend
+  rollover: {
+    type: String,
+    enum: ['none', 'unused', 'full'],
+    default: 'none'
+  },
+  // Percentages of the limit that trigger an alert
+  thresholds: {
+    type: [Number],
+    default: [80, 100]
+  },
+  // One entry per threshold per period, so each alert fires only once
+  alertsSent: [{
+    periodKey: { type: String, required: true },
+    threshold: { type: Number, required: true },
+    sentAt: { type: Date, default: Date.now },
+    _id: false
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+budgetSchema.index({ user: 1, isActive: 1 });
+budgetSchema.index({ user: 1, category: 1 });
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Transactions reference categories by name, so renames re-tag them
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  kind: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Emoji or short icon name shown next to the category
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: null
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #ff7c7c'],
+    default: null
+  },
+  // Catch-all category used when nothing else matches; cannot be deleted
+  isFallback: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ user: 1, kind: 1, name: 1 }, {
+  unique: true,
+  collation: { locale: 'en', strength: 2 }
+});
+categorySchema.index({ user: 1, parent: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
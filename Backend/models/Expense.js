@@ -15,14 +15,11 @@ const ExpenseSchema = new mongoose.Schema({
     required: true, 
     trim: true 
   },
+  // One of the user's categories (see models/Category.js); validated by the routes
   category: { 
     type: String, 
-    required: true, 
-    enum: [
-      'Food & Dining', 'Transportation', 'Shopping', 'Entertainment', 
-      'Bills & Utilities', 'Healthcare', 'Education', 'Travel', 
-      'Groceries', 'Other Expense'
-    ]
+    required: true,
+    trim: true
   },
   type: { 
     type: String, 
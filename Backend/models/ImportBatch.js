@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// What a receipt row was read from; becomes a Receipt document when the batch is confirmed
+const importReceiptSchema = new mongoose.Schema({
+  subtotal: Number,
+  tax: Number,
+  paymentMethod: {
+    type: String,
+    default: null
+  },
+  lineItems: [{
+    description: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    unitPrice: Number,
+    amount: {
+      type: Number,
+      min: 0,
+      required: true
+    },
+    category: {
+      type: String,
+      required: true
+    }
+  }]
+}, { _id: false });
+
+// A parsed transaction waiting for the user to review it
+const importRowSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // May be missing when the parser could not read it; the row is then flagged for review
+  amount: {
+    type: Number,
+    min: 0
+  },
+  // ISO code printed with the amount, when the document showed one
+  currency: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    default: 'expense'
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  merchant: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  merchantRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
+  needsManualReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewNote: {
+    type: String,
+    default: null
+  },
+  receipt: {
+    type: importReceiptSchema,
+    default: null
+  }
+});
+
+// Transactions parsed from one upload, held as a draft until the user confirms or discards them
+const importBatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadJob'
+  },
+  kind: {
+    type: String,
+    enum: ['receipt', 'bank_statement', 'csv'],
+    required: true
+  },
+  // 'confirming' is held while the transactions are being written so a batch is never confirmed twice
+  status: {
+    type: String,
+    enum: ['draft', 'confirming', 'confirmed'],
+    default: 'draft'
+  },
+  fileName: String,
+  fileUrl: String,
+  extractedText: String,
+  parsingMethod: String,
+  rows: [importRowSchema],
+  transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  confirmedAt: Date,
+  // Only drafts carry an expiry; MongoDB removes them once it passes
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ user: 1, status: 1, createdAt: -1 });
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const DECIMAL_SEPARATORS = ['.', ','];
+// Whether a negative figure in a single amount column is money going out or coming in
+const AMOUNT_SIGNS = ['negative-is-expense', 'negative-is-income'];
+
+// How one bank lays out its CSV export, saved so the next file from that bank imports without mapping
+const importProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Usually the bank's name, e.g. "HDFC savings"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  delimiter: {
+    type: String,
+    enum: DELIMITERS,
+    default: ','
+  },
+  // Lines above the header row (account number, period and the like)
+  skipRows: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 0
+  },
+  // Header names of the mapped columns; either amount or debit and/or credit is set
+  columns: {
+    date: { type: String, required: true },
+    description: { type: String, required: true },
+    debit: { type: String, default: null },
+    credit: { type: String, default: null },
+    amount: { type: String, default: null },
+    balance: { type: String, default: null }
+  },
+  amountSign: {
+    type: String,
+    enum: AMOUNT_SIGNS,
+    default: 'negative-is-expense'
+  },
+  // Tokens DD, D, MM, M, MMM, YYYY and YY with any separators, e.g. "DD/MM/YYYY"
+  dateFormat: {
+    type: String,
+    required: true
+  },
+  decimalSeparator: {
+    type: String,
+    enum: DECIMAL_SEPARATORS,
+    default: '.'
+  },
+  // Lowercased header names joined with '|', to recognise the bank's next export
+  headerSignature: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+importProfileSchema.index({ user: 1, name: 1 }, { unique: true });
+importProfileSchema.index({ user: 1, headerSignature: 1 });
+
+module.exports = mongoose.model('ImportProfile', importProfileSchema);
+module.exports.DELIMITERS = DELIMITERS;
+module.exports.DECIMAL_SEPARATORS = DECIMAL_SEPARATORS;
+module.exports.AMOUNT_SIGNS = AMOUNT_SIGNS;
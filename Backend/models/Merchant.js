@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const merchantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Canonical display name, e.g. "Amazon"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Normalized lookup keys for every spelling seen ("amazon" for "AMZN MKTPLACE" and "Amazon.in")
+  aliases: {
+    type: [String],
+    default: []
+  },
+  // Raw spellings as they appeared on receipts, statements or manual entry
+  variants: {
+    type: [String],
+    default: []
+  },
+  defaultCategory: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+merchantSchema.index({ user: 1, aliases: 1 }, { unique: true });
+merchantSchema.index({ user: 1, name: 1 });
+
+module.exports = mongoose.model('Merchant', merchantSchema);
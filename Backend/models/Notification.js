@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Event key from notificationService.NOTIFICATION_EVENTS
+  event: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: ''
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'success', 'warning', 'error'],
+    default: 'info'
+  },
+  // Frontend route to open when the notification is clicked
+  link: {
+    type: String,
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Outcome of each out-of-app channel (email, push) for this notification
+  deliveries: [{
+    channel: { type: String, required: true },
+    status: { type: String, enum: ['sent', 'failed', 'skipped'], required: true },
+    error: { type: String, default: null },
+    at: { type: Date, default: Date.now },
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
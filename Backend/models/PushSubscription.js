@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A browser registered for Web Push; one user can have several
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+pushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
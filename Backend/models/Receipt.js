@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'wallet', 'bank_transfer', 'other'];
+
+// One product or service on the receipt, with its own category
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  quantity: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  unitPrice: {
+    type: Number,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  }
+});
+
+// A purchase read from a receipt. Its transaction carries the total; the line items keep what was
+// bought, and their categories become the transaction's allocations
+const receiptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
+  },
+  merchant: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  merchantRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  subtotal: {
+    type: Number,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    min: 0
+  },
+  total: {
+    type: Number,
+    min: 0
+  },
+  paymentMethod: {
+    type: String,
+    enum: [null, ...PAYMENT_METHODS],
+    default: null
+  },
+  lineItems: [lineItemSchema],
+  fileUrl: String
+}, {
+  timestamps: true
+});
+
+receiptSchema.index({ user: 1, date: -1 });
+receiptSchema.index({ transaction: 1 }, { unique: true });
+
+module.exports = mongoose.model('Receipt', receiptSchema);
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
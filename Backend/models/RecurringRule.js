@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const recurringRuleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense'],
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  merchant: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Cadence: every `interval` weeks/months/years
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly', 'yearly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    max: 52,
+    default: 1
+  },
+  // 0 = Sunday; used by weekly rules
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6
+  },
+  // Used by monthly and yearly rules; clamped to the last day of shorter months
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  // 1 = January; used by yearly rules
+  monthOfYear: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Next occurrence still to be created (UTC midnight); null once the rule has ended
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  // Most recent occurrence that has been created
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  occurrencesCreated: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+recurringRuleSchema.index({ isActive: 1, nextRunAt: 1 });
+recurringRuleSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RecurringRule', recurringRuleSchema);
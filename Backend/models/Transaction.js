@@ -28,11 +28,61 @@ const transactionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Canonical merchant name, kept in sync with the linked Merchant directory entry
+  merchant: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  merchantRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant'
+  },
+  // Set on transactions generated by a recurring rule; one transaction per rule occurrence
+  recurringRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringRule'
+  },
+  occurrenceDate: {
+    type: Date
+  },
+  // Set on purchases read from a receipt; the line items live on the Receipt
+  receipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt'
+  },
+  // A split across categories, entered by hand or taken from a receipt's line items. The parts add up
+  // to amount and each counts toward its own category; empty means the whole amount counts toward
+  // category, which for a split is the part with the largest share
+  allocations: [{
+    _id: false,
+    category: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    }
+  }],
   date: {
     type: Date,
     default: Date.now,
     required: true
   },
+  // Set when this looked like a payment already on record (same amount, close date, similar
+  // description); cleared once the user merges the two or keeps both
+  possibleDuplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
   // File and processing metadata
   fileUrl: {
     type: String
@@ -106,6 +156,15 @@ transactionSchema.pre('save', function(next) {
 // Index for better query performance
 transactionSchema.index({ user: 1, date: -1 });
 transactionSchema.index({ user: 1, type: 1 });
+transactionSchema.index({ user: 1, category: 1, date: -1 });
+transactionSchema.index({ user: 1, 'allocations.category': 1, date: -1 });
+transactionSchema.index({ user: 1, merchantRef: 1 });
 transactionSchema.index({ user: 1, needsManualReview: 1 });
+transactionSchema.index({ user: 1, possibleDuplicateOf: 1 });
+// Guarantees a rule occurrence is only ever materialized once, even across restarts
+transactionSchema.index(
+  { recurringRule: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringRule: { $exists: true } } }
+);
 
 module.exports = mongoose.model('Transaction', transactionSchema);
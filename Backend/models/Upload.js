@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// History of every file a user uploaded, from queueing through review to the transactions it produced
+const uploadSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['receipt', 'bank_statement', 'csv'],
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileSize: Number,
+  mimeType: String,
+  // SHA-256 of the file contents, so re-uploads of the same file can be recognised
+  fileHash: {
+    type: String,
+    required: true
+  },
+  // Cloud storage location; storageId and storageResourceType are needed to delete the stored file
+  fileUrl: {
+    type: String,
+    default: null
+  },
+  storageId: {
+    type: String,
+    default: null
+  },
+  storageResourceType: {
+    type: String,
+    default: null
+  },
+  // processing → review (draft waiting) → imported, or discarded / failed
+  status: {
+    type: String,
+    enum: ['processing', 'review', 'imported', 'discarded', 'failed'],
+    default: 'processing'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  extractionMethod: String,
+  parsingMethod: String,
+  ocrConfidence: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  stats: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  uploadJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UploadJob'
+  },
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
+  },
+  // When the draft stops being reviewable; a 'review' upload past this is shown as expired
+  reviewExpiresAt: Date,
+  transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }]
+}, {
+  timestamps: true
+});
+
+uploadSchema.index({ user: 1, createdAt: -1 });
+uploadSchema.index({ user: 1, fileHash: 1 });
+
+module.exports = mongoose.model('Upload', uploadSchema);
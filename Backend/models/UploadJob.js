@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const UPLOAD_JOB_STAGES = ['extracting', 'uploading', 'parsing', 'saving'];
+
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: UPLOAD_JOB_STAGES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  error: String
+}, { _id: false });
+
+// One queued receipt or bank statement; the upload worker claims and processes it in the background
+const uploadJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['receipt', 'bank_statement'],
+    required: true
+  },
+  // History entry this job fills in as it runs
+  upload: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Upload'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Stage currently running (or the one that failed)
+  stage: {
+    type: String,
+    enum: [null, ...UPLOAD_JOB_STAGES],
+    default: null
+  },
+  // What the running stage is on, e.g. "Page 2 of 5" while a scanned PDF is OCRed
+  stageDetail: {
+    type: String,
+    default: null
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  stages: {
+    type: [stageSchema],
+    default: () => UPLOAD_JOB_STAGES.map(name => ({ name }))
+  },
+  // Browser locale at upload time, used to tell DD/MM from MM/DD dates
+  locale: {
+    type: String,
+    default: null
+  },
+  // Comma-separated image preprocessing steps asked for at upload, 'none', or null for the default
+  preprocessSteps: {
+    type: String,
+    default: null
+  },
+  file: {
+    originalName: { type: String, required: true },
+    path: { type: String, required: true },
+    mimeType: String,
+    size: Number
+  },
+  // Encrypted PDF whose password is held in memory by the worker it is pinned to, never stored here
+  passwordProtected: {
+    type: Boolean,
+    default: false
+  },
+  // The worker (host:pid) that accepted the file; only it can read the file from its disk
+  pinnedWorker: {
+    type: String,
+    default: null
+  },
+  // Claim bookkeeping. lockedAt is refreshed while the pinned worker is alive, queued or processing;
+  // a job whose lock goes stale (worker crashed) is failed
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+uploadJobSchema.index({ status: 1, createdAt: 1 });
+uploadJobSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UploadJob', uploadJobSchema);
+module.exports.UPLOAD_JOB_STAGES = UPLOAD_JOB_STAGES;
@@ -36,9 +36,45 @@ const userSchema = new mongoose.Schema({
       enum: ['tesseract', 'google-vision', 'auto'],
       default: 'auto'
     },
+    // Tesseract language codes to read uploads with (e.g. ['eng', 'deu']); packs must be installed
+    ocrLanguages: {
+      type: [String],
+      default: ['eng']
+    },
+    // Add a language spotted in the image (a script, or words such as "MwSt") for that upload
+    ocrLanguageDetection: {
+      type: Boolean,
+      default: true
+    },
     autoCategorizationEnabled: {
       type: Boolean,
       default: true
+    },
+    // How each bank builds its statement password (e.g. "PAN in capitals"), shown when a PDF asks
+    // for one. Only reminders are kept; statement passwords themselves are never stored
+    statementPasswordHints: [new mongoose.Schema({
+      bank: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60
+      },
+      hint: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 120
+      }
+    })],
+    // Per-event channel choices; events missing here use the defaults in notificationService
+    notifications: {
+      type: Map,
+      of: new mongoose.Schema({
+        inApp: Boolean,
+        email: Boolean,
+        push: Boolean
+      }, { _id: false }),
+      default: {}
     }
   },
   stats: {
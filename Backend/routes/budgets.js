@@ -0,0 +1,221 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const Budget = require('../models/Budget');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { getUserCategories, resolveCategoryName } = require('../services/categoryService');
+const { isValidTimezone, getBudgetsVsActual } = require('../services/budgetService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+const EDITABLE_FIELDS = [
+  'name', 'category', 'includeSubcategories', 'amount', 'period',
+  'startDate', 'endDate', 'timezone', 'rollover', 'thresholds', 'isActive',
+];
+
+const budgetValidators = [
+  body('name').optional().isString().trim().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('category').optional({ nullable: true }).isString().trim(),
+  body('includeSubcategories').optional().isBoolean().withMessage('includeSubcategories must be boolean'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('period').optional().isIn(['monthly', 'custom']).withMessage('Period must be monthly or custom'),
+  body('startDate').optional({ nullable: true }).isISO8601().withMessage('Invalid start date'),
+  body('endDate').optional({ nullable: true }).isISO8601().withMessage('Invalid end date'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Unknown timezone'),
+  body('rollover').optional().isIn(['none', 'unused', 'full']).withMessage('Rollover must be none, unused or full'),
+  body('thresholds').optional().isArray({ min: 1, max: 10 }).withMessage('Thresholds must be a list of 1 to 10 percentages'),
+  body('thresholds.*').isFloat({ min: 1, max: 1000 }).withMessage('Each threshold must be a percentage between 1 and 1000'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean'),
+];
+
+/**
+ * Resolve the category against the user's expense categories and check the custom period
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+async function checkBudget(userId, budget) {
+  if (budget.category) {
+    const categories = await getUserCategories(userId, 'expense');
+    const categoryName = resolveCategoryName(categories, budget.category, 'expense');
+    if (!categoryName) return `Unknown expense category "${budget.category}"`;
+    budget.category = categoryName;
+  } else {
+    budget.category = null;
+  }
+
+  if (budget.period === 'custom') {
+    if (!budget.startDate || !budget.endDate) return 'Custom budgets need a start and end date';
+    if (new Date(budget.endDate) < new Date(budget.startDate)) return 'End date cannot be before the start date';
+  }
+
+  if (budget.thresholds) {
+    budget.thresholds = [...new Set(budget.thresholds.map(Number))].sort((a, b) => a - b);
+  }
+  return null;
+}
+
+// Fields that decide which spending a budget counts
+function scopeSignature(budget) {
+  return JSON.stringify(['category', 'includeSubcategories', 'period', 'startDate', 'endDate', 'timezone']
+    .map(field => (budget[field] instanceof Date ? budget[field].toISOString() : budget[field])));
+}
+
+// GET /api/budgets - List the user's budgets
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const budgets = await Budget.find({ user: userId })
+      .select('-alertsSent')
+      .sort({ isActive: -1, category: 1, createdAt: 1 })
+      .lean();
+
+    res.json({ success: true, data: budgets, count: budgets.length });
+  } catch (error) {
+    console.error('❌ Error fetching budgets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// GET /api/budgets/vs-actual - Spending against each active budget for the period containing ?date
+router.get('/vs-actual', [
+  query('date').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid date'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid budget')) return;
+
+    const userId = req.user._id || req.user.id;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const budgets = await getBudgetsVsActual(userId, date);
+
+    res.json({
+      success: true,
+      data: budgets,
+      summary: {
+        budgets: budgets.length,
+        exceeded: budgets.filter(b => b.status === 'exceeded').length,
+        warning: budgets.filter(b => b.status === 'warning').length,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error computing budget vs actual:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/budgets - Create a budget
+router.post('/', [
+  body('amount').exists().withMessage('Amount is required'),
+  ...budgetValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid budget')) return;
+
+    const userId = req.user._id || req.user.id;
+    const budgetData = { user: userId };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) budgetData[field] = req.body[field];
+    });
+
+    // Without an explicit timezone, periods follow the user's own
+    if (!budgetData.timezone) {
+      const user = await User.findById(userId).select('preferences.timezone').lean();
+      const preferred = user?.preferences?.timezone;
+      budgetData.timezone = preferred && isValidTimezone(preferred) ? preferred : 'UTC';
+    }
+
+    const budgetError = await checkBudget(userId, budgetData);
+    if (budgetError) {
+      return res.status(400).json({ success: false, error: budgetError });
+    }
+
+    const budget = await Budget.create(budgetData);
+
+    console.log(`✅ Budget created: ${budget.category || 'Overall'} ${budget.amount} (${budget.period})`);
+    const { alertsSent, ...data } = budget.toObject();
+    res.status(201).json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Error creating budget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/budgets/:id - Update a budget
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid budget id'),
+  ...budgetValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid budget')) return;
+
+    const userId = req.user._id || req.user.id;
+    const budget = await Budget.findOne({ _id: req.params.id, user: userId });
+
+    if (!budget) {
+      return res.status(404).json({ success: false, error: 'Budget not found' });
+    }
+
+    const scopeBefore = scopeSignature(budget);
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) budget[field] = req.body[field];
+    });
+
+    const budgetError = await checkBudget(userId, budget);
+    if (budgetError) {
+      return res.status(400).json({ success: false, error: budgetError });
+    }
+
+    // Alerts already sent describe the old scope; let them fire again against the new one
+    if (scopeSignature(budget) !== scopeBefore) budget.alertsSent = [];
+
+    await budget.save();
+
+    console.log(`✅ Budget updated: ${budget._id}`);
+    const { alertsSent, ...data } = budget.toObject();
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('❌ Error updating budget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// DELETE /api/budgets/:id - Delete a budget
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid budget id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid budget')) return;
+
+    const userId = req.user._id || req.user.id;
+    const budget = await Budget.findOneAndDelete({ _id: req.params.id, user: userId });
+
+    if (!budget) {
+      return res.status(404).json({ success: false, error: 'Budget not found' });
+    }
+
+    console.log('🗑️ Budget deleted:', budget._id);
+    res.json({ success: true, message: 'Budget deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting budget:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+module.exports = router;
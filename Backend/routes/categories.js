@@ -0,0 +1,332 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, param } = require('express-validator');
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const {
+  getUserCategories,
+  resolveCategoryName,
+  normalizeCategory,
+  retagCategory,
+} = require('../services/categoryService');
+const { UNWIND_ALLOCATIONS } = require('../services/allocationService');
+const merchantService = require('../services/merchantService');
+const recurringService = require('../services/recurringService');
+const budgetService = require('../services/budgetService');
+const importBatchService = require('../services/importBatchService');
+const receiptService = require('../services/receiptService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Services that store category names of their own, re-tagged together with the transactions
+const CATEGORY_OWNERS = [merchantService, recurringService, budgetService, importBatchService, receiptService];
+
+/**
+ * Re-tag transactions and everything else that stores the category names
+ * @param {ObjectId} userId - Owner of the data
+ * @param {string} kind - 'income' or 'expense'
+ * @param {string[]} fromNames - Category names being replaced
+ * @param {string} toName - Category name to tag with instead
+ * @returns {Promise<number>} - Number of transactions re-tagged
+ */
+async function retagEverywhere(userId, kind, fromNames, toName) {
+  const names = fromNames.filter(name => name && name !== toName);
+  if (names.length === 0) return 0;
+
+  const [transactionsUpdated] = await Promise.all([
+    retagCategory(userId, kind, names, toName),
+    ...CATEGORY_OWNERS.map(owner => owner.retagCategory(userId, kind, names, toName)),
+  ]);
+  return transactionsUpdated;
+}
+
+/**
+ * Check whether hanging a category under newParentId would make it its own ancestor
+ * @param {Array} categories - All of the user's categories
+ * @param {string} categoryId - Category being moved
+ * @param {string} newParentId - Proposed parent
+ * @returns {boolean} - True when the move would create a cycle
+ */
+function createsCycle(categories, categoryId, newParentId) {
+  const byId = new Map(categories.map(c => [String(c._id), c]));
+  let current = byId.get(String(newParentId));
+
+  while (current) {
+    if (String(current._id) === String(categoryId)) return true;
+    current = current.parent ? byId.get(String(current.parent)) : null;
+  }
+  return false;
+}
+
+/**
+ * Validate a requested parent: it must belong to the user, share the kind and not create a cycle
+ * @returns {string|null} - Error message, or null when the parent is acceptable
+ */
+function checkParent(categories, parentId, kind, categoryId = null) {
+  if (!parentId) return null;
+
+  const parent = categories.find(c => String(c._id) === String(parentId));
+  if (!parent) return 'Parent category not found';
+  if (parent.kind !== kind) return `Parent category must also be an ${kind} category`;
+  if (categoryId && createsCycle(categories, categoryId, parentId)) {
+    return 'A category cannot be nested under itself or one of its subcategories';
+  }
+  return null;
+}
+
+const categoryValidators = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Parent must be a category ID'),
+  body('icon').optional({ nullable: true }).isString().trim().isLength({ max: 50 }).withMessage('Icon must be at most 50 characters'),
+  body('color').optional({ nullable: true }).matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #ff7c7c'),
+];
+
+// GET /api/categories - List the user's categories with usage counts
+router.get('/', [
+  query('kind').optional().isIn(['income', 'expense']).withMessage('Kind must be income or expense'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid category data')) return;
+
+    const userId = req.user._id || req.user.id;
+    console.log('📋 Fetching categories for user:', userId);
+
+    const [categories, usage] = await Promise.all([
+      getUserCategories(userId, req.query.kind),
+      Transaction.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+        // A split transaction is in use by every category it has a part in
+        ...UNWIND_ALLOCATIONS,
+        { $group: { _id: { type: '$type', category: '$category' }, count: { $addToSet: '$_id' } } },
+        { $project: { count: { $size: '$count' } } },
+      ]),
+    ]);
+
+    const counts = new Map(usage.map(u => [`${u._id.type}:${u._id.category}`, u.count]));
+    const data = categories.map(category => ({
+      ...category,
+      transactionCount: counts.get(`${category.kind}:${category.name}`) || 0,
+    }));
+
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    console.error('❌ Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/categories - Create a category or subcategory
+router.post('/', [
+  body('name').exists().withMessage('Name is required'),
+  body('kind').isIn(['income', 'expense']).withMessage('Kind must be income or expense'),
+  ...categoryValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid category data')) return;
+
+    const userId = req.user._id || req.user.id;
+    const { name, kind, parent = null, icon = null, color = null } = req.body;
+    const categories = await getUserCategories(userId);
+
+    if (resolveCategoryName(categories, name, kind)) {
+      return res.status(409).json({ success: false, error: `Category "${name}" already exists` });
+    }
+
+    const parentError = checkParent(categories, parent, kind);
+    if (parentError) {
+      return res.status(400).json({ success: false, error: parentError });
+    }
+
+    const category = await Category.create({ user: userId, name, kind, parent, icon, color });
+
+    console.log('✅ Category created:', category.name);
+    res.status(201).json({ success: true, data: category });
+  } catch (error) {
+    console.error('❌ Error creating category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/categories/:id - Rename, move, or restyle a category
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid category id'),
+  body('kind').not().exists().withMessage('The kind of an existing category cannot be changed'),
+  ...categoryValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid category data')) return;
+
+    const userId = req.user._id || req.user.id;
+    const category = await Category.findOne({ _id: req.params.id, user: userId });
+
+    if (!category) {
+      return res.status(404).json({ success: false, error: 'Category not found' });
+    }
+
+    const categories = await getUserCategories(userId);
+    const { name, parent, icon, color } = req.body;
+    const previousName = category.name;
+
+    if (name !== undefined && name.toLowerCase() !== previousName.toLowerCase()) {
+      if (resolveCategoryName(categories, name, category.kind)) {
+        return res.status(409).json({ success: false, error: `Category "${name}" already exists` });
+      }
+    }
+
+    if (parent !== undefined) {
+      const parentError = checkParent(categories, parent, category.kind, category._id);
+      if (parentError) {
+        return res.status(400).json({ success: false, error: parentError });
+      }
+      category.parent = parent || null;
+    }
+
+    if (name !== undefined) category.name = name;
+    if (icon !== undefined) category.icon = icon || null;
+    if (color !== undefined) category.color = color || null;
+
+    await category.save();
+
+    const transactionsUpdated = await retagEverywhere(userId, category.kind, [previousName], category.name);
+
+    console.log(`✅ Category updated: ${category.name}`);
+    res.json({ success: true, data: category, transactionsUpdated });
+  } catch (error) {
+    console.error('❌ Error updating category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/categories/:id/merge - Fold other categories into this one and re-tag their transactions
+router.post('/:id/merge', [
+  param('id').isMongoId().withMessage('Invalid category id'),
+  body('mergeIds').isArray({ min: 1 }).withMessage('mergeIds must be a non-empty array'),
+  body('mergeIds.*').isMongoId().withMessage('mergeIds must contain category IDs'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid category data')) return;
+
+    const userId = req.user._id || req.user.id;
+    const categories = await getUserCategories(userId);
+    const target = categories.find(c => String(c._id) === req.params.id);
+
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'Category not found' });
+    }
+
+    const mergeIds = req.body.mergeIds.map(String).filter(id => id !== String(target._id));
+    const sources = categories.filter(c => mergeIds.includes(String(c._id)));
+
+    if (sources.length === 0) {
+      return res.status(400).json({ success: false, error: 'No categories to merge' });
+    }
+    if (sources.some(s => s.kind !== target.kind)) {
+      return res.status(400).json({ success: false, error: 'Only categories of the same kind can be merged' });
+    }
+    if (sources.some(s => s.isFallback)) {
+      return res.status(400).json({ success: false, error: 'The catch-all category cannot be merged away' });
+    }
+
+    const sourceIds = sources.map(s => s._id);
+    const sourceIdSet = new Set(mergeIds);
+
+    // If the target sat under one of the merged categories, lift it to the nearest surviving ancestor
+    let newParent = target.parent;
+    while (newParent && sourceIdSet.has(String(newParent))) {
+      newParent = categories.find(c => String(c._id) === String(newParent))?.parent || null;
+    }
+
+    await Promise.all([
+      Category.updateOne({ _id: target._id }, { $set: { parent: newParent } }),
+      Category.updateMany(
+        { user: userId, parent: { $in: sourceIds }, _id: { $ne: target._id } },
+        { $set: { parent: target._id } }
+      ),
+    ]);
+    await Category.deleteMany({ _id: { $in: sourceIds }, user: userId });
+
+    const transactionsUpdated = await retagEverywhere(userId, target.kind, sources.map(s => s.name), target.name);
+
+    console.log(`🔀 Merged ${sources.length} categories into ${target.name}`);
+    res.json({
+      success: true,
+      data: await Category.findById(target._id),
+      merged: sourceIds,
+      transactionsUpdated,
+    });
+  } catch (error) {
+    console.error('❌ Error merging categories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// DELETE /api/categories/:id - Delete a category; its transactions move to the parent or the catch-all
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid category id'),
+  query('reassignTo').optional().isMongoId().withMessage('reassignTo must be a category ID'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid category data')) return;
+
+    const userId = req.user._id || req.user.id;
+    const categories = await getUserCategories(userId);
+    const category = categories.find(c => String(c._id) === req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ success: false, error: 'Category not found' });
+    }
+    if (category.isFallback) {
+      return res.status(400).json({ success: false, error: 'The catch-all category cannot be deleted' });
+    }
+
+    let replacement;
+    if (req.query.reassignTo) {
+      replacement = categories.find(c => String(c._id) === req.query.reassignTo);
+      if (!replacement || replacement.kind !== category.kind || String(replacement._id) === String(category._id)) {
+        return res.status(400).json({ success: false, error: 'Invalid category to reassign transactions to' });
+      }
+    } else if (category.parent) {
+      replacement = categories.find(c => String(c._id) === String(category.parent));
+    }
+    const replacementName = replacement ? replacement.name : normalizeCategory(categories, null, category.kind);
+
+    // Subcategories move up a level instead of disappearing
+    await Category.updateMany({ user: userId, parent: category._id }, { $set: { parent: category.parent || null } });
+    await Category.deleteOne({ _id: category._id, user: userId });
+
+    const transactionsUpdated = await retagEverywhere(userId, category.kind, [category.name], replacementName);
+
+    console.log(`🗑️ Category deleted: ${category.name} (transactions moved to ${replacementName})`);
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      reassignedTo: replacementName,
+      transactionsUpdated,
+    });
+  } catch (error) {
+    console.error('❌ Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+module.exports = router;
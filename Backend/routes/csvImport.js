@@ -0,0 +1,389 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const { body, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const { diskUpload } = require('../middleware/fileUpload');
+const { sendValidationErrors } = require('../middleware/validation');
+const ImportProfile = require('../models/ImportProfile');
+const { DELIMITERS } = ImportProfile;
+const Upload = require('../models/Upload');
+const User = require('../models/User');
+const { getUserCategories } = require('../services/categoryService');
+const { createDateContext } = require('../services/dateParsingService');
+const { cleanupFile, withValidatedDate, stageTransactions } = require('../services/uploadProcessingService');
+const { hashFile, findPreviousUpload, recordUpload } = require('../services/uploadHistoryService');
+const { createDraftBatch, summarizeRows } = require('../services/importBatchService');
+const {
+  DATE_FORMATS,
+  PREVIEW_ROWS,
+  decodeCsv,
+  parseCsv,
+  detectDelimiter,
+  detectSkipRows,
+  readTable,
+  headerSignature,
+  suggestSettings,
+  validateSettings,
+  findMissingColumns,
+  readTransactions,
+} = require('../services/csvImportService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Browsers label CSV files inconsistently, so the extension is accepted on its own
+const CSV_MIMES = ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'];
+
+const upload = diskUpload({
+  maxFileSize: 10 * 1024 * 1024, // 10MB
+  fileFilter: (req, file, cb) => {
+    if (CSV_MIMES.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type: ${file.mimetype}. Please upload a CSV file.`));
+    }
+  }
+});
+
+const profileValidators = [
+  body('name').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Profile name is required (up to 60 characters)'),
+];
+
+// The mapping as stored on a profile, in the shape validateSettings takes
+function profileSettings(profile) {
+  return {
+    delimiter: profile.delimiter,
+    skipRows: profile.skipRows,
+    columns: { ...(profile.columns?.toObject ? profile.columns.toObject() : profile.columns) },
+    amountSign: profile.amountSign,
+    dateFormat: profile.dateFormat,
+    decimalSeparator: profile.decimalSeparator,
+  };
+}
+
+function findProfile(userId, profileId) {
+  if (!profileId) return null;
+  return ImportProfile.findOne({ _id: profileId, user: userId }).catch(() => null);
+}
+
+// Multipart forms carry the mapping as a JSON string
+function readSettingsField(value) {
+  if (value && typeof value === 'object') return value;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// POST /api/import/csv/preview - Form: file, optional profileId, delimiter and skipRows.
+// The first rows as read, with a saved profile matching the header row or a suggested mapping
+router.post('/csv/preview', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded. Please select a CSV file.' });
+    }
+
+    const userId = req.user._id || req.user.id;
+    const text = decodeCsv(await fs.readFile(req.file.path));
+    const chosenProfile = await findProfile(userId, req.body.profileId);
+
+    const delimiter = req.body.delimiter || chosenProfile?.delimiter || detectDelimiter(text);
+    const skipRows = req.body.skipRows !== undefined && req.body.skipRows !== ''
+      ? parseInt(req.body.skipRows, 10)
+      : chosenProfile?.skipRows ?? detectSkipRows(parseCsv(text, delimiter));
+
+    if (!DELIMITERS.includes(delimiter) || !Number.isInteger(skipRows) || skipRows < 0 || skipRows > 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'Delimiter must be a comma, semicolon, tab or pipe, and skipRows a whole number from 0 to 50',
+      });
+    }
+
+    const table = readTable(text, { delimiter, skipRows });
+    if (table.headers.length === 0) {
+      return res.status(400).json({ success: false, error: 'The file has no rows to import.' });
+    }
+
+    const signature = headerSignature(table.headers);
+    const profile = chosenProfile || await ImportProfile.findOne({ user: userId, headerSignature: signature })
+      .sort({ lastUsedAt: -1 });
+    const settings = profile ? profileSettings(profile) : { delimiter, skipRows, ...suggestSettings(table) };
+
+    console.log(`📄 CSV preview: ${req.file.originalname}, ${table.records.length} row(s)${profile ? `, profile "${profile.name}"` : ''}`);
+    res.json({
+      success: true,
+      data: {
+        fileName: req.file.originalname,
+        delimiter,
+        skipRows,
+        headers: table.headers,
+        rows: table.records.slice(0, PREVIEW_ROWS),
+        rowCount: table.records.length,
+        profile,
+        settings,
+        dateFormats: DATE_FORMATS,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error previewing CSV:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  } finally {
+    if (req.file) await cleanupFile(req.file.path);
+  }
+});
+
+// POST /api/import/csv - Form: file, and settings (JSON) or profileId; saveAsProfile names a profile
+// to keep the mapping under. The rows are staged as a draft for review at /api/imports/:batchId
+router.post('/csv', upload.single('file'), async (req, res) => {
+  let uploadRecord = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded. Please select a CSV file.' });
+    }
+
+    const startTime = Date.now();
+    const userId = req.user._id || req.user.id;
+    const profile = await findProfile(userId, req.body.profileId);
+    const input = readSettingsField(req.body.settings);
+
+    if (input === undefined) {
+      return res.status(400).json({ success: false, error: 'settings must be valid JSON' });
+    }
+    if (req.body.profileId && !profile && !input) {
+      return res.status(404).json({ success: false, error: 'Import profile not found' });
+    }
+
+    const { errors, settings } = validateSettings(input || (profile && profileSettings(profile)));
+    const saveAsProfile = typeof req.body.saveAsProfile === 'string' ? req.body.saveAsProfile.trim() : '';
+    if (saveAsProfile.length > 60) errors.push('Profile name can be up to 60 characters');
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid column mapping', details: errors });
+    }
+
+    const fileHash = await hashFile(req.file.path);
+    const previous = await findPreviousUpload(userId, fileHash);
+    if (previous) {
+      return res.status(409).json({
+        success: false,
+        code: 'DUPLICATE_UPLOAD',
+        error: `You already uploaded this file on ${previous.createdAt.toISOString().slice(0, 10)} (${previous.fileName}). Delete that upload from your history to upload it again.`,
+        data: { previousUploadId: previous._id, previousStatus: previous.status },
+      });
+    }
+
+    const text = decodeCsv(await fs.readFile(req.file.path));
+    const table = readTable(text, settings);
+    const missingColumns = findMissingColumns(settings, table.headers);
+    if (missingColumns.length > 0) {
+      return res.status(400).json({ success: false, error: 'The mapping does not fit this file', details: missingColumns });
+    }
+
+    const parsed = readTransactions(table, settings);
+    if (parsed.transactions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No transactions could be read from the file. Check the amount columns and decimal separator.',
+        data: { failedRows: parsed.failedRows },
+      });
+    }
+    if (parsed.unreadableDates > parsed.transactions.length / 2) {
+      return res.status(400).json({
+        success: false,
+        error: `Most dates do not match the format ${settings.dateFormat}. Choose the format the file uses.`,
+      });
+    }
+
+    console.log(`📄 CSV import: ${req.file.originalname}, ${parsed.transactions.length} transaction(s) read, ${parsed.failedRows.length} row(s) skipped`);
+    uploadRecord = await recordUpload(userId, 'csv', req.file, fileHash);
+
+    const categories = await getUserCategories(userId);
+    const user = await User.findById(userId).select('preferences.timezone preferences.defaultCurrency').lean();
+    const dateContext = createDateContext(text, { timezone: user?.preferences?.timezone });
+    const transactions = parsed.transactions.map((transaction, index) => withValidatedDate(transaction, index, dateContext));
+
+    const { rows, failedRows } = await stageTransactions(userId, transactions, {
+      categories,
+      defaultCurrency: user?.preferences?.defaultCurrency || 'INR',
+    });
+    // Rows are numbered as in the file, whichever step turned them away
+    const skippedRows = [...parsed.failedRows, ...failedRows.map(row => ({ ...row, index: parsed.rowIndexes[row.index] }))]
+      .sort((a, b) => a.index - b.index);
+
+    let savedProfile = profile;
+    if (saveAsProfile) {
+      savedProfile = await ImportProfile.findOneAndUpdate(
+        { user: userId, name: saveAsProfile },
+        { $set: { ...settings, headerSignature: headerSignature(table.headers), lastUsedAt: new Date() } },
+        { new: true, upsert: true, runValidators: true }
+      );
+    } else if (profile) {
+      profile.headerSignature = headerSignature(table.headers);
+      profile.lastUsedAt = new Date();
+      await profile.save();
+    }
+
+    const parsingMethod = savedProfile ? `CSV profile "${savedProfile.name}"` : 'CSV column mapping';
+    const batch = await createDraftBatch(
+      { user: userId, kind: 'csv', file: { originalName: req.file.originalname } },
+      rows,
+      { fileUrl: null, parsingMethod }
+    );
+    const summary = summarizeRows(batch.rows);
+    const stats = { ...summary, failedCount: skippedRows.length, processingTime: Date.now() - startTime };
+
+    await Upload.updateOne({ _id: uploadRecord._id }, {
+      $set: {
+        status: 'review',
+        extractionMethod: 'CSV',
+        parsingMethod,
+        importBatch: batch._id,
+        reviewExpiresAt: batch.expiresAt,
+        stats,
+      },
+    });
+
+    const unreconciled = parsed.reconciliation?.mismatchedRows > 0;
+    console.log(`✅ CSV IMPORT STAGED: ${rows.length} in batch ${batch._id}, ${skippedRows.length} skipped, ${summary.reviewCount} flagged for review`);
+
+    res.status(201).json({
+      success: true,
+      message: `CSV read! ${rows.length} transaction(s) are ready for review.${summary.reviewCount > 0 ? ` ⚠️ ${summary.reviewCount} need a closer look.` : ''}${unreconciled ? ' ⚠️ The balance column does not reconcile.' : ''}`,
+      data: {
+        batchId: batch._id,
+        uploadId: uploadRecord._id,
+        stats: { ...stats, reconciliation: parsed.reconciliation },
+        failedRows: skippedRows,
+        profile: savedProfile,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error importing CSV:', error);
+    if (uploadRecord) {
+      await Upload.updateOne({ _id: uploadRecord._id }, { $set: { status: 'failed', error: error.message } })
+        .catch(updateError => console.warn('⚠️ Could not mark upload as failed:', updateError.message));
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  } finally {
+    if (req.file) await cleanupFile(req.file.path);
+  }
+});
+
+// GET /api/import/csv/profiles - Saved bank layouts, most recently used first
+router.get('/csv/profiles', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const profiles = await ImportProfile.find({ user: userId })
+      .sort({ lastUsedAt: -1, name: 1 })
+      .lean();
+
+    res.json({ success: true, data: profiles });
+  } catch (error) {
+    console.error('❌ Error fetching import profiles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/import/csv/profiles - Body: { name, delimiter, skipRows, columns, amountSign, dateFormat, decimalSeparator }
+router.post('/csv/profiles', profileValidators, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { errors, settings } = validateSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid column mapping', details: errors });
+    }
+
+    const userId = req.user._id || req.user.id;
+    if (await ImportProfile.exists({ user: userId, name: req.body.name })) {
+      return res.status(409).json({ success: false, error: `A profile named "${req.body.name}" already exists` });
+    }
+
+    const profile = await ImportProfile.create({ user: userId, name: req.body.name, ...settings });
+
+    console.log(`✅ Import profile created: ${profile.name}`);
+    res.status(201).json({ success: true, data: profile });
+  } catch (error) {
+    console.error('❌ Error creating import profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/import/csv/profiles/:id - Same body as POST; replaces the mapping
+router.put('/csv/profiles/:id', [
+  param('id').isMongoId().withMessage('Invalid profile id'),
+  ...profileValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { errors, settings } = validateSettings(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid column mapping', details: errors });
+    }
+
+    const userId = req.user._id || req.user.id;
+    const profile = await ImportProfile.findOne({ _id: req.params.id, user: userId });
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Import profile not found' });
+    }
+
+    if (req.body.name !== profile.name && await ImportProfile.exists({ user: userId, name: req.body.name })) {
+      return res.status(409).json({ success: false, error: `A profile named "${req.body.name}" already exists` });
+    }
+
+    profile.set({ name: req.body.name, ...settings });
+    await profile.save();
+
+    console.log(`✏️ Import profile updated: ${profile.name}`);
+    res.json({ success: true, data: profile });
+  } catch (error) {
+    console.error('❌ Error updating import profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// DELETE /api/import/csv/profiles/:id
+router.delete('/csv/profiles/:id', [
+  param('id').isMongoId().withMessage('Invalid profile id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const profile = await ImportProfile.findOneAndDelete({ _id: req.params.id, user: userId });
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Import profile not found' });
+    }
+
+    console.log(`🗑️ Import profile deleted: ${profile.name}`);
+    res.json({ success: true, message: 'Import profile deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting import profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+module.exports = router;
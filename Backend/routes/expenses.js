@@ -2,10 +2,22 @@ const express = require('express');
 const auth = require('../middleware/auth');
 const Expense = require('../models/Expense');
 const cloudinaryService = require('../services/cloudinaryService');
+const { getUserCategories, resolveCategoryName } = require('../services/categoryService');
 const { body, validationResult, query } = require('express-validator');
 
 const router = express.Router();
 
+/**
+ * express-validator check that a category belongs to the user's category list
+ */
+async function isUserCategory(value, userId, kind = 'expense') {
+  const categories = await getUserCategories(userId, kind);
+  if (!resolveCategoryName(categories, value, kind)) {
+    throw new Error('Invalid category');
+  }
+  return true;
+}
+
 /**
  * GET /api/expenses
  * Fetch all expenses for authenticated user with filtering and pagination
@@ -189,11 +201,7 @@ router.get('/:id', auth, async (req, res) => {
 router.put('/:id', auth, [
   body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
   body('description').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Description must be 1-500 characters'),
-  body('category').optional().isIn([
-    'Food & Dining', 'Transportation', 'Shopping', 'Entertainment', 
-    'Bills & Utilities', 'Healthcare', 'Education', 'Travel', 
-    'Groceries', 'Other Expense'
-  ]).withMessage('Invalid category'),
+  body('category').optional().isString().custom((value, { req }) => isUserCategory(value, req.user.id, req.body.type)),
   body('type').optional().isIn(['income', 'expense']).withMessage('Type must be income or expense'),
   body('date').optional().isISO8601().withMessage('Invalid date format'),
   body('merchant').optional().trim().isLength({ max: 200 }).withMessage('Merchant name too long'),
@@ -315,6 +323,7 @@ router.delete('/:id', auth, async (req, res) => {
 router.post('/bulk-update', auth, [
   body('expenseIds').isArray().withMessage('expenseIds must be an array'),
   body('updates').isObject().withMessage('updates must be an object'),
+  body('updates.category').optional().isString().custom((value, { req }) => isUserCategory(value, req.user.id)),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -0,0 +1,332 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const ImportBatch = require('../models/ImportBatch');
+const Upload = require('../models/Upload');
+const auth = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { getUserCategories, resolveCategoryName } = require('../services/categoryService');
+const { findMerchant } = require('../services/merchantService');
+const { draftFilter, summarizeRows, mergeRows, confirmBatch } = require('../services/importBatchService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+const ROW_FIELDS = ['date', 'description', 'amount', 'type', 'category', 'merchant'];
+
+const rowValidators = [
+  body('date').optional().isISO8601().withMessage('Invalid date'),
+  body('description').optional().isString().trim().notEmpty().withMessage('Description cannot be empty'),
+  body('amount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('type').optional().isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+  body('category').optional().isString().trim().notEmpty().withMessage('Category cannot be empty'),
+  body('merchant').optional({ nullable: true }).isString().trim(),
+];
+
+function formatBatch(batch) {
+  const data = typeof batch.toObject === 'function' ? batch.toObject() : batch;
+  return { ...data, summary: summarizeRows(data.rows || []) };
+}
+
+/**
+ * Apply edited fields to a row, resolving the category and merchant like a transaction edit
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+async function applyRowChanges(userId, row, changes) {
+  const type = changes.type || row.type;
+
+  if (changes.category !== undefined || changes.type !== undefined) {
+    const categories = await getUserCategories(userId, type);
+    const categoryName = resolveCategoryName(categories, changes.category ?? row.category, type);
+    if (!categoryName) return `Unknown ${type} category "${changes.category ?? row.category}"`;
+    row.category = categoryName;
+  }
+
+  // Drafts only link known merchants; a new name is kept as typed until the batch is confirmed
+  if (changes.merchant !== undefined) {
+    const merchant = await findMerchant(userId, changes.merchant || '');
+    row.merchant = merchant ? merchant.name : changes.merchant?.trim() || undefined;
+    row.merchantRef = merchant ? merchant._id : undefined;
+  }
+
+  if (changes.date !== undefined) row.date = new Date(changes.date);
+  if (changes.description !== undefined) row.description = changes.description;
+  if (changes.amount !== undefined) row.amount = changes.amount === null ? undefined : parseFloat(changes.amount);
+  row.type = type;
+
+  // Editing a row counts as reviewing it, unless its amount is still unknown
+  row.needsManualReview = row.amount == null;
+  row.reviewNote = row.needsManualReview ? row.reviewNote : null;
+  return null;
+}
+
+// GET /api/imports - List import batches (drafts awaiting review by default)
+router.get('/', [
+  query('status').optional().isIn(['draft', 'confirmed']).withMessage('Status must be draft or confirmed'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid import row')) return;
+
+    const userId = req.user._id || req.user.id;
+    const filter = req.query.status === 'confirmed'
+      ? { user: userId, status: 'confirmed' }
+      : draftFilter(userId);
+
+    const batches = await ImportBatch.find(filter)
+      .select('-extractedText')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.json({ success: true, data: batches.map(formatBatch), count: batches.length });
+  } catch (error) {
+    console.error('❌ Error fetching import batches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// GET /api/imports/:id - One batch with its rows
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid import id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const batch = await ImportBatch.findOne({ _id: req.params.id, user: userId }).lean();
+
+    if (!batch || (batch.status === 'draft' && batch.expiresAt <= new Date())) {
+      return res.status(404).json({ success: false, error: 'Import not found or expired' });
+    }
+
+    res.json({ success: true, data: formatBatch(batch) });
+  } catch (error) {
+    console.error('❌ Error fetching import batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/imports/:id/rows/:rowId - Edit a draft row
+router.put('/:id/rows/:rowId', [
+  param('id').isMongoId().withMessage('Invalid import id'),
+  param('rowId').isMongoId().withMessage('Invalid row id'),
+  ...rowValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid import row')) return;
+
+    const userId = req.user._id || req.user.id;
+    const batch = await ImportBatch.findOne(draftFilter(userId, req.params.id));
+    const row = batch?.rows.id(req.params.rowId);
+
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Draft row not found' });
+    }
+
+    const changes = {};
+    ROW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    const rowError = await applyRowChanges(userId, row, changes);
+    if (rowError) {
+      return res.status(400).json({ success: false, error: rowError });
+    }
+
+    await batch.save();
+
+    console.log(`✏️ Import row updated: ${batch._id}/${row._id}`);
+    res.json({ success: true, data: formatBatch(batch) });
+  } catch (error) {
+    console.error('❌ Error updating import row:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/imports/:id/rows/:rowId/items/:itemId - Re-categorize one line item of a receipt row
+router.put('/:id/rows/:rowId/items/:itemId', [
+  param('id').isMongoId().withMessage('Invalid import id'),
+  param('rowId').isMongoId().withMessage('Invalid row id'),
+  param('itemId').isMongoId().withMessage('Invalid line item id'),
+  body('category').isString().trim().notEmpty().withMessage('Category cannot be empty'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid import row')) return;
+
+    const userId = req.user._id || req.user.id;
+    const batch = await ImportBatch.findOne(draftFilter(userId, req.params.id));
+    const item = batch?.rows.id(req.params.rowId)?.receipt?.lineItems.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Line item not found' });
+    }
+
+    const categoryName = resolveCategoryName(await getUserCategories(userId, 'expense'), req.body.category, 'expense');
+    if (!categoryName) {
+      return res.status(400).json({ success: false, error: `Unknown expense category "${req.body.category}"` });
+    }
+
+    item.category = categoryName;
+    await batch.save();
+
+    console.log(`✏️ Import line item updated: ${batch._id}/${req.params.rowId}/${item._id}`);
+    res.json({ success: true, data: formatBatch(batch) });
+  } catch (error) {
+    console.error('❌ Error updating import line item:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// DELETE /api/imports/:id/rows/:rowId - Drop a row from the draft
+router.delete('/:id/rows/:rowId', [
+  param('id').isMongoId().withMessage('Invalid import id'),
+  param('rowId').isMongoId().withMessage('Invalid row id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid import row')) return;
+
+    const userId = req.user._id || req.user.id;
+    const batch = await ImportBatch.findOne(draftFilter(userId, req.params.id));
+    const row = batch?.rows.id(req.params.rowId);
+
+    if (!row) {
+      return res.status(404).json({ success: false, error: 'Draft row not found' });
+    }
+
+    row.deleteOne();
+    await batch.save();
+
+    console.log(`🗑️ Import row dropped: ${batch._id}/${req.params.rowId}`);
+    res.json({ success: true, data: formatBatch(batch) });
+  } catch (error) {
+    console.error('❌ Error dropping import row:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/imports/:id/merge - Combine several rows into one (e.g. a receipt split across lines)
+router.post('/:id/merge', [
+  param('id').isMongoId().withMessage('Invalid import id'),
+  body('rowIds').isArray({ min: 2 }).withMessage('rowIds must list at least two rows'),
+  body('rowIds.*').isMongoId().withMessage('rowIds must contain row IDs'),
+  ...rowValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid import row')) return;
+
+    const userId = req.user._id || req.user.id;
+    const batch = await ImportBatch.findOne(draftFilter(userId, req.params.id));
+
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Import not found or expired' });
+    }
+
+    const rowIds = [...new Set(req.body.rowIds.map(String))];
+    const rows = rowIds.map(id => batch.rows.id(id));
+    if (rows.some(row => !row)) {
+      return res.status(400).json({ success: false, error: 'Some rows are not part of this import' });
+    }
+    if (new Set(rows.map(row => row.type)).size > 1) {
+      return res.status(400).json({ success: false, error: 'Only rows of the same type can be merged' });
+    }
+
+    const merged = mergeRows(batch, rowIds);
+
+    const changes = {};
+    ROW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+    if (Object.keys(changes).length > 0) {
+      const rowError = await applyRowChanges(userId, merged, changes);
+      if (rowError) {
+        return res.status(400).json({ success: false, error: rowError });
+      }
+    }
+
+    await batch.save();
+
+    console.log(`🔀 Merged ${rowIds.length} import rows in ${batch._id}`);
+    res.json({ success: true, data: formatBatch(batch) });
+  } catch (error) {
+    console.error('❌ Error merging import rows:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/imports/:id/confirm - Save every remaining row as a transaction
+router.post('/:id/confirm', [
+  param('id').isMongoId().withMessage('Invalid import id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const confirmed = await confirmBatch(userId, req.params.id);
+
+    if (!confirmed) {
+      return res.status(404).json({ success: false, error: 'Import not found, expired or already confirmed' });
+    }
+
+    const { batch, transactions, duplicateCount } = confirmed;
+    res.json({
+      success: true,
+      message: `Imported ${transactions.length} transaction(s)`
+        + (duplicateCount > 0 ? `; ${duplicateCount} look like payments already recorded and are flagged for review` : ''),
+      data: { ...formatBatch(batch), transactions, duplicateCount },
+    });
+  } catch (error) {
+    console.error('❌ Error confirming import:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// DELETE /api/imports/:id - Discard a draft without importing anything
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid import id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const batch = await ImportBatch.findOneAndDelete({ _id: req.params.id, user: userId, status: 'draft' });
+
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Draft import not found' });
+    }
+
+    await Upload.updateOne({ importBatch: batch._id }, { $set: { status: 'discarded' } });
+
+    console.log(`🗑️ Import batch discarded: ${batch._id}`);
+    res.json({ success: true, message: 'Import discarded' });
+  } catch (error) {
+    console.error('❌ Error discarding import:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+module.exports = router;
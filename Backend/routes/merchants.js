@@ -0,0 +1,291 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, param } = require('express-validator');
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { normalizeMerchantKey } = require('../services/merchantService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the normalized alias list for a merchant from its name plus any extra spellings
+ * @param {string} name - Canonical merchant name
+ * @param {string[]} aliases - Additional spellings supplied by the user
+ * @returns {string[]} - Unique non-empty normalized keys
+ */
+function buildAliasKeys(name, aliases = []) {
+  const keys = [name, ...aliases].map(normalizeMerchantKey).filter(Boolean);
+  return [...new Set(keys)];
+}
+
+/**
+ * Find another merchant of the same user that already owns one of the alias keys
+ */
+async function findAliasConflict(userId, keys, excludeIds = []) {
+  return Merchant.findOne({
+    user: userId,
+    aliases: { $in: keys },
+    _id: { $nin: excludeIds },
+  }).lean();
+}
+
+const merchantValidators = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Name must be 1-200 characters'),
+  body('aliases').optional().isArray().withMessage('aliases must be an array of strings'),
+  body('aliases.*').optional().isString().withMessage('aliases must be an array of strings'),
+  body('defaultCategory').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('Default category too long'),
+];
+
+// GET /api/merchants - List the user's merchant directory with transaction counts
+router.get('/', [
+  query('search').optional().isString().trim(),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid merchant data')) return;
+
+    const userId = req.user._id || req.user.id;
+    const filter = { user: userId };
+
+    if (req.query.search) {
+      const searchRegex = new RegExp(escapeRegex(req.query.search), 'i');
+      filter.$or = [{ name: searchRegex }, { variants: searchRegex }];
+    }
+
+    console.log('📋 Fetching merchants for user:', userId);
+
+    const [merchants, counts] = await Promise.all([
+      Merchant.find(filter).sort({ name: 1 }).lean(),
+      Transaction.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(String(userId)), merchantRef: { $exists: true } } },
+        { $group: { _id: '$merchantRef', count: { $sum: 1 }, total: { $sum: '$amount' } } },
+      ]),
+    ]);
+
+    const countsById = new Map(counts.map(c => [String(c._id), c]));
+    const data = merchants.map(merchant => ({
+      ...merchant,
+      transactionCount: countsById.get(String(merchant._id))?.count || 0,
+      totalAmount: countsById.get(String(merchant._id))?.total || 0,
+    }));
+
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    console.error('❌ Error fetching merchants:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/merchants - Add a merchant to the directory
+router.post('/', [
+  body('name').exists().withMessage('Name is required'),
+  ...merchantValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid merchant data')) return;
+
+    const userId = req.user._id || req.user.id;
+    const { name, aliases = [], defaultCategory = null } = req.body;
+    const keys = buildAliasKeys(name, aliases);
+
+    if (keys.length === 0) {
+      return res.status(400).json({ success: false, error: 'Name must contain letters or digits' });
+    }
+
+    const conflict = await findAliasConflict(userId, keys);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: `Merchant "${conflict.name}" already matches this name`,
+        data: conflict,
+      });
+    }
+
+    const merchant = await Merchant.create({
+      user: userId,
+      name,
+      aliases: keys,
+      variants: [name, ...aliases].map(v => v.trim()).filter(Boolean),
+      defaultCategory: defaultCategory || null,
+    });
+
+    console.log('✅ Merchant created:', merchant.name);
+    res.status(201).json({ success: true, data: merchant });
+  } catch (error) {
+    console.error('❌ Error creating merchant:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/merchants/:id - Rename, re-alias or change the default category
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid merchant id'),
+  ...merchantValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid merchant data')) return;
+
+    const userId = req.user._id || req.user.id;
+    const merchant = await Merchant.findOne({ _id: req.params.id, user: userId });
+
+    if (!merchant) {
+      return res.status(404).json({ success: false, error: 'Merchant not found' });
+    }
+
+    const { name, aliases, defaultCategory } = req.body;
+
+    if (name !== undefined || aliases !== undefined) {
+      const nextName = name !== undefined ? name : merchant.name;
+      // Keep keys learned from earlier spellings unless the caller replaces the alias list
+      const extra = aliases !== undefined ? aliases : merchant.aliases;
+      const keys = buildAliasKeys(nextName, extra);
+
+      const conflict = await findAliasConflict(userId, keys, [merchant._id]);
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          error: `Merchant "${conflict.name}" already matches one of these names`,
+          data: conflict,
+        });
+      }
+
+      merchant.name = nextName;
+      merchant.aliases = keys;
+    }
+
+    if (defaultCategory !== undefined) {
+      merchant.defaultCategory = defaultCategory || null;
+    }
+
+    await merchant.save();
+
+    // Keep the denormalized name on linked transactions in step with the directory
+    const { modifiedCount } = await Transaction.updateMany(
+      { user: userId, merchantRef: merchant._id },
+      { $set: { merchant: merchant.name } }
+    );
+
+    console.log(`✅ Merchant updated: ${merchant.name} (${modifiedCount} transactions renamed)`);
+    res.json({ success: true, data: merchant, transactionsUpdated: modifiedCount });
+  } catch (error) {
+    console.error('❌ Error updating merchant:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/merchants/:id/merge - Fold other merchants into this one
+router.post('/:id/merge', [
+  param('id').isMongoId().withMessage('Invalid merchant id'),
+  body('mergeIds').isArray({ min: 1 }).withMessage('mergeIds must be a non-empty array'),
+  body('mergeIds.*').isMongoId().withMessage('mergeIds must contain merchant IDs'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid merchant data')) return;
+
+    const userId = req.user._id || req.user.id;
+    const target = await Merchant.findOne({ _id: req.params.id, user: userId });
+
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'Merchant not found' });
+    }
+
+    const sources = await Merchant.find({
+      _id: { $in: req.body.mergeIds, $ne: target._id },
+      user: userId,
+    });
+
+    if (sources.length === 0) {
+      return res.status(400).json({ success: false, error: 'No merchants to merge' });
+    }
+
+    const sourceIds = sources.map(s => s._id);
+    const aliases = new Set(target.aliases);
+    const variants = new Set(target.variants);
+    sources.forEach(source => {
+      source.aliases.forEach(a => aliases.add(a));
+      source.variants.forEach(v => variants.add(v));
+    });
+
+    // Remove the sources first so their aliases are free for the unique index
+    await Merchant.deleteMany({ _id: { $in: sourceIds }, user: userId });
+
+    target.aliases = [...aliases];
+    target.variants = [...variants];
+    if (!target.defaultCategory) {
+      target.defaultCategory = sources.find(s => s.defaultCategory)?.defaultCategory || null;
+    }
+    await target.save();
+
+    const { modifiedCount } = await Transaction.updateMany(
+      { user: userId, merchantRef: { $in: sourceIds } },
+      { $set: { merchantRef: target._id, merchant: target.name } }
+    );
+
+    console.log(`🔀 Merged ${sources.length} merchants into ${target.name} (${modifiedCount} transactions moved)`);
+    res.json({
+      success: true,
+      data: target,
+      merged: sourceIds,
+      transactionsUpdated: modifiedCount,
+    });
+  } catch (error) {
+    console.error('❌ Error merging merchants:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// DELETE /api/merchants/:id - Remove a merchant; transactions keep their merchant name
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid merchant id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid merchant data')) return;
+
+    const userId = req.user._id || req.user.id;
+    const merchant = await Merchant.findOneAndDelete({ _id: req.params.id, user: userId });
+
+    if (!merchant) {
+      return res.status(404).json({ success: false, error: 'Merchant not found' });
+    }
+
+    const { modifiedCount } = await Transaction.updateMany(
+      { user: userId, merchantRef: merchant._id },
+      { $unset: { merchantRef: 1 } }
+    );
+
+    console.log(`🗑️ Merchant deleted: ${merchant.name} (${modifiedCount} transactions unlinked)`);
+    res.json({
+      success: true,
+      message: 'Merchant deleted successfully',
+      transactionsUpdated: modifiedCount,
+    });
+  } catch (error) {
+    console.error('❌ Error deleting merchant:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+module.exports = router;
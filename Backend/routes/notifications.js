@@ -0,0 +1,269 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const {
+  NOTIFICATION_EVENTS,
+  resolvePreferences,
+  getAvailableChannels,
+  getPushPublicKey,
+} = require('../services/notificationService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+const DEFAULT_PAGE_SIZE = 20;
+
+function describePreferences(user) {
+  const preferences = resolvePreferences(user);
+  return {
+    events: Object.entries(NOTIFICATION_EVENTS).map(([event, definition]) => ({
+      event,
+      label: definition.label,
+      channels: preferences[event],
+    })),
+    availableChannels: getAvailableChannels(),
+  };
+}
+
+// GET /api/notifications - Newest notifications first, with the unread count
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('unread').optional().isBoolean().withMessage('unread must be boolean'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid query parameters')) return;
+
+    const userId = req.user._id || req.user.id;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE;
+    const filter = { user: userId, ...(req.query.unread === 'true' && { readAt: null }) };
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: userId, readAt: null }),
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// GET /api/notifications/unread-count - Cheap poll for the navbar badge
+router.get('/unread-count', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const unreadCount = await Notification.countDocuments({ user: userId, readAt: null });
+
+    res.json({ success: true, data: { unreadCount } });
+  } catch (error) {
+    console.error('❌ Error counting notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/notifications/read-all - Mark every unread notification as read
+router.put('/read-all', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const result = await Notification.updateMany({ user: userId, readAt: null }, { $set: { readAt: new Date() } });
+
+    res.json({ success: true, data: { updated: result.modifiedCount } });
+  } catch (error) {
+    console.error('❌ Error marking notifications read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// GET /api/notifications/preferences - Channels chosen for each event
+router.get('/preferences', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const user = await User.findById(userId).select('preferences.notifications').lean();
+
+    res.json({ success: true, data: describePreferences(user) });
+  } catch (error) {
+    console.error('❌ Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/notifications/preferences - Body: { preferences: { [event]: { inApp, email, push } } }
+router.put('/preferences', [
+  body('preferences').isObject().withMessage('preferences must be an object keyed by event'),
+  body('preferences').custom(value => Object.keys(value).every(event => NOTIFICATION_EVENTS[event]))
+    .withMessage('preferences contains an unknown event'),
+  body('preferences.*.*').isBoolean().withMessage('Channel choices must be true or false'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid notification preferences')) return;
+
+    const userId = req.user._id || req.user.id;
+    const update = {};
+    Object.entries(req.body.preferences).forEach(([event, channels]) => {
+      ['inApp', 'email', 'push'].forEach(channel => {
+        if (typeof channels[channel] === 'boolean') {
+          update[`preferences.notifications.${event}.${channel}`] = channels[channel];
+        }
+      });
+    });
+
+    const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true })
+      .select('preferences.notifications')
+      .lean();
+
+    console.log('✅ Notification preferences updated for user:', userId);
+    res.json({ success: true, data: describePreferences(user) });
+  } catch (error) {
+    console.error('❌ Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// GET /api/notifications/push/public-key - VAPID key the browser needs to subscribe
+router.get('/push/public-key', (req, res) => {
+  const publicKey = getPushPublicKey();
+  if (!publicKey) {
+    return res.status(404).json({ success: false, error: 'Web Push is not configured on this server' });
+  }
+  res.json({ success: true, data: { publicKey } });
+});
+
+// POST /api/notifications/push/subscriptions - Register this browser for Web Push
+router.post('/push/subscriptions', [
+  body('endpoint').isURL({ protocols: ['https'], require_tld: false }).withMessage('A valid push endpoint is required'),
+  body('keys.p256dh').isString().notEmpty().withMessage('keys.p256dh is required'),
+  body('keys.auth').isString().notEmpty().withMessage('keys.auth is required'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid push subscription')) return;
+
+    const userId = req.user._id || req.user.id;
+    const { endpoint, keys } = req.body;
+
+    // An endpoint belongs to one browser; re-registering moves it to the current user
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      { user: userId, endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent: req.get('user-agent') || '' },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log('✅ Push subscription saved for user:', userId);
+    res.status(201).json({ success: true, data: { id: subscription._id } });
+  } catch (error) {
+    console.error('❌ Error saving push subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// DELETE /api/notifications/push/subscriptions - Body: { endpoint }
+router.delete('/push/subscriptions', [
+  body('endpoint').isString().notEmpty().withMessage('endpoint is required'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid push subscription')) return;
+
+    const userId = req.user._id || req.user.id;
+    const result = await PushSubscription.deleteOne({ user: userId, endpoint: req.body.endpoint });
+
+    res.json({ success: true, data: { removed: result.deletedCount } });
+  } catch (error) {
+    console.error('❌ Error removing push subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/notifications/:id/read - Mark one notification as read
+router.put('/:id/read', [
+  param('id').isMongoId().withMessage('Invalid notification id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid notification')) return;
+
+    const userId = req.user._id || req.user.id;
+    const notification = await Notification.findOne({ _id: req.params.id, user: userId });
+
+    if (!notification) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    console.error('❌ Error marking notification read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// DELETE /api/notifications/:id - Dismiss a notification
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid notification id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid notification')) return;
+
+    const userId = req.user._id || req.user.id;
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: userId });
+
+    if (!notification) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    res.json({ success: true, message: 'Notification deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting notification:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const Receipt = require('../models/Receipt');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { getUserCategories, resolveCategoryName } = require('../services/categoryService');
+const { allocateLineItems, lineItemsCategory } = require('../services/receiptService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// GET /api/receipts - Receipts read from uploads, newest purchase first
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('category').optional().isString().trim(),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    const filter = { user: userId };
+    if (req.query.category) filter['lineItems.category'] = req.query.category;
+
+    const [receipts, total] = await Promise.all([
+      Receipt.find(filter)
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Receipt.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: receipts,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error fetching receipts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// GET /api/receipts/:id - One receipt with its purchase transaction
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid receipt id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const receipt = await Receipt.findOne({ _id: req.params.id, user: userId })
+      .populate('transaction', 'date amount description category allocations merchant')
+      .lean();
+
+    if (!receipt) {
+      return res.status(404).json({ success: false, error: 'Receipt not found' });
+    }
+
+    res.json({ success: true, data: receipt });
+  } catch (error) {
+    console.error('❌ Error fetching receipt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/receipts/:id/items/:itemId - Re-categorize a line item; the purchase's allocations follow
+router.put('/:id/items/:itemId', [
+  param('id').isMongoId().withMessage('Invalid receipt id'),
+  param('itemId').isMongoId().withMessage('Invalid line item id'),
+  body('category').isString().trim().notEmpty().withMessage('Category cannot be empty'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const receipt = await Receipt.findOne({ _id: req.params.id, user: userId });
+    const item = receipt?.lineItems.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Line item not found' });
+    }
+
+    const categoryName = resolveCategoryName(await getUserCategories(userId, 'expense'), req.body.category, 'expense');
+    if (!categoryName) {
+      return res.status(400).json({ success: false, error: `Unknown expense category "${req.body.category}"` });
+    }
+
+    item.category = categoryName;
+    await receipt.save();
+
+    const transaction = await Transaction.findOne({ _id: receipt.transaction, user: userId });
+    if (transaction) {
+      transaction.allocations = allocateLineItems(receipt.lineItems, transaction.amount);
+      transaction.category = lineItemsCategory(receipt.lineItems) || transaction.category;
+      await transaction.save();
+    }
+
+    console.log(`✏️ Receipt line item updated: ${receipt._id}/${item._id} → ${categoryName}`);
+    res.json({ success: true, data: { receipt, transaction } });
+  } catch (error) {
+    console.error('❌ Error updating receipt line item:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+module.exports = router;
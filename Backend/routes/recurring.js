@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const RecurringRule = require('../models/RecurringRule');
+const auth = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { getUserCategories, resolveCategoryName } = require('../services/categoryService');
+const {
+  startOfDayUTC,
+  applyCadenceDefaults,
+  firstOccurrenceAfter,
+  upcomingOccurrences,
+  materializeRule,
+  runDueRules,
+} = require('../services/recurringService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+const CADENCE_FIELDS = ['frequency', 'interval', 'dayOfWeek', 'dayOfMonth', 'monthOfYear', 'startDate', 'endDate'];
+const EDITABLE_FIELDS = ['amount', 'type', 'category', 'description', 'merchant', ...CADENCE_FIELDS, 'isActive'];
+
+function withUpcoming(rule) {
+  const plain = typeof rule.toObject === 'function' ? rule.toObject() : rule;
+  return { ...plain, upcoming: plain.isActive ? upcomingOccurrences(plain) : [] };
+}
+
+const ruleValidators = [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('type').optional().isIn(['income', 'expense']).withMessage('Type must be income or expense'),
+  body('category').optional().isString().trim().notEmpty().withMessage('Category is required'),
+  body('description').optional().isString().trim().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('merchant').optional().isString().trim().isLength({ max: 200 }).withMessage('Merchant name too long'),
+  body('frequency').optional().isIn(['weekly', 'monthly', 'yearly']).withMessage('Frequency must be weekly, monthly or yearly'),
+  body('interval').optional().isInt({ min: 1, max: 52 }).withMessage('Interval must be between 1 and 52'),
+  body('dayOfWeek').optional({ nullable: true }).isInt({ min: 0, max: 6 }).withMessage('dayOfWeek must be 0 (Sunday) to 6'),
+  body('dayOfMonth').optional({ nullable: true }).isInt({ min: 1, max: 31 }).withMessage('dayOfMonth must be 1 to 31'),
+  body('monthOfYear').optional({ nullable: true }).isInt({ min: 1, max: 12 }).withMessage('monthOfYear must be 1 to 12'),
+  body('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  body('endDate').optional({ nullable: true }).isISO8601().withMessage('Invalid end date'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean'),
+];
+
+/**
+ * Check the category exists for the rule's type and that the end date does not precede the start
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+async function checkRule(userId, rule) {
+  const categories = await getUserCategories(userId, rule.type);
+  const categoryName = resolveCategoryName(categories, rule.category, rule.type);
+  if (!categoryName) return `Unknown ${rule.type} category "${rule.category}"`;
+  rule.category = categoryName;
+
+  if (rule.endDate && new Date(rule.endDate) < new Date(rule.startDate)) {
+    return 'End date cannot be before the start date';
+  }
+  return null;
+}
+
+// GET /api/recurring - List the user's recurring rules with their next occurrences
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const rules = await RecurringRule.find({ user: userId }).sort({ isActive: -1, nextRunAt: 1 }).lean();
+
+    res.json({ success: true, data: rules.map(withUpcoming), count: rules.length });
+  } catch (error) {
+    console.error('❌ Error fetching recurring rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/recurring - Create a rule; occurrences already due are created straight away
+router.post('/', [
+  body('amount').exists().withMessage('Amount is required'),
+  body('type').exists().withMessage('Type is required'),
+  body('category').exists().withMessage('Category is required'),
+  body('frequency').exists().withMessage('Frequency is required'),
+  body('startDate').exists().withMessage('Start date is required'),
+  ...ruleValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid recurring rule')) return;
+
+    const userId = req.user._id || req.user.id;
+    const ruleData = { user: userId };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) ruleData[field] = req.body[field];
+    });
+    ruleData.startDate = startOfDayUTC(ruleData.startDate);
+    if (ruleData.endDate) ruleData.endDate = startOfDayUTC(ruleData.endDate);
+
+    const ruleError = await checkRule(userId, ruleData);
+    if (ruleError) {
+      return res.status(400).json({ success: false, error: ruleError });
+    }
+
+    applyCadenceDefaults(ruleData);
+    ruleData.nextRunAt = firstOccurrenceAfter(ruleData);
+
+    const rule = await RecurringRule.create(ruleData);
+    const created = rule.isActive ? await materializeRule(rule) : 0;
+
+    console.log(`✅ Recurring rule created: ${rule.frequency} ${rule.type} ${rule.amount} (${created} backfilled)`);
+    const saved = await RecurringRule.findById(rule._id).lean();
+    res.status(201).json({ success: true, data: withUpcoming(saved), transactionsCreated: created });
+  } catch (error) {
+    console.error('❌ Error creating recurring rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/recurring/run - Create any of the user's occurrences that are due now
+router.post('/run', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const summary = await runDueRules(new Date(), { user: userId });
+
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('❌ Error running recurring rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// PUT /api/recurring/:id - Edit, pause or resume a rule
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid recurring rule id'),
+  ...ruleValidators,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid recurring rule')) return;
+
+    const userId = req.user._id || req.user.id;
+    const rule = await RecurringRule.findOne({ _id: req.params.id, user: userId });
+
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Recurring rule not found' });
+    }
+
+    const wasActive = rule.isActive;
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+    if (req.body.startDate) rule.startDate = startOfDayUTC(rule.startDate);
+    if (req.body.endDate) rule.endDate = startOfDayUTC(rule.endDate);
+
+    // A frequency change must not inherit day fields meant for the old cadence
+    if (req.body.frequency !== undefined) {
+      ['dayOfWeek', 'dayOfMonth', 'monthOfYear'].forEach(field => {
+        if (req.body[field] === undefined) rule[field] = undefined;
+      });
+    }
+
+    const ruleError = await checkRule(userId, rule);
+    if (ruleError) {
+      return res.status(400).json({ success: false, error: ruleError });
+    }
+    applyCadenceDefaults(rule);
+
+    const cadenceChanged = CADENCE_FIELDS.some(field => req.body[field] !== undefined);
+    const resumed = !wasActive && rule.isActive;
+
+    if (cadenceChanged || resumed) {
+      // Continue after the last created occurrence; a resumed rule also skips what was missed while paused
+      let after = rule.lastRunAt;
+      if (resumed) {
+        const yesterday = new Date(startOfDayUTC(new Date()).getTime() - 1);
+        if (!after || after < yesterday) after = yesterday;
+      }
+      rule.nextRunAt = firstOccurrenceAfter(rule, after);
+      if (!rule.nextRunAt) rule.isActive = false;
+    }
+
+    await rule.save();
+    const created = rule.isActive ? await materializeRule(rule) : 0;
+
+    console.log(`✅ Recurring rule updated: ${rule._id}`);
+    const saved = await RecurringRule.findById(rule._id).lean();
+    res.json({ success: true, data: withUpcoming(saved), transactionsCreated: created });
+  } catch (error) {
+    console.error('❌ Error updating recurring rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// DELETE /api/recurring/:id - Stop a rule; transactions it already created are kept
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid recurring rule id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid recurring rule')) return;
+
+    const userId = req.user._id || req.user.id;
+    const rule = await RecurringRule.findOneAndDelete({ _id: req.params.id, user: userId });
+
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Recurring rule not found' });
+    }
+
+    console.log('🗑️ Recurring rule deleted:', rule._id);
+    res.json({ success: true, message: 'Recurring rule deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting recurring rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,221 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
 const Transaction = require('../models/Transaction');
+const Receipt = require('../models/Receipt');
+const { query, validationResult, param } = require('express-validator');
+const { applyMerchant, resolveMerchant } = require('../services/merchantService');
+const { getUserCategories, resolveCategoryName } = require('../services/categoryService');
+const { checkBudgetAlertsInBackground } = require('../services/budgetService');
+const {
+  UNWIND_ALLOCATIONS,
+  allocatedToCategories,
+  primaryCategory,
+  rescaleAllocations,
+  validateAllocations,
+} = require('../services/allocationService');
+const { flagPossibleDuplicates, clearDuplicateFlags, mergeDuplicate } = require('../services/duplicateService');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+const MAX_BULK_SIZE = 1000;
+
+// Allowed ?sort= values mapped to the document field they sort on
+const SORT_FIELDS = {
+  date: 'date',
+  amount: 'amount',
+  category: 'category',
+  type: 'type',
+  description: 'description',
+  createdAt: 'createdAt',
+};
+
+// Supported ?groupBy= values for /stats: the $group key and the order of the buckets
+const STATS_GROUPINGS = {
+  day: {
+    key: (timezone) => ({ $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } }),
+    sort: { _id: 1 },
+  },
+  week: {
+    key: (timezone) => ({ $dateToString: { format: '%G-W%V', date: '$date', timezone } }),
+    sort: { _id: 1 },
+  },
+  month: {
+    key: (timezone) => ({ $dateToString: { format: '%Y-%m', date: '$date', timezone } }),
+    sort: { _id: 1 },
+  },
+  category: {
+    key: () => '$category',
+    sort: { expense: -1, income: -1 },
+    // Split transactions count each allocation under its own category
+    perAllocation: true,
+  },
+  type: {
+    key: () => '$type',
+    sort: { _id: 1 },
+  },
+};
+
+// With a category filter, only the parts of split transactions in that category count toward totals
+const onlyCategoryParts = (category) => (category ? [...UNWIND_ALLOCATIONS, { $match: { category } }] : []);
+
+const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a Mongo filter from the transaction list query params
+ * @param {ObjectId} userId - Owner of the transactions
+ * @param {Object} params - Parsed query string
+ * @returns {Object} - Filter usable with find() and $match
+ */
+function buildTransactionFilter(userId, params) {
+  const filter = { user: userId };
+
+  if (params.type) {
+    filter.type = params.type;
+  }
+
+  // A split transaction is listed under every category it has a part in
+  if (params.category) {
+    filter.$and = [allocatedToCategories([params.category])];
+  }
+
+  if (params.startDate || params.endDate) {
+    filter.date = {};
+    if (params.startDate) filter.date.$gte = new Date(params.startDate);
+    if (params.endDate) filter.date.$lte = new Date(params.endDate);
+  }
+
+  if (params.needsReview !== undefined) {
+    filter.needsManualReview = params.needsReview === 'true';
+  }
+
+  if (params.possibleDuplicates !== undefined) {
+    filter.possibleDuplicateOf = params.possibleDuplicates === 'true' ? { $ne: null } : null;
+  }
+
+  if (params.search) {
+    const searchRegex = new RegExp(escapeRegex(params.search), 'i');
+    filter.$or = [
+      { description: searchRegex },
+      { category: searchRegex },
+      { merchant: searchRegex },
+    ];
+  }
+
+  return filter;
+}
+
+/**
+ * Validate a create-transaction payload and normalize it for saving.
+ * Shared by the single and bulk create routes so both apply the same rules.
+ * @param {Object} input - Raw request payload
+ * @param {ObjectId} userId - Owner of the new transaction
+ * @param {Array} categories - The user's categories; the category must be one of them
+ * @returns {{errors: string[], data: Object|null}} - Validation messages, or the parsed document data
+ */
+function validateTransactionInput(input, userId, categories) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Transaction must be an object'], data: null };
+  }
+
+  const {
+    amount,
+    category,
+    description,
+    date,
+    type,
+    merchant, // optional field
+    allocations // optional split across categories
+  } = input;
+  const isSplit = Array.isArray(allocations) && allocations.length > 0;
+
+  const parsedAmount = parseFloat(amount);
+  if (!amount || isNaN(parsedAmount) || parsedAmount <= 0) {
+    errors.push('Amount is required and must be greater than 0');
+  }
+
+  // A split is filed under its largest part, so it needs no category of its own
+  if (!isSplit && (typeof category !== 'string' || category.trim() === '')) {
+    errors.push('Category is required');
+  }
+
+  if (!date) {
+    errors.push('Date is required');
+  } else if (isNaN(new Date(date).getTime())) {
+    errors.push('Date is invalid');
+  }
+
+  if (!type || !['income', 'expense'].includes(type)) {
+    errors.push('Type must be either "income" or "expense"');
+  }
+
+  if (errors.length > 0) {
+    return { errors, data: null };
+  }
+
+  let split = [];
+  if (allocations !== undefined) {
+    const checked = validateAllocations(allocations, parsedAmount, type, categories);
+    if (checked.errors.length > 0) {
+      return { errors: checked.errors, data: null };
+    }
+    split = checked.allocations;
+  }
+
+  const categoryName = split.length > 0 ? primaryCategory(split) : resolveCategoryName(categories, category, type);
+  if (!categoryName) {
+    return { errors: [`Unknown ${type} category "${category.trim()}"`], data: null };
+  }
+
+  return {
+    errors,
+    data: {
+      amount: parsedAmount,
+      category: categoryName,
+      description: typeof description === 'string' ? description.trim() : '',
+      date: new Date(date),
+      type: type.toLowerCase(),
+      user: userId,
+      ...(split.length > 0 && { allocations: split }),
+      ...(typeof merchant === 'string' && merchant.trim() && { merchant: merchant.trim() })
+    }
+  };
+}
+
+/**
+ * Add the merchants of saved bulk rows to the directory, one row at a time so repeated names
+ * create one merchant, and update the rows whose merchant or category changed
+ * @param {ObjectId} userId - Owner of the transactions
+ * @param {Array} saved - Inserted transactions; updated in place
+ * @param {Map} rawMerchants - Merchant name as submitted, by transaction id
+ */
+async function linkSavedMerchants(userId, saved, rawMerchants) {
+  for (const doc of saved) {
+    const rawMerchant = rawMerchants.get(String(doc._id));
+    if (!rawMerchant) continue;
+
+    const { merchant, merchantRef, category } = await applyMerchant(userId, { merchant: rawMerchant, category: doc.category });
+    if (merchant === doc.merchant && String(merchantRef) === String(doc.merchantRef) && category === doc.category) continue;
+
+    await Transaction.updateOne(
+      { _id: doc._id },
+      merchant ? { $set: { merchant, merchantRef, category } } : { $unset: { merchant: '' } }
+    );
+    Object.assign(doc, { merchant, merchantRef, category });
+  }
+}
 
 // Apply authentication middleware to all routes
 router.use(auth);
@@ -13,71 +227,144 @@ router.post('/', async (req, res) => {
     console.log('📝 Creating transaction for user:', userId);
     console.log('📦 Request body:', req.body);
 
-    // Extract and validate data from request body
-    const { 
-      amount, 
-      category, 
-      description, 
-      date, 
-      type,
-      merchant // optional field
-    } = req.body;
-
-    // Validate required fields
-    if (!amount || amount <= 0) {
+    const categories = await getUserCategories(userId);
+    const { errors, data: transactionData } = validateTransactionInput(req.body, userId, categories);
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Amount is required and must be greater than 0'
+        error: errors[0]
       });
     }
 
-    if (!category || category.trim() === '') {
+    const schemaError = new Transaction(transactionData).validateSync();
+    if (schemaError) {
       return res.status(400).json({
         success: false,
-        error: 'Category is required'
+        error: Object.values(schemaError.errors)[0].message
       });
     }
 
-    if (!date) {
+    await applyMerchant(userId, transactionData);
+    await flagPossibleDuplicates(userId, [transactionData]);
+
+    console.log('💾 Creating transaction with data:', transactionData);
+
+    const transaction = new Transaction(transactionData);
+    await transaction.save();
+
+    console.log('✅ Transaction created successfully:', transaction);
+    checkBudgetAlertsInBackground(userId, [transaction]);
+
+    res.status(201).json({
+      success: true,
+      data: transaction,
+      message: transaction.possibleDuplicateOf
+        ? 'Transaction created. It looks like a payment already recorded, so it is flagged for review'
+        : 'Transaction created successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating transaction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message
+    });
+  }
+});
+
+// POST /api/transactions/bulk - Create many transactions, reporting the outcome of each row
+router.post('/bulk', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { transactions } = req.body;
+
+    if (!Array.isArray(transactions) || transactions.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Date is required'
+        error: 'Transactions array is required and must not be empty'
       });
     }
 
-    if (!type || !['income', 'expense'].includes(type)) {
+    if (transactions.length > MAX_BULK_SIZE) {
       return res.status(400).json({
         success: false,
-        error: 'Type must be either "income" or "expense"'
+        error: `A bulk request can contain at most ${MAX_BULK_SIZE} transactions`
       });
     }
 
-    // Create transaction with properly parsed data
-    const transactionData = {
-      amount: parseFloat(amount),
-      category: category.trim(),
-      description: description ? description.trim() : '',
-      date: new Date(date),
-      type: type.toLowerCase(),
-      user: userId,
-      ...(merchant && { merchant: merchant.trim() })
-    };
+    console.log(`📦 Bulk creating ${transactions.length} transactions for user:`, userId);
 
-    console.log('💾 Creating transaction with data:', transactionData);
+    // Validate every row up front so one bad row never blocks the rest
+    const results = [];
+    const validDocs = [];
+    const categories = await getUserCategories(userId);
 
-    const transaction = new Transaction(transactionData);
-    await transaction.save();
+    for (const [index, row] of transactions.entries()) {
+      const { errors, data } = validateTransactionInput(row, userId, categories);
+      if (errors.length > 0) {
+        results[index] = { index, status: 'failed', errors };
+        continue;
+      }
 
-    console.log('✅ Transaction created successfully:', transaction);
+      const schemaError = new Transaction(data).validateSync();
+      if (schemaError) {
+        results[index] = {
+          index,
+          status: 'failed',
+          errors: Object.values(schemaError.errors).map(e => e.message)
+        };
+        continue;
+      }
 
-    res.status(201).json({
-      success: true,
-      data: transaction,
-      message: 'Transaction created successfully'
+      // Only known merchants are linked before saving; the directory is written for saved rows only
+      const rawMerchant = data.merchant;
+      await applyMerchant(userId, data, { readOnly: true });
+      validDocs.push({ index, doc: new Transaction(data), rawMerchant });
+    }
+
+    let created = [];
+    const insertErrors = new Map();
+    if (validDocs.length > 0) {
+      const docs = validDocs.map(v => v.doc);
+      await flagPossibleDuplicates(userId, docs);
+      try {
+        created = await Transaction.insertMany(docs, { ordered: false });
+      } catch (insertError) {
+        // Unordered inserts write every row they can; the ones the database refused are reported by position
+        if (!insertError.writeErrors) throw insertError;
+        created = insertError.insertedDocs || [];
+        insertError.writeErrors.forEach(writeError => {
+          insertErrors.set(writeError.index, writeError.errmsg || writeError.err?.errmsg || 'Could not be saved');
+        });
+      }
+    }
+
+    const createdIds = new Set(created.map(doc => String(doc._id)));
+    await linkSavedMerchants(userId, created, new Map(validDocs.map(({ doc, rawMerchant }) => [String(doc._id), rawMerchant])));
+    validDocs.forEach(({ index, doc }, i) => {
+      results[index] = createdIds.has(String(doc._id))
+        ? { index, status: 'created', id: doc._id }
+        : { index, status: 'failed', errors: [insertErrors.get(i) || 'Could not be saved'] };
     });
 
+    const failedCount = transactions.length - created.length;
+    checkBudgetAlertsInBackground(userId, created);
+    console.log(`✅ Bulk create finished: ${created.length} created, ${failedCount} failed`);
+
+    // A well-formed request always gets its per-row results back, even when every row failed
+    res.status(failedCount > 0 ? 207 : 201).json({
+      success: true,
+      data: created,
+      results,
+      summary: {
+        total: transactions.length,
+        created: created.length,
+        failed: failedCount
+      },
+      message: `Created ${created.length} of ${transactions.length} transaction(s)`
+    });
   } catch (error) {
-    console.error('❌ Error creating transaction:', error);
+    console.error('❌ Error bulk creating transactions:', error);
     res.status(500).json({
       success: false,
       error: 'Server error: ' + error.message
@@ -85,20 +372,92 @@ router.post('/', async (req, res) => {
   }
 });
 
-// GET /api/transactions - Get all transactions for the user
-router.get('/', async (req, res) => {
+// GET /api/transactions - Get the user's transactions with filtering, sorting and pagination
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  query('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid end date format'),
+  query('type').optional({ values: 'falsy' }).isIn(['income', 'expense']).withMessage('Type must be either "income" or "expense"'),
+  query('category').optional().isString().trim(),
+  query('search').optional().isString().trim(),
+  query('needsReview').optional().isBoolean().withMessage('needsReview must be boolean'),
+  query('possibleDuplicates').optional().isBoolean().withMessage('possibleDuplicates must be boolean'),
+  query('sort').optional().isIn(Object.keys(SORT_FIELDS)).withMessage(`Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be either "asc" or "desc"'),
+], async (req, res) => {
   try {
-    console.log('📋 Fetching transactions for user:', req.user._id || req.user.id);
-    
-    const transactions = await Transaction.find({
-      user: req.user._id || req.user.id,
-    }).sort({ date: -1 });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: errors.array().map(e => e.msg),
+      });
+    }
+
+    const userId = req.user._id || req.user.id;
+    const {
+      page = 1,
+      limit = DEFAULT_PAGE_SIZE,
+      sort = 'date',
+      order = 'desc',
+    } = req.query;
+
+    console.log('📋 Fetching transactions for user:', userId, req.query);
+
+    const filter = buildTransactionFilter(userId, req.query);
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const skip = (pageNumber - 1) * pageSize;
+
+    // Secondary sort on _id keeps page boundaries stable when the primary key ties
+    const direction = order === 'asc' ? 1 : -1;
+    const sortSpec = { [SORT_FIELDS[sort]]: direction, _id: direction };
+
+    const [transactions, total, totals] = await Promise.all([
+      Transaction.find(filter).sort(sortSpec).skip(skip).limit(pageSize).lean(),
+      Transaction.countDocuments(filter),
+      Transaction.aggregate([
+        { $match: filter },
+        ...onlyCategoryParts(req.query.category),
+        { $group: { _id: '$type', total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      ]),
+    ]);
 
-    console.log(`✅ Found ${transactions.length} transactions`);
+    const income = totals.find(t => t._id === 'income') || { total: 0, count: 0 };
+    const expense = totals.find(t => t._id === 'expense') || { total: 0, count: 0 };
+
+    console.log(`✅ Found ${transactions.length} of ${total} transactions (page ${pageNumber})`);
 
     res.json({
       success: true,
       data: transactions,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        hasNext: skip + transactions.length < total,
+        hasPrev: pageNumber > 1,
+      },
+      summary: {
+        totalIncome: income.total,
+        totalExpenses: expense.total,
+        netBalance: income.total - expense.total,
+        incomeCount: income.count,
+        expenseCount: expense.count,
+        transactionCount: total,
+      },
+      filters: {
+        search: req.query.search || '',
+        type: req.query.type || '',
+        category: req.query.category || '',
+        startDate: req.query.startDate || null,
+        endDate: req.query.endDate || null,
+        sort,
+        order,
+      },
     });
   } catch (error) {
     console.error('❌ Error fetching transactions:', error);
@@ -109,9 +468,221 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/transactions/stats - Income, expense and net totals grouped for a date range
+router.get('/stats', [
+  query('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid end date format'),
+  query('groupBy').optional().isIn(Object.keys(STATS_GROUPINGS)).withMessage(`groupBy must be one of: ${Object.keys(STATS_GROUPINGS).join(', ')}`),
+  query('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
+  query('type').optional({ values: 'falsy' }).isIn(['income', 'expense']).withMessage('Type must be either "income" or "expense"'),
+  query('category').optional().isString().trim(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: errors.array().map(e => e.msg),
+      });
+    }
+
+    const userId = req.user._id || req.user.id;
+    const { groupBy = 'month', timezone = 'UTC' } = req.query;
+
+    console.log('📊 Aggregating transaction stats for user:', userId, req.query);
+
+    const filter = buildTransactionFilter(userId, req.query);
+    const grouping = STATS_GROUPINGS[groupBy];
+
+    const incomeAmount = { $cond: [{ $eq: ['$type', 'income'] }, '$amount', 0] };
+    const expenseAmount = { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] };
+    const incomeCount = { $cond: [{ $eq: ['$type', 'income'] }, 1, 0] };
+    const expenseCount = { $cond: [{ $eq: ['$type', 'expense'] }, 1, 0] };
+
+    const [result] = await Transaction.aggregate([
+      { $match: filter },
+      ...onlyCategoryParts(req.query.category),
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                income: { $sum: incomeAmount },
+                expense: { $sum: expenseAmount },
+                count: { $sum: 1 },
+                incomeCount: { $sum: incomeCount },
+                expenseCount: { $sum: expenseCount },
+                highestIncome: { $max: incomeAmount },
+                highestExpense: { $max: expenseAmount },
+                categories: { $addToSet: '$category' },
+              }
+            }
+          ],
+          groups: [
+            ...(grouping.perAllocation && !req.query.category ? UNWIND_ALLOCATIONS : []),
+            {
+              $group: {
+                _id: grouping.key(timezone),
+                income: { $sum: incomeAmount },
+                expense: { $sum: expenseAmount },
+                count: { $sum: 1 },
+                incomeCount: { $sum: incomeCount },
+                expenseCount: { $sum: expenseCount },
+              }
+            },
+            { $sort: grouping.sort },
+          ],
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || {
+      income: 0,
+      expense: 0,
+      count: 0,
+      incomeCount: 0,
+      expenseCount: 0,
+      highestIncome: 0,
+      highestExpense: 0,
+      categories: [],
+    };
+
+    res.json({
+      success: true,
+      data: {
+        groupBy,
+        timezone,
+        range: {
+          startDate: req.query.startDate || null,
+          endDate: req.query.endDate || null,
+        },
+        totals: {
+          income: totals.income,
+          expense: totals.expense,
+          net: totals.income - totals.expense,
+          count: totals.count,
+          incomeCount: totals.incomeCount,
+          expenseCount: totals.expenseCount,
+          highestIncome: totals.highestIncome,
+          highestExpense: totals.highestExpense,
+          averageExpense: totals.expenseCount > 0 ? totals.expense / totals.expenseCount : 0,
+          categoriesCount: totals.categories.length,
+        },
+        groups: result.groups.map(group => ({
+          key: group._id,
+          income: group.income,
+          expense: group.expense,
+          net: group.income - group.expense,
+          count: group.count,
+          incomeCount: group.incomeCount,
+          expenseCount: group.expenseCount,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error aggregating transaction stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// GET /api/transactions/duplicates - Transactions flagged as possible duplicates, each with the one it may repeat
+router.get('/duplicates', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const transactions = await Transaction.find({ user: userId, possibleDuplicateOf: { $ne: null } })
+      .populate('possibleDuplicateOf', 'date amount type category allocations description merchant fileUrl receipt createdAt')
+      .sort({ date: -1 })
+      .limit(MAX_PAGE_SIZE)
+      .lean();
+
+    res.json({ success: true, data: transactions, count: transactions.length });
+  } catch (error) {
+    console.error('❌ Error fetching possible duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/transactions/:id/merge - Fold a flagged transaction into the one it repeats
+router.post('/:id/merge', [
+  param('id').isMongoId().withMessage('Invalid transaction id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const kept = await mergeDuplicate(userId, req.params.id);
+
+    if (!kept) {
+      return res.status(404).json({
+        success: false,
+        error: 'Possible duplicate not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: kept,
+      message: 'Transactions merged',
+    });
+  } catch (error) {
+    console.error('❌ Error merging duplicate transaction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// POST /api/transactions/:id/keep-both - The flagged transaction is a separate payment after all
+router.post('/:id/keep-both', [
+  param('id').isMongoId().withMessage('Invalid transaction id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: req.params.id, user: userId, possibleDuplicateOf: { $ne: null } },
+      { $set: { possibleDuplicateOf: null } },
+      { new: true }
+    );
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Possible duplicate not found',
+      });
+    }
+
+    console.log('✅ Kept both transactions:', transaction._id);
+    res.json({
+      success: true,
+      data: transaction,
+    });
+  } catch (error) {
+    console.error('❌ Error keeping duplicate transaction:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
 // PUT /api/transactions/:id - Update a transaction
-router.put('/:id', async (req, res) => {
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid transaction id'),
+], async (req, res) => {
   try {
+    if (sendValidationErrors(req, res)) return;
+
     const { id } = req.params;
     const updateData = { ...req.body };
 
@@ -125,6 +696,63 @@ router.put('/:id', async (req, res) => {
       updateData.date = new Date(updateData.date);
     }
 
+    const existing = ['category', 'type', 'amount', 'allocations'].some(field => updateData[field] !== undefined)
+      ? await Transaction.findOne({ _id: id, user: req.user._id || req.user.id })
+        .select('type category amount allocations')
+        .lean()
+      : null;
+    const kind = updateData.type || existing?.type;
+
+    // A split must add up to the amount the transaction will have, and its largest part becomes the
+    // category. Without a new split, the old one follows a changed amount and is dropped on a change
+    // of type, since its categories belong to the other type
+    if (updateData.allocations !== undefined) {
+      const categories = await getUserCategories(req.user._id || req.user.id, kind);
+      const { errors, allocations } = validateAllocations(updateData.allocations, updateData.amount ?? existing?.amount, kind, categories);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: errors[0],
+        });
+      }
+      updateData.allocations = allocations;
+      if (allocations.length > 0) updateData.category = primaryCategory(allocations);
+    } else if (existing?.allocations?.length > 0) {
+      if (updateData.type !== undefined && updateData.type !== existing.type) {
+        updateData.allocations = [];
+      } else if (updateData.amount !== undefined) {
+        updateData.allocations = rescaleAllocations(existing.allocations, updateData.amount);
+      }
+    }
+
+    // The category must exist for the transaction's (possibly new) type.
+    // An unchanged legacy category is left alone so older transactions stay editable.
+    if (updateData.category !== undefined) {
+      const unchanged = existing && existing.category === updateData.category && existing.type === kind;
+
+      const categories = await getUserCategories(req.user._id || req.user.id, kind);
+      const categoryName = resolveCategoryName(categories, updateData.category, kind);
+      if (kind && !categoryName && !unchanged) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown ${kind} category "${updateData.category}"`,
+        });
+      }
+      if (categoryName) updateData.category = categoryName;
+    }
+
+    // Re-link the merchant directory entry when the merchant changes
+    if (updateData.merchant !== undefined) {
+      const merchant = await resolveMerchant(req.user._id || req.user.id, updateData.merchant || '');
+      if (merchant) {
+        updateData.merchant = merchant.name;
+        updateData.merchantRef = merchant._id;
+      } else {
+        delete updateData.merchant;
+        updateData.$unset = { merchant: 1, merchantRef: 1 };
+      }
+    }
+
     console.log('✏️ Updating transaction:', id, updateData);
 
     const transaction = await Transaction.findOneAndUpdate(
@@ -140,6 +768,8 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    checkBudgetAlertsInBackground(req.user._id || req.user.id, [transaction]);
+
     res.json({
       success: true,
       data: transaction,
@@ -154,8 +784,12 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/transactions/:id - Delete a transaction
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid transaction id'),
+], async (req, res) => {
   try {
+    if (sendValidationErrors(req, res)) return;
+
     const { id } = req.params;
 
     console.log('🗑️ Deleting transaction:', id);
@@ -172,6 +806,11 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    await Promise.all([
+      transaction.receipt && Receipt.deleteOne({ _id: transaction.receipt, user: transaction.user }),
+      clearDuplicateFlags(transaction.user, [transaction._id]),
+    ]);
+
     res.json({
       success: true,
       message: 'Transaction deleted successfully',
@@ -5,6 +5,7 @@ const ocrService = require('../services/ocrService');
 const aiParsingService = require('../services/aiParsingService');
 const cloudinaryService = require('../services/cloudinaryService');
 const Expense = require('../models/Expense');
+const { getUserCategories } = require('../services/categoryService');
 
 const router = express.Router();
 
@@ -62,8 +63,9 @@ router.post('/', auth, upload.single('file'), async (req, res) => {
 
     // Step 2: Extract text using OCR
     console.log('🔍 Extracting text using OCR...');
-    const ocrResult = await ocrService.extractText(fileBuffer, mimeType, (message, progress) => {
-      console.log(`📊 OCR Progress: ${message} (${Math.round(progress)}%)`);
+    const ocrResult = await ocrService.extractText(fileBuffer, mimeType, {
+      ...(await ocrService.getOcrSettings(userId)),
+      onProgress: fraction => console.log(`📊 OCR Progress: ${Math.round(fraction * 100)}%`),
     });
 
     if (!ocrResult.text || ocrResult.text.trim().length < 10) {
@@ -110,7 +112,8 @@ router.post('/', auth, upload.single('file'), async (req, res) => {
 
     // Step 3: Parse expenses using AI
     console.log('🤖 Parsing expenses with AI...');
-    const parsedExpenses = await aiParsingService.parseExpenses(ocrResult.text);
+    const expenseCategories = await getUserCategories(userId, 'expense');
+    const parsedExpenses = await aiParsingService.parseExpenses(ocrResult.text, expenseCategories.map(c => c.name));
     
     if (parsedExpenses.length === 0) {
       // Create a single expense entry for manual processing
@@ -233,20 +236,4 @@ router.post('/', auth, upload.single('file'), async (req, res) => {
   }
 });
 
-/**
- * GET /api/upload/progress/:id
- * Get processing progress (placeholder for WebSocket implementation)
- */
-router.get('/progress/:id', auth, (req, res) => {
-  // This would be implemented with WebSockets for real-time progress
-  res.json({
-    success: true,
-    progress: {
-      stage: 'completed',
-      percentage: 100,
-      message: 'Processing completed'
-    }
-  });
-});
-
 module.exports = router;
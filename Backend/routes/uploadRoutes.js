@@ -1,55 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const Tesseract = require('tesseract.js');
-const pdfParse = require('pdf-parse');
-const Transaction = require('../models/Transaction');
-const axios = require('axios');
+const { diskUpload } = require('../middleware/fileUpload');
+const { sendValidationErrors } = require('../middleware/validation');
 const fs = require('fs').promises;
-const path = require('path');
+const { body, param } = require('express-validator');
+const UploadJob = require('../models/UploadJob');
+const User = require('../models/User');
+const { cleanupFile } = require('../services/uploadProcessingService');
+const { enqueueUploadJob, getQueuePosition } = require('../services/uploadJobQueue');
+const { hashFile, findPreviousUpload, recordUpload } = require('../services/uploadHistoryService');
+const { localeDateOrder } = require('../services/dateParsingService');
+const { checkPdfPassword } = require('../services/pdfRenderer');
+const { PREPROCESSING_STEPS } = require('../services/imagePreprocessing');
+const { getOcrSettings } = require('../services/ocrService');
+const { listInstalledLanguages, hasScriptDetection, describeLanguage } = require('../services/ocrLanguages');
 
 // Apply authentication middleware
 router.use(auth);
 
-// ✅ Cloudinary configuration (optional) - UNCHANGED
-let isCloudinaryConfigured = false;
-if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET) {
-  try {
-    cloudinary.config({
-      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-      api_key: process.env.CLOUDINARY_API_KEY,
-      api_secret: process.env.CLOUDINARY_API_SECRET,
-      secure: true,
-    });
-    isCloudinaryConfigured = true;
-    console.log('✅ Cloudinary configured');
-  } catch (error) {
-    console.warn('⚠️ Cloudinary configuration failed:', error.message);
-  }
-} else {
-  console.warn('⚠️ Cloudinary environment variables not set');
-}
-
-// ✅ Enhanced multer configuration - UNCHANGED
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    const timestamp = Date.now();
-    const sanitizedFilename = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-    cb(null, `${file.fieldname}_${timestamp}_${sanitizedFilename}`);
-  },
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB
-    files: 1,
-  },
+const upload = diskUpload({
+  maxFileSize: 50 * 1024 * 1024, // 50MB
   fileFilter: (req, file, cb) => {
     const allowedMimes = [
       'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'
@@ -63,627 +34,369 @@ const upload = multer({
   }
 });
 
-// All existing functions remain UNCHANGED
-const uploadToCloudinaryOptional = async (filePath, options = {}) => {
-  if (!isCloudinaryConfigured) {
-    console.warn('⚠️ Cloudinary not configured, skipping upload');
-    return { secure_url: null, public_id: null, skipped: true };
-  }
-
-  try {
-    console.log('☁️ Attempting Cloudinary upload...');
-    
-    const result = await Promise.race([
-      cloudinary.uploader.upload(filePath, {
-        resource_type: 'auto',
-        folder: 'expense-tracker',
-        unique_filename: true,
-        overwrite: true,
-        ...options
-      }),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Cloudinary timeout after 30 seconds')), 30000)
-      )
-    ]);
-
-    console.log(`✅ Cloudinary upload successful: ${result.secure_url}`);
-    return result;
-  } catch (error) {
-    console.error('❌ Cloudinary upload failed:', error.message);
-    console.log('⚠️ Continuing without cloud storage...');
-    return { secure_url: null, public_id: null, error: error.message };
-  }
-};
-
-const cleanupFile = async (filePath) => {
-  try {
-    if (filePath) {
-      await fs.unlink(filePath);
-      console.log(`🧹 Cleaned up: ${filePath}`);
-    }
-  } catch (error) {
-    console.warn(`⚠️ Cleanup warning: ${error.message}`);
-  }
-};
-
-async function extractTextFromImage(filePath) {
-  console.log('🔍 Starting OCR extraction...');
-  
-  try {
-    const { data: { text, confidence } } = await Tesseract.recognize(filePath, 'eng', {
-      logger: m => {
-        if (m.status === 'recognizing text' && Math.floor(m.progress * 100) % 25 === 0) {
-          console.log(`📊 OCR Progress: ${Math.floor(m.progress * 100)}%`);
-        }
-      },
-      tessedit_pageseg_mode: Tesseract.PSM.AUTO,
-      tessedit_ocr_engine_mode: Tesseract.OEM.LSTM_ONLY,
-    });
-    
-    console.log(`✅ OCR completed. Confidence: ${confidence.toFixed(2)}%, Text length: ${text.length}`);
-    console.log(`📝 Extracted text:\n${text}`);
-    
-    return text.trim();
-  } catch (error) {
-    console.error('❌ OCR failed:', error.message);
-    throw new Error(`OCR processing failed: ${error.message}`);
-  }
+// A single token with digits in it ("ABCDE1234F", "01011990", "amit0101") is a password, not a hint
+function looksLikePassword(hint) {
+  return !/\s/.test(hint) && /\d/.test(hint);
 }
 
-async function extractTextFromPdf(filePath) {
-  console.log('📄 Extracting text from PDF...');
-  
-  try {
-    const buffer = await fs.readFile(filePath);
-    const pdfData = await pdfParse(buffer, {
-      max: 0,
-      version: 'v1.10.100'
-    });
-    
-    const text = pdfData.text.trim();
-    console.log(`✅ PDF extraction successful: ${text.length} characters from ${pdfData.numpages} pages`);
-    console.log(`📝 Extracted text:\n${text}`);
-    
-    return text;
-  } catch (error) {
-    console.error('❌ PDF extraction failed:', error.message);
-    throw new Error(`PDF text extraction failed: ${error.message}`);
-  }
+async function getPasswordHints(userId) {
+  const user = await User.findById(userId).select('preferences.statementPasswordHints').lean();
+  return (user?.preferences?.statementPasswordHints || []).map(({ _id, bank, hint }) => ({ id: _id, bank, hint }));
 }
 
-// ✅ NEW: Date validation helper function (ADDED ONLY THIS)
-function validateParsedDate(dateString, originalText = '') {
-  const today = new Date();
-  today.setHours(23, 59, 59, 999); // End of today
-  
-  let parsedDate;
-  let needsReview = false;
-  let reviewNote = '';
-
-  try {
-    parsedDate = new Date(dateString);
-    
-    // Check if date is invalid
-    if (isNaN(parsedDate.getTime())) {
-      console.warn(`⚠️ Invalid date detected: ${dateString}`);
-      parsedDate = new Date(); // Use today
-      needsReview = true;
-      reviewNote = 'Date could not be parsed correctly from document. Please verify and correct manually.';
-    }
-    // Check if date is in the future
-    else if (parsedDate > today) {
-      console.warn(`⚠️ Future date detected: ${dateString}`);
-      needsReview = true;
-      reviewNote = `Future date detected (${dateString}). Please check if this is correct or needs manual correction.`;
-    }
-    // Check if date seems too old (more than 1 year ago)
-    else {
-      const oneYearAgo = new Date();
-      oneYearAgo.setFullYear(today.getFullYear() - 1);
-      
-      if (parsedDate < oneYearAgo) {
-        console.warn(`⚠️ Very old date detected: ${dateString}`);
-        needsReview = true;
-        reviewNote = `Very old date detected (${dateString}). Please verify this date is accurate.`;
-      }
-    }
-  } catch (error) {
-    console.warn(`⚠️ Date parsing error for ${dateString}:`, error.message);
-    parsedDate = new Date();
-    needsReview = true;
-    reviewNote = 'Date parsing failed. Please verify and correct the date manually.';
-  }
+/**
+ * Read the optional preprocess form field: a comma-separated list of steps, or 'none'
+ * @returns {Object} - { steps } normalised for the job (null when not given), or { unknown } names
+ */
+function readPreprocessSteps(value) {
+  if (typeof value !== 'string' || value.trim() === '') return { steps: null };
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 1 && names[0] === 'none') return { steps: 'none' };
+
+  const unknown = names.filter(name => !PREPROCESSING_STEPS.includes(name));
+  if (unknown.length > 0) return { unknown };
+  return { steps: PREPROCESSING_STEPS.filter(step => names.includes(step)).join(',') };
+}
 
+async function describeOcrSettings(userId) {
+  const settings = await getOcrSettings(userId);
   return {
-    date: parsedDate,
-    needsReview,
-    reviewNote,
-    originalDate: dateString
+    ...settings,
+    installedLanguages: listInstalledLanguages().map(describeLanguage),
+    scriptDetectionAvailable: hasScriptDetection(),
   };
 }
 
-// ✅ Enhanced Gemini API - ONLY ADDED DATE VALIDATION AT THE END
-async function enhancedGeminiParsing(extractedText, filename = '') {
-  if (!process.env.GEMINI_API_KEY) {
-    console.warn('⚠️ GEMINI_API_KEY not configured, using fallback parsing');
-    return null;
-  }
+const PASSWORD_ERRORS = {
+  'password-required': { code: 'PDF_PASSWORD_REQUIRED', error: 'This PDF is password-protected. Enter its password to upload it.' },
+  'password-incorrect': { code: 'PDF_PASSWORD_INCORRECT', error: 'That password did not open the PDF. Please try again.' },
+};
 
-  try {
-    console.log('🤖 Calling Enhanced Gemini AI...');
-    
-    // UNCHANGED PROMPT - KEEPS YOUR EXISTING LOGIC
-    const prompt = `Parse this financial data and extract ALL transactions. Return ONLY a JSON array.
-
-CRITICAL: Convert all dates to 2025 format. If you see dates like "30.07.2007" or similar, convert them to 2025 dates (2025-07-30).
-
-DATA:
-${extractedText}
-
-For each transaction found, extract:
-- date: Convert to 2025 format (YYYY-MM-DD) - Example: 30.07.2007 becomes 2025-07-30
-- amount: number only (no currency symbols like CHF, GF, etc.)
-- type: "income" or "expense" 
-- description: meaningful description from the text
-- category: choose from Food & Dining, Healthcare, Salary, Transportation, Shopping, Entertainment, Bills & Utilities, Housing, Education, Cash Withdrawal, Investment, Refund, Other Income, Other
-
-EXAMPLE OUTPUT:
-[
-  {"date": "2025-07-30", "amount": 54.50, "type": "expense", "description": "Restaurant Bill at Berghote", "category": "Food & Dining"}
-]
-
-Return ONLY the JSON array:`;
-
-    const response = await axios.post(
-      'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent',
-      {
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { 
-          temperature: 0.1,
-          maxOutputTokens: 4000,
-        }
-      },
-      {
-        headers: {
-          'x-goog-api-key': process.env.GEMINI_API_KEY,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      }
-    );
+/**
+ * Shape a job for the client; finished jobs include their processing result
+ */
+async function describeJob(job) {
+  const view = {
+    id: job._id,
+    kind: job.kind,
+    fileName: job.file.originalName,
+    status: job.status,
+    stage: job.stage,
+    stageDetail: job.stageDetail,
+    progress: job.progress,
+    stages: job.stages,
+    error: job.error,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
 
-    const candidate = response.data.candidates?.[0];
-    if (!candidate?.content?.parts?.[0]?.text) {
-      throw new Error('Invalid Gemini response');
-    }
+  if (job.status === 'queued') {
+    view.queuePosition = await getQueuePosition(job);
+  }
 
-    const geminiText = candidate.content.parts[0].text.trim();
-    console.log('🔄 Parsing JSON...');
-    console.log('🤖 Gemini response:', geminiText);
-
-    const jsonMatch = geminiText.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-      let transactions = JSON.parse(jsonMatch[0]);
-      
-      // ✅ NEW: ONLY ADDITION - Validate dates after parsing
-      transactions = transactions.map((transaction, index) => {
-        const originalDate = transaction.date;
-        const dateValidation = validateParsedDate(originalDate);
-        
-        if (dateValidation.needsReview) {
-          console.warn(`⚠️ Transaction ${index + 1} flagged for review: ${dateValidation.reviewNote}`);
-        }
-        
-        return {
-          ...transaction,
-          date: dateValidation.date,
-          needsManualReview: dateValidation.needsReview,
-          reviewNote: dateValidation.needsReview ? dateValidation.reviewNote : null,
-          originalParsedDate: originalDate
-        };
-      });
-      
-      console.log(`✅ JSON parsing successful! Found ${transactions.length} transactions`);
-      
-      // Enhanced logging with review status
-      console.log('📋 PARSED TRANSACTIONS:');
-      transactions.forEach((transaction, index) => {
-        const reviewFlag = transaction.needsManualReview ? '🚨 REVIEW NEEDED' : '✅';
-        console.log(`   ${index + 1}. ${transaction.type} ₹${transaction.amount} - ${transaction.description} (${transaction.date.toISOString().split('T')[0]}) ${reviewFlag}`);
-        if (transaction.reviewNote) {
-          console.log(`      ⚠️ ${transaction.reviewNote}`);
-        }
-      });
-      
-      return Array.isArray(transactions) ? transactions : [transactions];
-    }
-    
-    throw new Error('No valid JSON in Gemini response');
-  } catch (error) {
-    console.error('❌ Gemini API Error:', error.message);
-    return null;
+  if (job.status === 'completed') {
+    // Holds the batchId of the draft import waiting for review at /api/imports/:batchId
+    view.result = job.result;
   }
+
+  return view;
 }
 
-// ✅ Enhanced Structured Parsing - ONLY ADDED DATE VALIDATION AT THE END
-function parseTransactionData(text) {
-  console.log('🔍 Using structured parsing as fallback...');
-  
-  const transactions = [];
-  
-  // UNCHANGED PARSING LOGIC - KEEPS YOUR EXISTING FUNCTIONALITY
-  const amountRegex = /(?:total[:\s]*)?(?:CHF|GF|₹|Rs\.?|INR)?\s*(\d+(?:\.\d{2})?)/gi;
-  const dateRegex = /(\d{1,2}[\/\-\.]?\d{1,2}[\/\-\.]?\d{2,4})/g;
-  
-  const amounts = [];
-  const dates = [];
-  
-  let match;
-  while ((match = amountRegex.exec(text)) !== null) {
-    amounts.push(parseFloat(match[1]));
+/**
+ * Validate the stored file and queue it; responds 202 with the job to poll
+ */
+async function queueUpload(req, res, kind, { isValidType, missingFileError, invalidTypeError }) {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: missingFileError });
   }
-  
-  while ((match = dateRegex.exec(text)) !== null) {
-    dates.push(match[1]);
+
+  if (!isValidType(req.file.mimetype)) {
+    await cleanupFile(req.file.path);
+    return res.status(400).json({ success: false, error: invalidTypeError });
   }
-  
-  if (amounts.length > 0) {
-    const mainAmount = Math.max(...amounts);
-    const date = dates.length > 0 ? dates[0] : new Date().toISOString().split('T')[0];
-    
-    // UNCHANGED DATE PARSING LOGIC
-    let parsedDate;
-    try {
-      const dateParts = date.split(/[\/\-\.]/);
-      if (dateParts.length >= 3) {
-        const day = parseInt(dateParts[0]);
-        const month = parseInt(dateParts[1]);
-        parsedDate = new Date(2025, month - 1, day);
-      } else {
-        parsedDate = new Date(2025, 6, 30);
-      }
-    } catch (error) {
-      parsedDate = new Date(2025, 6, 30);
-    }
-    
-    // ✅ NEW: ONLY ADDITION - Validate the parsed date
-    const dateValidation = validateParsedDate(parsedDate.toISOString().split('T')[0]);
-    
-    const transaction = {
-      date: dateValidation.date,
-      amount: mainAmount,
-      type: 'expense',
-      description: `Receipt transaction - ${mainAmount}`,
-      category: 'Other',
-      needsManualReview: dateValidation.needsReview,
-      reviewNote: dateValidation.needsReview ? dateValidation.reviewNote : null,
-      isValid: true
-    };
-    
-    transactions.push(transaction);
-    const reviewFlag = transaction.needsManualReview ? '🚨 REVIEW NEEDED' : '✅';
-    console.log(`✅ Fallback parsed: ${transaction.type} ₹${transaction.amount} - ${transaction.description} ${reviewFlag}`);
-    if (transaction.reviewNote) {
-      console.log(`   ⚠️ ${transaction.reviewNote}`);
-    }
+
+  const preprocess = readPreprocessSteps(req.body.preprocess);
+  if (preprocess.unknown) {
+    await cleanupFile(req.file.path);
+    return res.status(400).json({
+      success: false,
+      error: `Unknown preprocessing step(s): ${preprocess.unknown.join(', ')}. Use any of ${PREPROCESSING_STEPS.join(', ')}, or none.`,
+    });
   }
-  
-  return transactions;
-}
 
-// ✅ Receipt Upload Route - MINIMAL CHANGES, ONLY ADDED REVIEW FIELDS TO DATABASE SAVE
-router.post('/receipt', upload.single('file'), async (req, res) => {
-  let filePath = null;
-  let cloudinaryResult = null;
-  const startTime = Date.now();
+  const userId = req.user._id || req.user.id;
 
-  try {
-    console.log('📸 ============= RECEIPT UPLOAD STARTED =============');
+  // Encrypted PDFs are turned away before anything is recorded; with the right password they are
+  // decrypted in memory while processing, and the password is never stored
+  let pdfPassword = null;
+  if (req.file.mimetype === 'application/pdf') {
+    const password = typeof req.body.password === 'string' && req.body.password.length > 0 ? req.body.password : null;
+    const access = await checkPdfPassword(await fs.readFile(req.file.path), password);
 
-    if (!req.file) {
-      return res.status(400).json({
+    if (PASSWORD_ERRORS[access]) {
+      await cleanupFile(req.file.path);
+      return res.status(422).json({
         success: false,
-        error: 'No file uploaded. Please select an image file.',
+        ...PASSWORD_ERRORS[access],
+        data: { passwordHints: await getPasswordHints(userId) },
       });
     }
+    if (access === 'unlocked') pdfPassword = password;
+  }
 
-    filePath = req.file.path;
-    console.log(`📄 Processing: ${req.file.originalname}`);
-
-    if (!req.file.mimetype.startsWith('image/')) {
-      throw new Error('Invalid file type. Please upload an image file.');
-    }
-
-    // UNCHANGED - All extraction and parsing logic remains the same
-    console.log('🔍 ============= EXTRACTING TEXT =============');
-    const extractedText = await extractTextFromImage(filePath);
+  // The same file again would only import the same rows again
+  const fileHash = await hashFile(req.file.path);
+  const previous = await findPreviousUpload(userId, fileHash);
+  if (previous) {
+    await cleanupFile(req.file.path);
+    return res.status(409).json({
+      success: false,
+      code: 'DUPLICATE_UPLOAD',
+      error: `You already uploaded this file on ${previous.createdAt.toISOString().slice(0, 10)} (${previous.fileName}). Delete that upload from your history to upload it again.`,
+      data: { previousUploadId: previous._id, previousStatus: previous.status },
+    });
+  }
 
-    if (!extractedText || extractedText.length < 10) {
-      throw new Error('Could not extract readable text from image.');
-    }
+  const uploadRecord = await recordUpload(userId, kind, req.file, fileHash);
+
+  // Optional form field; an unrecognised locale is ignored rather than rejected
+  const locale = typeof req.body.locale === 'string' && req.body.locale.length <= 35 && localeDateOrder(req.body.locale)
+    ? req.body.locale
+    : null;
+
+  const job = await enqueueUploadJob({
+    user: userId,
+    kind,
+    upload: uploadRecord._id,
+    locale,
+    preprocessSteps: preprocess.steps,
+    file: {
+      originalName: req.file.originalname,
+      path: req.file.path,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+    },
+  }, { pdfPassword });
+  uploadRecord.uploadJob = job._id;
+  await uploadRecord.save();
+
+  res.status(202).json({
+    success: true,
+    message: 'File received and queued for processing',
+    data: {
+      ...(await describeJob(job)),
+      uploadId: uploadRecord._id,
+      progressUrl: `/api/upload/progress/${job._id}`,
+    },
+  });
+}
 
-    console.log('☁️ ============= UPLOADING TO CLOUDINARY =============');
-    cloudinaryResult = await uploadToCloudinaryOptional(filePath, {
-      public_id: `receipt_${Date.now()}_${path.parse(req.file.originalname).name}`,
-      folder: 'expense-tracker/receipts'
+// POST /api/upload/receipt - Queue a receipt image for OCR and parsing
+router.post('/receipt', upload.single('file'), async (req, res) => {
+  try {
+    console.log('📸 Receipt upload received:', req.file?.originalname);
+    await queueUpload(req, res, 'receipt', {
+      isValidType: mimeType => mimeType.startsWith('image/'),
+      missingFileError: 'No file uploaded. Please select an image file.',
+      invalidTypeError: 'Invalid file type. Please upload an image file.',
+    });
+  } catch (error) {
+    console.error('❌ Error queueing receipt:', error);
+    if (req.file) await cleanupFile(req.file.path);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
     });
+  }
+});
 
-    console.log('🤖 ============= PARSING TRANSACTIONS =============');
-    let transactions = await enhancedGeminiParsing(extractedText, req.file.originalname);
-    let parsingMethod = 'Gemini AI';
+// POST /api/upload/bank-statement - Queue a PDF statement for extraction and parsing
+router.post('/bank-statement', upload.single('file'), async (req, res) => {
+  try {
+    console.log('🏦 Bank statement upload received:', req.file?.originalname);
+    await queueUpload(req, res, 'bank_statement', {
+      isValidType: mimeType => mimeType === 'application/pdf',
+      missingFileError: 'No file uploaded. Please select a PDF file.',
+      invalidTypeError: 'Invalid file type. Please upload a PDF file.',
+    });
+  } catch (error) {
+    console.error('❌ Error queueing bank statement:', error);
+    if (req.file) await cleanupFile(req.file.path);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
 
-    if (!transactions || transactions.length === 0) {
-      console.log('⚠️ Gemini failed, using structured parsing...');
-      transactions = parseTransactionData(extractedText);
-      parsingMethod = 'Structured Parser';
-    }
+// GET /api/upload/jobs - The user's recent upload jobs, newest first
+router.get('/jobs', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const jobs = await UploadJob.find({ user: userId })
+      .select('-result.extractedText')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      data: jobs.map(job => ({
+        id: job._id,
+        kind: job.kind,
+        fileName: job.file.originalName,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        error: job.error,
+        stats: job.result?.stats || null,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching upload jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
 
-    console.log(`🎯 Final transaction count: ${transactions.length}`);
+// GET /api/upload/progress/:id - Current stage, percent done and, once finished, the result
+router.get('/progress/:id', [
+  param('id').isMongoId().withMessage('Invalid upload job id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid upload job')) return;
 
-    // ✅ MINIMAL CHANGE: Only added review fields to database save
-    console.log('💾 ============= SAVING TO DATABASE =============');
-    const savedTransactions = [];
     const userId = req.user._id || req.user.id;
+    const job = await UploadJob.findOne({ _id: req.params.id, user: userId }).lean();
 
-    if (transactions.length > 0) {
-      for (const transactionData of transactions) {
-        try {
-          const transaction = new Transaction({
-            user: userId,
-            date: transactionData.date,
-            amount: transactionData.amount,
-            description: transactionData.description,
-            category: transactionData.category,
-            type: transactionData.type,
-            source: 'receipt_upload',
-            fileUrl: cloudinaryResult?.secure_url || null,
-            extractedText: extractedText,
-            parsingMethod: parsingMethod,
-            // ✅ ONLY NEW FIELDS ADDED
-            needsManualReview: transactionData.needsManualReview || false,
-            reviewNote: transactionData.reviewNote || null,
-          });
-
-          const saved = await transaction.save();
-          savedTransactions.push(saved);
-          
-          const reviewFlag = saved.needsManualReview ? '🚨 REVIEW NEEDED' : '✅';
-          console.log(`✅ Saved: ${saved.description} - ₹${saved.amount} (${saved.type}) ${reviewFlag}`);
-          if (saved.reviewNote) {
-            console.log(`   ⚠️ ${saved.reviewNote}`);
-          }
-        } catch (saveError) {
-          console.error('❌ Save error:', saveError.message);
-        }
-      }
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Upload job not found' });
     }
 
-    const processingTime = Date.now() - startTime;
-    
-    // ✅ MINIMAL CHANGE: Only added reviewCount to statistics
-    const incomeTransactions = savedTransactions.filter(t => t.type === 'income');
-    const expenseTransactions = savedTransactions.filter(t => t.type === 'expense');
-    const reviewTransactions = savedTransactions.filter(t => t.needsManualReview);
-    const totalIncome = incomeTransactions.reduce((sum, t) => sum + (t.amount || 0), 0);
-    const totalExpenses = expenseTransactions.reduce((sum, t) => sum + (t.amount || 0), 0);
-
-    console.log(`✅ RECEIPT PROCESSING COMPLETE: ${savedTransactions.length} transactions saved, ${reviewTransactions.length} flagged for review`);
-
-    // ✅ MINIMAL CHANGE: Only added reviewCount and warning message
-    const response = {
-      success: true,
-      message: `Receipt processed successfully! Imported ${savedTransactions.length} transaction(s) using ${parsingMethod}.${reviewTransactions.length > 0 ? ` ⚠️ ${reviewTransactions.length} transaction(s) require manual review due to parsing issues.` : ''}`,
-      data: {
-        transactions: savedTransactions,
-        fileUrl: cloudinaryResult?.secure_url || null,
-        extractedText: extractedText,
-        stats: {
-          transactionCount: savedTransactions.length,
-          incomeCount: incomeTransactions.length,
-          expenseCount: expenseTransactions.length,
-          reviewCount: reviewTransactions.length, // ✅ ONLY NEW FIELD
-          totalIncome: totalIncome,
-          totalExpenses: totalExpenses,
-          netAmount: totalIncome - totalExpenses,
-          categories: [...new Set(savedTransactions.map(t => t.category))],
-          processingTime: processingTime,
-          parsingMethod: parsingMethod
-        },
-        processingDetails: {
-          fileName: req.file.originalname,
-          fileSize: (req.file.size / 1024 / 1024).toFixed(2) + 'MB',
-          processingTime: processingTime + 'ms',
-          extractionMethod: 'OCR',
-          parsingMethod: parsingMethod
-        }
-      }
-    };
-
-    console.log('📤 SENDING RESPONSE TO FRONTEND');
-    console.log(`📊 Response summary: ${response.data.stats.transactionCount} transactions, ₹${response.data.stats.totalIncome} income, ₹${response.data.stats.totalExpenses} expenses, ${response.data.stats.reviewCount} need review`);
-    
-    res.status(200).json(response);
-
+    res.json({ success: true, data: await describeJob(job) });
   } catch (error) {
-    console.error('❌ Receipt processing error:', error.message);
-    
-    const processingTime = Date.now() - startTime;
+    console.error('❌ Error fetching upload progress:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Receipt processing failed',
-      processingTime: processingTime,
+      error: 'Server error: ' + error.message,
     });
-  } finally {
-    if (filePath) {
-      await cleanupFile(filePath);
-    }
   }
 });
 
-// ✅ Bank Statement Upload Route - SAME MINIMAL CHANGES AS RECEIPT
-router.post('/bank-statement', upload.single('file'), async (req, res) => {
-  let filePath = null;
-  let cloudinaryResult = null;
-  const startTime = Date.now();
-
+// GET /api/upload/password-hints - The user's reminders of how each bank builds its statement password
+router.get('/password-hints', async (req, res) => {
   try {
-    console.log('🏦 ============= BANK STATEMENT UPLOAD STARTED =============');
+    const userId = req.user._id || req.user.id;
+    res.json({ success: true, data: await getPasswordHints(userId) });
+  } catch (error) {
+    console.error('❌ Error fetching password hints:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
 
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded. Please select a PDF file.',
-      });
-    }
+// POST /api/upload/password-hints - Body: { bank, hint }. server.js leaves /api/upload bodies to
+// multer, so this JSON route parses its own
+router.post('/password-hints', express.json(), [
+  body('bank').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Bank name is required (up to 60 characters)'),
+  body('hint').isString().trim().isLength({ min: 1, max: 120 }).withMessage('Hint is required (up to 120 characters)'),
+  body('hint').custom(hint => !looksLikePassword(hint))
+    .withMessage('Describe the password (e.g. "PAN in capitals") instead of entering the password itself'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid password hint')) return;
 
-    filePath = req.file.path;
-    console.log(`📄 Processing: ${req.file.originalname}`);
+    const userId = req.user._id || req.user.id;
+    await User.updateOne(
+      { _id: userId },
+      { $push: { 'preferences.statementPasswordHints': { bank: req.body.bank, hint: req.body.hint } } }
+    );
 
-    if (req.file.mimetype !== 'application/pdf') {
-      throw new Error('Invalid file type. Please upload a PDF file.');
-    }
+    res.status(201).json({ success: true, data: await getPasswordHints(userId) });
+  } catch (error) {
+    console.error('❌ Error saving password hint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
 
-    // UNCHANGED - All extraction and parsing logic remains the same
-    console.log('📄 ============= EXTRACTING PDF TEXT =============');
-    const extractedText = await extractTextFromPdf(filePath);
+// DELETE /api/upload/password-hints/:id
+router.delete('/password-hints/:id', [
+  param('id').isMongoId().withMessage('Invalid hint id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid password hint')) return;
 
-    if (!extractedText || extractedText.length < 50) {
-      throw new Error('Could not extract sufficient text from PDF.');
-    }
+    const userId = req.user._id || req.user.id;
+    await User.updateOne(
+      { _id: userId },
+      { $pull: { 'preferences.statementPasswordHints': { _id: req.params.id } } }
+    );
 
-    console.log('☁️ ============= UPLOADING TO CLOUDINARY =============');
-    cloudinaryResult = await uploadToCloudinaryOptional(filePath, {
-      public_id: `statement_${Date.now()}_${path.parse(req.file.originalname).name}`,
-      folder: 'expense-tracker/statements'
+    res.json({ success: true, data: await getPasswordHints(userId) });
+  } catch (error) {
+    console.error('❌ Error deleting password hint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
     });
+  }
+});
 
-    console.log('🤖 ============= PARSING TRANSACTIONS =============');
-    let transactions = await enhancedGeminiParsing(extractedText, req.file.originalname);
-    let parsingMethod = 'Gemini AI';
-
-    if (!transactions || transactions.length === 0) {
-      console.log('⚠️ Gemini failed, using structured parsing...');
-      transactions = parseTransactionData(extractedText);
-      parsingMethod = 'Structured Parser';
-    }
+// GET /api/upload/ocr-settings - OCR engine preference, reading languages and the installed packs
+router.get('/ocr-settings', async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    res.json({ success: true, data: await describeOcrSettings(userId) });
+  } catch (error) {
+    console.error('❌ Error fetching OCR settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
 
-    console.log(`🎯 Final transaction count: ${transactions.length}`);
+// PUT /api/upload/ocr-settings - Body: { preference, languages: ['eng', 'deu'], detectLanguage }, all optional
+router.put('/ocr-settings', express.json(), [
+  body('preference').optional().isIn(['tesseract', 'google-vision', 'auto'])
+    .withMessage('preference must be tesseract, google-vision or auto'),
+  body('languages').optional().isArray({ min: 1, max: 5 }).withMessage('Choose between 1 and 5 languages'),
+  body('languages.*').isString().custom(code => listInstalledLanguages().includes(code))
+    .withMessage(code => `No language pack is installed for ${code}`),
+  body('detectLanguage').optional().isBoolean().withMessage('detectLanguage must be true or false'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res, 'Invalid OCR settings')) return;
 
-    // ✅ MINIMAL CHANGE: Only added review fields to database save
-    console.log('💾 ============= SAVING TO DATABASE =============');
-    const savedTransactions = [];
     const userId = req.user._id || req.user.id;
-
-    if (transactions.length > 0) {
-      for (const [index, transactionData] of transactions.entries()) {
-        try {
-          console.log(`💾 Saving transaction ${index + 1}/${transactions.length}:`, {
-            amount: transactionData.amount,
-            description: transactionData.description,
-            type: transactionData.type,
-            category: transactionData.category,
-            needsReview: transactionData.needsManualReview
-          });
-
-          const transaction = new Transaction({
-            user: userId,
-            date: transactionData.date,
-            amount: transactionData.amount,
-            description: transactionData.description,
-            category: transactionData.category,
-            type: transactionData.type,
-            source: 'bank_statement',
-            fileUrl: cloudinaryResult?.secure_url || null,
-            extractedText: extractedText,
-            parsingMethod: parsingMethod,
-            // ✅ ONLY NEW FIELDS ADDED
-            needsManualReview: transactionData.needsManualReview || false,
-            reviewNote: transactionData.reviewNote || null,
-          });
-
-          const saved = await transaction.save();
-          savedTransactions.push(saved);
-          
-          const reviewFlag = saved.needsManualReview ? '🚨 REVIEW NEEDED' : '✅';
-          console.log(`✅ Saved transaction with ID: ${saved._id} ${reviewFlag}`);
-        } catch (saveError) {
-          console.error(`❌ Save error for transaction ${index + 1}:`, saveError.message);
-        }
-      }
+    const update = {};
+    if (req.body.preference !== undefined) update['preferences.ocrPreference'] = req.body.preference;
+    if (req.body.languages !== undefined) update['preferences.ocrLanguages'] = [...new Set(req.body.languages)];
+    if (req.body.detectLanguage !== undefined) update['preferences.ocrLanguageDetection'] = req.body.detectLanguage;
+    if (Object.keys(update).length > 0) {
+      await User.updateOne({ _id: userId }, { $set: update });
     }
 
-    const processingTime = Date.now() - startTime;
-    console.log(`✅ BANK STATEMENT PROCESSING COMPLETE: ${savedTransactions.length} transactions saved`);
-
-    // ✅ MINIMAL CHANGE: Only added reviewCount to statistics
-    const incomeTransactions = savedTransactions.filter(t => t.type === 'income');
-    const expenseTransactions = savedTransactions.filter(t => t.type === 'expense');
-    const reviewTransactions = savedTransactions.filter(t => t.needsManualReview);
-    const totalIncome = incomeTransactions.reduce((sum, t) => sum + (t.amount || 0), 0);
-    const totalExpenses = expenseTransactions.reduce((sum, t) => sum + (t.amount || 0), 0);
-
-    // ✅ MINIMAL CHANGE: Only added reviewCount and warning message
-    const response = {
-      success: true,
-      message: `Bank statement processed successfully! Imported ${savedTransactions.length} transaction(s) using ${parsingMethod}.${reviewTransactions.length > 0 ? ` ⚠️ ${reviewTransactions.length} transaction(s) require manual review due to parsing issues.` : ''}`,
-      data: {
-        transactions: savedTransactions,
-        fileUrl: cloudinaryResult?.secure_url || null,
-        extractedText: extractedText.substring(0, 1000) + (extractedText.length > 1000 ? '...' : ''),
-        stats: {
-          transactionCount: savedTransactions.length,
-          incomeCount: incomeTransactions.length,
-          expenseCount: expenseTransactions.length,
-          reviewCount: reviewTransactions.length, // ✅ ONLY NEW FIELD
-          totalIncome: totalIncome,
-          totalExpenses: totalExpenses,
-          netAmount: totalIncome - totalExpenses,
-          categories: [...new Set(savedTransactions.map(t => t.category))],
-          processingTime: processingTime,
-          parsingMethod: parsingMethod
-        },
-        processingDetails: {
-          fileName: req.file.originalname,
-          fileSize: (req.file.size / 1024 / 1024).toFixed(2) + 'MB',
-          processingTime: processingTime + 'ms',
-          extractionMethod: 'PDF Parse',
-          parsingMethod: parsingMethod
-        }
-      }
-    };
-
-    console.log('📤 ============= SENDING RESPONSE TO FRONTEND =============');
-    console.log(`📊 Response summary:`, {
-      success: response.success,
-      transactionCount: response.data.stats.transactionCount,
-      totalIncome: response.data.stats.totalIncome,
-      totalExpenses: response.data.stats.totalExpenses,
-      reviewCount: response.data.stats.reviewCount,
-      message: response.message
-    });
-
-    res.status(200).json(response);
-
+    console.log('✅ OCR settings updated for user:', userId);
+    res.json({ success: true, data: await describeOcrSettings(userId) });
   } catch (error) {
-    console.error('❌ ============= BANK STATEMENT ERROR =============');
-    console.error(`❌ Error:`, error.message);
-    
-    const processingTime = Date.now() - startTime;
-    
+    console.error('❌ Error updating OCR settings:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Bank statement processing failed',
-      processingTime: processingTime,
-      debug: {
-        step: 'processing_error',
-        timestamp: new Date().toISOString()
-      }
+      error: 'Server error: ' + error.message,
     });
-  } finally {
-    if (filePath) {
-      await cleanupFile(filePath);
-    }
-    console.log(`🏁 ============= SESSION ENDED =============`);
   }
 });
 
@@ -0,0 +1,135 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const Upload = require('../models/Upload');
+const Transaction = require('../models/Transaction');
+const auth = require('../middleware/auth');
+const { sendValidationErrors } = require('../middleware/validation');
+const { displayStatus, deleteUpload } = require('../services/uploadHistoryService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+function formatUpload(upload) {
+  return {
+    ...upload,
+    status: displayStatus(upload),
+    transactionCount: upload.transactions?.length || 0,
+  };
+}
+
+// GET /api/uploads - Upload history, newest first
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('kind').optional().isIn(['receipt', 'bank_statement', 'csv']).withMessage('Kind must be receipt, bank_statement or csv'),
+  query('status').optional().isIn(['processing', 'review', 'imported', 'discarded', 'failed']).withMessage('Unknown status'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    const filter = { user: userId };
+    if (req.query.kind) filter.kind = req.query.kind;
+    if (req.query.status) filter.status = req.query.status;
+
+    const [uploads, total] = await Promise.all([
+      Upload.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Upload.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: uploads.map(formatUpload),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error fetching uploads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// GET /api/uploads/:id - One upload with the transactions it produced
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid upload id'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const upload = await Upload.findOne({ _id: req.params.id, user: userId }).lean();
+
+    if (!upload) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+
+    const transactions = await Transaction.find({ _id: { $in: upload.transactions }, user: userId })
+      .select('-extractedText')
+      .sort({ date: -1 })
+      .lean();
+
+    res.json({ success: true, data: { ...formatUpload(upload), transactions } });
+  } catch (error) {
+    console.error('❌ Error fetching upload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+// DELETE /api/uploads/:id - Remove from history; ?deleteTransactions=true&deleteFile=true also removes what it produced
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid upload id'),
+  query('deleteTransactions').optional().isBoolean().withMessage('deleteTransactions must be true or false'),
+  query('deleteFile').optional().isBoolean().withMessage('deleteFile must be true or false'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const userId = req.user._id || req.user.id;
+    const upload = await Upload.findOne({ _id: req.params.id, user: userId });
+
+    if (!upload) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+
+    if (upload.status === 'processing') {
+      return res.status(409).json({ success: false, error: 'This upload is still being processed' });
+    }
+
+    const result = await deleteUpload(upload, {
+      deleteTransactions: req.query.deleteTransactions === 'true',
+      deleteFile: req.query.deleteFile === 'true',
+    });
+
+    res.json({
+      success: true,
+      message: 'Upload deleted',
+      data: result,
+    });
+  } catch (error) {
+    console.error('❌ Error deleting upload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error: ' + error.message,
+    });
+  }
+});
+
+module.exports = router;
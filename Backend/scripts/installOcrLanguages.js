@@ -0,0 +1,38 @@
+// Download Tesseract language packs into the local language directory (TESSERACT_LANG_PATH, default
+// Backend/tessdata). OCR reads packs only from there, so run this once per server:
+//   npm run ocr:languages -- eng deu hin osd
+// "osd" is the script detection model used for automatic language detection.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getLanguagePath, OSD_PACK } = require('../services/ocrLanguages');
+
+// The integer LSTM models are the smallest and fastest; script detection only exists as a legacy model
+function packUrl(code) {
+  const model = code === OSD_PACK ? '4.0.0' : '4.0.0_best_int';
+  return `https://cdn.jsdelivr.net/npm/@tesseract.js-data/${code}/${model}/${code}.traineddata.gz`;
+}
+
+async function install(codes) {
+  const directory = getLanguagePath();
+  fs.mkdirSync(directory, { recursive: true });
+
+  for (const code of codes) {
+    const target = path.join(directory, `${code}.traineddata.gz`);
+    if (fs.existsSync(target)) {
+      console.log(`✅ ${code} already installed`);
+      continue;
+    }
+    console.log(`📥 Downloading ${code}...`);
+    const response = await axios.get(packUrl(code), { responseType: 'arraybuffer' });
+    fs.writeFileSync(target, Buffer.from(response.data));
+    console.log(`✅ ${code} saved to ${target}`);
+  }
+}
+
+const codes = process.argv.slice(2);
+install(codes.length > 0 ? codes : ['eng', OSD_PACK]).catch(error => {
+  console.error('❌ Could not install language packs:', error.message);
+  process.exit(1);
+});
@@ -7,6 +7,9 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const cloudinary = require('cloudinary').v2;
 require('dotenv').config();
+const { startRecurringScheduler, stopRecurringScheduler } = require('./services/recurringService');
+const { startUploadWorker, stopUploadWorker } = require('./services/uploadJobQueue');
+const { getLlmSettings } = require('./services/llmService');
 
 // -----------------------------------------------------------------------------
 // Environment Setup and Validation
@@ -35,13 +38,14 @@ console.log('✅ MongoDB URI:', process.env.MONGODB_URI ? 'Connected' : '❌ Mis
 console.log('✅ JWT Secret:', process.env.JWT_SECRET ? 'Set' : '❌ Missing');
 console.log('✅ Cloudinary:', process.env.CLOUDINARY_CLOUD_NAME ? 'Configured' : '❌ Missing');
 console.log('✅ Gemini API:', process.env.GEMINI_API_KEY ? 'Set' : '❌ Missing');
+console.log('✅ LLM provider:', getLlmSettings().provider.name);
 console.log('---');
 
 // -----------------------------------------------------------------------------
 // Import Routes with Fallbacks
 // -----------------------------------------------------------------------------
 
-let authRoutes, transactionRoutes, uploadRoutes, expenseRoutes;
+let authRoutes, transactionRoutes, uploadRoutes, expenseRoutes, merchantRoutes, categoryRoutes, recurringRoutes, budgetRoutes, notificationRoutes, importRoutes, csvImportRoutes, uploadHistoryRoutes, receiptRoutes;
 
 try {
   authRoutes = require('./routes/auth');
@@ -88,6 +92,105 @@ try {
   });
 }
 
+try {
+  merchantRoutes = require('./routes/merchants');
+  console.log('✅ Merchant routes loaded');
+} catch (error) {
+  console.warn('⚠️ Merchant routes not found, creating placeholder...');
+  merchantRoutes = express.Router();
+  merchantRoutes.get('/', (req, res) => {
+    res.json({ success: true, data: [], message: 'Merchant routes not implemented yet' });
+  });
+}
+
+try {
+  categoryRoutes = require('./routes/categories');
+  console.log('✅ Category routes loaded');
+} catch (error) {
+  console.warn('⚠️ Category routes not found, creating placeholder...');
+  categoryRoutes = express.Router();
+  categoryRoutes.get('/', (req, res) => {
+    res.json({ success: true, data: [], message: 'Category routes not implemented yet' });
+  });
+}
+
+try {
+  recurringRoutes = require('./routes/recurring');
+  console.log('✅ Recurring routes loaded');
+} catch (error) {
+  console.warn('⚠️ Recurring routes not found, creating placeholder...');
+  recurringRoutes = express.Router();
+  recurringRoutes.get('/', (req, res) => {
+    res.json({ success: true, data: [], message: 'Recurring routes not implemented yet' });
+  });
+}
+
+try {
+  budgetRoutes = require('./routes/budgets');
+  console.log('✅ Budget routes loaded');
+} catch (error) {
+  console.warn('⚠️ Budget routes not found, creating placeholder...');
+  budgetRoutes = express.Router();
+  budgetRoutes.get('/', (req, res) => {
+    res.json({ success: true, data: [], message: 'Budget routes not implemented yet' });
+  });
+}
+
+try {
+  notificationRoutes = require('./routes/notifications');
+  console.log('✅ Notification routes loaded');
+} catch (error) {
+  console.warn('⚠️ Notification routes not found, creating placeholder...');
+  notificationRoutes = express.Router();
+  notificationRoutes.get('/', (req, res) => {
+    res.json({ success: true, data: [], message: 'Notification routes not implemented yet' });
+  });
+}
+
+try {
+  importRoutes = require('./routes/imports');
+  console.log('✅ Import routes loaded');
+} catch (error) {
+  console.warn('⚠️ Import routes not found, creating placeholder...');
+  importRoutes = express.Router();
+  importRoutes.get('/', (req, res) => {
+    res.json({ success: true, data: [], message: 'Import routes not implemented yet' });
+  });
+}
+
+try {
+  csvImportRoutes = require('./routes/csvImport');
+  console.log('✅ CSV import routes loaded');
+} catch (error) {
+  console.warn('⚠️ CSV import routes not found, creating placeholder...');
+  csvImportRoutes = express.Router();
+  csvImportRoutes.get('/csv/profiles', (req, res) => {
+    res.json({ success: true, data: [], message: 'CSV import routes not implemented yet' });
+  });
+}
+
+try {
+  receiptRoutes = require('./routes/receipts');
+  console.log('✅ Receipt routes loaded');
+} catch (error) {
+  console.warn('⚠️ Receipt routes not found, creating placeholder...');
+  receiptRoutes = express.Router();
+  receiptRoutes.get('/', (req, res) => {
+    res.json({ success: true, data: [], message: 'Receipt routes not implemented yet' });
+  });
+}
+
+try {
+  uploadHistoryRoutes = require('./routes/uploads');
+  console.log('✅ Upload history routes loaded');
+} catch (error) {
+  console.warn('⚠️ Upload history routes not found, creating placeholder...');
+  uploadHistoryRoutes = express.Router();
+  uploadHistoryRoutes.get('/', (req, res) => {
+    res.json({ success: true, data: [], message: 'Upload history routes not implemented yet' });
+  });
+}
+
 // -----------------------------------------------------------------------------
 // Initialize Express Application
 // -----------------------------------------------------------------------------
@@ -116,8 +219,8 @@ const limiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   skip: (req) => {
-    // Skip rate limiting for POST requests to upload routes (file uploads)
-    return req.path.includes('/upload') && req.method === 'POST';
+    // Skip rate limiting for POST requests to upload routes (file uploads) and for job progress polling
+    return (req.path.includes('/upload') && req.method === 'POST') || req.path.startsWith('/upload/progress/');
   }
 });
 app.use('/api/', limiter);
@@ -131,16 +234,19 @@ app.use(cors({
   exposedHeaders: ['Content-Range', 'X-Content-Range']
 }));
 
-// CRITICAL: Skip express.json and urlencoded for upload routes to avoid file parsing issues
+// CRITICAL: Skip express.json and urlencoded for upload routes to avoid file parsing issues.
+// Only /api/upload itself: upload history under /api/uploads is parsed as usual
+const isUploadRoute = path => path === '/api/upload' || path.startsWith('/api/upload/');
+
 app.use((req, res, next) => {
-  if (req.path.startsWith('/api/upload')) {
+  if (isUploadRoute(req.path)) {
     return next(); // Multer will handle upload routes
   }
   express.json({ limit: '10mb' })(req, res, next);
 });
 
 app.use((req, res, next) => {
-  if (req.path.startsWith('/api/upload')) {
+  if (isUploadRoute(req.path)) {
     return next(); // Multer handles urlencoded too for upload routes
   }
   express.urlencoded({ extended: true, limit: '10mb' })(req, res, next);
@@ -162,6 +268,14 @@ mongoose.connect(process.env.MONGODB_URI, {
 .then(() => {
   console.log('✅ Connected to MongoDB');
   console.log('📊 Database:', mongoose.connection.name);
+
+  // Set DISABLE_RECURRING_SCHEDULER=true on extra instances so only one runs the job
+  if (process.env.DISABLE_RECURRING_SCHEDULER !== 'true') {
+    startRecurringScheduler();
+  }
+
+  // Uploaded files wait on this server's disk; jobs are pinned to the instance that accepted them
+  startUploadWorker();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -197,7 +311,7 @@ if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && proce
 // -----------------------------------------------------------------------------
 
 app.use((req, res, next) => {
-  if (req.path.includes('/upload')) {
+  if (req.path.includes('/upload') && req.method === 'POST') {
     console.log(`📤 ${req.method} ${req.path}`);
     console.log(`   Content-Type: ${req.get('Content-Type')}`);
     console.log(`   Content-Length: ${req.get('Content-Length')} bytes`);
@@ -215,13 +329,34 @@ app.use('/api/auth', authRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/upload', uploadRoutes); // Multer handles multipart uploads here
 app.use('/api/expenses', expenseRoutes);
+app.use('/api/merchants', merchantRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/import', csvImportRoutes); // Multer handles the CSV file on these routes
+app.use('/api/uploads', uploadHistoryRoutes);
+app.use('/api/receipts', receiptRoutes);
 
 console.log('✅ Routes configured:');
 console.log('   📍 /api/auth/* (Authentication)');
 console.log('   📍 /api/transactions/* (Transactions CRUD)');
 console.log('   📍 /api/upload/receipt (Receipt upload)');
 console.log('   📍 /api/upload/bank-statement (Bank statement upload)');
+console.log('   📍 /api/upload/progress/:id (Upload job progress)');
+console.log('   📍 /api/upload/password-hints (Statement password hints)');
+console.log('   📍 /api/upload/ocr-settings (OCR engine and languages)');
+console.log('   📍 /api/imports/* (Review and confirm parsed uploads)');
+console.log('   📍 /api/import/csv/* (CSV import and bank profiles)');
+console.log('   📍 /api/uploads/* (Upload history)');
+console.log('   📍 /api/receipts/* (Receipts and line items)');
 console.log('   📍 /api/expenses/* (Expenses CRUD)');
+console.log('   📍 /api/merchants/* (Merchant directory)');
+console.log('   📍 /api/categories/* (Category management)');
+console.log('   📍 /api/recurring/* (Recurring transactions)');
+console.log('   📍 /api/budgets/* (Budgets and alerts)');
+console.log('   📍 /api/notifications/* (Notification center)');
 
 // -----------------------------------------------------------------------------
 // Health Check Endpoint
@@ -236,7 +371,8 @@ app.get('/api/health', (req, res) => {
     services: {
       mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
       cloudinary: process.env.CLOUDINARY_CLOUD_NAME ? 'configured' : 'not configured',
-      gemini: process.env.GEMINI_API_KEY ? 'configured' : 'not configured'
+      gemini: process.env.GEMINI_API_KEY ? 'configured' : 'not configured',
+      llm: getLlmSettings().provider.name
     },
     memory: process.memoryUsage(),
     version: '1.0.0'
@@ -255,8 +391,17 @@ app.get('/api', (req, res) => {
     endpoints: {
       auth: '/api/auth (POST /register, POST /login)',
       transactions: '/api/transactions (GET, POST, PUT, DELETE)',
-      upload: '/api/upload (POST /receipt, POST /bank-statement)',
+      upload: '/api/upload (POST /receipt, POST /bank-statement, GET /jobs, GET /progress/:id, GET|POST /password-hints, DELETE /password-hints/:id, GET|PUT /ocr-settings)',
       expenses: '/api/expenses (GET, PUT, DELETE)',
+      merchants: '/api/merchants (GET, POST, PUT, DELETE, POST /:id/merge)',
+      categories: '/api/categories (GET, POST, PUT, DELETE, POST /:id/merge)',
+      recurring: '/api/recurring (GET, POST, PUT, DELETE, POST /run)',
+      budgets: '/api/budgets (GET, POST, PUT, DELETE, GET /vs-actual)',
+      notifications: '/api/notifications (GET, PUT /:id/read, PUT /read-all, DELETE, GET|PUT /preferences, POST|DELETE /push/subscriptions)',
+      imports: '/api/imports (GET, GET /:id, PUT|DELETE /:id/rows/:rowId, PUT /:id/rows/:rowId/items/:itemId, POST /:id/merge, POST /:id/confirm, DELETE /:id)',
+      csvImport: '/api/import (POST /csv/preview, POST /csv, GET|POST /csv/profiles, PUT|DELETE /csv/profiles/:id)',
+      uploads: '/api/uploads (GET, GET /:id, DELETE /:id?deleteTransactions&deleteFile)',
+      receipts: '/api/receipts (GET, GET /:id, PUT /:id/items/:itemId)',
       health: '/api/health (GET)'
     },
     documentation: 'Visit /api/health for system status',
@@ -296,7 +441,7 @@ app.use('*', (req, res) => {
   res.status(404).json({
     success: false,
     message: `Route not found: ${req.method} ${req.originalUrl}`,
-    availableRoutes: ['/api/auth', '/api/transactions', '/api/upload', '/api/expenses', '/api/health'],
+    availableRoutes: ['/api/auth', '/api/transactions', '/api/upload', '/api/expenses', '/api/merchants', '/api/categories', '/api/recurring', '/api/budgets', '/api/notifications', '/api/imports', '/api/import', '/api/uploads', '/api/health'],
     timestamp: new Date().toISOString()
   });
 });
@@ -404,6 +549,8 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown handling for SIGTERM (e.g., Docker stop)
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  stopRecurringScheduler();
+  stopUploadWorker();
   server.close(() => {
     console.log('HTTP server closed');
     mongoose.connection.close(false, () => {
@@ -1,24 +1,22 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const llmService = require('./llmService');
+const { findAmounts, parseAmount } = require('./moneyParsingService');
+const { DEFAULT_CATEGORIES, FALLBACK_CATEGORIES } = require('./categoryService');
 
-class AIParsingService {
-  constructor() {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY is required');
-    }
-    
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    this.maxRetries = 3;
-    this.retryDelay = 1000; // 1 second
-  }
+// Used when the caller does not pass the user's own category list
+const DEFAULT_EXPENSE_CATEGORIES = DEFAULT_CATEGORIES
+  .filter(c => c.kind === 'expense')
+  .flatMap(c => [c.name, ...(c.children || []).map(child => child.name)]);
 
+class AIParsingService {
   /**
    * Generate AI prompt for expense extraction
    * @param {string} ocrText - OCR extracted text
+   * @param {string[]} categories - The user's expense category names
    * @returns {string} - Formatted prompt
    */
-  generateExpensePrompt(ocrText) {
+  generateExpensePrompt(ocrText, categories = DEFAULT_EXPENSE_CATEGORIES) {
+    const fallback = FALLBACK_CATEGORIES.expense;
+
     return `
 You are an expert expense data extraction AI. Extract expense line items from this POS receipt OCR text.
 
@@ -35,12 +33,12 @@ OUTPUT FORMAT: Clean JSON array only, no extra text:
   {
     "description": "item name/description",
     "amount": numeric_value_only,
-    "category": "Food & Dining|Transportation|Shopping|Entertainment|Bills & Utilities|Healthcare|Education|Travel|Groceries|Other Expense",
+    "category": "${categories.join('|')}",
     "type": "expense"
   }
 ]
 
-CATEGORY MAPPING RULES:
+CATEGORY MAPPING RULES (use only the categories listed above; when the suggested one is not listed, pick the closest listed one):
 - Food items, restaurants, cafes → "Food & Dining"
 - Groceries, supermarkets → "Groceries"
 - Gas stations, parking, transport → "Transportation"
@@ -50,7 +48,7 @@ CATEGORY MAPPING RULES:
 - Medical, pharmacy → "Healthcare"
 - Books, courses → "Education"
 - Hotels, flights → "Travel"
-- Everything else → "Other Expense"
+- Everything else → "${fallback}"
 
 OCR TEXT TO PARSE:
 ${ocrText}
@@ -59,11 +57,12 @@ Return ONLY the JSON array:`;
   }
 
   /**
-   * Parse expenses using Gemini AI with retry logic
+   * Parse expenses with the configured LLM provider, falling back to regex parsing
    * @param {string} ocrText - OCR extracted text
+   * @param {string[]} categories - The user's expense category names
    * @returns {Promise<Array>} - Parsed expenses array
    */
-  async parseExpenses(ocrText) {
+  async parseExpenses(ocrText, categories = DEFAULT_EXPENSE_CATEGORIES) {
     console.log('🤖 Starting AI expense parsing...');
     
     if (!ocrText || ocrText.trim().length < 10) {
@@ -71,52 +70,26 @@ Return ONLY the JSON array:`;
       return [];
     }
 
-    const prompt = this.generateExpensePrompt(ocrText);
-    let lastError;
-
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        console.log(`🔄 AI parsing attempt ${attempt}/${this.maxRetries}`);
-        
-        const result = await this.model.generateContent(prompt);
-        const response = result.response;
-        const text = response.text();
-
-        if (!text) {
-          throw new Error('Empty response from Gemini API');
-        }
-
-        console.log('📝 Raw AI response:', text.substring(0, 200) + '...');
-
-        // Extract and parse JSON from response
-        const expenses = this.extractExpensesFromResponse(text);
-        
-        if (expenses.length > 0) {
-          console.log(`✅ AI successfully parsed ${expenses.length} expenses`);
-          return expenses;
-        } else {
-          console.warn('⚠️ AI returned no valid expenses');
-          return [];
-        }
-
-      } catch (error) {
-        lastError = error;
-        console.warn(`⚠️ AI parsing attempt ${attempt} failed:`, error.message);
-
-        // Handle specific error types
-        if (error.message.includes('503') || error.message.includes('overloaded')) {
-          console.log(`⏳ Server overloaded, waiting ${this.retryDelay * attempt}ms...`);
-          await this.sleep(this.retryDelay * attempt);
-          continue;
-        }
-
-        if (attempt === this.maxRetries) {
-          console.error('❌ All AI parsing attempts failed');
-          break;
-        }
+    // Without a model behind the active provider there is nothing to ask
+    if (!llmService.canComplete()) {
+      console.log('🔧 No LLM provider configured, using regex parsing...');
+      return this.fallbackRegexParsing(ocrText);
+    }
 
-        await this.sleep(this.retryDelay);
+    try {
+      // Retries and timeouts come from the LLM_* settings
+      const text = await llmService.complete(this.generateExpensePrompt(ocrText, categories));
+      console.log('📝 Raw AI response:', text.substring(0, 200) + '...');
+
+      const expenses = this.extractExpensesFromResponse(text, categories);
+      if (expenses.length > 0) {
+        console.log(`✅ AI successfully parsed ${expenses.length} expenses`);
+      } else {
+        console.warn('⚠️ AI returned no valid expenses');
       }
+      return expenses;
+    } catch (error) {
+      console.error('❌ AI parsing failed:', error.message);
     }
 
     console.log('🔄 Falling back to regex parsing...');
@@ -126,9 +99,10 @@ Return ONLY the JSON array:`;
   /**
    * Extract and validate expenses from AI response
    * @param {string} responseText - AI response text
+   * @param {string[]} categories - Allowed category names
    * @returns {Array} - Validated expenses array
    */
-  extractExpensesFromResponse(responseText) {
+  extractExpensesFromResponse(responseText, categories = DEFAULT_EXPENSE_CATEGORIES) {
     try {
       // Find JSON array in response (handle extra text around JSON)
       const jsonMatch = responseText.match(/\[[\s\S]*\]/);
@@ -145,7 +119,7 @@ Return ONLY the JSON array:`;
 
       // Validate and clean each expense
       const validatedExpenses = rawExpenses
-        .map(expense => this.validateExpense(expense))
+        .map(expense => this.validateExpense(expense, categories))
         .filter(expense => expense !== null);
 
       return validatedExpenses;
@@ -159,9 +133,10 @@ Return ONLY the JSON array:`;
   /**
    * Validate and normalize a single expense object
    * @param {Object} expense - Raw expense object
+   * @param {string[]} categories - Allowed category names
    * @returns {Object|null} - Validated expense or null if invalid
    */
-  validateExpense(expense) {
+  validateExpense(expense, categories = DEFAULT_EXPENSE_CATEGORIES) {
     if (!expense || typeof expense !== 'object') {
       return null;
     }
@@ -169,9 +144,11 @@ Return ONLY the JSON array:`;
     // Extract and validate amount
     let amount = null;
     if (expense.amount !== undefined) {
-      const numAmount = parseFloat(String(expense.amount).replace(/[^\d.-]/g, ''));
-      if (!isNaN(numAmount) && numAmount > 0) {
-        amount = numAmount;
+      const parsed = typeof expense.amount === 'number'
+        ? { amount: expense.amount }
+        : parseAmount(expense.amount, { strict: false });
+      if (parsed && parsed.amount > 0) {
+        amount = parsed.amount;
       }
     }
 
@@ -181,17 +158,9 @@ Return ONLY the JSON array:`;
       return null;
     }
 
-    // Validate and normalize category
-    const validCategories = [
-      'Food & Dining', 'Transportation', 'Shopping', 'Entertainment', 
-      'Bills & Utilities', 'Healthcare', 'Education', 'Travel', 
-      'Groceries', 'Other Expense'
-    ];
-    
-    let category = String(expense.category || 'Other Expense').trim();
-    if (!validCategories.includes(category)) {
-      category = 'Other Expense';
-    }
+    // Validate and normalize category against the allowed list (case-insensitive)
+    const requested = String(expense.category || '').trim().toLowerCase();
+    const category = categories.find(c => c.toLowerCase() === requested) || FALLBACK_CATEGORIES.expense;
 
     return {
       description,
@@ -213,9 +182,6 @@ Return ONLY the JSON array:`;
     const lines = ocrText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
     const expenses = [];
 
-    // Regex patterns for amounts (₹100, $10.50, 25.00, etc.)
-    const amountRegex = /(?:₹|Rs\.?|\$)?(\d+(?:[.,]\d{2})?)\s*$/;
-    
     // Keywords to exclude (totals, taxes, etc.)
     const excludeKeywords = [
       'total', 'subtotal', 'tax', 'gst', 'vat', 'discount', 'change', 
@@ -230,24 +196,22 @@ Return ONLY the JSON array:`;
         continue;
       }
 
-      // Look for lines ending with amounts
-      const amountMatch = line.match(amountRegex);
-      if (amountMatch) {
-        const amount = parseFloat(amountMatch[1].replace(',', '.'));
-        
-        if (amount > 0) {
-          // Extract description (everything before the amount)
-          const description = line.replace(amountRegex, '').trim();
-          
-          if (description.length > 0) {
-            expenses.push({
-              description,
-              amount,
-              category: 'Other Expense',
-              type: 'expense',
-              needsManualAmount: false
-            });
-          }
+      // Look for lines ending with amounts (₹100, 1,234.50, 54,50 €, CHF 12, etc.)
+      const amounts = findAmounts(line, { strict: false });
+      const last = amounts[amounts.length - 1];
+      if (last && last.amount > 0 && line.slice(last.index + last.text.length).trim() === '') {
+        // Extract description (everything before the amount)
+        const description = line.slice(0, last.index).trim();
+
+        if (description.length > 0) {
+          expenses.push({
+            description,
+            amount: last.amount,
+            currency: last.currency,
+            category: FALLBACK_CATEGORIES.expense,
+            type: 'expense',
+            needsManualAmount: false
+          });
         }
       }
     }
@@ -256,15 +220,6 @@ Return ONLY the JSON array:`;
     return expenses.slice(0, 20); // Limit to prevent spam
   }
 
-  /**
-   * Utility function to sleep for specified milliseconds
-   * @param {number} ms - Milliseconds to sleep
-   * @returns {Promise} - Promise that resolves after timeout
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Get parsing statistics
    * @param {Array} expenses - Parsed expenses
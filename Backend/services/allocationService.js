@@ -0,0 +1,162 @@
+const { resolveCategoryName } = require('./categoryService');
+
+// Rounding in a split may leave the parts this far from the total before it is refused
+const ALLOCATION_TOLERANCE = 0.01;
+const MAX_ALLOCATIONS = 20;
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// One document per allocation with category and amount taken from it, for aggregations that count
+// spending by category; a transaction that is not split passes through as a single part
+const UNWIND_ALLOCATIONS = [
+  {
+    $set: {
+      parts: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$allocations', []] } }, 0] },
+          '$allocations',
+          [{ category: '$category', amount: '$amount' }],
+        ],
+      },
+    },
+  },
+  { $unwind: '$parts' },
+  { $set: { category: '$parts.category', amount: '$parts.amount' } },
+  { $unset: 'parts' },
+];
+
+/**
+ * Query for transactions with any part in the given categories. Aggregations still need
+ * UNWIND_ALLOCATIONS and a match on the part's category to count only that part
+ * @param {string[]} categoryNames - Category names
+ * @returns {Object} - Filter usable with find() and $match
+ */
+function allocatedToCategories(categoryNames) {
+  return {
+    $or: [
+      { category: { $in: categoryNames } },
+      { 'allocations.category': { $in: categoryNames } },
+    ],
+  };
+}
+
+/**
+ * Categories a transaction's amount counts toward
+ * @param {Object} transaction - Transaction document or plain object
+ * @returns {string[]}
+ */
+function allocatedCategories(transaction) {
+  return transaction.allocations?.length > 0
+    ? transaction.allocations.map(allocation => allocation.category)
+    : [transaction.category];
+}
+
+/**
+ * Category a split transaction is filed under: the one with the largest share
+ * @param {Array} allocations - [{ category, amount }]
+ * @returns {string|null}
+ */
+function primaryCategory(allocations) {
+  const largest = (allocations || []).reduce(
+    (best, allocation) => (!best || allocation.amount > best.amount ? allocation : best),
+    null
+  );
+  return largest ? largest.category : null;
+}
+
+/**
+ * Share a new total out over the same parts in the same proportions. Rounding leftovers go to the
+ * largest part, so the result adds up exactly
+ * @param {Array} allocations - [{ category, amount, note }]
+ * @param {number} total - Amount the parts must add up to
+ * @returns {Array} - Rescaled parts in their original order; empty when there is nothing to share
+ */
+function rescaleAllocations(allocations, total) {
+  const parts = (allocations || []).filter(allocation => allocation.amount > 0);
+  const current = parts.reduce((sum, allocation) => sum + allocation.amount, 0);
+  if (current === 0 || !(total > 0)) return [];
+
+  const rescaled = parts.map(allocation => ({
+    category: allocation.category,
+    amount: roundMoney((allocation.amount / current) * total),
+    ...(allocation.note && { note: allocation.note }),
+  }));
+
+  const largest = rescaled.reduce((best, allocation) => (allocation.amount > best.amount ? allocation : best));
+  largest.amount = roundMoney(largest.amount + total - rescaled.reduce((sum, allocation) => sum + allocation.amount, 0));
+  return rescaled;
+}
+
+/**
+ * Check a split against the transaction it divides: each part needs one of the user's categories for
+ * the transaction's type and a positive amount, and together they must add up to the total
+ * @param {Array} allocations - [{ category, amount, note }] as sent by the client
+ * @param {number} total - Transaction amount
+ * @param {string} type - 'income' or 'expense'
+ * @param {Array} categories - The user's categories
+ * @returns {{errors: string[], allocations: Array}} - Normalized parts; an empty list means not split
+ */
+function validateAllocations(allocations, total, type, categories) {
+  if (!Array.isArray(allocations)) {
+    return { errors: ['Allocations must be a list'], allocations: [] };
+  }
+  if (allocations.length === 0) {
+    return { errors: [], allocations: [] };
+  }
+  if (allocations.length === 1) {
+    return { errors: ['A split needs at least two allocations'], allocations: [] };
+  }
+  if (allocations.length > MAX_ALLOCATIONS) {
+    return { errors: [`A transaction can be split at most ${MAX_ALLOCATIONS} ways`], allocations: [] };
+  }
+
+  const errors = [];
+  const normalized = allocations.map((allocation, index) => {
+    const label = `Allocation ${index + 1}`;
+    const { category, amount, note } = allocation || {};
+
+    const categoryName = typeof category === 'string' && category.trim()
+      ? resolveCategoryName(categories, category, type)
+      : null;
+    if (!categoryName) {
+      errors.push(typeof category === 'string' && category.trim()
+        ? `${label}: unknown ${type} category "${category.trim()}"`
+        : `${label}: category is required`);
+    }
+
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      errors.push(`${label}: amount must be greater than 0`);
+    }
+
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 200)) {
+      errors.push(`${label}: note must be text of at most 200 characters`);
+    }
+
+    return {
+      category: categoryName,
+      amount: roundMoney(parsedAmount),
+      ...(typeof note === 'string' && note.trim() && { note: note.trim() }),
+    };
+  });
+
+  if (errors.length === 0) {
+    const allocated = roundMoney(normalized.reduce((sum, allocation) => sum + allocation.amount, 0));
+    if (Math.abs(allocated - total) > ALLOCATION_TOLERANCE) {
+      errors.push(`Allocations add up to ${allocated.toFixed(2)} but the transaction amount is ${Number(total).toFixed(2)}`);
+    }
+  }
+
+  return { errors, allocations: errors.length > 0 ? [] : normalized };
+}
+
+module.exports = {
+  UNWIND_ALLOCATIONS,
+  allocatedToCategories,
+  allocatedCategories,
+  primaryCategory,
+  rescaleAllocations,
+  validateAllocations,
+};
@@ -1,33 +1,317 @@
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
-const { sendBudgetExceededEmail } = require('../utils/email');
-
-async function checkAndNotifyBudgetExceeded(userId, budgetAmount, month, year) {
-  // Calculate total expenses for the user in given month/year
-  const startDate = new Date(year, month - 1, 1);
-  const endDate = new Date(year, month, 0, 23, 59, 59);
-
-  const expenses = await Transaction.aggregate([
-    {
-      $match: {
-        user: userId,
-        type: 'expense',
-        date: { $gte: startDate, $lte: endDate },
-      },
-    },
-    {
-      $group: { _id: null, totalSpent: { $sum: '$amount' } },
-    },
+const { getUserCategories } = require('./categoryService');
+const { UNWIND_ALLOCATIONS, allocatedToCategories, allocatedCategories } = require('./allocationService');
+const { notify } = require('./notificationService');
+
+// Widest UTC offset; pads UTC date ranges so timezone-local periods are fully covered before the exact match
+const MAX_TZ_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+function isValidTimezone(timezone) {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 'YYYY-MM-DD' for a date as seen in the given timezone
+function localDateKey(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(date))
+      .map(p => [p.type, p.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+}
+
+// 'YYYY-MM' as e.g. 'March 2025'
+function formatMonth(monthKey) {
+  const [year, month] = monthKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function shiftMonthKey(monthKey, months) {
+  const [year, month] = monthKey.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1 + months, 1));
+  return `${shifted.getUTCFullYear()}-${String(shifted.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Identify the budget period a date falls in
+ * @param {Object} budget - Budget document
+ * @param {Date} date - Any date
+ * @returns {string|null} - 'YYYY-MM' for monthly budgets, 'custom' when inside a custom range, otherwise null
+ */
+function getPeriodKey(budget, date) {
+  const dayKey = localDateKey(date, budget.timezone || 'UTC');
+
+  if (budget.period === 'custom') {
+    const start = budget.startDate.toISOString().slice(0, 10);
+    const end = budget.endDate.toISOString().slice(0, 10);
+    return dayKey >= start && dayKey <= end ? 'custom' : null;
+  }
+  return dayKey.slice(0, 7);
+}
+
+/**
+ * Mongo match for the expenses a budget counts in one period
+ * @param {Object} budget - Budget document
+ * @param {string} periodKey - From getPeriodKey
+ * @param {string[]|null} categoryNames - Categories in scope, or null for all expenses
+ * @returns {Object} - $match stage body
+ */
+function buildSpendingMatch(budget, periodKey, categoryNames) {
+  const timezone = budget.timezone || 'UTC';
+  let rangeStart;
+  let rangeEnd;
+  let exact;
+
+  if (budget.period === 'custom') {
+    const startKey = budget.startDate.toISOString().slice(0, 10);
+    const endKey = budget.endDate.toISOString().slice(0, 10);
+    const dayExpr = { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } };
+    rangeStart = new Date(budget.startDate.getTime() - MAX_TZ_OFFSET_MS);
+    rangeEnd = new Date(budget.endDate.getTime() + 24 * 60 * 60 * 1000 + MAX_TZ_OFFSET_MS);
+    exact = { $and: [{ $gte: [dayExpr, startKey] }, { $lte: [dayExpr, endKey] }] };
+  } else {
+    const [year, month] = periodKey.split('-').map(Number);
+    rangeStart = new Date(Date.UTC(year, month - 1, 1) - MAX_TZ_OFFSET_MS);
+    rangeEnd = new Date(Date.UTC(year, month, 1) + MAX_TZ_OFFSET_MS);
+    exact = { $eq: [{ $dateToString: { format: '%Y-%m', date: '$date', timezone } }, periodKey] };
+  }
+
+  return {
+    user: new mongoose.Types.ObjectId(String(budget.user)),
+    type: 'expense',
+    date: { $gte: rangeStart, $lt: rangeEnd },
+    ...(categoryNames && allocatedToCategories(categoryNames)),
+    $expr: exact,
+  };
+}
+
+// Only the allocations of a split transaction that fall in the budget's categories are spent from it
+async function sumSpending(budget, periodKey, categoryNames) {
+  const result = await Transaction.aggregate([
+    { $match: buildSpendingMatch(budget, periodKey, categoryNames) },
+    ...(categoryNames ? [...UNWIND_ALLOCATIONS, { $match: { category: { $in: categoryNames } } }] : []),
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+  return result.length ? result[0].total : 0;
+}
+
+/**
+ * Category names a budget covers: its category plus, optionally, every descendant
+ * @param {Object} budget - Budget document
+ * @param {Array} categories - The user's expense categories
+ * @returns {string[]|null} - Names, or null for an overall budget
+ */
+function getBudgetCategoryNames(budget, categories) {
+  if (!budget.category) return null;
+
+  const root = categories.find(c => c.kind === 'expense' && c.name === budget.category);
+  if (!root || !budget.includeSubcategories) return [budget.category];
+
+  const names = [root.name];
+  const queue = [String(root._id)];
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    categories
+      .filter(c => c.parent && String(c.parent) === parentId)
+      .forEach(child => {
+        names.push(child.name);
+        queue.push(String(child._id));
+      });
+  }
+  return names;
+}
+
+/**
+ * Compare a budget with actual spending for one period
+ * @param {Object} budget - Budget document
+ * @param {string} periodKey - From getPeriodKey
+ * @param {Array} categories - The user's expense categories
+ * @returns {Promise<Object>} - Limit (including rollover), spent, remaining, percentUsed and status
+ */
+async function evaluateBudget(budget, periodKey, categories) {
+  const categoryNames = getBudgetCategoryNames(budget, categories);
+  const spent = await sumSpending(budget, periodKey, categoryNames);
+
+  // Roll over from the previous month only, and only if the budget already existed then
+  let rolloverAmount = 0;
+  if (budget.period === 'monthly' && budget.rollover !== 'none') {
+    const previousKey = shiftMonthKey(periodKey, -1);
+    if (getPeriodKey(budget, budget.createdAt) <= previousKey) {
+      const previousSpent = await sumSpending(budget, previousKey, categoryNames);
+      rolloverAmount = budget.amount - previousSpent;
+      if (budget.rollover === 'unused') rolloverAmount = Math.max(0, rolloverAmount);
+    }
+  }
+
+  const limit = Math.max(0, budget.amount + rolloverAmount);
+  const percentUsed = limit > 0 ? (spent / limit) * 100 : (spent > 0 ? Infinity : 0);
+  const thresholds = [...(budget.thresholds || [])].sort((a, b) => a - b);
+
+  let status = 'ok';
+  if (percentUsed >= 100) status = 'exceeded';
+  else if (thresholds.some(t => t < 100 && percentUsed >= t)) status = 'warning';
+
+  return {
+    periodKey,
+    categories: categoryNames,
+    amount: budget.amount,
+    rolloverAmount: Math.round(rolloverAmount * 100) / 100,
+    limit: Math.round(limit * 100) / 100,
+    spent: Math.round(spent * 100) / 100,
+    remaining: Math.round((limit - spent) * 100) / 100,
+    percentUsed: Number.isFinite(percentUsed) ? Math.round(percentUsed * 10) / 10 : null,
+    status,
+    thresholdsReached: thresholds.filter(t => percentUsed >= t),
+  };
+}
+
+/**
+ * Budget-vs-actual for every active budget of a user in the period containing a date
+ * @param {ObjectId} userId - Owner of the budgets
+ * @param {Date} date - Reference date (defaults to now)
+ * @returns {Promise<Array>} - Budget documents merged with their evaluation
+ */
+async function getBudgetsVsActual(userId, date = new Date()) {
+  const [budgets, categories] = await Promise.all([
+    Budget.find({ user: userId, isActive: true }).sort({ category: 1, createdAt: 1 }).lean(),
+    getUserCategories(userId, 'expense'),
   ]);
 
-  const totalSpent = expenses.length ? expenses[0].totalSpent : 0;
+  const results = [];
+  for (const budget of budgets) {
+    const periodKey = getPeriodKey(budget, date);
+    // Custom budgets only show while the reference date is inside their range
+    if (!periodKey) continue;
+
+    const evaluation = await evaluateBudget(budget, periodKey, categories);
+    const { alertsSent, ...rest } = budget;
+    results.push({
+      ...rest,
+      ...evaluation,
+      alertsSentThisPeriod: (alertsSent || []).filter(a => a.periodKey === periodKey).map(a => a.threshold),
+    });
+  }
+  return results;
+}
+
+/**
+ * Fire threshold alerts for budgets affected by new or changed expenses.
+ * Each threshold is recorded per period before notifying, so it fires at most once.
+ * @param {ObjectId} userId - Owner of the transactions
+ * @param {Array} transactions - Saved transactions (only expenses are considered)
+ * @returns {Promise<Array>} - Alerts that were sent
+ */
+async function checkBudgetAlerts(userId, transactions) {
+  const expenses = (transactions || []).filter(t => t && t.type === 'expense' && t.date);
+  if (expenses.length === 0) return [];
+
+  const budgets = await Budget.find({ user: userId, isActive: true }).lean();
+  if (budgets.length === 0) return [];
 
-  if (totalSpent > budgetAmount) {
-    const user = await User.findById(userId);
-    if (user && user.email) {
-      await sendBudgetExceededEmail(user.email, `${month}/${year}`, budgetAmount, totalSpent);
+  const categories = await getUserCategories(userId, 'expense');
+  const alerts = [];
+
+  for (const budget of budgets) {
+    const categoryNames = getBudgetCategoryNames(budget, categories);
+    const periodKeys = new Set(
+      expenses
+        .filter(t => !categoryNames || allocatedCategories(t).some(name => categoryNames.includes(name)))
+        .map(t => getPeriodKey(budget, t.date))
+        .filter(Boolean)
+    );
+
+    for (const periodKey of periodKeys) {
+      const evaluation = await evaluateBudget(budget, periodKey, categories);
+
+      for (const threshold of evaluation.thresholdsReached) {
+        const { modifiedCount } = await Budget.updateOne(
+          { _id: budget._id, alertsSent: { $not: { $elemMatch: { periodKey, threshold } } } },
+          { $push: { alertsSent: { periodKey, threshold, sentAt: new Date() } } }
+        );
+        if (modifiedCount === 0) continue;
+
+        alerts.push({ budget, periodKey, threshold, evaluation });
+      }
+    }
+  }
+
+  if (alerts.length > 0) {
+    const user = await User.findById(userId).select('preferences.defaultCurrency').lean();
+    const currency = user?.preferences?.defaultCurrency || 'INR';
+
+    for (const alert of alerts) {
+      const budgetName = alert.budget.name || alert.budget.category || 'Overall spending';
+      const period = alert.periodKey === 'custom' ? 'this budget period' : formatMonth(alert.periodKey);
+      const exceeded = alert.threshold >= 100;
+
+      await notify(userId, exceeded ? 'budget_exceeded' : 'budget_warning', {
+        title: exceeded
+          ? `${budgetName} budget exceeded`
+          : `${budgetName} budget is at ${alert.threshold}%`,
+        message: `You have spent ${formatMoney(alert.evaluation.spent, currency)} of your ${formatMoney(alert.evaluation.limit, currency)} ${budgetName} budget for ${period}.`,
+        link: '/budgets',
+        data: {
+          budgetId: alert.budget._id,
+          periodKey: alert.periodKey,
+          threshold: alert.threshold,
+          spent: alert.evaluation.spent,
+          limit: alert.evaluation.limit,
+        },
+      });
     }
   }
+
+  return alerts;
+}
+
+/**
+ * Run checkBudgetAlerts without delaying the response; failures are only logged
+ */
+function checkBudgetAlertsInBackground(userId, transactions) {
+  checkBudgetAlerts(userId, transactions).catch(error => {
+    console.error('❌ Budget alert check failed:', error.message);
+  });
+}
+
+/**
+ * Move budgets from the given category names to another. Budgets only track expenses, so
+ * income categories leave them alone
+ * @param {ObjectId} userId - Owner of the data
+ * @param {string} kind - 'income' or 'expense'
+ * @param {string[]} names - Category names being replaced
+ * @param {string} toName - Category name to tag with instead
+ * @returns {Promise<Object|null>} - updateMany result, or null for income
+ */
+async function retagCategory(userId, kind, names, toName) {
+  if (kind !== 'expense') return null;
+  return Budget.updateMany(
+    { user: userId, category: { $in: names } },
+    { $set: { category: toName } }
+  );
 }
 
-module.exports = { checkAndNotifyBudgetExceeded };
+module.exports = {
+  isValidTimezone,
+  getPeriodKey,
+  evaluateBudget,
+  getBudgetsVsActual,
+  checkBudgetAlerts,
+  checkBudgetAlertsInBackground,
+  retagCategory,
+};
@@ -0,0 +1,200 @@
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Expense = require('../models/Expense');
+
+// Catch-all per kind; parsed or imported categories that match nothing land here
+const FALLBACK_CATEGORIES = {
+  income: 'Other Income',
+  expense: 'Other Expense',
+};
+
+// Starter set copied into every new user's category list
+const DEFAULT_CATEGORIES = [
+  { name: 'Food & Dining', kind: 'expense', icon: '🍽️', color: '#ff7c7c', children: [
+    { name: 'Groceries', icon: '🛒', color: '#82ca9d' },
+  ] },
+  { name: 'Transportation', kind: 'expense', icon: '🚗', color: '#8dd1e1', children: [
+    { name: 'Fuel', icon: '⛽', color: '#5fa8d3' },
+  ] },
+  { name: 'Shopping', kind: 'expense', icon: '🛍️', color: '#d084d0', children: [
+    { name: 'Clothing', icon: '👕', color: '#b56fd6' },
+  ] },
+  { name: 'Entertainment', kind: 'expense', icon: '🎬', color: '#ffc658' },
+  { name: 'Bills & Utilities', kind: 'expense', icon: '💡', color: '#ffb347', children: [
+    { name: 'Internet', icon: '🌐', color: '#f0a04b' },
+    { name: 'Mobile', icon: '📱', color: '#e8913a' },
+  ] },
+  { name: 'Housing', kind: 'expense', icon: '🏠', color: '#a47148', children: [
+    { name: 'Rent', icon: '🔑', color: '#8d6e63' },
+  ] },
+  { name: 'Healthcare', kind: 'expense', icon: '🏥', color: '#e57373' },
+  { name: 'Education', kind: 'expense', icon: '📚', color: '#7986cb' },
+  { name: 'Travel', kind: 'expense', icon: '✈️', color: '#4db6ac' },
+  { name: 'Insurance', kind: 'expense', icon: '🛡️', color: '#90a4ae' },
+  { name: 'Personal Care', kind: 'expense', icon: '💆', color: '#f48fb1' },
+  { name: 'Cash Withdrawal', kind: 'expense', icon: '🏧', color: '#9e9e9e' },
+  { name: 'Other Expense', kind: 'expense', icon: '📦', color: '#bdbdbd', isFallback: true },
+  { name: 'Salary', kind: 'income', icon: '💼', color: '#4caf50', children: [
+    { name: 'Bonus', icon: '🎉', color: '#7cb342' },
+  ] },
+  { name: 'Freelance', kind: 'income', icon: '🧑‍💻', color: '#66bb6a' },
+  { name: 'Business Income', kind: 'income', icon: '🏢', color: '#43a047' },
+  { name: 'Investment', kind: 'income', icon: '📈', color: '#26a69a', children: [
+    { name: 'Interest', icon: '🏦', color: '#4db6ac' },
+    { name: 'Dividend', icon: '💹', color: '#009688' },
+  ] },
+  { name: 'Rental Income', kind: 'income', icon: '🏘️', color: '#8bc34a' },
+  { name: 'Gift Received', kind: 'income', icon: '🎁', color: '#aed581' },
+  { name: 'Refund', kind: 'income', icon: '↩️', color: '#80cbc4' },
+  { name: 'Other Income', kind: 'income', icon: '💰', color: '#a5d6a7', isFallback: true },
+];
+
+async function insertIgnoringDuplicates(docs) {
+  if (docs.length === 0) return;
+  try {
+    await Category.insertMany(docs, { ordered: false });
+  } catch (error) {
+    // A concurrent request seeded the same rows
+    if (error.code !== 11000 && !error.writeErrors?.every(e => e.code === 11000)) throw error;
+  }
+}
+
+/**
+ * Seed the default categories for a user who has none yet
+ * @param {ObjectId} userId - Owner of the categories
+ * @returns {Promise<void>}
+ */
+async function ensureDefaultCategories(userId) {
+  const existing = await Category.countDocuments({ user: userId });
+  if (existing > 0) return;
+
+  console.log('🌱 Seeding default categories for user:', userId);
+
+  await insertIgnoringDuplicates(
+    DEFAULT_CATEGORIES.map(({ children, ...category }) => ({ ...category, user: userId }))
+  );
+
+  const parents = await Category.find({ user: userId, parent: null }).lean();
+  const parentIds = new Map(parents.map(p => [`${p.kind}:${p.name}`, p._id]));
+
+  const children = DEFAULT_CATEGORIES.flatMap(parent =>
+    (parent.children || []).map(child => ({
+      ...child,
+      kind: parent.kind,
+      parent: parentIds.get(`${parent.kind}:${parent.name}`),
+      user: userId,
+    }))
+  );
+
+  await insertIgnoringDuplicates(children);
+}
+
+/**
+ * Load a user's categories, seeding the defaults on first use
+ * @param {ObjectId} userId - Owner of the categories
+ * @param {string} kind - Optional 'income' or 'expense' filter
+ * @returns {Promise<Array>} - Lean category documents sorted by kind and name
+ */
+async function getUserCategories(userId, kind) {
+  await ensureDefaultCategories(userId);
+
+  const filter = { user: userId };
+  if (kind) filter.kind = kind;
+
+  return Category.find(filter).sort({ kind: 1, name: 1 }).lean();
+}
+
+/**
+ * Match a category name against the user's list, ignoring case and surrounding spaces
+ * @param {Array} categories - Categories from getUserCategories
+ * @param {string} name - Category name to look up
+ * @param {string} kind - 'income' or 'expense'
+ * @returns {string|null} - Canonical category name, or null when there is no match
+ */
+function resolveCategoryName(categories, name, kind) {
+  if (!name || typeof name !== 'string') return null;
+
+  const wanted = name.trim().toLowerCase();
+  const match = categories.find(c => c.kind === kind && c.name.toLowerCase() === wanted);
+  return match ? match.name : null;
+}
+
+/**
+ * Like resolveCategoryName, but falls back to the kind's catch-all category
+ * @param {Array} categories - Categories from getUserCategories
+ * @param {string} name - Category name suggested by a parser or import
+ * @param {string} kind - 'income' or 'expense'
+ * @returns {string} - A category name that exists for the user
+ */
+function normalizeCategory(categories, name, kind) {
+  const resolved = resolveCategoryName(categories, name, kind);
+  if (resolved) return resolved;
+
+  const fallback = categories.find(c => c.kind === kind && c.isFallback);
+  return fallback ? fallback.name : FALLBACK_CATEGORIES[kind] || FALLBACK_CATEGORIES.expense;
+}
+
+/**
+ * Category names for a kind, formatted for an LLM prompt ("Groceries (under Food & Dining)")
+ * @param {Array} categories - Categories from getUserCategories
+ * @param {string} kind - 'income' or 'expense'
+ * @returns {string} - Comma separated list
+ */
+function describeCategoriesForPrompt(categories, kind) {
+  const byId = new Map(categories.map(c => [String(c._id), c]));
+
+  return categories
+    .filter(c => c.kind === kind)
+    .map(c => {
+      const parent = c.parent && byId.get(String(c.parent));
+      return parent ? `${c.name} (under ${parent.name})` : c.name;
+    })
+    .join(', ');
+}
+
+/**
+ * Move transactions tagged with one or more category names to another name.
+ * Used by rename, merge and delete so stored transactions never point at a missing category;
+ * the routes re-tag merchants, recurring rules, budgets, draft imports and receipts alongside
+ * through the services that own them
+ * @param {ObjectId} userId - Owner of the data
+ * @param {string} kind - 'income' or 'expense'
+ * @param {string[]} fromNames - Category names being replaced
+ * @param {string} toName - Category name to tag with instead
+ * @returns {Promise<number>} - Number of transactions re-tagged
+ */
+async function retagCategory(userId, kind, fromNames, toName) {
+  const names = fromNames.filter(name => name && name !== toName);
+  if (names.length === 0) return 0;
+
+  const [transactions] = await Promise.all([
+    Transaction.updateMany(
+      { user: userId, type: kind, category: { $in: names } },
+      { $set: { category: toName } }
+    ),
+    Expense.updateMany(
+      { userId, type: kind, category: { $in: names } },
+      { $set: { category: toName } }
+    ),
+    // Parts of split transactions; a split can end up with two parts in one category, which is allowed
+    Transaction.updateMany(
+      { user: userId, type: kind, 'allocations.category': { $in: names } },
+      { $set: { 'allocations.$[part].category': toName } },
+      { arrayFilters: [{ 'part.category': { $in: names } }] }
+    ),
+  ]);
+
+  console.log(`🏷️ Re-tagged ${transactions.modifiedCount} transactions: ${names.join(', ')} → ${toName}`);
+  return transactions.modifiedCount;
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  FALLBACK_CATEGORIES,
+  ensureDefaultCategories,
+  getUserCategories,
+  resolveCategoryName,
+  normalizeCategory,
+  describeCategoriesForPrompt,
+  retagCategory,
+};
@@ -0,0 +1,457 @@
+const { FALLBACK_CATEGORIES } = require('./categoryService');
+const { DELIMITERS, DECIMAL_SEPARATORS, AMOUNT_SIGNS } = require('../models/ImportProfile');
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+const COLUMN_FIELDS = ['date', 'description', 'debit', 'credit', 'amount', 'balance'];
+const PREVIEW_ROWS = 10;
+// Running balances may be this far off before a row is flagged
+const BALANCE_TOLERANCE = 0.01;
+
+// Offered in the mapping form and tried in this order when guessing; DD and MM also match one digit
+const DATE_FORMATS = [
+  'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MM-YYYY', 'DD.MM.YYYY', 'DD/MM/YY', 'MM/DD/YY',
+  'DD-MM-YY', 'DD-MMM-YYYY', 'DD MMM YYYY', 'DD-MMM-YY', 'YYYY/MM/DD',
+];
+
+// Header names banks use for each column
+const COLUMN_HINTS = {
+  date: /^(transaction|txn|tran|posting|booking|value)?\s*date$|^date\b|buchungstag|datum|fecha/i,
+  description: /description|narration|particulars|details|remarks|memo|payee|reference|verwendungszweck|buchungstext|libell|concepto/i,
+  debit: /debit|withdrawal|paid\s*out|money\s*out|^dr\.?$|soll/i,
+  credit: /credit|deposit|paid\s*in|money\s*in|^cr\.?$|haben/i,
+  amount: /amount|^value$|betrag|montant|importe/i,
+  balance: /balance|saldo|solde/i,
+};
+
+/**
+ * Text of an uploaded CSV; UTF-16 exports (common from Excel) are recognised by their byte order mark
+ * @param {Buffer} buffer - File contents
+ * @returns {string}
+ */
+function decodeCsv(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.toString('utf16le').slice(1);
+  const text = buffer.toString('utf8');
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+/**
+ * Split CSV text into records. Quoted fields may hold delimiters, doubled quotes and line breaks;
+ * blank lines are dropped
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field separator
+ * @returns {string[][]} - Records of trimmed fields
+ */
+function parseCsv(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    record.push(field.trim());
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some(value => value !== '')) records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) endRecord();
+
+  return records;
+}
+
+/**
+ * The separator that splits the opening lines most consistently into the most fields
+ * @param {string} text - CSV text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20).join('\n');
+  let best = { delimiter: ',', score: 0 };
+
+  DELIMITERS.forEach(delimiter => {
+    const widths = parseCsv(sample, delimiter).map(record => record.length);
+    const counts = {};
+    widths.forEach(width => { counts[width] = (counts[width] || 0) + 1; });
+    const [width, rows] = Object.entries(counts).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || [1, 0];
+    const score = width > 1 ? rows * width : 0;
+    if (score > best.score) best = { delimiter, score };
+  });
+
+  return best.delimiter;
+}
+
+/**
+ * Records above the header row: account details and the like have fewer fields than the table
+ * @param {string[][]} records - Parsed records
+ * @returns {number}
+ */
+function detectSkipRows(records) {
+  const counts = {};
+  records.forEach(record => { counts[record.length] = (counts[record.length] || 0) + 1; });
+  const [width] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [0];
+  const headerIndex = records.findIndex(record => record.length === Number(width));
+  return Math.max(headerIndex, 0);
+}
+
+/**
+ * The header row and the data records below it
+ * @param {string} text - CSV text
+ * @param {Object} options - { delimiter, skipRows }
+ * @returns {Object} - { headers, records }; records are padded to the header's width
+ */
+function readTable(text, { delimiter, skipRows = 0 }) {
+  const [headers = [], ...records] = parseCsv(text, delimiter).slice(skipRows);
+  return {
+    headers,
+    records: records.map(record => headers.map((header, index) => record[index] ?? '')),
+  };
+}
+
+function headerSignature(headers) {
+  return headers.map(header => header.toLowerCase()).join('|');
+}
+
+function columnIndex(headers, name) {
+  if (!name) return -1;
+  return headers.findIndex(header => header.toLowerCase() === name.trim().toLowerCase());
+}
+
+/**
+ * Guess which header holds each field. Separate debit and credit columns are preferred over a
+ * single amount column
+ * @param {string[]} headers - Header row
+ * @returns {Object} - { date, description, debit, credit, amount, balance }, null where nothing fits
+ */
+function suggestColumns(headers) {
+  const taken = new Set();
+  const pick = field => {
+    const header = headers.find(name => !taken.has(name) && COLUMN_HINTS[field].test(name));
+    if (header) taken.add(header);
+    return header || null;
+  };
+
+  const columns = {};
+  ['date', 'balance', 'debit', 'credit', 'description'].forEach(field => { columns[field] = pick(field); });
+  columns.amount = columns.debit || columns.credit ? null : pick('amount');
+  return columns;
+}
+
+/**
+ * Turn a format such as "DD/MM/YYYY" or "DD-MMM-YY" into a pattern
+ * @param {string} format - Tokens DD, D, MM, M, MMM, YYYY and YY with any separators
+ * @returns {Object|null} - { regex, fields }, or null unless day, month and year each appear once
+ */
+function compileDateFormat(format) {
+  const fields = [];
+  const source = String(format || '').toUpperCase().replace(/YYYY|YY|MMM|MM|M|DD|D|[^A-Z]+|[A-Z]+/g, token => {
+    switch (token) {
+      case 'YYYY': fields.push('year'); return '(\\d{4})';
+      case 'YY': fields.push('shortYear'); return '(\\d{2})';
+      case 'MMM': fields.push('monthName'); return '([A-Za-z]{3,9})\\.?';
+      case 'MM': case 'M': fields.push('month'); return '(\\d{1,2})';
+      case 'DD': case 'D': fields.push('day'); return '(\\d{1,2})';
+      default: return /^[A-Z]+$/.test(token) ? '\u0000' : token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    }
+  });
+
+  const has = name => fields.filter(field => field === name).length;
+  if (source.includes('\u0000') || has('day') !== 1 || has('month') + has('monthName') !== 1 || has('year') + has('shortYear') !== 1) {
+    return null;
+  }
+  // A time after the date is ignored
+  return { regex: new RegExp(`^${source}(?:[\\sT].*)?$`), fields };
+}
+
+/**
+ * Read a date written in a known format
+ * @param {string} text - Date as written in the file
+ * @param {Object} compiled - Result of compileDateFormat
+ * @returns {Date|null} - UTC midnight, or null when the text does not fit the format
+ */
+function parseDateWithFormat(text, compiled) {
+  const match = compiled.regex.exec(String(text || '').trim());
+  if (!match) return null;
+
+  const parts = {};
+  compiled.fields.forEach((field, index) => { parts[field] = match[index + 1]; });
+  // Two-digit years are taken to be at most a year ahead
+  const shortYear = 2000 + parseInt(parts.shortYear, 10);
+  const year = parts.year ? parseInt(parts.year, 10) : shortYear - (shortYear > new Date().getUTCFullYear() + 1 ? 100 : 0);
+  const month = parts.monthName ? MONTHS[parts.monthName.slice(0, 3).toLowerCase()] : parseInt(parts.month, 10);
+  const day = parseInt(parts.day, 10);
+  if (!month) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+// The first listed format that reads every sample date
+function guessDateFormat(values) {
+  const samples = values.filter(Boolean);
+  if (samples.length === 0) return DATE_FORMATS[0];
+  return DATE_FORMATS.find(format => {
+    const compiled = compileDateFormat(format);
+    return samples.every(value => parseDateWithFormat(value, compiled));
+  }) || DATE_FORMATS[0];
+}
+
+/**
+ * Read a figure written with the given decimal mark. Other separators are digit grouping; a minus
+ * sign (leading or trailing), brackets or a "Dr" suffix make it negative
+ * @param {string} text - Figure as written, e.g. "1,234.50", "1.234,50", "(120.00)" or "500.00 Dr"
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number|null} - null for an empty or unreadable field
+ */
+function parseDecimal(text, decimalSeparator) {
+  const value = String(text || '').trim();
+  if (!value || value === '-') return null;
+
+  const negative = /-|^\(.*\)$|\bdr\.?$/i.test(value);
+  const digits = value
+    .replace(/\b(cr|dr)\.?$/i, '')
+    .replace(new RegExp(`[^\\d${decimalSeparator === ',' ? ',' : '.'}]`, 'g'), '')
+    // A symbol such as "Rs." leaves a stray mark in front
+    .replace(/^[.,]+|[.,]+$/g, '')
+    .replace(decimalSeparator, '.');
+  if (!/^\d+(\.\d+)?$/.test(digits)) return null;
+
+  const amount = Math.round(parseFloat(digits) * 100) / 100;
+  return negative ? -amount : amount;
+}
+
+// ',' when the sample figures end in a comma and one or two digits, as in much of Europe
+function guessDecimalSeparator(values) {
+  const samples = values.filter(Boolean);
+  const commaDecimals = samples.filter(value => /,\d{1,2}(\s*(cr|dr)\.?)?\)?-?$/i.test(value.trim())).length;
+  const pointDecimals = samples.filter(value => /\.\d{1,2}(\s*(cr|dr)\.?)?\)?-?$/i.test(value.trim())).length;
+  return commaDecimals > pointDecimals ? ',' : '.';
+}
+
+/**
+ * Best guess at how to read a file, for the mapping form to start from
+ * @param {Object} table - Result of readTable
+ * @returns {Object} - { columns, dateFormat, decimalSeparator, amountSign }
+ */
+function suggestSettings(table) {
+  const columns = suggestColumns(table.headers);
+  const sample = table.records.slice(0, 50);
+  const valuesOf = name => {
+    const index = columnIndex(table.headers, name);
+    return index === -1 ? [] : sample.map(record => record[index]);
+  };
+
+  return {
+    columns,
+    dateFormat: guessDateFormat(valuesOf(columns.date)),
+    decimalSeparator: guessDecimalSeparator(['debit', 'credit', 'amount', 'balance'].flatMap(field => valuesOf(columns[field]))),
+    amountSign: 'negative-is-expense',
+  };
+}
+
+/**
+ * Check mapping settings sent by the client or saved in a profile
+ * @param {Object} input - { delimiter, skipRows, columns, amountSign, dateFormat, decimalSeparator }
+ * @returns {{errors: string[], settings: Object}} - Messages, and the settings with defaults filled in
+ */
+function validateSettings(input) {
+  if (!input || typeof input !== 'object') {
+    return { errors: ['Column mapping is required'], settings: null };
+  }
+
+  const errors = [];
+  const columns = {};
+  COLUMN_FIELDS.forEach(field => {
+    const value = input.columns?.[field];
+    columns[field] = typeof value === 'string' && value.trim() ? value.trim() : null;
+  });
+
+  const settings = {
+    delimiter: input.delimiter ?? ',',
+    skipRows: input.skipRows === undefined || input.skipRows === null || input.skipRows === '' ? 0 : Number(input.skipRows),
+    columns,
+    amountSign: input.amountSign || 'negative-is-expense',
+    dateFormat: typeof input.dateFormat === 'string' ? input.dateFormat.trim() : '',
+    decimalSeparator: input.decimalSeparator || '.',
+  };
+
+  if (!DELIMITERS.includes(settings.delimiter)) {
+    errors.push('Delimiter must be a comma, semicolon, tab or pipe');
+  }
+  if (!Number.isInteger(settings.skipRows) || settings.skipRows < 0 || settings.skipRows > 50) {
+    errors.push('skipRows must be a whole number from 0 to 50');
+  }
+  if (!columns.date) errors.push('Choose the date column');
+  if (!columns.description) errors.push('Choose the description column');
+  if (!columns.amount && !columns.debit && !columns.credit) {
+    errors.push('Choose an amount column, or debit and credit columns');
+  }
+  if (columns.amount && (columns.debit || columns.credit)) {
+    errors.push('Use either an amount column or debit and credit columns, not both');
+  }
+  if (!AMOUNT_SIGNS.includes(settings.amountSign)) {
+    errors.push(`amountSign must be one of: ${AMOUNT_SIGNS.join(', ')}`);
+  }
+  if (!compileDateFormat(settings.dateFormat)) {
+    errors.push('Date format needs one day (DD), month (MM or MMM) and year (YYYY or YY), e.g. DD/MM/YYYY');
+  }
+  if (!DECIMAL_SEPARATORS.includes(settings.decimalSeparator)) {
+    errors.push('Decimal separator must be "." or ","');
+  }
+
+  return { errors, settings };
+}
+
+/**
+ * Mapped columns that are not in the file's header row
+ * @param {Object} settings - Validated settings
+ * @param {string[]} headers - Header row
+ * @returns {string[]} - Error messages
+ */
+function findMissingColumns(settings, headers) {
+  return COLUMN_FIELDS
+    .filter(field => settings.columns[field] && columnIndex(headers, settings.columns[field]) === -1)
+    .map(field => `Column "${settings.columns[field]}" (${field}) is not in the file`);
+}
+
+// Which way the running balance runs: exports list oldest first or newest first
+function reconcileBalances(entries) {
+  const withBalance = entries.filter(entry => entry.balance != null);
+  if (withBalance.length < 2) return null;
+
+  const follows = (earlier, later) => Math.abs(earlier.balance + later.signed - later.balance) <= BALANCE_TOLERANCE;
+  const forward = withBalance.slice(1).filter((entry, i) => follows(withBalance[i], entry)).length;
+  const backward = withBalance.slice(0, -1).filter((entry, i) => follows(withBalance[i + 1], entry)).length;
+  const ordered = forward >= backward ? withBalance : [...withBalance].reverse();
+
+  // Not a single row follows from another: the column is not a running balance
+  if (Math.max(forward, backward) === 0) {
+    return { checkedRows: withBalance.length - 1, mismatchedRows: null, order: null };
+  }
+
+  let mismatchedRows = 0;
+  ordered.slice(1).forEach((entry, i) => {
+    if (!follows(ordered[i], entry)) {
+      entry.transaction.needsManualReview = true;
+      entry.transaction.reviewNote = 'The balance after this row does not follow from the previous one. Please check the amount.';
+      mismatchedRows++;
+    }
+  });
+
+  return { checkedRows: ordered.length - 1, mismatchedRows, order: forward >= backward ? 'oldest-first' : 'newest-first' };
+}
+
+/**
+ * Read transactions from the data records with a validated mapping. Rows without an amount (opening
+ * balance lines, totals) are skipped and reported; dates that do not fit the format are passed on as
+ * written for the usual date checks to read or flag
+ * @param {Object} table - Result of readTable
+ * @param {Object} settings - Validated settings whose columns exist in the table
+ * @returns {Object} - { transactions, rowIndexes (each transaction's record), failedRows, unreadableDates, reconciliation }
+ */
+function readTransactions(table, settings) {
+  const index = {};
+  COLUMN_FIELDS.forEach(field => { index[field] = columnIndex(table.headers, settings.columns[field]); });
+  const compiled = compileDateFormat(settings.dateFormat);
+  const figure = (record, field) => (index[field] === -1 ? null : parseDecimal(record[index[field]], settings.decimalSeparator));
+
+  const entries = [];
+  const failedRows = [];
+  let unreadableDates = 0;
+
+  table.records.forEach((record, rowIndex) => {
+    const description = record[index.description];
+    const dateText = record[index.date];
+
+    let signed;
+    if (index.amount !== -1) {
+      const amount = figure(record, 'amount');
+      signed = amount === null ? null : settings.amountSign === 'negative-is-income' ? -amount : amount;
+    } else {
+      const debit = figure(record, 'debit');
+      const credit = figure(record, 'credit');
+      signed = debit || credit ? Math.abs(credit || 0) - Math.abs(debit || 0) : null;
+    }
+
+    if (!signed) {
+      const raw = [index.amount, index.debit, index.credit].filter(i => i !== -1).map(i => record[i]).filter(Boolean);
+      const readable = raw.every(value => parseDecimal(value, settings.decimalSeparator) !== null);
+      let error = `Amount "${raw.join(' / ')}" could not be read`;
+      if (raw.length === 0) error = 'No amount';
+      else if (readable) error = 'Amount is zero';
+      failedRows.push({ index: rowIndex, description, error });
+      return;
+    }
+
+    const date = parseDateWithFormat(dateText, compiled);
+    if (!date) unreadableDates++;
+
+    const type = signed > 0 ? 'income' : 'expense';
+    entries.push({
+      rowIndex,
+      signed,
+      balance: figure(record, 'balance'),
+      transaction: {
+        date: date || dateText,
+        amount: Math.abs(signed),
+        type,
+        description,
+        category: FALLBACK_CATEGORIES[type],
+        needsManualReview: false,
+        reviewNote: null,
+      },
+    });
+  });
+
+  const reconciliation = index.balance === -1 ? null : reconcileBalances(entries);
+  return {
+    transactions: entries.map(entry => entry.transaction),
+    rowIndexes: entries.map(entry => entry.rowIndex),
+    failedRows,
+    unreadableDates,
+    reconciliation,
+  };
+}
+
+module.exports = {
+  DATE_FORMATS,
+  PREVIEW_ROWS,
+  decodeCsv,
+  parseCsv,
+  detectDelimiter,
+  detectSkipRows,
+  readTable,
+  headerSignature,
+  suggestSettings,
+  compileDateFormat,
+  parseDateWithFormat,
+  parseDecimal,
+  validateSettings,
+  findMissingColumns,
+  readTransactions,
+};
@@ -0,0 +1,277 @@
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+// Full names or the usual abbreviations only, so words like "Decaf" are not read as months
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)(?![a-z])\\.?';
+// A year must not run into more digits or a decimal part, so "30 Jul 12.50" keeps its amount
+const YEAR = "'?(\\d{4}|\\d{2})(?!\\d|[.,:]\\d)";
+
+// Tried in order; a later pattern never claims text an earlier one already matched
+const DATE_PATTERNS = [
+  // 2024-07-30, 2024/07/30
+  {
+    regex: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g,
+    read: m => ({ year: m[1], month: m[2], day: m[3] }),
+  },
+  // 30 Jul 2024, 30-Jul-24, 1st July, 30 Jul
+  {
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s-]*${MONTH_NAME}(?:[\\s,-]+${YEAR})?`, 'gi'),
+    read: m => ({ day: m[1], month: MONTHS[m[2].slice(0, 3).toLowerCase()], year: m[3] }),
+  },
+  // Jul 30, 2024, July 30
+  {
+    regex: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+${YEAR})?`, 'gi'),
+    read: m => ({ month: MONTHS[m[1].slice(0, 3).toLowerCase()], day: m[2], year: m[3] }),
+  },
+  // 30/07/2024, 07/30/24, 30.07.24: day and month order depends on the document
+  {
+    regex: new RegExp(`\\b(\\d{1,2})[-/.](\\d{1,2})[-/.]${YEAR}`, 'g'),
+    read: m => ({ first: m[1], second: m[2], year: m[3] }),
+  },
+  // 30/07 without a year, as many statements print it; "30.07" is left alone since it reads as an amount
+  {
+    regex: /\b(\d{1,2})[/-](\d{1,2})\b(?![/-]\d)/g,
+    read: m => ({ first: m[1], second: m[2] }),
+  },
+];
+
+// US and Philippine time zones, where dates are written month first
+const MONTH_FIRST_TIMEZONES = /^(America\/(New_York|Chicago|Denver|Los_Angeles|Phoenix|Anchorage|Detroit|Boise|Juneau|Sitka|Yakutat|Nome|Adak|Metlakatla|Menominee|Indiana\/.+|Kentucky\/.+|North_Dakota\/.+)|Pacific\/Honolulu|US\/.+|Asia\/Manila)$/;
+
+const PERIOD_LINE = /\b(statement\s+period|period|from|between|statement\s+date\s+range)\b/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toUtcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date at UTC midnight
+ * @returns {string}
+ */
+function toIsoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Two-digit years land in the century that keeps them at most a year ahead of the reference
+function expandYear(yearText, referenceDate) {
+  const year = parseInt(yearText, 10);
+  if (yearText.length > 2) return year;
+  return 2000 + year <= referenceDate.getUTCFullYear() + 1 ? 2000 + year : 1900 + year;
+}
+
+// Day/month readings a match allows, the order's preferred reading first
+function readings(parts, order) {
+  if (parts.first === undefined) {
+    return [{ day: Number(parts.day), month: Number(parts.month) }];
+  }
+
+  const first = Number(parts.first);
+  const second = Number(parts.second);
+  const dayFirst = { day: first, month: second };
+  const monthFirst = { day: second, month: first };
+  return order === 'MDY' ? [monthFirst, dayFirst] : [dayFirst, monthFirst];
+}
+
+/**
+ * Every date-like token in a piece of text, in order of appearance
+ * @param {string} text - Text to search
+ * @returns {Array} - [{ text, index, parts, hasYear }]
+ */
+function findDates(text) {
+  const found = [];
+
+  DATE_PATTERNS.forEach(({ regex, read }) => {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (found.some(token => start < token.index + token.text.length && end > token.index)) continue;
+
+      const parts = read(match);
+      // Drop numbers that cannot be a date in any reading, e.g. 45/78
+      const possible = readings(parts, 'DMY').some(({ day, month }) => toUtcDate(2000, month, day));
+      if (possible) {
+        found.push({ text: match[0].trim(), index: start, parts, hasYear: Boolean(parts.year) });
+      }
+    }
+  });
+
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Whether a locale writes the month before the day
+ * @param {string} locale - BCP 47 tag such as 'en-IN' or 'en-US'
+ * @returns {string|null} - 'DMY', 'MDY', or null for an unknown locale
+ */
+function localeDateOrder(locale) {
+  try {
+    const types = new Intl.DateTimeFormat(locale, { timeZone: 'UTC' })
+      .formatToParts(new Date(Date.UTC(2001, 10, 22)))
+      .map(part => part.type)
+      .filter(type => type === 'day' || type === 'month');
+    return types[0] === 'month' ? 'MDY' : 'DMY';
+  } catch (error) {
+    return null;
+  }
+}
+
+// Numeric dates over 12 in one position settle the order for the whole document
+function documentDateOrder(text) {
+  let dayFirst = 0;
+  let monthFirst = 0;
+
+  findDates(text).forEach(({ parts }) => {
+    if (parts.first === undefined) return;
+    const first = Number(parts.first);
+    const second = Number(parts.second);
+    if (first > 12 && second <= 12) dayFirst++;
+    if (second > 12 && first <= 12) monthFirst++;
+  });
+
+  if (dayFirst === monthFirst) return null;
+  return dayFirst > monthFirst ? 'DMY' : 'MDY';
+}
+
+function resolveYear(parts, day, month, context) {
+  if (parts.year) {
+    return { date: toUtcDate(expandYear(parts.year, context.referenceDate), month, day), yearFromPeriod: false };
+  }
+
+  // No year printed: take it from the statement period, else the latest such date not after the reference
+  const { period, referenceDate } = context;
+  if (period) {
+    const years = [...new Set([period.start.getUTCFullYear(), period.end.getUTCFullYear()])];
+    for (const year of years) {
+      const date = toUtcDate(year, month, day);
+      if (date && date >= period.start && date <= period.end) return { date, yearFromPeriod: true };
+    }
+  }
+
+  // Outside the period the year is still a guess, but the period's year is the better one
+  const year = period ? period.end.getUTCFullYear() : referenceDate.getUTCFullYear();
+  const date = toUtcDate(year, month, day);
+  const inFuture = date && date.getTime() > referenceDate.getTime() + DAY_MS;
+  return { date: inFuture ? toUtcDate(year - 1, month, day) : date, yearFromPeriod: false };
+}
+
+function inPeriod(date, period) {
+  return date >= period.start && date <= period.end;
+}
+
+/**
+ * Turn a date token into a calendar date using the document context
+ * @param {Object} token - Token from findDates
+ * @param {Object} context - Context from createDateContext
+ * @returns {Object} - { date, uncertain, reason }; date is null when no reading is valid
+ */
+function resolveToken(token, context) {
+  const candidates = readings(token.parts, context.order)
+    .map(({ day, month }) => ({ day, month, ...resolveYear(token.parts, day, month, context) }))
+    .filter(candidate => candidate.date);
+  const distinct = candidates.filter((candidate, index) =>
+    candidates.findIndex(other => other.date.getTime() === candidate.date.getTime()) === index);
+
+  if (distinct.length === 0) {
+    return { date: null, uncertain: true, reason: `"${token.text}" is not a valid date` };
+  }
+
+  let chosen = distinct[0];
+  let uncertain = false;
+  let reason = null;
+
+  if (distinct.length > 1) {
+    const withinPeriod = context.period ? distinct.filter(candidate => inPeriod(candidate.date, context.period)) : [];
+    if (withinPeriod.length === 1) {
+      chosen = withinPeriod[0];
+    } else if (context.orderSource !== 'document') {
+      uncertain = true;
+      reason = `"${token.text}" could be ${distinct.map(candidate => toIsoDate(candidate.date)).join(' or ')}; read as ${toIsoDate(chosen.date)}`;
+    }
+  }
+
+  if (!token.hasYear && !chosen.yearFromPeriod) {
+    uncertain = true;
+    reason = [reason, `"${token.text}" has no year; assumed ${chosen.date.getUTCFullYear()}`].filter(Boolean).join('. ');
+  }
+
+  return { date: chosen.date, uncertain, reason };
+}
+
+// A header line such as "Statement period: 01/07/2024 to 31/07/2024" bounds every date below it
+function findStatementPeriod(text, context) {
+  for (const line of text.split('\n')) {
+    if (!PERIOD_LINE.test(line)) continue;
+
+    const dates = findDates(line)
+      .filter(token => token.hasYear)
+      .map(token => resolveToken(token, context).date)
+      .filter(Boolean);
+    if (dates.length < 2) continue;
+
+    const [start, end] = dates;
+    if (start <= end && end - start <= 400 * DAY_MS) {
+      return { start, end };
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out how a document writes its dates: the order comes from unambiguous dates in the document,
+ * then the user's locale, then their time zone, and a statement period header is used when present
+ * @param {string} text - Full document text
+ * @param {Object} options - { locale, timezone, referenceDate }
+ * @returns {Object} - { order: 'DMY' | 'MDY', orderSource, period: { start, end } | null, referenceDate }
+ */
+function createDateContext(text = '', { locale = null, timezone = null, referenceDate = new Date() } = {}) {
+  let order = documentDateOrder(text);
+  let orderSource = 'document';
+
+  if (!order && locale) {
+    order = localeDateOrder(locale);
+    orderSource = 'locale';
+  }
+  if (!order && timezone) {
+    order = MONTH_FIRST_TIMEZONES.test(timezone) ? 'MDY' : 'DMY';
+    orderSource = 'timezone';
+  }
+  if (!order) {
+    order = 'DMY';
+    orderSource = 'default';
+  }
+
+  const context = { order, orderSource, period: null, referenceDate };
+  context.period = findStatementPeriod(text, context);
+  return context;
+}
+
+/**
+ * Read the first date in a value
+ * @param {Date|string} value - Date, YYYY-MM-DD string or text as printed in the document
+ * @param {Object} context - Context from createDateContext
+ * @returns {Object} - { date, uncertain, reason }; date is null when nothing could be read
+ */
+function interpretDate(value, context = createDateContext()) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? { date: null, uncertain: true, reason: 'Invalid date' }
+      : { date: value, uncertain: false, reason: null };
+  }
+
+  const [token] = findDates(String(value || ''));
+  if (!token) {
+    return { date: null, uncertain: true, reason: value ? `"${value}" is not a recognisable date` : 'No date found' };
+  }
+  return resolveToken(token, context);
+}
+
+module.exports = {
+  toIsoDate,
+  findDates,
+  localeDateOrder,
+  createDateContext,
+  interpretDate,
+};
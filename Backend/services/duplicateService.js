@@ -0,0 +1,183 @@
+const Transaction = require('../models/Transaction');
+const Receipt = require('../models/Receipt');
+const Upload = require('../models/Upload');
+const ImportBatch = require('../models/ImportBatch');
+const { primaryCategory, rescaleAllocations } = require('./allocationService');
+
+const DEFAULT_DATE_WINDOW_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Share of the shorter description's words that must also appear in the other one
+const SIMILARITY_THRESHOLD = 0.5;
+
+// Words banks wrap around the payee that say nothing about who was paid
+const NOISE_WORDS = new Set([
+  'upi', 'pos', 'neft', 'imps', 'rtgs', 'nach', 'ach', 'ecs', 'txn', 'ref', 'refno', 'payment', 'purchase',
+  'debit', 'credit', 'card', 'transfer', 'online', 'ecom', 'via', 'the', 'and', 'from', 'for', 'ltd', 'pvt',
+]);
+
+/**
+ * How many days apart two records of the same payment may be dated, from DUPLICATE_DATE_WINDOW_DAYS
+ * (default 3). Statements show the posting date, which often trails the day the money was spent
+ * @returns {number}
+ */
+function getDateWindowDays() {
+  const days = parseFloat(process.env.DUPLICATE_DATE_WINDOW_DAYS);
+  return days >= 0 ? days : DEFAULT_DATE_WINDOW_DAYS;
+}
+
+function descriptionWords(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter(word => word.length >= 3 && !NOISE_WORDS.has(word))
+  );
+}
+
+/**
+ * How alike two descriptions are, as the share of the shorter one's words found in the other.
+ * "Swiggy" and "UPI/SWIGGY/412345/Food order" are a full match
+ * @param {string} a - Description
+ * @param {string} b - Description
+ * @returns {number} - 0 to 1; 0 when either has no meaningful words
+ */
+function descriptionSimilarity(a, b) {
+  const wordsA = descriptionWords(a);
+  const wordsB = descriptionWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.min(wordsA.size, wordsB.size);
+}
+
+function isSamePayee(candidate, existing) {
+  if (candidate.merchantRef && existing.merchantRef && String(candidate.merchantRef) === String(existing.merchantRef)) {
+    return true;
+  }
+  const names = [candidate, existing].map(t => [t.merchant, t.description].filter(Boolean).join(' '));
+  return descriptionSimilarity(names[0], names[1]) >= SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Find transactions already on record that the new ones may repeat: same type and amount, dated
+ * within the date window, with a similar description or the same merchant. Each recorded
+ * transaction is matched at most once, to the closest-dated candidate that comes first
+ * @param {ObjectId} userId - Owner of the transactions
+ * @param {Array} candidates - New transactions, not saved yet: { date, amount, type, description, merchant, merchantRef }
+ * @returns {Promise<Array>} - Aligned with candidates: the matching transaction (lean), or null
+ */
+async function findPossibleDuplicates(userId, candidates) {
+  const comparable = candidates.filter(t => t && t.amount > 0 && t.date && !isNaN(new Date(t.date).getTime()));
+  if (comparable.length === 0) return candidates.map(() => null);
+
+  const windowMs = getDateWindowDays() * DAY_MS;
+  const times = comparable.map(t => new Date(t.date).getTime());
+  const recorded = await Transaction.find({
+    user: userId,
+    type: { $in: [...new Set(comparable.map(t => t.type || 'expense'))] },
+    amount: { $in: [...new Set(comparable.map(t => t.amount))] },
+    date: { $gte: new Date(Math.min(...times) - windowMs), $lte: new Date(Math.max(...times) + windowMs) },
+  })
+    .select('date amount type description merchant merchantRef category')
+    .lean();
+
+  const matched = new Set();
+  return candidates.map(candidate => {
+    if (!comparable.includes(candidate)) return null;
+
+    const time = new Date(candidate.date).getTime();
+    const best = recorded
+      .filter(existing => !matched.has(String(existing._id))
+        && existing.type === (candidate.type || 'expense')
+        && existing.amount === candidate.amount
+        && Math.abs(existing.date.getTime() - time) <= windowMs
+        && isSamePayee(candidate, existing))
+      .sort((a, b) => Math.abs(a.date.getTime() - time) - Math.abs(b.date.getTime() - time))[0];
+
+    if (!best) return null;
+    matched.add(String(best._id));
+    return best;
+  });
+}
+
+/**
+ * Flag new transactions that repeat ones already on record, by setting possibleDuplicateOf
+ * @param {ObjectId} userId - Owner of the transactions
+ * @param {Array} docs - Transaction data about to be saved; modified in place
+ * @returns {Promise<number>} - How many were flagged
+ */
+async function flagPossibleDuplicates(userId, docs) {
+  const matches = await findPossibleDuplicates(userId, docs);
+  matches.forEach((match, index) => {
+    if (match) docs[index].possibleDuplicateOf = match._id;
+  });
+  return matches.filter(Boolean).length;
+}
+
+/**
+ * Drop flags pointing at transactions that are going away
+ * @param {ObjectId} userId - Owner of the transactions
+ * @param {ObjectId[]} transactionIds - Transactions being deleted
+ * @returns {Promise}
+ */
+function clearDuplicateFlags(userId, transactionIds) {
+  return Transaction.updateMany(
+    { user: userId, possibleDuplicateOf: { $in: transactionIds } },
+    { $set: { possibleDuplicateOf: null } }
+  );
+}
+
+// Details the kept transaction takes over from the merged one when it has none of its own
+const MERGED_FIELDS = ['merchant', 'merchantRef', 'fileUrl', 'extractedText'];
+
+/**
+ * Merge a flagged transaction into the one it repeats. The transaction recorded first is kept and
+ * takes over whatever it lacks, including a receipt along with its split by line item; the flagged
+ * one is deleted and dropped from the upload it came from
+ * @param {ObjectId} userId - Owner of the transactions
+ * @param {ObjectId} transactionId - The flagged transaction
+ * @returns {Promise<Object|null>} - The kept transaction, or null when there is no such flagged pair
+ */
+async function mergeDuplicate(userId, transactionId) {
+  const duplicate = await Transaction.findOne({ _id: transactionId, user: userId, possibleDuplicateOf: { $ne: null } });
+  if (!duplicate) return null;
+
+  const kept = await Transaction.findOne({ _id: duplicate.possibleDuplicateOf, user: userId });
+  if (!kept) return null;
+
+  MERGED_FIELDS.forEach(field => {
+    if (!kept[field] && duplicate[field]) kept[field] = duplicate[field];
+  });
+
+  const movesReceipt = !kept.receipt && Boolean(duplicate.receipt);
+  if (movesReceipt) {
+    kept.receipt = duplicate.receipt;
+    if (kept.type === duplicate.type && duplicate.allocations.length > 0) {
+      kept.allocations = rescaleAllocations(duplicate.allocations, kept.amount);
+      kept.category = primaryCategory(kept.allocations) || kept.category;
+    }
+  }
+  await kept.save();
+
+  await Promise.all([
+    duplicate.receipt && (movesReceipt
+      ? Receipt.updateOne({ _id: duplicate.receipt, user: userId }, { $set: { transaction: kept._id } })
+      : Receipt.deleteOne({ _id: duplicate.receipt, user: userId })),
+    Upload.updateMany({ user: userId, transactions: duplicate._id }, { $pull: { transactions: duplicate._id } }),
+    ImportBatch.updateMany({ user: userId, transactions: duplicate._id }, { $pull: { transactions: duplicate._id } }),
+    clearDuplicateFlags(userId, [duplicate._id]),
+    duplicate.deleteOne(),
+  ]);
+
+  console.log(`🔀 Merged duplicate transaction ${duplicate._id} into ${kept._id}`);
+  return kept;
+}
+
+module.exports = {
+  getDateWindowDays,
+  descriptionSimilarity,
+  findPossibleDuplicates,
+  flagPossibleDuplicates,
+  clearDuplicateFlags,
+  mergeDuplicate,
+};
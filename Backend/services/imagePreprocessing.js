@@ -0,0 +1,309 @@
+const sharp = require('sharp');
+
+// Pipeline order: orientation first so every later step sees the page upright, the resizes before
+// the per-pixel steps so they never work on a 12-megapixel photo, and the deskew before the crop so
+// the paper is square to the frame when its edges are found
+const PREPROCESSING_STEPS = ['autoRotate', 'downscale', 'upscale', 'grayscale', 'deskew', 'crop', 'threshold'];
+
+// Longest side after downscaling; receipt text stays well above Tesseract's minimum glyph height
+const MAX_DIMENSION = 2500;
+// Longest side small images are enlarged to: a receipt photo shrunk for sharing has letters only a
+// few pixels tall, too small for Tesseract to tell "a" from "ä"
+const MIN_DIMENSION = 1200;
+const MAX_UPSCALE = 3;
+// Side of the thumbnail used to find the receipt's edges and its skew
+const ANALYSIS_SIZE = 500;
+const MAX_SKEW_DEGREES = 10;
+
+/**
+ * Steps to run: the caller's list when given, else OCR_PREPROCESS_STEPS, else all of them.
+ * 'none' (or OCR_PREPROCESSING=false) turns preprocessing off
+ * @param {Array|string|null} requested - Step names, or a comma-separated string of them
+ * @returns {Array} - Known step names in pipeline order
+ */
+function resolveSteps(requested = null) {
+  if (requested == null && process.env.OCR_PREPROCESSING === 'false') return [];
+
+  const source = requested ?? process.env.OCR_PREPROCESS_STEPS ?? PREPROCESSING_STEPS;
+  const names = Array.isArray(source) ? source : String(source).split(',');
+  const wanted = new Set(names.map(name => name.trim()));
+  return PREPROCESSING_STEPS.filter(step => wanted.has(step));
+}
+
+// Greyscale pixels of a small copy of the image, for measuring rather than for OCR
+async function readThumbnail(buffer) {
+  const { data, info } = await sharp(buffer)
+    .grayscale()
+    .resize({ width: ANALYSIS_SIZE, height: ANALYSIS_SIZE, fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { pixels: data, width: info.width, height: info.height };
+}
+
+// Otsu's threshold: the grey level that best splits the pixels into dark and light
+function otsuThreshold(pixels) {
+  const histogram = new Array(256).fill(0);
+  pixels.forEach(value => { histogram[value]++; });
+
+  const total = pixels.length;
+  const sumAll = histogram.reduce((sum, count, level) => sum + count * level, 0);
+  let sumDark = 0;
+  let weightDark = 0;
+  let best = { threshold: 127, variance: -1 };
+
+  for (let level = 0; level < 256; level++) {
+    weightDark += histogram[level];
+    if (weightDark === 0) continue;
+    const weightLight = total - weightDark;
+    if (weightLight === 0) break;
+
+    sumDark += level * histogram[level];
+    const meanDark = sumDark / weightDark;
+    const meanLight = (sumAll - sumDark) / weightLight;
+    const variance = weightDark * weightLight * (meanDark - meanLight) ** 2;
+    if (variance > best.variance) best = { threshold: level, variance };
+  }
+  return best.threshold;
+}
+
+// Average grey of the outermost pixels of an image
+function borderMean({ pixels, width, height }) {
+  let sum = 0;
+  for (let x = 0; x < width; x++) sum += pixels[x] + pixels[(height - 1) * width + x];
+  for (let y = 1; y < height - 1; y++) sum += pixels[y * width] + pixels[y * width + width - 1];
+  return sum / (2 * width + 2 * (height - 2));
+}
+
+/**
+ * Bounding box of the paper: the rows and columns that are mostly bright, which separates a
+ * receipt from the table or hand it was photographed on
+ * @returns {Object|null} - { left, top, width, height } in thumbnail pixels, or null when the
+ *   paper already fills the frame or cannot be told from the background
+ */
+function findPaperBounds({ pixels, width, height }) {
+  const threshold = otsuThreshold(pixels);
+  const isPaper = index => pixels[index] > threshold;
+  const brightShare = (count, length) => count / length > 0.5;
+
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    let bright = 0;
+    for (let x = 0; x < width; x++) if (isPaper(y * width + x)) bright++;
+    if (brightShare(bright, width)) rows.push(y);
+  }
+  const columns = [];
+  for (let x = 0; x < width; x++) {
+    let bright = 0;
+    for (let y = 0; y < height; y++) if (isPaper(y * width + x)) bright++;
+    if (brightShare(bright, height)) columns.push(x);
+  }
+  if (rows.length === 0 || columns.length === 0) return null;
+
+  // A small margin keeps characters that touch the paper's edge
+  const margin = Math.round(Math.max(width, height) * 0.01);
+  const left = Math.max(0, columns[0] - margin);
+  const top = Math.max(0, rows[0] - margin);
+  const right = Math.min(width, columns[columns.length - 1] + 1 + margin);
+  const bottom = Math.min(height, rows[rows.length - 1] + 1 + margin);
+
+  const share = ((right - left) * (bottom - top)) / (width * height);
+  if (share > 0.95 || share < 0.1) return null;
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+// Summed-area table, so the sum over any rectangle costs four lookups
+function integralImage(values, width, height) {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 1; y <= height; y++) {
+    let rowSum = 0;
+    for (let x = 1; x <= width; x++) {
+      rowSum += values[(y - 1) * width + (x - 1)];
+      integral[y * (width + 1) + x] = integral[(y - 1) * (width + 1) + x] + rowSum;
+    }
+  }
+  return integral;
+}
+
+// Mean of the square of side 2 * half + 1 around (x, y), clipped to the image
+function boxMean(integral, width, height, x, y, half) {
+  const x0 = Math.max(0, x - half);
+  const x1 = Math.min(width, x + half + 1);
+  const y0 = Math.max(0, y - half);
+  const y1 = Math.min(height, y + half + 1);
+  const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+    - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+  return sum / ((x1 - x0) * (y1 - y0));
+}
+
+/**
+ * Skew of the text lines, found by shearing the ink through candidate angles and keeping the angle
+ * whose row histogram is sharpest (text lines land in as few rows as possible)
+ * @returns {number} - Degrees; positive when lines fall to the right
+ */
+function measureSkew({ pixels, width, height }) {
+  const binary = adaptiveThreshold(pixels, width, height);
+
+  // Only ink surrounded by paper counts: the edge between a receipt and a dark table is a long
+  // straight line that would otherwise outweigh the text, and it is square to the photo, not the page
+  const threshold = otsuThreshold(pixels);
+  const paper = integralImage(pixels.map(value => (value > threshold ? 1 : 0)), width, height);
+  const reach = Math.max(4, Math.round(Math.max(width, height) / 32));
+
+  const ink = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (binary[y * width + x] === 0 && boxMean(paper, width, height, x, y, reach) > 0.75) ink.push(x, y);
+    }
+  }
+  if (ink.length === 0) return 0;
+
+  const sharpness = degrees => {
+    const slope = Math.tan((degrees * Math.PI) / 180);
+    const offset = Math.ceil(width * Math.abs(slope));
+    const bins = new Float64Array(height + 2 * offset + 1);
+    for (let i = 0; i < ink.length; i += 2) {
+      bins[Math.round(ink[i + 1] - ink[i] * slope) + offset]++;
+    }
+    return bins.reduce((sum, count) => sum + count * count, 0);
+  };
+
+  // Coarse sweep, then a finer one around the best coarse angle
+  let best = 0;
+  let bestScore = sharpness(0);
+  for (let degrees = -MAX_SKEW_DEGREES; degrees <= MAX_SKEW_DEGREES; degrees += 1) {
+    const score = sharpness(degrees);
+    if (score > bestScore) [best, bestScore] = [degrees, score];
+  }
+  const coarse = best;
+  for (let degrees = coarse - 1; degrees <= coarse + 1; degrees += 0.1) {
+    const score = sharpness(degrees);
+    if (score > bestScore) [best, bestScore] = [degrees, score];
+  }
+  return Math.round(best * 10) / 10;
+}
+
+/**
+ * Bradley's adaptive threshold: each pixel is compared with the mean of its neighbourhood, so
+ * shadows and uneven lighting across a photo do not swallow the text
+ * @returns {Buffer} - Greyscale pixels, 0 for ink and 255 for paper
+ */
+function adaptiveThreshold(pixels, width, height) {
+  const integral = integralImage(pixels, width, height);
+  const half = Math.max(4, Math.round(Math.max(width, height) / 32));
+  // A pixel this much darker than its surroundings counts as ink
+  const sensitivity = 0.15;
+  const output = Buffer.alloc(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const mean = boxMean(integral, width, height, x, y, half);
+      output[y * width + x] = pixels[y * width + x] < mean * (1 - sensitivity) ? 0 : 255;
+    }
+  }
+  return output;
+}
+
+// Each step takes and returns a PNG buffer, plus a note of what it did (null when it changed nothing)
+const STEP_HANDLERS = {
+  async autoRotate(buffer) {
+    const { orientation } = await sharp(buffer).metadata();
+    if (!orientation || orientation === 1) return { buffer, detail: null };
+    return { buffer: await sharp(buffer).rotate().png().toBuffer(), detail: `EXIF orientation ${orientation}` };
+  },
+
+  async downscale(buffer) {
+    const { width, height } = await sharp(buffer).metadata();
+    if (Math.max(width, height) <= MAX_DIMENSION) return { buffer, detail: null };
+    const resized = await sharp(buffer)
+      .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside' })
+      .png()
+      .toBuffer();
+    return { buffer: resized, detail: `${width}x${height} to fit ${MAX_DIMENSION}px` };
+  },
+
+  async upscale(buffer) {
+    const { width, height } = await sharp(buffer).metadata();
+    const factor = Math.min(MAX_UPSCALE, MIN_DIMENSION / Math.max(width, height));
+    if (factor <= 1) return { buffer, detail: null };
+    const resized = await sharp(buffer)
+      .resize({ width: Math.round(width * factor), height: Math.round(height * factor), kernel: 'lanczos3' })
+      .png()
+      .toBuffer();
+    return { buffer: resized, detail: `${width}x${height} enlarged ${factor.toFixed(1)}x` };
+  },
+
+  async grayscale(buffer) {
+    return { buffer: await sharp(buffer).grayscale().png().toBuffer(), detail: 'converted' };
+  },
+
+  async crop(buffer) {
+    const thumbnail = await readThumbnail(buffer);
+    const bounds = findPaperBounds(thumbnail);
+    if (!bounds) return { buffer, detail: null };
+
+    const { width, height } = await sharp(buffer).metadata();
+    const scale = width / thumbnail.width;
+    const region = {
+      left: Math.floor(bounds.left * scale),
+      top: Math.floor(bounds.top * scale),
+      width: Math.min(width - Math.floor(bounds.left * scale), Math.ceil(bounds.width * scale)),
+      height: Math.min(height - Math.floor(bounds.top * scale), Math.ceil(bounds.height * scale)),
+    };
+    return {
+      buffer: await sharp(buffer).extract(region).png().toBuffer(),
+      detail: `${region.width}x${region.height} of ${width}x${height}`,
+    };
+  },
+
+  async deskew(buffer) {
+    const thumbnail = await readThumbnail(buffer);
+    const angle = measureSkew(thumbnail);
+    if (Math.abs(angle) < 0.3) return { buffer, detail: null };
+    // The corners the rotation uncovers take the colour around the page, so a photo's dark table
+    // stays dark for the crop and a full-frame scan stays white
+    const grey = Math.round(borderMean(thumbnail));
+    const rotated = await sharp(buffer)
+      .rotate(-angle, { background: { r: grey, g: grey, b: grey } })
+      .png()
+      .toBuffer();
+    return { buffer: rotated, detail: `${angle}°` };
+  },
+
+  async threshold(buffer) {
+    const { data, info } = await sharp(buffer).grayscale().raw().toBuffer({ resolveWithObject: true });
+    const binary = adaptiveThreshold(data, info.width, info.height);
+    const png = await sharp(binary, { raw: { width: info.width, height: info.height, channels: 1 } }).png().toBuffer();
+    return { buffer: png, detail: 'adaptive' };
+  },
+};
+
+/**
+ * Prepare a photo or scan for OCR. A step that fails is skipped rather than failing the upload
+ * @param {Buffer} input - Image file contents
+ * @param {Object} options - { steps }: names from PREPROCESSING_STEPS; see resolveSteps
+ * @returns {Promise<Object>} - { buffer: PNG, steps: [{ step, applied, detail, error }] }
+ */
+async function preprocessImage(input, { steps = null } = {}) {
+  const enabled = resolveSteps(steps);
+  let buffer = input;
+  const report = [];
+
+  for (const step of enabled) {
+    try {
+      const result = await STEP_HANDLERS[step](buffer);
+      buffer = result.buffer;
+      report.push({ step, applied: Boolean(result.detail), detail: result.detail });
+    } catch (error) {
+      console.warn(`⚠️ Preprocessing step ${step} failed:`, error.message);
+      report.push({ step, applied: false, error: error.message });
+    }
+  }
+
+  return { buffer, steps: report };
+}
+
+module.exports = {
+  PREPROCESSING_STEPS,
+  resolveSteps,
+  preprocessImage,
+};
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const ImportBatch = require('../models/ImportBatch');
+const Upload = require('../models/Upload');
+const Transaction = require('../models/Transaction');
+const Receipt = require('../models/Receipt');
+const { getUserCategories, normalizeCategory } = require('./categoryService');
+const { checkBudgetAlertsInBackground } = require('./budgetService');
+const { allocateLineItems } = require('./receiptService');
+const { flagPossibleDuplicates } = require('./duplicateService');
+const { resolveMerchant, isGenericCategory } = require('./merchantService');
+
+/**
+ * How long an unconfirmed import stays around, from IMPORT_DRAFT_TTL_HOURS (default 72)
+ * @returns {number} - Milliseconds
+ */
+function getDraftTtlMs() {
+  const hours = parseFloat(process.env.IMPORT_DRAFT_TTL_HOURS);
+  return (hours > 0 ? hours : 72) * 60 * 60 * 1000;
+}
+
+/**
+ * Query for a user's draft that has not expired yet. MongoDB only sweeps expired
+ * documents about once a minute, so the expiry is checked here as well.
+ * @param {ObjectId} userId - Owner of the batch
+ * @param {ObjectId} batchId - Optional batch to narrow to
+ * @returns {Object} - Mongo filter
+ */
+function draftFilter(userId, batchId) {
+  const filter = { user: userId, status: 'draft', expiresAt: { $gt: new Date() } };
+  if (batchId) filter._id = batchId;
+  return filter;
+}
+
+/**
+ * Store parsed transactions as a draft batch for the user to review
+ * @param {Object} job - UploadJob the rows came from
+ * @param {Array} rows - Parsed rows with categories resolved and known merchants linked
+ * @param {Object} details - { fileUrl, extractedText, parsingMethod }
+ * @returns {Promise<Object>} - The created ImportBatch
+ */
+async function createDraftBatch(job, rows, details) {
+  return ImportBatch.create({
+    user: job.user,
+    uploadJob: job._id,
+    kind: job.kind,
+    fileName: job.file.originalName,
+    fileUrl: details.fileUrl,
+    extractedText: details.extractedText,
+    parsingMethod: details.parsingMethod,
+    rows,
+    expiresAt: new Date(Date.now() + getDraftTtlMs()),
+  });
+}
+
+/**
+ * Totals shown with a batch
+ * @param {Array} rows - Batch rows
+ * @returns {Object} - { rowCount, incomeCount, expenseCount, reviewCount, totalIncome, totalExpenses }
+ */
+function summarizeRows(rows) {
+  const income = rows.filter(row => row.type === 'income');
+  const expenses = rows.filter(row => row.type !== 'income');
+
+  return {
+    rowCount: rows.length,
+    incomeCount: income.length,
+    expenseCount: expenses.length,
+    reviewCount: rows.filter(row => row.needsManualReview).length,
+    totalIncome: income.reduce((sum, row) => sum + (row.amount || 0), 0),
+    totalExpenses: expenses.reduce((sum, row) => sum + (row.amount || 0), 0),
+  };
+}
+
+// Receipt details of merged rows: every line item is kept and the taxes are added up
+function mergeReceipts(rows) {
+  const receipts = rows.map(row => row.receipt).filter(Boolean);
+  if (receipts.length === 0) return null;
+
+  const sum = field => (receipts.every(receipt => receipt[field] == null)
+    ? undefined
+    : Math.round(receipts.reduce((total, receipt) => total + (receipt[field] || 0), 0) * 100) / 100);
+  return {
+    subtotal: sum('subtotal'),
+    tax: sum('tax'),
+    paymentMethod: receipts[0].paymentMethod,
+    lineItems: receipts.flatMap(receipt => receipt.lineItems.map(item => item.toObject ? item.toObject() : item)),
+  };
+}
+
+/**
+ * Combine several rows into one, in place of the first of them.
+ * Amounts are added up, the earliest date is kept and the descriptions are joined; receipt line
+ * items are combined too.
+ * @param {Object} batch - ImportBatch document; modified in place
+ * @param {string[]} rowIds - Rows to merge, at least two of the same type
+ * @returns {Object} - The merged row
+ */
+function mergeRows(batch, rowIds) {
+  const wanted = new Set(rowIds.map(String));
+  const rows = batch.rows.filter(row => wanted.has(String(row._id)));
+  const [first] = rows;
+
+  const merged = {
+    date: new Date(Math.min(...rows.map(row => new Date(row.date).getTime()))),
+    description: rows.map(row => row.description).join(' + '),
+    amount: rows.some(row => row.amount == null)
+      ? undefined
+      : Math.round(rows.reduce((sum, row) => sum + row.amount, 0) * 100) / 100,
+    currency: first.currency,
+    type: first.type,
+    category: first.category,
+    merchant: first.merchant,
+    merchantRef: first.merchantRef,
+    needsManualReview: rows.some(row => row.needsManualReview),
+    reviewNote: rows.map(row => row.reviewNote).filter(Boolean).join(' ') || null,
+    receipt: mergeReceipts(rows),
+  };
+
+  const position = batch.rows.findIndex(row => String(row._id) === String(first._id));
+  batch.rows = batch.rows.filter(row => !wanted.has(String(row._id)));
+  batch.rows.splice(position, 0, merged);
+  return batch.rows[position];
+}
+
+/**
+ * Turn a draft into real transactions. The batch is claimed first so a double submit
+ * cannot import it twice; if saving fails it goes back to being a draft. Merchants first seen in
+ * the draft are added to the directory here, once the user has kept them.
+ * @param {ObjectId} userId - Owner of the batch
+ * @param {ObjectId} batchId - Draft to confirm
+ * @returns {Promise<Object|null>} - { batch, transactions, duplicateCount }, or null when no such draft exists
+ */
+async function confirmBatch(userId, batchId) {
+  const batch = await ImportBatch.findOneAndUpdate(
+    draftFilter(userId, batchId),
+    { $set: { status: 'confirming' } },
+    { new: true }
+  );
+  if (!batch) return null;
+
+  try {
+    const categories = await getUserCategories(userId);
+    // Receipt ids are chosen up front so each purchase can point at its receipt and the other way round
+    const receiptIds = batch.rows.map(row => (row.receipt ? new mongoose.Types.ObjectId() : null));
+    const lineItems = batch.rows.map(row => (row.receipt ? row.receipt.lineItems.map(item => ({
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      amount: item.amount,
+      category: normalizeCategory(categories, item.category, 'expense'),
+    })) : []));
+
+    // One at a time, so rows naming the same new merchant share one directory entry
+    const merchants = [];
+    for (const row of batch.rows) {
+      merchants.push(row.merchant
+        ? await resolveMerchant(userId, row.merchant, { category: isGenericCategory(row.category) ? null : row.category })
+        : null);
+    }
+
+    const docs = batch.rows.map((row, index) => ({
+      user: userId,
+      date: row.date,
+      amount: row.amount,
+      description: row.description,
+      merchant: merchants[index]?.name,
+      merchantRef: merchants[index]?._id,
+      // Categories may have been renamed or deleted while the draft waited
+      category: normalizeCategory(categories, row.category, row.type === 'income' ? 'income' : 'expense'),
+      type: row.type,
+      fileUrl: batch.fileUrl,
+      extractedText: batch.extractedText,
+      needsManualReview: row.needsManualReview,
+      reviewNotes: row.reviewNote || '',
+      receipt: receiptIds[index] || undefined,
+      allocations: allocateLineItems(lineItems[index], row.amount),
+    }));
+    // Payments already entered by hand or imported from another file are flagged, not dropped
+    const duplicateCount = await flagPossibleDuplicates(userId, docs);
+    const transactions = await Transaction.insertMany(docs);
+
+    const receipts = batch.rows
+      .map((row, index) => row.receipt && {
+        _id: receiptIds[index],
+        user: userId,
+        transaction: transactions[index]._id,
+        importBatch: batch._id,
+        merchant: merchants[index]?.name,
+        merchantRef: merchants[index]?._id,
+        date: row.date,
+        currency: row.currency,
+        subtotal: row.receipt.subtotal,
+        tax: row.receipt.tax,
+        total: row.amount,
+        paymentMethod: row.receipt.paymentMethod,
+        lineItems: lineItems[index],
+        fileUrl: batch.fileUrl,
+      })
+      .filter(Boolean);
+    if (receipts.length > 0) {
+      await Receipt.insertMany(receipts);
+    }
+
+    batch.status = 'confirmed';
+    batch.confirmedAt = new Date();
+    batch.transactions = transactions.map(t => t._id);
+    batch.expiresAt = undefined;
+    await batch.save();
+    await Upload.updateOne(
+      { importBatch: batch._id },
+      { $set: { status: 'imported', transactions: batch.transactions } }
+    );
+
+    console.log(`✅ Import batch ${batch._id} confirmed: ${transactions.length} transaction(s), ${duplicateCount} possible duplicate(s)`);
+    checkBudgetAlertsInBackground(userId, transactions);
+    return { batch, transactions, duplicateCount };
+  } catch (error) {
+    await ImportBatch.updateOne({ _id: batch._id, status: 'confirming' }, { $set: { status: 'draft' } });
+    throw error;
+  }
+}
+
+/**
+ * Move rows of draft batches, and the receipt line items inside them, to another category so a
+ * later confirm does not save a category that no longer exists. Confirmed batches are history
+ * @param {ObjectId} userId - Owner of the data
+ * @param {string} kind - 'income' or 'expense'
+ * @param {string[]} names - Category names being replaced
+ * @param {string} toName - Category name to tag with instead
+ * @returns {Promise<Array>} - updateMany results
+ */
+function retagCategory(userId, kind, names, toName) {
+  return Promise.all([
+    ImportBatch.updateMany(
+      { user: userId, status: 'draft' },
+      { $set: { 'rows.$[row].category': toName } },
+      { arrayFilters: [{ 'row.type': kind, 'row.category': { $in: names } }] }
+    ),
+    // Receipt line items are always expenses
+    kind === 'expense' && ImportBatch.updateMany(
+      { user: userId, status: 'draft' },
+      { $set: { 'rows.$[row].receipt.lineItems.$[item].category': toName } },
+      { arrayFilters: [{ 'row.receipt.lineItems.category': { $in: names } }, { 'item.category': { $in: names } }] }
+    ),
+  ]);
+}
+
+module.exports = {
+  getDraftTtlMs,
+  draftFilter,
+  createDraftBatch,
+  summarizeRows,
+  mergeRows,
+  confirmBatch,
+  retagCategory,
+};
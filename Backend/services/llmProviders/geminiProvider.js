@@ -0,0 +1,34 @@
+const axios = require('axios');
+
+const API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+module.exports = {
+  name: 'gemini',
+  label: 'Gemini AI',
+  defaultModel: 'gemini-1.5-flash-latest',
+
+  isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  },
+
+  async complete(prompt, { model, timeoutMs, temperature = 0.1, maxOutputTokens = 4000 }) {
+    const response = await axios.post(
+      `${API_URL}/${encodeURIComponent(model)}:generateContent`,
+      {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: { temperature, maxOutputTokens },
+      },
+      {
+        headers: {
+          'x-goog-api-key': process.env.GEMINI_API_KEY,
+          'Content-Type': 'application/json',
+        },
+        timeout: timeoutMs,
+      }
+    );
+
+    const text = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) throw new Error('Invalid Gemini response');
+    return text.trim();
+  },
+};
@@ -0,0 +1,40 @@
+const axios = require('axios');
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or a local
+// model server such as Ollama (http://localhost:11434/v1) or llama.cpp
+function getBaseUrl() {
+  return (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+}
+
+module.exports = {
+  name: 'openai-compatible',
+  label: 'OpenAI-compatible LLM',
+  defaultModel: 'gpt-4o-mini',
+
+  // Local servers usually need no key, so a base URL alone is enough
+  isConfigured() {
+    return Boolean(process.env.LLM_BASE_URL || process.env.LLM_API_KEY);
+  },
+
+  async complete(prompt, { model, timeoutMs, temperature = 0.1, maxOutputTokens = 4000 }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.LLM_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.LLM_API_KEY}`;
+    }
+
+    const response = await axios.post(
+      `${getBaseUrl()}/chat/completions`,
+      {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxOutputTokens,
+      },
+      { headers, timeout: timeoutMs }
+    );
+
+    const text = response.data.choices?.[0]?.message?.content;
+    if (!text) throw new Error('Invalid chat completion response');
+    return text.trim();
+  },
+};
@@ -0,0 +1,185 @@
+const { FALLBACK_CATEGORIES } = require('../categoryService');
+const { findDates, interpretDate, toIsoDate } = require('../dateParsingService');
+const { findAmounts, detectCurrency } = require('../moneyParsingService');
+const { normalizePaymentMethod } = require('../receiptService');
+
+// Used only when the amount itself carries no CR/DR or sign
+const CREDIT_PATTERN = /\b(credit|credited|deposit|salary|refund|interest|received)\b/i;
+const SKIP_LINE_PATTERN = /\b(opening|closing)\s+balance\b|\bbalance\s+(b\/f|c\/f|brought|carried)\b/i;
+const TOTAL_PATTERN = /\b(grand\s+total|total|amount\s+due|net\s+(amount|payable)|balance\s+due)\b/i;
+const SUBTOTAL_PATTERN = /\bsub\s*-?\s*total\b/i;
+const TAX_PATTERN = /\b(tax|vat|gst|cgst|sgst|igst|mwst|ust|tva|iva|btw)\b/i;
+// Tax registration numbers ("GSTIN", "MwSt Nr.") are not tax amounts
+const TAX_NUMBER_PATTERN = /\b(gstin|nr|no|id|reg)\b\.?/i;
+const PAYMENT_LINE_PATTERN = /\b(paid|payment|tender(ed)?|cash|card|visa|master\s*card|amex|rupay|upi|wallet)\b/i;
+// Lines with a figure at the end that are not something bought
+const NOT_AN_ITEM_PATTERN = /\b(change|balance|rounding|round\s*off|discount|tel|fax|phone|mobile|invoice|bill\s*no|entspricht|equivalent)\b|\d{1,2}:\d{2}/i;
+
+// First date in a line, resolved with the document's date context
+function readDate(line, dateContext) {
+  const [token] = findDates(line);
+  if (!token) return null;
+
+  const { date } = interpretDate(token.text, dateContext);
+  return { text: token.text, iso: date ? toIsoDate(date) : undefined };
+}
+
+function stripDates(line) {
+  return findDates(line).reduce((rest, token) => rest.replace(token.text, ' '), line);
+}
+
+function positiveAmounts(line) {
+  return findAmounts(line).filter(amount => amount.amount > 0);
+}
+
+// A statement line carries its own date and at least one figure
+function parseStatementLine(line, dateContext, documentCurrency) {
+  const date = readDate(line, dateContext);
+  if (!date || SKIP_LINE_PATTERN.test(line)) return null;
+
+  const rest = stripDates(line);
+  const amounts = positiveAmounts(rest);
+  if (amounts.length === 0) return null;
+
+  const description = amounts
+    .reduce((text, amount) => text.replace(amount.text, ' '), rest)
+    .replace(/\b(dr|cr)\b\.?/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  // With two or more figures the last one is normally the running balance
+  const [amount] = amounts;
+  const type = amount.direction
+    ? (amount.direction === 'credit' ? 'income' : 'expense')
+    : (CREDIT_PATTERN.test(description) ? 'income' : 'expense');
+
+  return {
+    date: date.iso,
+    dateText: date.text,
+    amount: amount.amount,
+    currency: amount.currency || documentCurrency,
+    type,
+    description: description || 'Bank transaction',
+    merchant: '',
+    category: FALLBACK_CATEGORIES[type],
+  };
+}
+
+// A receipt becomes one expense: the store from the header and the largest total
+function parseReceipt(lines, dateContext, documentCurrency) {
+  // Prefer a full date over a bare day/month, which on receipts is as likely a quantity or table number
+  const tokens = lines.flatMap(line => findDates(line));
+  const token = tokens.find(candidate => candidate.hasYear) || tokens[0];
+  const date = token && readDate(token.text, dateContext);
+  const totals = lines
+    .filter(line => TOTAL_PATTERN.test(line) && !SUBTOTAL_PATTERN.test(line))
+    .flatMap(line => positiveAmounts(stripDates(line)));
+  const candidates = totals.length > 0 ? totals : lines.flatMap(line => positiveAmounts(stripDates(line)));
+  const total = candidates.reduce((largest, amount) => (!largest || amount.amount > largest.amount ? amount : largest), null);
+  const merchant = lines.find(line => /[a-z].*[a-z].*[a-z]/i.test(line) && findDates(line).length === 0 && findAmounts(line).length === 0);
+
+  return {
+    date: date?.iso,
+    dateText: date?.text,
+    amount: total ? total.amount : null,
+    currency: total?.currency || documentCurrency,
+    type: 'expense',
+    description: merchant ? `Purchase at ${merchant.substring(0, 60)}` : 'Receipt purchase',
+    merchant: merchant ? merchant.substring(0, 60) : '',
+    category: FALLBACK_CATEGORIES.expense,
+  };
+}
+
+// "2x Latte Macchiato à 4.50 CHF 9.00": quantity, description, unit price, line amount
+function parseReceiptItem(line) {
+  const rest = stripDates(line);
+  const amounts = positiveAmounts(rest);
+  const last = amounts[amounts.length - 1];
+  if (!last || rest.slice(last.index + last.text.length).trim() !== '') return null;
+
+  const quantityMatch = rest.match(/^\s*(\d{1,3})\s*[x×*]\s*/i);
+  let quantity = quantityMatch ? parseInt(quantityMatch[1], 10) : 1;
+  let description = rest
+    .slice(quantityMatch ? quantityMatch[0].length : 0, amounts[0].index)
+    .replace(/\s+(à|@|x|a)\s*$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  // "Milk 2 x 30.00 60.00": the count sits between the description and the unit price
+  const trailingQuantity = description.match(/^(.*\D)\s(\d{1,3})$/);
+  if (!quantityMatch && amounts.length > 1 && trailingQuantity) {
+    description = trailingQuantity[1].trim();
+    quantity = parseInt(trailingQuantity[2], 10);
+  }
+  if (!/[a-z]{2}/i.test(description)) return null;
+
+  return {
+    description: description.substring(0, 200),
+    quantity,
+    unitPrice: amounts.length > 1 ? amounts[amounts.length - 2].amount : undefined,
+    amount: last.amount,
+    category: FALLBACK_CATEGORIES.expense,
+  };
+}
+
+// Last figure on each line that matches, added up: Indian receipts print CGST and SGST separately
+function sumOfLines(lines, matches) {
+  const figures = lines.filter(matches)
+    .map(line => positiveAmounts(stripDates(line)))
+    .filter(amounts => amounts.length > 0)
+    .map(amounts => amounts[amounts.length - 1].amount);
+  return figures.length > 0 ? Math.round(figures.reduce((sum, amount) => sum + amount, 0) * 100) / 100 : null;
+}
+
+// Deterministic and offline: the same text always yields the same transactions
+module.exports = {
+  name: 'rule-based',
+  label: 'Rule-based Parser',
+  defaultModel: null,
+
+  isConfigured() {
+    return true;
+  },
+
+  async extractTransactions(text, { kind, dateContext } = {}) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const documentCurrency = detectCurrency(text);
+    const rows = lines.map(line => parseStatementLine(line, dateContext, documentCurrency)).filter(Boolean);
+
+    if (rows.length > 1 || (kind === 'bank_statement' && rows.length > 0)) {
+      return rows;
+    }
+    return lines.length > 0 ? [parseReceipt(lines, dateContext, documentCurrency)] : [];
+  },
+
+  /**
+   * A receipt as one purchase with its line items, in the shape llmService asks a model for
+   * @param {string} text - OCR text of the receipt
+   * @param {Object} context - { dateContext }
+   * @returns {Object} - { merchant, date, dateText, currency, subtotal, tax, total, paymentMethod, lineItems }
+   */
+  extractReceipt(text, { dateContext } = {}) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const documentCurrency = detectCurrency(text);
+    const purchase = parseReceipt(lines, dateContext, documentCurrency);
+    const paymentLine = lines.find(line => PAYMENT_LINE_PATTERN.test(line));
+
+    const lineItems = lines
+      .filter(line => !TOTAL_PATTERN.test(line) && !SUBTOTAL_PATTERN.test(line) && !TAX_PATTERN.test(line)
+        && !PAYMENT_LINE_PATTERN.test(line) && !NOT_AN_ITEM_PATTERN.test(line))
+      .map(parseReceiptItem)
+      .filter(Boolean)
+      .slice(0, 50);
+
+    return {
+      merchant: purchase.merchant,
+      date: purchase.date,
+      dateText: purchase.dateText,
+      currency: purchase.currency,
+      subtotal: sumOfLines(lines.filter(line => SUBTOTAL_PATTERN.test(line)).slice(0, 1), () => true),
+      tax: sumOfLines(lines, line => TAX_PATTERN.test(line) && !TAX_NUMBER_PATTERN.test(line)
+        && !TOTAL_PATTERN.test(line) && !SUBTOTAL_PATTERN.test(line)),
+      total: purchase.amount,
+      paymentMethod: paymentLine ? normalizePaymentMethod(paymentLine) : null,
+      lineItems,
+    };
+  },
+};
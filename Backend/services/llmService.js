@@ -0,0 +1,362 @@
+const geminiProvider = require('./llmProviders/geminiProvider');
+const openAICompatibleProvider = require('./llmProviders/openAICompatibleProvider');
+const ruleBasedProvider = require('./llmProviders/ruleBasedProvider');
+const { describeCategoriesForPrompt } = require('./categoryService');
+const { validateParsedTransactions, validateParsedReceipt, flagInvalidTransaction, flagInvalidReceipt } = require('./parsedTransactionSchema');
+const { createDateContext, toIsoDate } = require('./dateParsingService');
+
+// LLM providers implement { name, label, defaultModel, isConfigured(), complete(prompt, settings) } and
+// resolve to the reply text. The rule-based provider has no model behind it and implements
+// extractTransactions(text, context) and extractReceipt(text, context) instead, which is also what
+// every other provider falls back to.
+const PROVIDERS = [geminiProvider, openAICompatibleProvider, ruleBasedProvider];
+
+function readInteger(name, fallback, min) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= min ? value : fallback;
+}
+
+// LLM_PROVIDER picks the provider; without it the first configured one is used, ending with the
+// rule-based parser
+function resolveLlmSettings() {
+  const requested = process.env.LLM_PROVIDER;
+  let provider = requested
+    ? PROVIDERS.find(candidate => candidate.name === requested)
+    : PROVIDERS.find(candidate => candidate.isConfigured());
+
+  if (!provider) {
+    console.warn(`⚠️ Unknown LLM_PROVIDER "${requested}", using ${ruleBasedProvider.name}`);
+    provider = ruleBasedProvider;
+  } else if (!provider.isConfigured()) {
+    console.warn(`⚠️ LLM provider ${provider.name} is not configured, using ${ruleBasedProvider.name}`);
+    provider = ruleBasedProvider;
+  }
+
+  return {
+    provider,
+    model: process.env.LLM_MODEL || provider.defaultModel,
+    timeoutMs: readInteger('LLM_TIMEOUT_MS', 30000, 1),
+    maxRetries: readInteger('LLM_MAX_RETRIES', 2, 0),
+    retryDelayMs: readInteger('LLM_RETRY_DELAY_MS', 1000, 0),
+  };
+}
+
+// Read once at startup, so a missing key is reported once rather than on every upload
+const llmSettings = resolveLlmSettings();
+
+/**
+ * Provider and request settings for this environment
+ * @returns {Object} - { provider, model, timeoutMs, maxRetries, retryDelayMs }
+ */
+function getLlmSettings() {
+  return llmSettings;
+}
+
+// Timeouts, network failures, rate limits and server errors are worth another try; other 4xx are not
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether the active provider can answer free-form prompts
+ * @returns {boolean}
+ */
+function canComplete() {
+  return typeof getLlmSettings().provider.complete === 'function';
+}
+
+/**
+ * Send a prompt to the active provider, retrying transient failures with a growing delay
+ * @param {string} prompt - Full prompt text
+ * @param {Object} options - Per-call overrides such as { temperature, maxOutputTokens }
+ * @returns {Promise<string>} - Reply text
+ */
+async function complete(prompt, options = {}) {
+  const { provider, model, timeoutMs, maxRetries, retryDelayMs } = getLlmSettings();
+  if (typeof provider.complete !== 'function') {
+    throw new Error(`LLM provider ${provider.name} cannot answer prompts`);
+  }
+
+  let lastError;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt > 0) {
+      console.log(`⏳ Retrying ${provider.name} in ${retryDelayMs * attempt}ms (${attempt}/${maxRetries})...`);
+      await sleep(retryDelayMs * attempt);
+    }
+
+    try {
+      return await provider.complete(prompt, { model, timeoutMs, ...options });
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️ ${provider.name} attempt ${attempt + 1} failed:`, error.message);
+      if (!isRetryable(error)) break;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Pull the JSON array out of a reply that may wrap it in prose or code fences
+ * @param {string} reply - Reply text
+ * @returns {Array}
+ */
+function parseJsonArray(reply) {
+  const jsonMatch = reply.match(/\[[\s\S]*\]/);
+  if (!jsonMatch) {
+    throw new Error('No JSON array in LLM response');
+  }
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  return (Array.isArray(parsed) ? parsed : [parsed]).filter(item => item && typeof item === 'object');
+}
+
+// What the document tells us about its dates, so the model does not have to guess the order or year
+function describeDates(dateContext) {
+  const lines = [
+    dateContext.order === 'MDY'
+      ? 'Numeric dates in this document are written month first (MM/DD/YYYY).'
+      : 'Numeric dates in this document are written day first (DD/MM/YYYY).',
+  ];
+
+  if (dateContext.period) {
+    lines.push(`The statement covers ${toIsoDate(dateContext.period.start)} to ${toIsoDate(dateContext.period.end)}; take the year from this period when a date has none.`);
+  } else {
+    lines.push(`When a date has no year, use the most recent such date that is not after ${toIsoDate(dateContext.referenceDate)}.`);
+  }
+
+  lines.push('Keep the year printed in the document; never replace it.');
+  return lines.join('\n');
+}
+
+function buildTransactionPrompt(extractedText, categories, dateContext) {
+  return `Parse this financial data and extract ALL transactions. Return ONLY a JSON array.
+
+DATES:
+${describeDates(dateContext)}
+
+DATA:
+${extractedText}
+
+For each transaction found, extract:
+- date: the transaction date as YYYY-MM-DD
+- dateText: the date exactly as printed in the document (e.g. "30/07/24" or "30 Jul")
+- amount: a plain JSON number with a dot for decimals (e.g. 1234.5 for "1.234,50" or "1,234.50"), no currency symbols
+- currency: three-letter ISO code of the amount (e.g. "INR" for ₹ or Rs, "CHF", "EUR"), empty string if not shown
+- type: "income" or "expense"
+- description: meaningful description from the text
+- merchant: store, payee or counterparty name as written (empty string if none)
+- category: for expenses choose from ${describeCategoriesForPrompt(categories, 'expense')}
+  for income choose from ${describeCategoriesForPrompt(categories, 'income')}
+
+EXAMPLE OUTPUT:
+[
+  {"date": "2024-07-30", "dateText": "30.07.2024", "amount": 54.50, "currency": "CHF", "type": "expense", "description": "Restaurant Bill at Berghotel", "merchant": "Berghotel", "category": "Food & Dining"}
+]
+
+Return ONLY the JSON array:`;
+}
+
+function buildReceiptPrompt(extractedText, categories, dateContext) {
+  return `Read this shop or restaurant receipt as ONE purchase with its line items. Return ONLY a JSON object.
+
+DATES:
+${describeDates(dateContext)}
+
+RECEIPT TEXT:
+${extractedText}
+
+Extract:
+- merchant: store or restaurant name as written (empty string if none)
+- date: the purchase date as YYYY-MM-DD
+- dateText: the date exactly as printed
+- currency: three-letter ISO code (e.g. "INR", "CHF", "EUR"), empty string if not shown
+- total: the amount paid, a plain JSON number with a dot for decimals
+- subtotal: the amount before tax, or null if not printed
+- tax: the tax amount (add up CGST, SGST, VAT lines), or null if not printed
+- paymentMethod: one of cash, card, upi, wallet, bank_transfer, other, or null if not printed
+- lineItems: every product or service bought, each with
+  - description: item name as written
+  - quantity: number of units (1 if not printed)
+  - unitPrice: price per unit, or null if not printed
+  - amount: line amount as a plain number
+  - category: choose from ${describeCategoriesForPrompt(categories, 'expense')}
+  Do NOT include totals, subtotals, taxes, discounts, tips, change or payment lines as items.
+
+EXAMPLE OUTPUT:
+{"merchant": "Berghotel", "date": "2024-07-30", "dateText": "30.07.2024", "currency": "CHF", "total": 54.50, "subtotal": null, "tax": 3.85, "paymentMethod": "cash", "lineItems": [{"description": "Latte Macchiato", "quantity": 2, "unitPrice": 4.50, "amount": 9.00, "category": "Food & Dining"}]}
+
+Return ONLY the JSON object:`;
+}
+
+// shape is 'array' for a list of transactions, 'object' for a receipt
+function buildRepairPrompt(prompt, reply, problems, shape) {
+  const wanted = shape === 'object' ? 'JSON object' : 'JSON array';
+  return `${prompt}
+
+Your previous answer was:
+${reply}
+
+It was rejected because:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Fix these problems and return the complete corrected ${wanted}${shape === 'object' ? '' : ', including the transactions that were already valid'}.
+
+Return ONLY the ${wanted}:`;
+}
+
+// Parse and validate one reply; problems lists what the model should be told about
+function checkReply(reply, categories) {
+  let items;
+  try {
+    items = parseJsonArray(reply);
+  } catch (error) {
+    return { results: null, problems: [`The answer was not a JSON array (${error.message})`] };
+  }
+
+  const results = validateParsedTransactions(items, categories);
+  const problems = results
+    .map((result, index) => result.errors && `Transaction ${index + 1}: ${result.errors.join('; ')}`)
+    .filter(Boolean);
+  return { results, problems };
+}
+
+// The same for a receipt reply, which is one JSON object
+function checkReceiptReply(reply, categories) {
+  let receipt;
+  try {
+    const jsonMatch = reply.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('No JSON object in LLM response');
+    receipt = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return { results: null, problems: [`The answer was not a JSON object (${error.message})`] };
+  }
+
+  const result = { item: receipt, ...validateParsedReceipt(receipt, categories) };
+  return { results: [result], problems: result.errors || [] };
+}
+
+/**
+ * Ask the model and validate its answer; when anything fails validation the model gets one more
+ * try with the errors attached
+ * @param {string} prompt - Extraction prompt
+ * @param {Function} check - checkReply or checkReceiptReply, bound to the user's categories
+ * @param {string} shape - 'array' or 'object', as the prompt asks for
+ * @returns {Promise<Array>} - Results of the better answer, { item, value, errors } each
+ */
+async function requestValidated(prompt, check, shape) {
+  const reply = await complete(prompt);
+  let checked = check(reply);
+
+  if (checked.problems.length > 0) {
+    console.warn(`⚠️ Model output failed validation (${checked.problems.length} problem(s)), asking for a repair...`);
+    try {
+      const repaired = check(await complete(buildRepairPrompt(prompt, reply, checked.problems, shape)));
+      if (repaired.results) {
+        console.log(`🔧 Repair left ${repaired.problems.length} problem(s)`);
+        checked = repaired;
+      }
+    } catch (error) {
+      console.warn('⚠️ Repair request failed:', error.message);
+    }
+  }
+
+  if (!checked.results) {
+    throw new Error(checked.problems[0]);
+  }
+  return checked.results;
+}
+
+/**
+ * Ask the model for transactions; whatever is still invalid after one repair is flagged for review
+ * @param {string} prompt - Extraction prompt
+ * @param {Array} categories - Categories from getUserCategories
+ * @returns {Promise<Array>} - Validated transactions, with invalid ones marked needsManualReview
+ */
+async function requestValidTransactions(prompt, categories) {
+  const results = await requestValidated(prompt, reply => checkReply(reply, categories), 'array');
+  return results.map(result => (result.errors ? flagInvalidTransaction(result) : result.value));
+}
+
+/**
+ * Extract transactions from document text with the active provider, falling back to the
+ * rule-based parser when the model fails or finds nothing
+ * @param {string} extractedText - OCR or PDF text
+ * @param {Object} context - { kind: 'receipt' | 'bank_statement', categories: the user's categories, dateContext }
+ * @returns {Promise<Object>} - { transactions: raw transaction objects, method: label of the provider used }
+ */
+async function extractTransactions(extractedText, { kind, categories = [], dateContext = createDateContext(extractedText) } = {}) {
+  const { provider } = getLlmSettings();
+
+  if (typeof provider.complete === 'function') {
+    try {
+      console.log(`🤖 Parsing transactions with ${provider.label}...`);
+      const transactions = await requestValidTransactions(buildTransactionPrompt(extractedText, categories, dateContext), categories);
+
+      if (transactions.length > 0) {
+        console.log(`✅ ${provider.label} found ${transactions.length} transaction(s)`);
+        return { transactions, method: provider.label };
+      }
+      console.warn(`⚠️ ${provider.label} found no transactions`);
+    } catch (error) {
+      console.error(`❌ ${provider.label} parsing failed:`, error.message);
+    }
+    console.log('🔧 Falling back to rule-based parsing...');
+  }
+
+  const transactions = await ruleBasedProvider.extractTransactions(extractedText, { kind, categories, dateContext });
+  console.log(`🔧 ${ruleBasedProvider.label} found ${transactions.length} transaction(s)`);
+  return { transactions, method: ruleBasedProvider.label };
+}
+
+/**
+ * Read a receipt as one purchase with line items. An answer that still fails validation after one
+ * repair is kept and flagged for review; the rule-based parser is the fallback when the model fails
+ * or its answer cannot be read at all
+ * @param {string} extractedText - OCR text of the receipt
+ * @param {Object} context - { categories: the user's categories, dateContext }
+ * @returns {Promise<Object>} - { receipt: { merchant, date, dateText, currency, subtotal, tax, total,
+ *   paymentMethod, lineItems }, method: label of the provider used }
+ */
+async function extractReceipt(extractedText, { categories = [], dateContext = createDateContext(extractedText) } = {}) {
+  const { provider } = getLlmSettings();
+
+  if (typeof provider.complete === 'function') {
+    try {
+      console.log(`🤖 Reading receipt with ${provider.label}...`);
+      const [result] = await requestValidated(
+        buildReceiptPrompt(extractedText, categories, dateContext),
+        reply => checkReceiptReply(reply, categories),
+        'object'
+      );
+      if (result.errors) {
+        console.warn(`⚠️ ${provider.label} receipt still invalid after repair, flagged for review`);
+        return { receipt: flagInvalidReceipt(result), method: provider.label };
+      }
+      console.log(`✅ ${provider.label} read ${result.value.lineItems.length} line item(s)`);
+      return { receipt: result.value, method: provider.label };
+    } catch (error) {
+      console.error(`❌ ${provider.label} receipt parsing failed:`, error.message);
+    }
+    console.log('🔧 Falling back to rule-based parsing...');
+  }
+
+  const receipt = ruleBasedProvider.extractReceipt(extractedText, { categories, dateContext });
+  console.log(`🔧 ${ruleBasedProvider.label} found ${receipt.lineItems.length} line item(s)`);
+  return { receipt, method: ruleBasedProvider.label };
+}
+
+module.exports = {
+  PROVIDERS,
+  getLlmSettings,
+  canComplete,
+  complete,
+  parseJsonArray,
+  extractTransactions,
+  extractReceipt,
+};
@@ -0,0 +1,172 @@
+const Merchant = require('../models/Merchant');
+const Transaction = require('../models/Transaction');
+
+// Abbreviations banks and card networks use in narrations, mapped to the brand they stand for
+const MERCHANT_ABBREVIATIONS = {
+  amzn: 'amazon',
+  amz: 'amazon',
+  flpkrt: 'flipkart',
+  fkrt: 'flipkart',
+  swgy: 'swiggy',
+  zmt: 'zomato',
+  mcd: 'mcdonalds',
+  sbux: 'starbucks',
+};
+
+// Words that describe the channel or legal entity rather than the merchant itself
+const NOISE_WORDS = new Set([
+  'mktplace', 'mktp', 'marketplace', 'pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'llc',
+  'co', 'corp', 'the', 'www', 'com', 'in', 'online', 'pos', 'payments', 'payment', 'retail',
+  'india', 'services', 'store', 'stores', 'order',
+]);
+
+/**
+ * Reduce a raw merchant spelling to the key used to match variants
+ * @param {string} rawName - Merchant name as written on a receipt, statement or form
+ * @returns {string} - Normalized key, or '' when nothing meaningful is left
+ */
+function normalizeMerchantKey(rawName) {
+  if (!rawName || typeof rawName !== 'string') return '';
+
+  const tokens = rawName
+    .toLowerCase()
+    .replace(/https?:\/\//g, ' ')
+    .replace(/\.(com|in|co|net|org)\b/g, ' ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => MERCHANT_ABBREVIATIONS[token] || token);
+
+  const meaningful = tokens.filter(token => !NOISE_WORDS.has(token) && !/^\d+$/.test(token));
+
+  // Fall back to the unfiltered tokens so a merchant literally named "Retail Store" still gets a key
+  return (meaningful.length > 0 ? meaningful : tokens).join(' ');
+}
+
+/**
+ * Turn a raw spelling into a readable canonical name ("AMZN MKTPLACE" -> "Amazon")
+ * @param {string} key - Normalized merchant key
+ * @returns {string} - Title-cased display name
+ */
+function displayNameFromKey(key) {
+  return key
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Find the user's merchant for a raw spelling, creating it on first sight.
+ * New spellings of a known merchant are remembered as variants.
+ * @param {ObjectId} userId - Owner of the merchant directory
+ * @param {string} rawName - Merchant name as entered or parsed
+ * @param {Object} options - { category } used as the default category for a new merchant
+ * @returns {Promise<Object|null>} - Merchant document, or null when the name is empty
+ */
+async function resolveMerchant(userId, rawName, options = {}) {
+  const key = normalizeMerchantKey(rawName);
+  if (!key) return null;
+
+  const variant = rawName.trim();
+  let merchant = await Merchant.findOne({ user: userId, aliases: key });
+
+  if (!merchant) {
+    try {
+      merchant = await Merchant.create({
+        user: userId,
+        name: displayNameFromKey(key),
+        aliases: [key],
+        variants: [variant],
+        defaultCategory: options.category || null
+      });
+      console.log(`🏪 New merchant "${merchant.name}" from "${variant}"`);
+      return merchant;
+    } catch (error) {
+      // Another request created the same merchant in the meantime
+      if (error.code !== 11000) throw error;
+      merchant = await Merchant.findOne({ user: userId, aliases: key });
+    }
+  }
+
+  if (merchant && !merchant.variants.includes(variant)) {
+    await Merchant.updateOne({ _id: merchant._id }, { $addToSet: { variants: variant } });
+  }
+
+  return merchant;
+}
+
+/**
+ * The user's merchant for a raw spelling, without creating it or recording the spelling
+ * @param {ObjectId} userId - Owner of the merchant directory
+ * @param {string} rawName - Merchant name as entered or parsed
+ * @returns {Promise<Object|null>} - Merchant document, or null when there is none yet
+ */
+async function findMerchant(userId, rawName) {
+  const key = normalizeMerchantKey(rawName);
+  return key ? Merchant.findOne({ user: userId, aliases: key }) : null;
+}
+
+/**
+ * Link transaction data to the merchant directory.
+ * Sets the canonical name and reference, and fills in the merchant's default category
+ * when the parsed category is missing or generic.
+ * @param {ObjectId} userId - Owner of the transaction
+ * @param {Object} transactionData - Data about to be saved; modified in place
+ * @param {Object} options - { readOnly }: only link merchants already in the directory, keeping
+ *   a new name as written, for data that is not saved yet (import drafts)
+ * @returns {Promise<Object>} - The same transactionData
+ */
+async function applyMerchant(userId, transactionData, { readOnly = false } = {}) {
+  if (!transactionData.merchant) return transactionData;
+
+  const merchant = readOnly
+    ? await findMerchant(userId, transactionData.merchant)
+    : await resolveMerchant(userId, transactionData.merchant, {
+      category: isGenericCategory(transactionData.category) ? null : transactionData.category
+    });
+
+  if (!merchant) {
+    if (!readOnly || !normalizeMerchantKey(transactionData.merchant)) delete transactionData.merchant;
+    return transactionData;
+  }
+
+  transactionData.merchant = merchant.name;
+  transactionData.merchantRef = merchant._id;
+
+  if (isGenericCategory(transactionData.category) && merchant.defaultCategory) {
+    transactionData.category = merchant.defaultCategory;
+  }
+
+  return transactionData;
+}
+
+function isGenericCategory(category) {
+  return !category || ['Other', 'Other Expense', 'Other Income'].includes(category);
+}
+
+/**
+ * Point merchants' default category at a renamed, merged or deleted category's replacement.
+ * A default has no kind of its own, so only merchants with transactions of the given kind move;
+ * an income and an expense category can share a name
+ * @param {ObjectId} userId - Owner of the data
+ * @param {string} kind - 'income' or 'expense'
+ * @param {string[]} names - Category names being replaced
+ * @param {string} toName - Category name to tag with instead
+ * @returns {Promise<Object>} - updateMany result
+ */
+async function retagCategory(userId, kind, names, toName) {
+  const merchantIds = await Transaction.distinct('merchantRef', { user: userId, type: kind, merchantRef: { $ne: null } });
+  return Merchant.updateMany(
+    { user: userId, _id: { $in: merchantIds }, defaultCategory: { $in: names } },
+    { $set: { defaultCategory: toName } }
+  );
+}
+
+module.exports = {
+  normalizeMerchantKey,
+  findMerchant,
+  resolveMerchant,
+  applyMerchant,
+  isGenericCategory,
+  retagCategory,
+};
@@ -0,0 +1,138 @@
+// Symbols and words that name a currency, mapped to ISO 4217 codes
+const CURRENCY_ALIASES = {
+  '₹': 'INR',
+  '₨': 'INR',
+  rs: 'INR',
+  'rs.': 'INR',
+  $: 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+};
+const CURRENCY_CODES = ['INR', 'USD', 'EUR', 'GBP', 'CHF', 'AED', 'SGD', 'AUD', 'CAD', 'JPY'];
+
+const CURRENCY = `(₹|₨|\\$|€|£|\\brs\\.?|\\b(?:${CURRENCY_CODES.join('|')})(?![a-z]))`;
+// Digits with optional grouping (1,234 / 1,23,456 / 1.234 / 1'234 / 1 234) and up to two decimals.
+// Space groups (plain, no-break or thin space) must be exactly three digits, and never span a line break
+const NUMBER = "(\\d{1,3}(?:(?:[,.'’]\\d{2,3})+|(?:[ \\u00a0\\u2009\\u202f]\\d{3})+)(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?)";
+
+// [ ( or - ] [currency] [-] number [currency] [ ) ] [CR|DR]; never starts or ends inside a longer
+// run of digits, so dates like 30.07.2024 and reference numbers are not read as amounts. A currency
+// right before another number belongs to that number, not as a suffix to this one.
+const MONEY_PATTERN = new RegExp(
+  `(?<![\\w.,])(\\(|-)?\\s*(?:${CURRENCY}\\s*)?(-)?${NUMBER}(?![.,'’]?\\d)(?:\\s*${CURRENCY}(?!\\s*-?\\d))?(\\))?(?:\\s*\\b(cr|dr)\\b\\.?)?`,
+  'gi'
+);
+
+function toCurrencyCode(token) {
+  if (!token) return null;
+  const lower = token.toLowerCase();
+  return CURRENCY_ALIASES[lower] || CURRENCY_ALIASES[token] || lower.toUpperCase();
+}
+
+/**
+ * Read a number whose separators may follow any convention. When both ',' and '.' appear the last
+ * one is the decimal mark; a lone separator followed by one or two digits is a decimal mark; anything
+ * else (1,234 / 1.234 / 1,23,456 / 1 234) is digit grouping. Apostrophes and spaces only ever group
+ * @param {string} raw - Digits and separators only
+ * @returns {Object} - { value, hasDecimals, hasGrouping }
+ */
+function readNumber(raw) {
+  const separators = raw.replace(/\d/g, '');
+  if (!separators) {
+    return { value: parseFloat(raw), hasDecimals: false, hasGrouping: false };
+  }
+
+  const last = separators[separators.length - 1];
+  const digitsAfterLast = raw.length - raw.lastIndexOf(last) - 1;
+  const mixed = new Set(separators).size > 1;
+  const decimalMark = (mixed || (separators.length === 1 && digitsAfterLast <= 2)) && /[.,]/.test(last)
+    ? last
+    : null;
+
+  let normalized = raw;
+  if (decimalMark) {
+    const index = raw.lastIndexOf(decimalMark);
+    normalized = raw.slice(0, index).replace(/\D/g, '') + '.' + raw.slice(index + 1);
+  } else {
+    normalized = raw.replace(/\D/g, '');
+  }
+
+  return {
+    value: parseFloat(normalized),
+    hasDecimals: Boolean(decimalMark),
+    hasGrouping: separators.length > (decimalMark ? 1 : 0),
+  };
+}
+
+/**
+ * Every money amount in a piece of text, in order of appearance
+ * @param {string} text - Text to search
+ * @param {Object} options - { strict }: when true (the default) bare whole numbers without a
+ *   currency, decimals or grouping are skipped, since they are usually quantities or IDs
+ * @returns {Array} - [{ text, index, amount, currency, direction: 'credit' | 'debit' | null, hasCurrency, hasDecimals }]
+ */
+function findAmounts(text, { strict = true } = {}) {
+  const amounts = [];
+  MONEY_PATTERN.lastIndex = 0;
+
+  let match;
+  while ((match = MONEY_PATTERN.exec(text)) !== null) {
+    const [whole, opener, leadingCurrency, minus, digits, trailingCurrency, closer, suffix] = match;
+    const { value, hasDecimals, hasGrouping } = readNumber(digits);
+    const currency = toCurrencyCode(leadingCurrency || trailingCurrency);
+
+    if (strict && !currency && !hasDecimals && !hasGrouping) continue;
+
+    // CR/DR wins; otherwise a minus sign or accounting brackets mean money going out
+    const negative = opener === '-' || Boolean(minus) || (opener === '(' && Boolean(closer));
+    let direction = null;
+    if (suffix) direction = suffix.toLowerCase() === 'cr' ? 'credit' : 'debit';
+    else if (negative) direction = 'debit';
+
+    const start = match.index + whole.length - whole.trimStart().length;
+    amounts.push({
+      text: whole.trim(),
+      index: start,
+      amount: value,
+      currency,
+      direction,
+      hasCurrency: Boolean(currency),
+      hasDecimals,
+    });
+  }
+
+  return amounts;
+}
+
+/**
+ * The first amount in a piece of text
+ * @param {string} text - Text such as "CHF 54.50", "1.234,50 €" or "1,23,456.00 Cr"
+ * @param {Object} options - Same as findAmounts
+ * @returns {Object|null} - Amount as returned by findAmounts, or null
+ */
+function parseAmount(text, options) {
+  const [first] = findAmounts(String(text ?? ''), options);
+  return first || null;
+}
+
+/**
+ * The currency named most often in a document
+ * @param {string} text - Full document text
+ * @returns {string|null} - ISO 4217 code, or null when no amount names one
+ */
+function detectCurrency(text) {
+  const counts = {};
+  findAmounts(text).forEach(({ currency }) => {
+    if (currency) counts[currency] = (counts[currency] || 0) + 1;
+  });
+
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : null;
+}
+
+module.exports = {
+  CURRENCY_CODES,
+  findAmounts,
+  parseAmount,
+  detectCurrency,
+};
@@ -0,0 +1,17 @@
+const { isEmailConfigured, sendEmail } = require('../../utils/email');
+
+module.exports = {
+  name: 'email',
+
+  isConfigured: isEmailConfigured,
+
+  async send(user, notification) {
+    if (!user.email) throw new Error('User has no email address');
+
+    const text = notification.link
+      ? `${notification.message}\n\nOpen Finance Tracker: ${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}${notification.link}`
+      : notification.message;
+
+    await sendEmail({ to: user.email, subject: notification.title, text });
+  },
+};
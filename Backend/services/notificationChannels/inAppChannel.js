@@ -0,0 +1,10 @@
+// The notification center in the app reads straight from the Notification collection
+module.exports = {
+  name: 'inApp',
+
+  isConfigured: () => true,
+
+  async send(user, notification) {
+    await notification.save();
+  },
+};
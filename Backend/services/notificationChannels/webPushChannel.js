@@ -0,0 +1,63 @@
+const webpush = require('web-push');
+const PushSubscription = require('../../models/PushSubscription');
+
+let vapidReady = false;
+
+function isConfigured() {
+  return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+}
+
+function ensureVapid() {
+  if (!vapidReady) {
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+    vapidReady = true;
+  }
+}
+
+module.exports = {
+  name: 'push',
+
+  isConfigured,
+
+  getPublicKey() {
+    return isConfigured() ? process.env.VAPID_PUBLIC_KEY : null;
+  },
+
+  async send(user, notification) {
+    ensureVapid();
+
+    const subscriptions = await PushSubscription.find({ user: user._id }).lean();
+    if (subscriptions.length === 0) throw new Error('No browser is subscribed to push notifications');
+
+    const payload = JSON.stringify({
+      title: notification.title,
+      body: notification.message,
+      link: notification.link,
+      id: notification._id,
+    });
+
+    let delivered = 0;
+    const errors = [];
+    for (const subscription of subscriptions) {
+      try {
+        await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload);
+        delivered += 1;
+      } catch (error) {
+        // The browser unsubscribed or the subscription expired; forget it
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          await PushSubscription.deleteOne({ _id: subscription._id });
+        } else {
+          errors.push(error.body || error.message);
+        }
+      }
+    }
+
+    if (delivered === 0) {
+      throw new Error(errors[0] || 'All push subscriptions have expired');
+    }
+  },
+};
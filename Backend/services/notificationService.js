@@ -0,0 +1,136 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const inAppChannel = require('./notificationChannels/inAppChannel');
+const emailChannel = require('./notificationChannels/emailChannel');
+const webPushChannel = require('./notificationChannels/webPushChannel');
+
+// In-app runs first so the stored notification id is available to the other channels
+const CHANNELS = [inAppChannel, emailChannel, webPushChannel];
+
+// Every event a user can be notified about, with the channels used until they choose otherwise
+const NOTIFICATION_EVENTS = {
+  budget_warning: {
+    label: 'Budget nearing its limit',
+    severity: 'warning',
+    defaults: { inApp: true, email: false, push: true },
+  },
+  budget_exceeded: {
+    label: 'Budget exceeded',
+    severity: 'error',
+    defaults: { inApp: true, email: true, push: true },
+  },
+  recurring_created: {
+    label: 'Recurring transactions created',
+    severity: 'info',
+    defaults: { inApp: true, email: false, push: false },
+  },
+  upload_completed: {
+    label: 'Upload processed',
+    severity: 'success',
+    defaults: { inApp: true, email: false, push: false },
+  },
+  upload_failed: {
+    label: 'Upload failed',
+    severity: 'error',
+    defaults: { inApp: true, email: false, push: true },
+  },
+};
+
+/**
+ * Merge a user's saved choices over the event defaults
+ * @param {Object} user - User document or lean object
+ * @returns {Object} - { [event]: { inApp, email, push } }
+ */
+function resolvePreferences(user) {
+  const saved = user?.preferences?.notifications;
+  const lookup = saved instanceof Map ? Object.fromEntries(saved) : (saved || {});
+
+  return Object.fromEntries(
+    Object.entries(NOTIFICATION_EVENTS).map(([event, definition]) => {
+      const choice = lookup[event] || {};
+      const channels = {};
+      CHANNELS.forEach(({ name }) => {
+        channels[name] = typeof choice[name] === 'boolean' ? choice[name] : definition.defaults[name];
+      });
+      return [event, channels];
+    })
+  );
+}
+
+/**
+ * Which channels the server can deliver through right now
+ * @returns {Object} - { inApp: true, email: boolean, push: boolean }
+ */
+function getAvailableChannels() {
+  return Object.fromEntries(CHANNELS.map(channel => [channel.name, channel.isConfigured()]));
+}
+
+/**
+ * Notify a user about an event through every channel they enabled for it.
+ * A failing channel never stops the others; failures are logged and stored on the notification.
+ * @param {ObjectId} userId - Recipient
+ * @param {string} event - Key of NOTIFICATION_EVENTS
+ * @param {Object} content - { title, message, link, data }
+ * @returns {Promise<Object|null>} - { notification, deliveries }, or null when the user does not exist
+ */
+async function notify(userId, event, content) {
+  const definition = NOTIFICATION_EVENTS[event];
+  if (!definition) throw new Error(`Unknown notification event "${event}"`);
+
+  const user = await User.findById(userId).select('email preferences.notifications').lean();
+  if (!user) return null;
+
+  const enabled = resolvePreferences(user)[event];
+  const notification = new Notification({
+    user: user._id,
+    event,
+    severity: definition.severity,
+    ...content,
+  });
+
+  const deliveries = [];
+  let stored = false;
+
+  for (const channel of CHANNELS) {
+    if (!enabled[channel.name]) continue;
+
+    if (!channel.isConfigured()) {
+      deliveries.push({ channel: channel.name, status: 'skipped', error: 'Channel is not configured on the server' });
+      continue;
+    }
+
+    try {
+      await channel.send(user, notification);
+      if (channel === inAppChannel) stored = true;
+      else deliveries.push({ channel: channel.name, status: 'sent' });
+    } catch (error) {
+      console.error(`❌ ${channel.name} notification "${event}" failed for user ${user._id}:`, error.message);
+      deliveries.push({ channel: channel.name, status: 'failed', error: error.message });
+    }
+  }
+
+  if (stored && deliveries.length > 0) {
+    await Notification.updateOne({ _id: notification._id }, { $set: { deliveries } });
+  }
+
+  console.log(`🔔 Notified user ${user._id} of ${event}: ${notification.title}`);
+  return { notification, deliveries };
+}
+
+/**
+ * Run notify without delaying the caller; failures are only logged
+ */
+function notifyInBackground(userId, event, content) {
+  notify(userId, event, content).catch(error => {
+    console.error(`❌ Notification "${event}" failed:`, error.message);
+  });
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  resolvePreferences,
+  getAvailableChannels,
+  getPushPublicKey: webPushChannel.getPublicKey,
+  notify,
+  notifyInBackground,
+};
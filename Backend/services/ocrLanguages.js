@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tesseract language codes with a readable name; any other pack found on disk is listed by its code
+const LANGUAGE_NAMES = {
+  eng: 'English',
+  deu: 'German',
+  fra: 'French',
+  ita: 'Italian',
+  spa: 'Spanish',
+  por: 'Portuguese',
+  nld: 'Dutch',
+  hin: 'Hindi',
+  mar: 'Marathi',
+  ben: 'Bengali',
+  tam: 'Tamil',
+  tel: 'Telugu',
+  kan: 'Kannada',
+  mal: 'Malayalam',
+  guj: 'Gujarati',
+  pan: 'Punjabi',
+  ara: 'Arabic',
+  rus: 'Russian',
+  ell: 'Greek',
+  heb: 'Hebrew',
+  tha: 'Thai',
+  chi_sim: 'Chinese (Simplified)',
+  jpn: 'Japanese',
+  kor: 'Korean',
+};
+
+const DEFAULT_LANGUAGES = ['eng'];
+
+// Tesseract's orientation and script detection model; it is not a language to read text in
+const OSD_PACK = 'osd';
+
+// Language to add when Tesseract's script detection names a script. Latin is left out: it covers too
+// many languages, so those are told apart from the words in the text instead
+const SCRIPT_LANGUAGES = {
+  Devanagari: 'hin',
+  Bengali: 'ben',
+  Tamil: 'tam',
+  Telugu: 'tel',
+  Kannada: 'kan',
+  Malayalam: 'mal',
+  Gujarati: 'guj',
+  Gurmukhi: 'pan',
+  Arabic: 'ara',
+  Cyrillic: 'rus',
+  Greek: 'ell',
+  Hebrew: 'heb',
+  Thai: 'tha',
+  Han: 'chi_sim',
+  HanS: 'chi_sim',
+  Japanese: 'jpn',
+  Katakana: 'jpn',
+  Hiragana: 'jpn',
+  Hangul: 'kor',
+};
+
+// The same scripts by Unicode block, for text that already came back in them
+const SCRIPT_RANGES = [
+  { language: 'hin', pattern: /[\u0900-\u097F]/g },
+  { language: 'ben', pattern: /[\u0980-\u09FF]/g },
+  { language: 'pan', pattern: /[\u0A00-\u0A7F]/g },
+  { language: 'guj', pattern: /[\u0A80-\u0AFF]/g },
+  { language: 'tam', pattern: /[\u0B80-\u0BFF]/g },
+  { language: 'tel', pattern: /[\u0C00-\u0C7F]/g },
+  { language: 'kan', pattern: /[\u0C80-\u0CFF]/g },
+  { language: 'mal', pattern: /[\u0D00-\u0D7F]/g },
+  { language: 'tha', pattern: /[\u0E00-\u0E7F]/g },
+  { language: 'ara', pattern: /[\u0600-\u06FF]/g },
+  { language: 'heb', pattern: /[\u0590-\u05FF]/g },
+  { language: 'rus', pattern: /[\u0400-\u04FF]/g },
+  { language: 'ell', pattern: /[\u0370-\u03FF]/g },
+  { language: 'jpn', pattern: /[\u3040-\u30FF]/g },
+  { language: 'kor', pattern: /[\uAC00-\uD7AF]/g },
+  { language: 'chi_sim', pattern: /[\u4E00-\u9FFF]/g },
+];
+
+// Words that turn up on receipts and invoices in one Latin-script language and rarely in the others.
+// English is the baseline every user reads, so it has no list
+const LATIN_MARKERS = {
+  deu: ['mwst', 'ust', 'summe', 'betrag', 'gesamt', 'rechnung', 'quittung', 'danke', 'bezahlt', 'tisch',
+    'bedient', 'bediente', 'inkl', 'entspricht', 'zwischensumme', 'rückgeld', 'und', 'der', 'die', 'das', 'sie'],
+  fra: ['tva', 'merci', 'montant', 'facture', 'reçu', 'espèces', 'ttc', 'rendu', 'votre', 'pour', 'les',
+    'avec', 'une'],
+  ita: ['iva', 'grazie', 'totale', 'scontrino', 'importo', 'contanti', 'resto', 'della', 'per'],
+  spa: ['gracias', 'factura', 'importe', 'efectivo', 'cambio', 'impuesto', 'los', 'las', 'por'],
+  por: ['obrigado', 'obrigada', 'fatura', 'valor', 'troco', 'dinheiro', 'contribuinte', 'para'],
+  nld: ['btw', 'bedankt', 'totaal', 'bedrag', 'kassabon', 'wisselgeld', 'het', 'een', 'van', 'voor'],
+};
+
+// A Latin language needs this many distinct marker words before it is trusted
+const MIN_LATIN_MARKERS = 2;
+
+/**
+ * Directory holding the language packs as <code>.traineddata.gz, the format of the
+ * @tesseract.js-data packages. Tesseract reads only from here and never downloads a pack
+ * @returns {string}
+ */
+function getLanguagePath() {
+  return process.env.TESSERACT_LANG_PATH || path.join(__dirname, '..', 'tessdata');
+}
+
+/**
+ * Language packs present in the language directory, script detection excluded
+ * @returns {Array} - Language codes, sorted
+ */
+function listInstalledLanguages() {
+  let files = [];
+  try {
+    files = fs.readdirSync(getLanguagePath());
+  } catch (error) {
+    return [];
+  }
+  return files
+    .filter(file => file.endsWith('.traineddata.gz'))
+    .map(file => file.slice(0, -'.traineddata.gz'.length))
+    .filter(code => code !== OSD_PACK)
+    .sort();
+}
+
+function hasScriptDetection() {
+  return fs.existsSync(path.join(getLanguagePath(), `${OSD_PACK}.traineddata.gz`));
+}
+
+function describeLanguage(code) {
+  return { code, name: LANGUAGE_NAMES[code] || code };
+}
+
+/**
+ * The user's languages that have a pack installed, in their order; English when none do
+ * @param {Array} languages - Tesseract language codes
+ * @returns {Array}
+ */
+function resolveLanguages(languages) {
+  const installed = listInstalledLanguages();
+  const usable = (languages || []).filter(code => installed.includes(code));
+  return usable.length > 0 ? [...new Set(usable)] : DEFAULT_LANGUAGES;
+}
+
+/**
+ * Language suggested by the text Tesseract read: a non-Latin script if enough of the letters are in
+ * one, otherwise the Latin-script language with the most marker words
+ * @param {string} text - OCR output
+ * @returns {Object|null} - { language, source: 'script' | 'words', evidence } or null when it looks English
+ */
+function detectTextLanguage(text) {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return null;
+
+  for (const { language, pattern } of SCRIPT_RANGES) {
+    const count = (text.match(pattern) || []).length;
+    if (count / letters >= 0.2) return { language, source: 'script', evidence: `${count} characters` };
+  }
+
+  const words = new Set(text.toLowerCase().match(/\p{L}+/gu) || []);
+  const ranked = Object.entries(LATIN_MARKERS)
+    .map(([language, markers]) => ({ language, found: markers.filter(marker => words.has(marker)) }))
+    .sort((a, b) => b.found.length - a.found.length);
+
+  const [best, runnerUp] = ranked;
+  if (best.found.length < MIN_LATIN_MARKERS || best.found.length === runnerUp.found.length) return null;
+  return { language: best.language, source: 'words', evidence: best.found.join(', ') };
+}
+
+module.exports = {
+  LANGUAGE_NAMES,
+  DEFAULT_LANGUAGES,
+  OSD_PACK,
+  SCRIPT_LANGUAGES,
+  getLanguagePath,
+  listInstalledLanguages,
+  hasScriptDetection,
+  describeLanguage,
+  resolveLanguages,
+  detectTextLanguage,
+};
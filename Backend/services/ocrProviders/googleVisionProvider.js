@@ -0,0 +1,59 @@
+const fs = require('fs').promises;
+
+let client = null;
+
+// Created on first use so the server starts without Google credentials
+function getClient() {
+  if (!client) {
+    const vision = require('@google-cloud/vision');
+    client = new vision.ImageAnnotatorClient();
+  }
+  return client;
+}
+
+// Vision reports word confidence on a 0-1 scale and the box as four vertices
+function toWord(word) {
+  const xs = word.boundingBox?.vertices?.map(v => v.x || 0) || [0];
+  const ys = word.boundingBox?.vertices?.map(v => v.y || 0) || [0];
+
+  return {
+    text: (word.symbols || []).map(symbol => symbol.text).join(''),
+    confidence: Math.round((word.confidence || 0) * 10000) / 100,
+    bbox: { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) },
+  };
+}
+
+module.exports = {
+  name: 'google-vision',
+
+  isConfigured() {
+    return Boolean(process.env.GOOGLE_APPLICATION_CREDENTIALS);
+  },
+
+  supports(mimeType) {
+    return mimeType.startsWith('image/');
+  },
+
+  async extract(input, { onProgress } = {}) {
+    const content = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+    const [result] = await getClient().documentTextDetection({ image: { content } });
+    if (result.error?.message) throw new Error(result.error.message);
+
+    const annotation = result.fullTextAnnotation;
+    const words = (annotation?.pages || [])
+      .flatMap(page => page.blocks || [])
+      .flatMap(block => block.paragraphs || [])
+      .flatMap(paragraph => paragraph.words || [])
+      .map(toWord);
+
+    if (onProgress) onProgress(1);
+
+    return {
+      text: (annotation?.text || '').trim(),
+      confidence: words.length > 0
+        ? Math.round((words.reduce((sum, word) => sum + word.confidence, 0) / words.length) * 100) / 100
+        : 0,
+      words,
+    };
+  },
+};
@@ -0,0 +1,58 @@
+const fs = require('fs').promises;
+const pdfParse = require('pdf-parse');
+const { groupIntoLines, linesToText } = require('../textLayout');
+
+// Position every text item so tables can later be read by column; the page text keeps columns apart
+function createPageRenderer(lines) {
+  return async pageData => {
+    const page = pageData.pageIndex + 1;
+    const pageHeight = pageData.getViewport(1).height;
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+
+    const items = textContent.items.map(item => {
+      const [, , , scaleY, x, y] = item.transform;
+      const height = Math.abs(scaleY) || item.height || 10;
+      return { text: item.str, page, x0: x, x1: x + (item.width || 0), top: pageHeight - y - height, height };
+    });
+
+    const pageLines = groupIntoLines(items);
+    lines.push(...pageLines);
+    return linesToText(pageLines);
+  };
+}
+
+module.exports = {
+  name: 'pdf-parse',
+
+  isConfigured() {
+    return true;
+  },
+
+  supports(mimeType) {
+    return mimeType === 'application/pdf';
+  },
+
+  // Reads the PDF's embedded text layer. That text is exact, so every word is reported at 100%.
+  async extract(input, { onProgress, password } = {}) {
+    const buffer = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+    const lines = [];
+    // pdf.js 1.10 misplaces object offsets when handed a Node Buffer, so give it plain bytes.
+    // pdf-parse passes this straight to getDocument, which also takes the password there
+    const pdfData = await pdfParse({ data: new Uint8Array(buffer), password: password || undefined }, {
+      max: 0,
+      version: 'v1.10.100',
+      pagerender: createPageRenderer(lines),
+    });
+
+    const text = pdfData.text.trim();
+    if (onProgress) onProgress(1);
+
+    return {
+      text,
+      confidence: 100,
+      words: text.split(/\s+/).filter(Boolean).map(word => ({ text: word, confidence: 100, bbox: null })),
+      lines,
+      pageCount: pdfData.numpages,
+    };
+  },
+};
@@ -0,0 +1,137 @@
+const Tesseract = require('tesseract.js');
+const { preprocessImage } = require('../imagePreprocessing');
+const {
+  SCRIPT_LANGUAGES,
+  getLanguagePath,
+  listInstalledLanguages,
+  hasScriptDetection,
+  resolveLanguages,
+  detectTextLanguage,
+} = require('../ocrLanguages');
+
+// Packs are read from the local language directory only; with no cache, nothing is written next to
+// the server and a missing pack fails instead of being fetched from a CDN
+function workerOptions(logger = null) {
+  return { langPath: getLanguagePath(), cacheMethod: 'none', gzip: true, ...(logger && { logger }) };
+}
+
+async function recognize(image, languages, onProgress) {
+  const { data } = await Tesseract.recognize(image, languages.join('+'), {
+    ...workerOptions(m => {
+      if (m.status === 'recognizing text' && onProgress) {
+        onProgress(m.progress);
+      }
+    }),
+    tessedit_pageseg_mode: Tesseract.PSM.AUTO,
+    tessedit_ocr_engine_mode: Tesseract.OEM.LSTM_ONLY,
+  });
+
+  return {
+    text: data.text.trim(),
+    confidence: data.confidence,
+    words: (data.words || []).map(word => ({
+      text: word.text,
+      confidence: word.confidence,
+      bbox: word.bbox,
+    })),
+  };
+}
+
+// Script of the printed text from Tesseract's orientation and script model, when it is installed.
+// Receipts with only a few lines can be too short for it, which is not an error
+async function detectScript(image) {
+  if (!hasScriptDetection()) return null;
+  try {
+    const { data } = await Tesseract.detect(image, workerOptions());
+    return data.script ? { script: data.script, confidence: data.script_confidence } : null;
+  } catch (error) {
+    console.warn('⚠️ Script detection skipped:', error.message || error);
+    return null;
+  }
+}
+
+// Add a language to the set when its pack is installed and it is not there already
+function withLanguage(languages, language) {
+  if (!language || languages.includes(language) || !listInstalledLanguages().includes(language)) return languages;
+  return [...languages, language];
+}
+
+module.exports = {
+  name: 'tesseract',
+
+  // Runs locally, so it is always available
+  isConfigured() {
+    return true;
+  },
+
+  supports(mimeType) {
+    return mimeType.startsWith('image/');
+  },
+
+  /**
+   * Reads the preprocessed image once. Only when that gives no text at all is the image read again
+   * as uploaded. OCR_COMPARE_PREPROCESSING=true (for debugging preprocessing) always reads both and
+   * keeps whichever Tesseract is more confident about, at twice the cost. With language detection
+   * on, a script or language found in the image that the user's languages miss is added and the
+   * image read again
+   * @param {Buffer|string} input - Image contents or path on disk
+   * @param {Object} options - { onProgress, preprocess: step names or 'none' (see imagePreprocessing),
+   *   languages: Tesseract codes to read with, detectLanguage }
+   */
+  async extract(input, { onProgress, preprocess = null, languages = null, detectLanguage = true } = {}) {
+    if (listInstalledLanguages().length === 0) {
+      throw new Error(`No language packs in ${getLanguagePath()}; run "npm run ocr:languages"`);
+    }
+
+    const prepared = await preprocessImage(input, { steps: preprocess });
+    const preprocessed = prepared.steps.some(step => step.applied);
+    const compare = preprocessed && process.env.OCR_COMPARE_PREPROCESSING === 'true';
+
+    let readWith = resolveLanguages(languages);
+    const detection = { script: null, language: null };
+    if (detectLanguage) {
+      detection.script = await detectScript(preprocessed ? prepared.buffer : input);
+      readWith = withLanguage(readWith, SCRIPT_LANGUAGES[detection.script?.script]);
+    }
+
+    let preprocessing = null;
+    let best;
+    let bestImage;
+    if (preprocessed) {
+      // Reading both halves the progress of each; a fallback read starts the bar again
+      const progress = start => fraction => {
+        if (onProgress) onProgress(compare ? start + fraction / 2 : fraction);
+      };
+      const processed = await recognize(prepared.buffer, readWith, progress(0));
+      const original = compare || !processed.text ? await recognize(input, readWith, progress(0.5)) : null;
+      const usePrepared = !original || (processed.text && processed.confidence >= original.confidence);
+
+      best = usePrepared ? processed : original;
+      bestImage = usePrepared ? prepared.buffer : input;
+      preprocessing = {
+        steps: prepared.steps,
+        confidenceBefore: original ? original.confidence : null,
+        confidenceAfter: processed.confidence,
+        used: usePrepared ? 'preprocessed' : 'original',
+      };
+    } else {
+      best = await recognize(input, readWith, onProgress);
+      bestImage = input;
+    }
+
+    if (detectLanguage) {
+      detection.language = detectTextLanguage(best.text);
+      const extended = withLanguage(readWith, detection.language?.language);
+      if (extended !== readWith) {
+        console.log(`🌐 Text looks like ${detection.language.language} (${detection.language.evidence}), reading again as ${extended.join('+')}`);
+        const reread = await recognize(bestImage, extended, null);
+        if (reread.text && reread.confidence >= best.confidence) {
+          best = reread;
+          readWith = extended;
+        }
+      }
+    }
+
+    return { ...best, languages: readWith, languageDetection: detectLanguage ? detection : null, preprocessing };
+  },
+};
@@ -1,191 +1,204 @@
-const Tesseract = require('tesseract.js');
-const vision = require('@google-cloud/vision');
-const pdfParse = require('pdf-parse');
-
-class OCRService {
-  constructor() {
-    // Initialize Google Vision client
-    this.visionClient = new vision.ImageAnnotatorClient();
-    
-    // Tesseract configuration
-    this.tesseractConfig = {
-      lang: 'eng',
-      oem: 1, // LSTM OCR Engine Mode
-      whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz.,/-:$ ₹',
-    };
-
-    // Multiple PSM (Page Segmentation Mode) strategies for better accuracy
-    this.psmModes = [
-      6, // Uniform block of text
-      7, // Single text line
-      8, // Single word
-      4, // Single column of text of variable sizes
-      3  // Fully automatic page segmentation
-    ];
-  }
+const fs = require('fs').promises;
+const User = require('../models/User');
+const tesseractProvider = require('./ocrProviders/tesseractProvider');
+const googleVisionProvider = require('./ocrProviders/googleVisionProvider');
+const pdfParseProvider = require('./ocrProviders/pdfParseProvider');
+const { openPdf } = require('./pdfRenderer');
+const { groupIntoLines, wordsToItems } = require('./textLayout');
+const { DEFAULT_LANGUAGES } = require('./ocrLanguages');
+
+// Every provider implements { name, isConfigured(), supports(mimeType), extract(input, { onProgress }) }
+// and resolves to { text, confidence, words: [{ text, confidence, bbox }] } with confidences in percent.
+// Providers that know where text sits on the page may add lines (see textLayout) and pageCount; those
+// that clean up the image first add preprocessing (see imagePreprocessing).
+const PROVIDERS = [tesseractProvider, googleVisionProvider, pdfParseProvider];
+
+// Provider order for each User.preferences.ocrPreference; unlisted providers that support the file come last
+const PREFERENCE_ORDER = {
+  tesseract: ['tesseract', 'google-vision'],
+  'google-vision': ['google-vision', 'tesseract'],
+  auto: ['tesseract', 'google-vision'],
+};
+
+// With 'auto', a result below this confidence is retried on the next provider and the better one kept
+function getMinAutoConfidence() {
+  const value = parseFloat(process.env.OCR_MIN_CONFIDENCE);
+  return value >= 0 && value <= 100 ? value : 60;
+}
 
-  /**
-   * Extract text from image using multi-pass Tesseract OCR
-   * @param {Buffer} imageBuffer - Image buffer
-   * @param {Function} progressCallback - Progress callback function
-   * @returns {Promise<{text: string, confidence: number, method: string}>}
-   */
-  async extractTextFromImage(imageBuffer, progressCallback = null) {
-    console.log('🔍 Starting multi-pass OCR extraction...');
-    
-    const results = [];
-    
-    try {
-      // Run OCR with multiple PSM modes
-      for (let i = 0; i < this.psmModes.length; i++) {
-        const psm = this.psmModes[i];
-        
-        if (progressCallback) {
-          progressCallback(`OCR Pass ${i + 1}/${this.psmModes.length} (PSM: ${psm})`, 
-            (i / this.psmModes.length) * 100);
-        }
-
-        try {
-          const result = await Tesseract.recognize(imageBuffer, 'eng', {
-            ...this.tesseractConfig,
-            psm,
-            logger: (m) => {
-              if (m.status === 'recognizing text' && progressCallback) {
-                const progress = (i / this.psmModes.length) * 100 + 
-                  (m.progress / this.psmModes.length);
-                progressCallback(`OCR Pass ${i + 1}: ${Math.round(m.progress)}%`, progress);
-              }
-            }
-          });
-
-          if (result.data.text && result.data.text.trim().length > 10) {
-            results.push({
-              text: result.data.text.trim(),
-              confidence: result.data.confidence,
-              psm: psm
-            });
-            
-            console.log(`✅ PSM ${psm} completed - Confidence: ${result.data.confidence}%`);
-          }
-        } catch (psmError) {
-          console.warn(`⚠️ PSM ${psm} failed:`, psmError.message);
-        }
-      }
+// A PDF whose text layer averages fewer characters per page than this is treated as a scan
+const MIN_PDF_TEXT_PER_PAGE = 50;
 
-      if (results.length === 0) {
-        throw new Error('All OCR attempts failed to extract readable text');
-      }
+function isSparsePdfText(result) {
+  return !result || result.text.length < MIN_PDF_TEXT_PER_PAGE * (result.pageCount || 1);
+}
 
-      // Select best result based on confidence and text length
-      const bestResult = results.reduce((best, current) => {
-        const currentScore = current.confidence * (current.text.length / 100);
-        const bestScore = best.confidence * (best.text.length / 100);
-        return currentScore > bestScore ? current : best;
-      });
+/**
+ * Providers able to read this file type, in the order the preference asks for
+ * @param {string} mimeType - MIME type of the file
+ * @param {string} preference - 'tesseract' | 'google-vision' | 'auto'
+ * @returns {Array} - Configured providers
+ */
+function getProviderOrder(mimeType, preference = 'auto') {
+  const order = PREFERENCE_ORDER[preference] || PREFERENCE_ORDER.auto;
+  const rank = provider => {
+    const index = order.indexOf(provider.name);
+    return index === -1 ? order.length : index;
+  };
+
+  return PROVIDERS
+    .filter(provider => provider.supports(mimeType) && provider.isConfigured())
+    .sort((a, b) => rank(a) - rank(b));
+}
 
-      console.log(`🎯 Best OCR result: PSM ${bestResult.psm}, Confidence: ${bestResult.confidence}%`);
+/**
+ * The user's OCR options, ready to spread into extractText's options
+ * @param {ObjectId} userId - User to look up
+ * @returns {Promise<Object>} - { preference, languages, detectLanguage }
+ */
+async function getOcrSettings(userId) {
+  const user = await User.findById(userId)
+    .select('preferences.ocrPreference preferences.ocrLanguages preferences.ocrLanguageDetection')
+    .lean();
+  const preferences = user?.preferences || {};
+  return {
+    preference: preferences.ocrPreference || 'auto',
+    languages: preferences.ocrLanguages?.length ? preferences.ocrLanguages : DEFAULT_LANGUAGES,
+    detectLanguage: preferences.ocrLanguageDetection !== false,
+  };
+}
 
-      return {
-        text: bestResult.text,
-        confidence: bestResult.confidence,
-        method: 'tesseract'
+/**
+ * OCR a scanned PDF by rendering each page to an image and running it through the image providers.
+ * Pages are rendered and read one at a time; a page with no readable text is kept as a blank page
+ * @param {Buffer|string} input - File contents or path on disk
+ * @param {Object} options - { preference, onProgress(fraction, detail), password, and the image options
+ *   passed on to extractText for each page }
+ * @returns {Promise<Object>} - { text, confidence, words, lines, pageCount, method, attempts }
+ */
+async function extractTextFromScannedPdf(input, { preference, onProgress, password, ...imageOptions }) {
+  const buffer = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+  const pdf = await openPdf(buffer, { password });
+  const pages = [];
+
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.pageCount; pageNumber++) {
+      const detail = `Page ${pageNumber} of ${pdf.pageCount}`;
+      const reportPage = fraction => {
+        if (onProgress) onProgress((pageNumber - 1 + fraction) / pdf.pageCount, detail);
       };
 
-    } catch (error) {
-      console.error('❌ Tesseract OCR failed:', error.message);
-      throw new Error(`OCR extraction failed: ${error.message}`);
+      console.log(`🖨️ OCR ${detail.toLowerCase()}...`);
+      reportPage(0);
+      const image = await pdf.renderPage(pageNumber);
+      try {
+        pages.push(await extractText(image, 'image/png', { ...imageOptions, preference, onProgress: reportPage }));
+      } catch (error) {
+        console.warn(`⚠️ No text on page ${pageNumber}:`, error.message);
+        pages.push({ text: '', confidence: 0, words: [], method: null, attempts: [{ provider: 'none', error: error.message }] });
+      }
+      reportPage(1);
     }
+  } finally {
+    await pdf.close();
   }
 
-  /**
-   * Extract text from PDF using Google Vision API with fallback
-   * @param {Buffer} pdfBuffer - PDF buffer
-   * @returns {Promise<{text: string, confidence: number, method: string}>}
-   */
-  async extractTextFromPDF(pdfBuffer) {
-    console.log('📄 Starting PDF text extraction...');
+  const readPages = pages.filter(page => page.text);
+  const words = pages.flatMap((page, index) => page.words.map(word => ({ ...word, page: index + 1 })));
+  const methods = [...new Set(readPages.map(page => page.method))];
+
+  return {
+    text: pages.map(page => page.text).join('\n\n').trim(),
+    confidence: readPages.length > 0
+      ? Math.round((readPages.reduce((sum, page) => sum + page.confidence, 0) / readPages.length) * 100) / 100
+      : 0,
+    words,
+    lines: groupIntoLines(wordsToItems(words)),
+    pageCount: pdf.pageCount,
+    method: `pdf-ocr:${methods.join('+') || 'none'}`,
+    attempts: pages.flatMap((page, index) => page.attempts.map(attempt => ({ ...attempt, page: index + 1 }))),
+  };
+}
+
+/**
+ * Extract text from an image or PDF, falling back to the next provider when one fails,
+ * finds no text, or (with 'auto') is not confident enough. A PDF with little or no text layer is
+ * OCRed page by page, which needs no cloud service
+ * @param {Buffer|string} input - File contents or path on disk
+ * @param {string} mimeType - MIME type of the file
+ * @param {Object} options - { preference, onProgress(fraction, detail), password for encrypted PDFs,
+ *   preprocess: image preprocessing steps, or null for the configured default, languages: Tesseract
+ *   codes, detectLanguage }
+ * @returns {Promise<Object>} - { text, confidence, words, method, attempts, processingTime }
+ */
+async function extractText(input, mimeType, {
+  preference = 'auto',
+  onProgress = null,
+  password = null,
+  preprocess = null,
+  languages = DEFAULT_LANGUAGES,
+  detectLanguage = true,
+} = {}) {
+  const startTime = Date.now();
+  const providers = getProviderOrder(mimeType, preference);
+
+  if (providers.length === 0) {
+    throw new Error(`Unsupported file type: ${mimeType}`);
+  }
 
-    // Try Google Vision API first
+  const attempts = [];
+  let best = null;
+
+  for (const provider of providers) {
+    console.log(`🔍 Extracting text with ${provider.name}...`);
     try {
-      console.log('🔍 Attempting Google Vision API...');
-      
-      const [result] = await this.visionClient.documentTextDetection({
-        image: {
-          content: pdfBuffer.toString('base64')
-        }
-      });
-
-      const fullTextAnnotation = result.fullTextAnnotation;
-      
-      if (fullTextAnnotation && fullTextAnnotation.text) {
-        console.log('✅ Google Vision API successful');
-        return {
-          text: fullTextAnnotation.text.trim(),
-          confidence: 95, // Google Vision typically has high confidence
-          method: 'google-vision'
-        };
+      const result = await provider.extract(input, { onProgress, password, preprocess, languages, detectLanguage });
+      attempts.push({ provider: provider.name, confidence: result.confidence, textLength: result.text.length });
+      console.log(`✅ ${provider.name}: ${result.text.length} characters at ${Number(result.confidence).toFixed(2)}% confidence`);
+
+      if (result.text && (!best || result.confidence > best.confidence)) {
+        best = { ...result, method: provider.name };
       }
-    } catch (visionError) {
-      console.warn('⚠️ Google Vision API failed:', visionError.message);
-    }
 
-    // Fallback to pdf-parse
-    try {
-      console.log('📋 Falling back to pdf-parse...');
-      
-      const pdfData = await pdfParse(pdfBuffer);
-      
-      if (pdfData.text && pdfData.text.trim().length > 0) {
-        console.log('✅ PDF-parse successful');
-        return {
-          text: pdfData.text.trim(),
-          confidence: 80, // Lower confidence for pdf-parse
-          method: 'pdf-parse'
-        };
+      const confidentEnough = preference !== 'auto' || result.confidence >= getMinAutoConfidence();
+      if (result.text && confidentEnough) break;
+    } catch (error) {
+      // No other provider can read it either, and OCR would only see blank pages
+      if (error.name === 'PasswordException') {
+        throw new Error('This PDF is password-protected. Upload it again with its password.');
       }
-      
-      throw new Error('No text found in PDF');
-    } catch (parseError) {
-      console.error('❌ PDF-parse failed:', parseError.message);
-      throw new Error(`PDF extraction failed: ${parseError.message}`);
+      console.warn(`⚠️ ${provider.name} failed:`, error.message);
+      attempts.push({ provider: provider.name, error: error.message });
     }
   }
 
-  /**
-   * Extract text from file based on type
-   * @param {Buffer} fileBuffer - File buffer
-   * @param {string} mimeType - File MIME type
-   * @param {Function} progressCallback - Progress callback
-   * @returns {Promise<{text: string, confidence: number, method: string}>}
-   */
-  async extractText(fileBuffer, mimeType, progressCallback = null) {
-    const startTime = Date.now();
-    
+  if (mimeType === 'application/pdf' && isSparsePdfText(best)) {
+    console.log('🖨️ PDF has little or no text layer, treating it as a scanned document');
     try {
-      let result;
-      
-      if (mimeType.startsWith('image/')) {
-        result = await this.extractTextFromImage(fileBuffer, progressCallback);
-      } else if (mimeType === 'application/pdf') {
-        result = await this.extractTextFromPDF(fileBuffer);
-      } else {
-        throw new Error(`Unsupported file type: ${mimeType}`);
+      const scanned = await extractTextFromScannedPdf(input, { preference, onProgress, password, preprocess, languages, detectLanguage });
+      attempts.push({ provider: scanned.method, confidence: scanned.confidence, textLength: scanned.text.length, pages: scanned.attempts });
+      if (scanned.text && (!best || scanned.text.length > best.text.length)) {
+        best = scanned;
       }
-
-      const processingTime = Date.now() - startTime;
-      console.log(`⏱️ OCR completed in ${processingTime}ms using ${result.method}`);
-
-      return {
-        ...result,
-        processingTime
-      };
-
     } catch (error) {
-      const processingTime = Date.now() - startTime;
-      console.error(`❌ OCR failed after ${processingTime}ms:`, error.message);
-      throw error;
+      console.warn('⚠️ Scanned PDF OCR failed:', error.message);
+      attempts.push({ provider: 'pdf-ocr', error: error.message });
     }
   }
+
+  if (!best) {
+    const reasons = attempts.map(attempt => `${attempt.provider}: ${attempt.error || 'no text found'}`).join('; ');
+    throw new Error(`Text extraction failed (${reasons})`);
+  }
+
+  const processingTime = Date.now() - startTime;
+  console.log(`⏱️ Text extracted in ${processingTime}ms using ${best.method}`);
+  return { ...best, attempts, processingTime };
 }
 
-module.exports = new OCRService();
+module.exports = {
+  PROVIDERS,
+  getProviderOrder,
+  getOcrSettings,
+  extractText,
+};
@@ -0,0 +1,171 @@
+const Joi = require('joi');
+const { parseAmount } = require('./moneyParsingService');
+const { normalizeCategory } = require('./categoryService');
+
+// Only the user's own categories are accepted, matched without regard to case
+function categoryRule(categories, kind) {
+  const names = categories.filter(c => c.kind === kind).map(c => c.name);
+  const rule = Joi.string().trim().min(1);
+  return names.length > 0 ? rule.valid(...names).insensitive() : rule;
+}
+
+/**
+ * Schema for one transaction as a model should return it
+ * @param {Array} categories - Categories from getUserCategories
+ * @returns {Object} - Joi schema
+ */
+function buildTransactionSchema(categories = []) {
+  return Joi.object({
+    date: Joi.string().trim().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+      .messages({ 'string.pattern.base': '"date" must be formatted YYYY-MM-DD' }),
+    // The date as printed, so it can be re-read with the document's date order
+    dateText: Joi.string().trim().allow('', null).max(40),
+    amount: Joi.number().positive().required(),
+    currency: Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/).allow('', null)
+      .messages({ 'string.pattern.base': '"currency" must be a three-letter ISO code' }),
+    type: Joi.string().valid('income', 'expense').required(),
+    description: Joi.string().trim().min(1).max(200).required(),
+    merchant: Joi.string().trim().allow('', null).max(100).default(''),
+    category: Joi.when('type', {
+      is: 'income',
+      then: categoryRule(categories, 'income'),
+      otherwise: categoryRule(categories, 'expense'),
+    }).required(),
+  });
+}
+
+/**
+ * Schema for a whole receipt as a model should return it. Line-item categories are matched to the
+ * user's list before validation (see validateParsedReceipt), so an unknown one is not an error
+ * @returns {Object} - Joi schema
+ */
+function buildReceiptSchema() {
+  const money = Joi.number().min(0).allow(null);
+
+  return Joi.object({
+    merchant: Joi.string().trim().allow('', null).max(100).default(''),
+    date: Joi.string().trim().pattern(/^\d{4}-\d{2}-\d{2}$/).allow('', null)
+      .messages({ 'string.pattern.base': '"date" must be formatted YYYY-MM-DD' }),
+    dateText: Joi.string().trim().allow('', null).max(40),
+    currency: Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/).allow('', null)
+      .messages({ 'string.pattern.base': '"currency" must be a three-letter ISO code' }),
+    subtotal: money,
+    tax: money,
+    total: Joi.number().positive().required(),
+    paymentMethod: Joi.string().trim().allow('', null).max(60),
+    lineItems: Joi.array().max(100).items(Joi.object({
+      description: Joi.string().trim().min(1).max(200).required(),
+      quantity: Joi.number().positive().allow(null).default(1),
+      unitPrice: money,
+      amount: Joi.number().min(0).required(),
+      category: Joi.string().trim().min(1).required(),
+    })).default([]),
+  });
+}
+
+/**
+ * Validate a parsed receipt, first fitting each line item's category to the user's expense categories
+ * @param {Object} receipt - Object parsed from the model's reply
+ * @param {Array} categories - Categories from getUserCategories
+ * @returns {Object} - { value, errors } where errors is null for a valid receipt
+ */
+function validateParsedReceipt(receipt, categories = []) {
+  const lineItems = Array.isArray(receipt.lineItems)
+    ? receipt.lineItems.map(item => (item && typeof item === 'object'
+      ? { ...item, category: normalizeCategory(categories, item.category, 'expense') }
+      : item))
+    : receipt.lineItems;
+
+  const { value, error } = buildReceiptSchema().validate({ ...receipt, lineItems }, { abortEarly: false, stripUnknown: true });
+  return { value, errors: error ? error.details.map(detail => detail.message) : null };
+}
+
+/**
+ * Check each parsed item against the schema; unknown fields are dropped from valid items
+ * @param {Array} items - Objects parsed from the model's reply
+ * @param {Array} categories - Categories from getUserCategories
+ * @returns {Array} - In item order, { item, value, errors } where errors is null for a valid item
+ */
+function validateParsedTransactions(items, categories = []) {
+  const schema = buildTransactionSchema(categories);
+
+  return items.map(item => {
+    const { value, error } = schema.validate(item, { abortEarly: false, stripUnknown: true });
+    return { item, value, errors: error ? error.details.map(detail => detail.message) : null };
+  });
+}
+
+/**
+ * Keep an item that is still invalid after repair, reduced to the known fields and marked for review
+ * @param {Object} result - { item, errors } from validateParsedTransactions
+ * @returns {Object} - Transaction with needsManualReview and the validation errors as the reason
+ */
+function flagInvalidTransaction({ item, errors }) {
+  // "CHF 54.50" or "1.234,50" is still a usable amount, just not in the requested shape
+  const money = typeof item.amount === 'number' ? { amount: item.amount } : parseAmount(item.amount, { strict: false });
+  const currency = typeof item.currency === 'string' && /^[a-z]{3}$/i.test(item.currency.trim())
+    ? item.currency.trim().toUpperCase()
+    : money?.currency;
+
+  return {
+    date: typeof item.date === 'string' ? item.date : undefined,
+    dateText: typeof item.dateText === 'string' ? item.dateText : undefined,
+    amount: money && Number.isFinite(money.amount) && money.amount > 0 ? money.amount : null,
+    currency: currency || null,
+    type: item.type === 'income' ? 'income' : 'expense',
+    description: (typeof item.description === 'string' && item.description.trim()) || 'Unreadable transaction',
+    merchant: typeof item.merchant === 'string' ? item.merchant.trim() : '',
+    category: typeof item.category === 'string' ? item.category : null,
+    needsManualReview: true,
+    reviewNote: `Parsed data failed validation: ${errors.join('; ')}`,
+  };
+}
+
+// A figure the model wrote as a number or as text such as "CHF 54.50"; null unless it is positive
+function readFigure(value) {
+  const money = typeof value === 'number' ? { amount: value } : parseAmount(value, { strict: false });
+  return money && Number.isFinite(money.amount) && money.amount > 0 ? money.amount : null;
+}
+
+/**
+ * Keep a receipt that is still invalid after repair, reduced to what can be read and marked for review
+ * @param {Object} result - { item, errors } from validateParsedReceipt
+ * @returns {Object} - Receipt with needsManualReview and the validation errors as the reason
+ */
+function flagInvalidReceipt({ item, errors }) {
+  const text = (value, max) => (typeof value === 'string' ? value.trim().substring(0, max) : null);
+  const lineItems = (Array.isArray(item.lineItems) ? item.lineItems : [])
+    .filter(line => line && typeof line === 'object' && text(line.description, 200))
+    .slice(0, 100)
+    .map(line => ({
+      description: text(line.description, 200),
+      quantity: readFigure(line.quantity) || 1,
+      unitPrice: readFigure(line.unitPrice),
+      amount: readFigure(line.amount) || 0,
+      category: text(line.category, 100),
+    }));
+  const currency = text(item.currency, 3);
+
+  return {
+    merchant: text(item.merchant, 100) || '',
+    date: text(item.date, 40) || undefined,
+    dateText: text(item.dateText, 40) || undefined,
+    currency: currency && /^[a-z]{3}$/i.test(currency) ? currency.toUpperCase() : null,
+    subtotal: readFigure(item.subtotal),
+    tax: readFigure(item.tax),
+    total: readFigure(item.total),
+    paymentMethod: text(item.paymentMethod, 60),
+    lineItems,
+    needsManualReview: true,
+    reviewNote: `Parsed receipt failed validation: ${errors.join('; ')}`,
+  };
+}
+
+module.exports = {
+  buildTransactionSchema,
+  buildReceiptSchema,
+  validateParsedTransactions,
+  validateParsedReceipt,
+  flagInvalidTransaction,
+  flagInvalidReceipt,
+};
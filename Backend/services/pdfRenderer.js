@@ -0,0 +1,126 @@
+const path = require('path');
+
+// 200 DPI: small print on statements stays legible to OCR without huge page images
+const RENDER_SCALE = 200 / 72;
+
+let pdfjs = null;
+let canvasModule = null;
+
+// Loaded on first use so servers that never see a scanned PDF skip pdf.js and the canvas binary
+function getPdfjs() {
+  if (!pdfjs) {
+    canvasModule = require('@napi-rs/canvas');
+    // pdf.js looks for these browser globals when it loads and would otherwise try node-canvas
+    ['DOMMatrix', 'Path2D', 'ImageData'].forEach(name => {
+      if (!globalThis[name]) globalThis[name] = canvasModule[name];
+    });
+    pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  }
+  return pdfjs;
+}
+
+// pdf.js draws through this instead of the optional node-canvas package it would otherwise require
+const canvasFactory = {
+  create(width, height) {
+    const canvas = canvasModule.createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  },
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  },
+};
+
+function loadDocument(buffer, password) {
+  const { getDocument } = getPdfjs();
+  const pdfjsRoot = path.dirname(require.resolve('pdfjs-dist/package.json'));
+  return getDocument({
+    data: new Uint8Array(buffer),
+    password: password || undefined,
+    canvasFactory,
+    standardFontDataUrl: path.join(pdfjsRoot, 'standard_fonts') + path.sep,
+    cMapUrl: path.join(pdfjsRoot, 'cmaps') + path.sep,
+    cMapPacked: true,
+    verbosity: 0,
+  }).promise;
+}
+
+/**
+ * Whether a PDF opens as it is, opens with the given password, or needs one. Only the user
+ * password matters: a PDF with just an owner password opens without one
+ * @param {Buffer} buffer - PDF file contents
+ * @param {string|null} password - Password to try when the file is encrypted
+ * @returns {Promise<string>} - 'open' | 'unlocked' | 'password-required' | 'password-incorrect',
+ *   or 'unreadable' when the file is not a PDF pdf.js can parse
+ */
+async function checkPdfPassword(buffer, password = null) {
+  const { PasswordResponses } = getPdfjs();
+  const attempt = async candidate => {
+    const document = await loadDocument(buffer, candidate);
+    await document.destroy();
+  };
+
+  try {
+    await attempt(null);
+    return 'open';
+  } catch (error) {
+    if (error.name !== 'PasswordException') return 'unreadable';
+    if (!password) return 'password-required';
+  }
+
+  try {
+    await attempt(password);
+    return 'unlocked';
+  } catch (error) {
+    if (error.name === 'PasswordException' && error.code === PasswordResponses.INCORRECT_PASSWORD) {
+      return 'password-incorrect';
+    }
+    return 'unreadable';
+  }
+}
+
+/**
+ * Open a PDF for rendering page by page, so only one page image is held in memory at a time
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - { password } for encrypted files; decryption happens in memory only
+ * @returns {Promise<Object>} - { pageCount, renderPage(pageNumber) -> PNG Buffer, close() }
+ */
+async function openPdf(buffer, { password = null } = {}) {
+  const document = await loadDocument(buffer, password);
+
+  return {
+    pageCount: document.numPages,
+
+    async renderPage(pageNumber) {
+      const page = await document.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const canvasAndContext = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+      try {
+        // Scans have no transparency to speak of, but OCR reads a white page better than a clear one
+        canvasAndContext.context.fillStyle = '#ffffff';
+        canvasAndContext.context.fillRect(0, 0, canvasAndContext.canvas.width, canvasAndContext.canvas.height);
+        await page.render({ canvasContext: canvasAndContext.context, viewport }).promise;
+        return canvasAndContext.canvas.toBuffer('image/png');
+      } finally {
+        canvasFactory.destroy(canvasAndContext);
+        page.cleanup();
+      }
+    },
+
+    close() {
+      return document.destroy();
+    },
+  };
+}
+
+module.exports = {
+  checkPdfPassword,
+  openPdf,
+};
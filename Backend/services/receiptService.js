@@ -0,0 +1,148 @@
+const Receipt = require('../models/Receipt');
+const { FALLBACK_CATEGORIES } = require('./categoryService');
+const { primaryCategory, rescaleAllocations } = require('./allocationService');
+
+// Line items plus tax may differ from the printed total by rounding; more than this is worth a look
+const TOTAL_TOLERANCE = 0.05;
+
+const PAYMENT_PATTERNS = [
+  { method: 'upi', pattern: /\b(upi|gpay|google\s*pay|phonepe|paytm\s*upi|bhim)\b/i },
+  { method: 'wallet', pattern: /\b(wallet|apple\s*pay|samsung\s*pay|paypal|twint|paytm)\b/i },
+  { method: 'card', pattern: /\b(card|visa|master\s*card|amex|maestro|rupay|debit|credit|ec[-\s]?karte|girocard|contactless)\b/i },
+  { method: 'bank_transfer', pattern: /\b(neft|imps|rtgs|bank\s*transfer)\b/i },
+  { method: 'cash', pattern: /\b(cash|bargeld|espèces|efectivo|contanti|nakit)\b/i },
+];
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Map a payment description ("VISA **1234", "Cash", "UPI") to one of the Receipt payment methods
+ * @param {string} text - Payment method as the model returned it or as printed
+ * @returns {string|null}
+ */
+function normalizePaymentMethod(text) {
+  if (!text || typeof text !== 'string') return null;
+  const value = text.trim().toLowerCase();
+  if (Receipt.PAYMENT_METHODS.includes(value)) return value;
+
+  const match = PAYMENT_PATTERNS.find(({ pattern }) => pattern.test(value));
+  return match ? match.method : 'other';
+}
+
+// Line-item amounts added up per category, in the order the categories first appear
+function totalsByCategory(lineItems) {
+  const byCategory = new Map();
+  (lineItems || []).forEach(item => {
+    if (!(item.amount > 0)) return;
+    byCategory.set(item.category, (byCategory.get(item.category) || 0) + item.amount);
+  });
+  return [...byCategory].map(([category, amount]) => ({ category, amount }));
+}
+
+/**
+ * Allocations of a receipt's purchase, one per line-item category and scaled so they add up to the
+ * amount actually paid: tax, tips and discounts are shared out in proportion to the items
+ * @param {Array} lineItems - [{ amount, category }]
+ * @param {number} total - Amount of the parent transaction
+ * @returns {Array} - [{ category, amount }], largest first; empty when the items are all in one
+ *   category, since the purchase's own category then covers them
+ */
+function allocateLineItems(lineItems, total) {
+  const allocations = rescaleAllocations(totalsByCategory(lineItems), total);
+  return allocations.length > 1 ? allocations.sort((a, b) => b.amount - a.amount) : [];
+}
+
+/**
+ * Category for the parent transaction: the one most of the money went to
+ * @param {Array} lineItems - [{ amount, category }]
+ * @returns {string|null}
+ */
+function lineItemsCategory(lineItems) {
+  return primaryCategory(totalsByCategory(lineItems));
+}
+
+/**
+ * Compare the line items and tax with the printed total
+ * @param {Object} receipt - { lineItems, tax, total }
+ * @returns {string|null} - Review note when they disagree
+ */
+function checkReceiptTotals({ lineItems = [], tax, subtotal, total }) {
+  if (!(total > 0) || lineItems.length === 0) return null;
+
+  const itemsTotal = round(lineItems.reduce((sum, item) => sum + (item.amount || 0), 0));
+  // Prices either exclude tax (items + tax = total) or include it (items = total), as VAT receipts do
+  const candidates = [itemsTotal, round(itemsTotal + (tax || 0))];
+  if (candidates.some(candidate => Math.abs(candidate - total) <= Math.max(TOTAL_TOLERANCE, total * 0.01))) return null;
+  if (subtotal > 0 && Math.abs(subtotal - itemsTotal) <= TOTAL_TOLERANCE) return null;
+
+  return `Line items add up to ${itemsTotal.toFixed(2)}${tax ? ` plus ${tax.toFixed(2)} tax` : ''}, but the receipt total is ${total.toFixed(2)}.`;
+}
+
+/**
+ * The purchase transaction a parsed receipt is staged as: the total is its amount, the category is
+ * where most of the money went, and the line items travel with it under `receipt`
+ * @param {Object} receipt - From llmService.extractReceipt
+ * @returns {Object} - Parsed transaction, flagged for review when the receipt was flagged or its
+ *   items and total disagree
+ */
+function receiptToTransaction(receipt) {
+  const lineItems = (receipt.lineItems || []).map(item => ({
+    description: item.description,
+    quantity: item.quantity || 1,
+    unitPrice: item.unitPrice ?? undefined,
+    amount: item.amount,
+    category: item.category || FALLBACK_CATEGORIES.expense,
+  }));
+  const total = receipt.total ?? null;
+  const reviewNote = [
+    receipt.reviewNote,
+    checkReceiptTotals({ lineItems, tax: receipt.tax, subtotal: receipt.subtotal, total }),
+  ].filter(Boolean).join(' ') || null;
+
+  return {
+    date: receipt.date,
+    dateText: receipt.dateText,
+    amount: total,
+    currency: receipt.currency || null,
+    type: 'expense',
+    description: receipt.merchant ? `Purchase at ${receipt.merchant}` : 'Receipt purchase',
+    merchant: receipt.merchant || '',
+    category: lineItemsCategory(lineItems) || FALLBACK_CATEGORIES.expense,
+    receipt: {
+      subtotal: receipt.subtotal ?? undefined,
+      tax: receipt.tax ?? undefined,
+      paymentMethod: normalizePaymentMethod(receipt.paymentMethod),
+      lineItems,
+    },
+    needsManualReview: Boolean(receipt.needsManualReview || reviewNote),
+    reviewNote,
+  };
+}
+
+/**
+ * Move saved receipts' line items to another category. Line items are always expenses
+ * @param {ObjectId} userId - Owner of the data
+ * @param {string} kind - 'income' or 'expense'
+ * @param {string[]} names - Category names being replaced
+ * @param {string} toName - Category name to tag with instead
+ * @returns {Promise<Object|null>} - updateMany result, or null for income
+ */
+async function retagCategory(userId, kind, names, toName) {
+  if (kind !== 'expense') return null;
+  return Receipt.updateMany(
+    { user: userId, 'lineItems.category': { $in: names } },
+    { $set: { 'lineItems.$[item].category': toName } },
+    { arrayFilters: [{ 'item.category': { $in: names } }] }
+  );
+}
+
+module.exports = {
+  normalizePaymentMethod,
+  allocateLineItems,
+  lineItemsCategory,
+  checkReceiptTotals,
+  receiptToTransaction,
+  retagCategory,
+};
@@ -0,0 +1,324 @@
+const cron = require('node-cron');
+const RecurringRule = require('../models/RecurringRule');
+const Transaction = require('../models/Transaction');
+const { applyMerchant } = require('./merchantService');
+const { checkBudgetAlertsInBackground } = require('./budgetService');
+const { notifyInBackground } = require('./notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on occurrences created for one rule in a single run (a weekly rule started ~10 years ago)
+const MAX_CATCH_UP = 520;
+
+// Default: a few minutes past every hour, so rules due at UTC midnight are created early in the day
+const DEFAULT_SCHEDULE = '5 * * * *';
+
+function startOfDayUTC(date) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+// Day `day` of the given month, or the month's last day when it is shorter (31st -> 30th / 28th)
+function clampedDate(year, month, day) {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+}
+
+/**
+ * Fill in the cadence fields a rule did not specify from its start date
+ * @param {Object} rule - Rule data (modified in place)
+ * @returns {Object} - The same rule data
+ */
+function applyCadenceDefaults(rule) {
+  const start = startOfDayUTC(rule.startDate);
+
+  if (rule.frequency === 'weekly' && rule.dayOfWeek == null) {
+    rule.dayOfWeek = start.getUTCDay();
+  }
+  if (['monthly', 'yearly'].includes(rule.frequency) && rule.dayOfMonth == null) {
+    rule.dayOfMonth = start.getUTCDate();
+  }
+  if (rule.frequency === 'yearly' && rule.monthOfYear == null) {
+    rule.monthOfYear = start.getUTCMonth() + 1;
+  }
+  return rule;
+}
+
+/**
+ * First occurrence on or after the rule's start date
+ * @param {Object} rule - Recurring rule
+ * @returns {Date} - Occurrence date at UTC midnight
+ */
+function firstOccurrence(rule) {
+  const start = startOfDayUTC(rule.startDate);
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+
+  switch (rule.frequency) {
+    case 'weekly': {
+      const offset = (rule.dayOfWeek - start.getUTCDay() + 7) % 7;
+      return new Date(start.getTime() + offset * DAY_MS);
+    }
+    case 'monthly': {
+      const candidate = clampedDate(year, month, rule.dayOfMonth);
+      return candidate < start ? clampedDate(year, month + 1, rule.dayOfMonth) : candidate;
+    }
+    case 'yearly': {
+      const candidate = clampedDate(year, rule.monthOfYear - 1, rule.dayOfMonth);
+      return candidate < start ? clampedDate(year + 1, rule.monthOfYear - 1, rule.dayOfMonth) : candidate;
+    }
+    default:
+      throw new Error(`Unsupported frequency: ${rule.frequency}`);
+  }
+}
+
+/**
+ * Occurrence that follows a given occurrence
+ * @param {Object} rule - Recurring rule
+ * @param {Date} occurrence - A previous occurrence of the rule
+ * @returns {Date} - Next occurrence at UTC midnight
+ */
+function nextOccurrence(rule, occurrence) {
+  const interval = rule.interval || 1;
+  const year = occurrence.getUTCFullYear();
+  const month = occurrence.getUTCMonth();
+
+  switch (rule.frequency) {
+    case 'weekly':
+      return new Date(occurrence.getTime() + 7 * interval * DAY_MS);
+    case 'monthly':
+      return clampedDate(year, month + interval, rule.dayOfMonth);
+    case 'yearly':
+      return clampedDate(year + interval, rule.monthOfYear - 1, rule.dayOfMonth);
+    default:
+      throw new Error(`Unsupported frequency: ${rule.frequency}`);
+  }
+}
+
+/**
+ * First occurrence strictly after a date, or the first occurrence when no date is given.
+ * Returns null when that occurrence falls after the rule's end date.
+ * @param {Object} rule - Recurring rule
+ * @param {Date|null} after - Exclusive lower bound
+ * @returns {Date|null} - Occurrence date
+ */
+function firstOccurrenceAfter(rule, after = null) {
+  let occurrence = firstOccurrence(rule);
+  let guard = 0;
+
+  while (after && occurrence <= after && guard < 10000) {
+    occurrence = nextOccurrence(rule, occurrence);
+    guard += 1;
+  }
+
+  if (rule.endDate && occurrence > new Date(rule.endDate)) return null;
+  return occurrence;
+}
+
+/**
+ * List the next few occurrences, for display
+ * @param {Object} rule - Recurring rule
+ * @param {number} count - How many dates to return
+ * @returns {Date[]} - Upcoming occurrence dates
+ */
+function upcomingOccurrences(rule, count = 3) {
+  const dates = [];
+  let occurrence = rule.nextRunAt ? new Date(rule.nextRunAt) : null;
+
+  while (occurrence && dates.length < count) {
+    if (rule.endDate && occurrence > new Date(rule.endDate)) break;
+    dates.push(occurrence);
+    occurrence = nextOccurrence(rule, occurrence);
+  }
+  return dates;
+}
+
+/**
+ * Insert the transaction for one occurrence unless it already exists
+ * @returns {Promise<boolean>} - True when a new transaction was created
+ */
+async function createOccurrence(rule, occurrenceDate) {
+  const data = {
+    user: rule.user,
+    amount: rule.amount,
+    type: rule.type,
+    category: rule.category,
+    description: rule.description || rule.category,
+    date: occurrenceDate,
+    ...(rule.merchant && { merchant: rule.merchant }),
+  };
+
+  let result;
+  try {
+    // The upsert key is backed by a unique index, so repeated runs can never duplicate an occurrence
+    result = await Transaction.updateOne(
+      { recurringRule: rule._id, occurrenceDate },
+      { $setOnInsert: { ...data, recurringRule: rule._id, occurrenceDate, createdAt: new Date(), updatedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+  if (result.upsertedCount === 0) return false;
+
+  // Link the merchant only once the occurrence is new, so a repeated run leaves the directory alone
+  if (data.merchant) {
+    const { merchant, merchantRef, category } = await applyMerchant(rule.user, data);
+    await Transaction.updateOne(
+      { _id: result.upsertedId },
+      merchant ? { $set: { merchant, merchantRef, category } } : { $unset: { merchant: '' } }
+    );
+  }
+  return true;
+}
+
+/**
+ * Create every occurrence of a rule that is due, then move the rule forward
+ * @param {Object} rule - Recurring rule document
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of transactions created
+ */
+async function materializeRule(rule, now = new Date()) {
+  const endDate = rule.endDate ? new Date(rule.endDate) : null;
+  let occurrence = rule.nextRunAt ? new Date(rule.nextRunAt) : null;
+  let lastRunAt = rule.lastRunAt;
+  let created = 0;
+  let processed = 0;
+  const createdDates = [];
+
+  while (occurrence && occurrence <= now && (!endDate || occurrence <= endDate) && processed < MAX_CATCH_UP) {
+    if (await createOccurrence(rule, occurrence)) {
+      created += 1;
+      createdDates.push(occurrence);
+    }
+    lastRunAt = occurrence;
+    occurrence = nextOccurrence(rule, occurrence);
+    processed += 1;
+  }
+
+  if (occurrence && endDate && occurrence > endDate) occurrence = null;
+
+  // Only advance from the state we read, so two overlapping runs cannot skip or repeat dates
+  await RecurringRule.updateOne(
+    { _id: rule._id, nextRunAt: rule.nextRunAt },
+    {
+      $set: { nextRunAt: occurrence, lastRunAt, ...(occurrence ? {} : { isActive: false }) },
+      $inc: { occurrencesCreated: created },
+    }
+  );
+
+  if (created > 0) {
+    console.log(`🔁 Recurring rule ${rule._id}: created ${created} transaction(s)`);
+    checkBudgetAlertsInBackground(rule.user, createdDates.map(date => ({ type: rule.type, category: rule.category, date })));
+  }
+  return created;
+}
+
+/**
+ * Materialize all active rules that are due
+ * @param {Date} now - Reference time
+ * @param {Object} filter - Extra rule filter, e.g. { user } to limit the run to one user
+ * @returns {Promise<Object>} - { rules, created, failed }
+ */
+async function runDueRules(now = new Date(), filter = {}) {
+  const rules = await RecurringRule.find({ ...filter, isActive: true, nextRunAt: { $ne: null, $lte: now } });
+  const summary = { rules: rules.length, created: 0, failed: 0 };
+
+  for (const rule of rules) {
+    try {
+      const created = await materializeRule(rule, now);
+      summary.created += created;
+
+      if (created > 0) {
+        const label = rule.description || rule.category;
+        notifyInBackground(rule.user, 'recurring_created', {
+          title: `${label} added`,
+          message: created === 1
+            ? `Your recurring ${rule.type} "${label}" of ${rule.amount} was added to your transactions.`
+            : `${created} occurrences of your recurring ${rule.type} "${label}" were added to your transactions.`,
+          link: '/transactions',
+          data: { ruleId: rule._id, created },
+        });
+      }
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`❌ Recurring rule ${rule._id} failed:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+let scheduledTask = null;
+let isRunning = false;
+
+async function runScheduledPass() {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    const summary = await runDueRules();
+    if (summary.rules > 0) {
+      console.log(`🔁 Recurring run: ${summary.rules} due rule(s), ${summary.created} created, ${summary.failed} failed`);
+    }
+  } catch (error) {
+    console.error('❌ Recurring scheduler run failed:', error.message);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Start the cron job that creates due recurring transactions.
+ * Runs once immediately to catch up on anything missed while the server was down.
+ * Schedule is taken from RECURRING_CRON (cron syntax, UTC).
+ */
+function startRecurringScheduler() {
+  if (scheduledTask) return scheduledTask;
+
+  const expression = process.env.RECURRING_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(expression)) {
+    console.error(`❌ Invalid RECURRING_CRON expression "${expression}", recurring scheduler not started`);
+    return null;
+  }
+
+  scheduledTask = cron.schedule(expression, runScheduledPass, { timezone: 'Etc/UTC' });
+  console.log(`⏰ Recurring transaction scheduler started (${expression} UTC)`);
+
+  runScheduledPass();
+  return scheduledTask;
+}
+
+/**
+ * Move recurring rules of one kind from the given category names to another
+ * @param {ObjectId} userId - Owner of the data
+ * @param {string} kind - 'income' or 'expense'
+ * @param {string[]} names - Category names being replaced
+ * @param {string} toName - Category name to tag with instead
+ * @returns {Promise<Object>} - updateMany result
+ */
+function retagCategory(userId, kind, names, toName) {
+  return RecurringRule.updateMany(
+    { user: userId, type: kind, category: { $in: names } },
+    { $set: { category: toName } }
+  );
+}
+
+function stopRecurringScheduler() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  startOfDayUTC,
+  applyCadenceDefaults,
+  firstOccurrenceAfter,
+  upcomingOccurrences,
+  materializeRule,
+  runDueRules,
+  startRecurringScheduler,
+  stopRecurringScheduler,
+  retagCategory,
+};
@@ -0,0 +1,318 @@
+const { FALLBACK_CATEGORIES } = require('./categoryService');
+const { findDates, interpretDate, toIsoDate } = require('./dateParsingService');
+const { findAmounts, parseAmount } = require('./moneyParsingService');
+
+// Header titles for each column, tried in this order so "Deposit Amt." is a credit column and
+// "Closing Balance" a balance column rather than a generic amount
+const COLUMN_TITLES = [
+  ['balance', /\bbal(ance)?\b/i],
+  ['debit', /\b(withdrawals?|debits?|dr|paid\s+out|money\s+out)\b/i],
+  ['credit', /\b(deposits?|credits?|cr|paid\s+in|money\s+in)\b/i],
+  ['date', /\bdate\b|^(txn|tran)\.?\s*dt\.?$/i],
+  ['narration', /\b(narration|description|particulars|details|remarks|transaction)\b/i],
+  ['reference', /\b(chq|cheque|ref(erence)?|instrument)\b/i],
+  ['amount', /\bamount\b|\bamt\b/i],
+];
+
+const OPENING_PATTERN = /\b(opening\s+bal(ance)?|balance\s+(b\/f|brought\s+forward)|previous\s+balance)\b/i;
+const CLOSING_PATTERN = /\b(closing\s+bal(ance)?|balance\s+(c\/f|carried\s+forward))\b/i;
+const TOTAL_PATTERN = /^(grand\s+)?totals?\b|\bstatement\s+summary\b/i;
+
+// Half a cent, so rounding in the printed figures never counts as a mismatch
+const TOLERANCE = 0.005;
+
+const round = value => Math.round(value * 100) / 100;
+const formatBalance = value => value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Columns of a table header line, or null when the line is not one. A header needs a date, a
+ * balance and somewhere to read the amount from (debit and credit, or a single amount column)
+ * @param {Object} line - Line from textLayout.groupIntoLines
+ * @returns {Array|null} - [{ key, x0, x1 }] left to right, each spanning up to its neighbours
+ */
+function detectHeader(line) {
+  if (line.cells.some(cell => findDates(cell.text).length > 0 || findAmounts(cell.text).length > 0)) {
+    return null;
+  }
+
+  const columns = [];
+  line.cells.forEach(cell => {
+    const match = COLUMN_TITLES.find(([, pattern]) => pattern.test(cell.text));
+    // A second date column is the value date; the transaction date comes first
+    const key = match && !columns.some(column => column.key === match[0]) ? match[0] : 'other';
+    columns.push({ key, x0: cell.x0, x1: cell.x1 });
+  });
+
+  const keys = columns.map(column => column.key);
+  const hasAmounts = (keys.includes('debit') && keys.includes('credit')) || keys.includes('amount');
+  if (!keys.includes('date') || !keys.includes('balance') || !hasAmounts) return null;
+
+  // Figures are often right-aligned under their title, so a column owns the space halfway to its neighbours
+  return columns.map((column, index) => ({
+    key: column.key,
+    x0: index === 0 ? -Infinity : (columns[index - 1].x1 + column.x0) / 2,
+    x1: index === columns.length - 1 ? Infinity : (column.x1 + columns[index + 1].x0) / 2,
+  }));
+}
+
+// Cell text by column key; a cell belongs to the column its centre falls in
+function readCells(line, columns) {
+  const values = {};
+  line.cells.forEach(cell => {
+    const centre = (cell.x0 + cell.x1) / 2;
+    const column = columns.find(candidate => centre >= candidate.x0 && centre < candidate.x1);
+    if (column) {
+      values[column.key] = values[column.key] ? `${values[column.key]} ${cell.text}` : cell.text;
+    }
+  });
+  return values;
+}
+
+function readFigure(text) {
+  const amount = text ? parseAmount(text, { strict: false }) : null;
+  return amount && { value: amount.amount, currency: amount.currency, direction: amount.direction };
+}
+
+// A balance marked Dr is overdrawn
+function readBalance(text) {
+  const figure = readFigure(text);
+  if (!figure) return null;
+  return figure.direction === 'debit' ? -figure.value : figure.value;
+}
+
+// The figure printed with an opening or closing balance label: after it on the same line, or directly below it
+function readLabelledBalance(line, nextLine, pattern) {
+  const cell = line.cells.find(candidate => pattern.test(candidate.text));
+  const match = cell.text.match(pattern);
+  const afterLabel = findDates(cell.text).reduce((rest, token) => rest.replace(token.text, ' '), cell.text.slice(match.index + match[0].length));
+  const [sameCell] = findAmounts(afterLabel, { strict: false });
+  if (sameCell) return readBalance(sameCell.text);
+
+  const following = line.cells.find(candidate => candidate.x0 > cell.x0 && readFigure(candidate.text) && findDates(candidate.text).length === 0);
+  if (following) return readBalance(following.text);
+
+  const below = nextLine && nextLine.cells.find(candidate => candidate.x0 < cell.x1 && candidate.x1 > cell.x0);
+  return below ? readBalance(below.text) : null;
+}
+
+function startRow(values, dateContext) {
+  const [token] = findDates(values.date);
+  const { date } = interpretDate(token.text, dateContext);
+  return {
+    dateText: token.text,
+    date: date ? toIsoDate(date) : undefined,
+    narration: [values.narration].filter(Boolean),
+    debit: null,
+    credit: null,
+    amount: null,
+    balance: null,
+  };
+}
+
+// Later lines of a wrapped row add narration and fill in figures the first line did not have
+function addToRow(row, values) {
+  if (values.narration) row.narration.push(values.narration);
+  row.debit = row.debit || readFigure(values.debit);
+  row.credit = row.credit || readFigure(values.credit);
+  row.amount = row.amount || readFigure(values.amount);
+  if (row.balance == null) row.balance = readBalance(values.balance);
+}
+
+/**
+ * Walk the layout page by page, collecting table rows and any labelled opening or closing balance.
+ * A page without its own header continues the previous page's table
+ * @param {Array} lines - Lines from textLayout.groupIntoLines
+ * @param {Object} dateContext - Context from createDateContext
+ * @returns {Object} - { rows, openingBalance, closingBalance, headerFound }
+ */
+function collectRows(lines, dateContext) {
+  const rows = [];
+  let columns = null;
+  let openingBalance = null;
+  let closingBalance = null;
+  let current = null;
+  let previousLine = null;
+
+  lines.forEach((line, index) => {
+    const header = detectHeader(line);
+    if (header) {
+      columns = header;
+      current = null;
+      previousLine = line;
+      return;
+    }
+
+    const text = line.cells.map(cell => cell.text).join(' ');
+    const nextLine = lines[index + 1];
+    // Balance lines can sit above the table, inside it as a first or last row, or in a summary below
+    const opening = OPENING_PATTERN.test(text);
+    const closing = CLOSING_PATTERN.test(text);
+    if (opening || closing) {
+      if (opening) openingBalance = readLabelledBalance(line, nextLine, OPENING_PATTERN) ?? openingBalance;
+      if (closing) closingBalance = readLabelledBalance(line, nextLine, CLOSING_PATTERN) ?? closingBalance;
+      current = null;
+      return;
+    }
+    if (!columns || TOTAL_PATTERN.test(text)) {
+      current = null;
+      return;
+    }
+
+    const values = readCells(line, columns);
+    if (values.date && findDates(values.date).length > 0) {
+      current = startRow(values, dateContext);
+      addToRow(current, { ...values, narration: null });
+      rows.push(current);
+      previousLine = line;
+      return;
+    }
+
+    // Only a line close under the row continues it; page footers and notes end the table
+    const closeBelow = previousLine && line.page === previousLine.page
+      && line.top - previousLine.top <= (previousLine.height || 10) * 2.5;
+    if (current && closeBelow) {
+      addToRow(current, values);
+      previousLine = line;
+    } else {
+      current = null;
+    }
+  });
+
+  return { rows, openingBalance, closingBalance, headerFound: Boolean(columns) };
+}
+
+/**
+ * Which way money moved in a row. Separate debit and credit columns say so outright; a single
+ * amount column relies on its CR/DR marker or sign, then on how the balance moved
+ * @param {Object} row - Collected row
+ * @param {number|null} previousBalance - Balance before this row, when known
+ * @returns {Object|null} - { amount, type, currency, note }
+ */
+function readMovement(row, previousBalance) {
+  if (row.debit && row.credit && row.debit.value > 0 && row.credit.value > 0) {
+    const net = round(row.credit.value - row.debit.value);
+    return {
+      amount: Math.abs(net),
+      type: net >= 0 ? 'income' : 'expense',
+      currency: row.credit.currency || row.debit.currency,
+      note: 'Row shows both a withdrawal and a deposit; only the difference was kept.',
+    };
+  }
+  if (row.debit && row.debit.value > 0) return { amount: row.debit.value, type: 'expense', currency: row.debit.currency };
+  if (row.credit && row.credit.value > 0) return { amount: row.credit.value, type: 'income', currency: row.credit.currency };
+  if (!row.amount || row.amount.value <= 0) return null;
+
+  const { value, currency, direction } = row.amount;
+  if (direction) return { amount: value, type: direction === 'credit' ? 'income' : 'expense', currency };
+  if (previousBalance != null && row.balance != null) {
+    if (Math.abs(previousBalance + value - row.balance) < TOLERANCE) return { amount: value, type: 'income', currency };
+    if (Math.abs(previousBalance - value - row.balance) < TOLERANCE) return { amount: value, type: 'expense', currency };
+  }
+  return { amount: value, type: 'expense', currency, note: 'Could not tell whether this was money in or out.' };
+}
+
+/**
+ * Check each row against the running balance in one reading order. After a mismatch the next row
+ * may follow either the printed balance or the computed one, so a single misprinted balance or
+ * misread figure flags only its own row
+ * @param {Array} rows - Collected rows in the order to walk them
+ * @param {number|null} openingBalance - Balance before the first row walked
+ * @returns {Object} - { entries: [{ row, movement, expected }], mismatches, checked, finalBalance }
+ */
+function walkBalances(rows, openingBalance) {
+  let running = openingBalance;
+  let computed = null;
+  let mismatches = 0;
+  let checked = 0;
+
+  const entries = rows.map(row => {
+    const movement = readMovement(row, running);
+    const delta = movement ? (movement.type === 'income' ? movement.amount : -movement.amount) : 0;
+    const expected = running == null ? null : round(running + delta);
+    const reconciles = value => value != null && Math.abs(value - row.balance) < TOLERANCE;
+
+    let mismatch = false;
+    if (row.balance != null && expected != null) {
+      checked++;
+      mismatch = !reconciles(expected) && !reconciles(computed == null ? null : round(computed + delta));
+      if (mismatch) mismatches++;
+    }
+
+    computed = mismatch ? expected : null;
+    running = row.balance != null ? row.balance : expected;
+    return { row, movement, expected: mismatch ? expected : null };
+  });
+
+  return { entries, mismatches, checked, finalBalance: running };
+}
+
+/**
+ * Read a bank statement's transaction table (date, narration, debit, credit, balance) from its
+ * layout, across pages, and reconcile every row with the running, opening and closing balances.
+ * Withdrawals become expenses and deposits income; rows that do not add up are flagged for review
+ * @param {Array} lines - Lines from textLayout.groupIntoLines
+ * @param {Object} options - { dateContext } from createDateContext
+ * @returns {Object|null} - { rows, openingBalance, closingBalance, reconciliation }, or null when no
+ *   transaction table was found
+ */
+function parseStatementTable(lines, { dateContext } = {}) {
+  const collected = collectRows(lines || [], dateContext);
+  if (!collected.headerFound || collected.rows.length === 0) return null;
+
+  const { openingBalance, closingBalance } = collected;
+  // Statements list oldest or newest first; the reading with fewer mismatches is the right one
+  const oldestFirst = walkBalances(collected.rows, openingBalance);
+  const newestFirst = walkBalances([...collected.rows].reverse(), openingBalance);
+  const newestFirstWins = newestFirst.mismatches < oldestFirst.mismatches;
+  const walk = newestFirstWins ? newestFirst : oldestFirst;
+
+  const closingMatches = closingBalance != null && walk.finalBalance != null
+    ? Math.abs(walk.finalBalance - closingBalance) < TOLERANCE
+    : null;
+  const entries = newestFirstWins ? [...walk.entries].reverse() : walk.entries;
+  const lastEntry = newestFirstWins ? entries[0] : entries[entries.length - 1];
+
+  const rows = entries
+    .filter(entry => entry.movement)
+    .map(entry => {
+      const { row, movement, expected } = entry;
+      const notes = [movement.note];
+      if (expected != null) {
+        notes.push(`Balance does not reconcile: expected ${formatBalance(expected)}, statement shows ${formatBalance(row.balance)}.`);
+      }
+      if (entry === lastEntry && closingMatches === false) {
+        notes.push(`Closing balance ${formatBalance(closingBalance)} does not match ${formatBalance(walk.finalBalance)} after the last row; rows may be missing.`);
+      }
+      const reviewNote = notes.filter(Boolean).join(' ') || null;
+
+      return {
+        date: row.date,
+        dateText: row.dateText,
+        amount: movement.amount,
+        currency: movement.currency || undefined,
+        type: movement.type,
+        description: row.narration.join(' ').replace(/\s+/g, ' ').trim().substring(0, 200) || 'Bank transaction',
+        merchant: '',
+        category: FALLBACK_CATEGORIES[movement.type],
+        balance: row.balance,
+        needsManualReview: Boolean(reviewNote),
+        reviewNote,
+      };
+    });
+
+  return {
+    rows,
+    openingBalance,
+    closingBalance,
+    reconciliation: {
+      order: newestFirstWins ? 'newest-first' : 'oldest-first',
+      checkedRows: walk.checked,
+      mismatchedRows: walk.mismatches,
+      closingMatches,
+    },
+  };
+}
+
+module.exports = {
+  parseStatementTable,
+};
@@ -0,0 +1,86 @@
+// Positioned text, grouped into lines of cells so tables can be read by column.
+// Items are { text, page, x0, x1, top, height } with top growing down the page.
+
+/**
+ * Group positioned text items into lines, merging items that sit close together into one cell
+ * @param {Array} items - Positioned text items
+ * @returns {Array} - [{ page, top, height, cells: [{ text, x0, x1 }] }] in reading order
+ */
+function groupIntoLines(items) {
+  const sorted = items
+    .filter(item => item.text && item.text.trim())
+    .sort((a, b) => a.page - b.page || a.top - b.top || a.x0 - b.x0);
+
+  const lines = [];
+  sorted.forEach(item => {
+    // Same page and vertically overlapping by at least half the item's height
+    const line = lines.find(candidate => candidate.page === item.page
+      && Math.abs(candidate.top - item.top) < Math.max(candidate.height, item.height) / 2);
+    if (line) {
+      line.items.push(item);
+    } else {
+      lines.push({ page: item.page, top: item.top, height: item.height, items: [item] });
+    }
+  });
+
+  return lines
+    .sort((a, b) => a.page - b.page || a.top - b.top)
+    .map(line => ({ page: line.page, top: line.top, height: line.height, cells: mergeCells(line.items, line.height) }));
+}
+
+// Items separated by less than a character or so belong to one cell; wider gaps separate columns
+function mergeCells(items, lineHeight) {
+  const cells = [];
+  items
+    .sort((a, b) => a.x0 - b.x0)
+    .forEach(item => {
+      const previous = cells[cells.length - 1];
+      const gap = previous ? item.x0 - previous.x1 : Infinity;
+
+      if (gap < lineHeight * 0.8) {
+        previous.text += gap > lineHeight * 0.1 ? ` ${item.text.trim()}` : item.text.trim();
+        previous.x1 = Math.max(previous.x1, item.x1);
+      } else {
+        cells.push({ text: item.text.trim(), x0: item.x0, x1: item.x1 });
+      }
+    });
+  return cells;
+}
+
+/**
+ * Plain text for grouped lines, with cells separated by two spaces so columns stay apart
+ * @param {Array} lines - Lines from groupIntoLines
+ * @returns {string}
+ */
+function linesToText(lines) {
+  return lines
+    .map((line, index) => {
+      const pageBreak = index > 0 && line.page !== lines[index - 1].page ? '\n' : '';
+      return pageBreak + line.cells.map(cell => cell.text).join('  ');
+    })
+    .join('\n');
+}
+
+/**
+ * Positioned items from OCR words, for providers that report a bounding box per word
+ * @param {Array} words - [{ text, bbox: { x0, y0, x1, y1 } }]
+ * @returns {Array} - Positioned text items on page 1
+ */
+function wordsToItems(words) {
+  return words
+    .filter(word => word.bbox)
+    .map(word => ({
+      text: word.text,
+      page: word.page || 1,
+      x0: word.bbox.x0,
+      x1: word.bbox.x1,
+      top: word.bbox.y0,
+      height: Math.max(1, word.bbox.y1 - word.bbox.y0),
+    }));
+}
+
+module.exports = {
+  groupIntoLines,
+  linesToText,
+  wordsToItems,
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const Upload = require('../models/Upload');
+const UploadJob = require('../models/UploadJob');
+const ImportBatch = require('../models/ImportBatch');
+const Transaction = require('../models/Transaction');
+const Receipt = require('../models/Receipt');
+const { deleteFromCloudinary } = require('./uploadProcessingService');
+const { clearDuplicateFlags } = require('./duplicateService');
+
+/**
+ * SHA-256 of a file, streamed so large statements are not read into memory at once
+ * @param {string} filePath - File on disk
+ * @returns {Promise<string>} - Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * An earlier upload of the same file that still counts: one being processed, waiting for review or
+ * already imported. Failed and discarded uploads, and drafts left to expire, may be uploaded again
+ * @param {ObjectId} userId - Owner of the uploads
+ * @param {string} fileHash - SHA-256 of the new file
+ * @returns {Promise<Object|null>} - Lean upload with fileName, status and createdAt
+ */
+async function findPreviousUpload(userId, fileHash) {
+  return Upload.findOne({
+    user: userId,
+    fileHash,
+    $or: [
+      { status: { $in: ['processing', 'imported'] } },
+      { status: 'review', reviewExpiresAt: { $gt: new Date() } },
+    ],
+  })
+    .sort({ createdAt: -1 })
+    .select('fileName status createdAt')
+    .lean();
+}
+
+/**
+ * Start the history entry for a file that is about to be queued
+ * @param {ObjectId} userId - Owner of the upload
+ * @param {string} kind - 'receipt', 'bank_statement' or 'csv'
+ * @param {Object} file - Multer file
+ * @param {string} fileHash - SHA-256 of the file, from hashFile
+ * @returns {Promise<Object>} - The created Upload
+ */
+async function recordUpload(userId, kind, file, fileHash) {
+  return Upload.create({
+    user: userId,
+    kind,
+    fileName: file.originalname,
+    fileSize: file.size,
+    mimeType: file.mimetype,
+    fileHash,
+  });
+}
+
+/**
+ * Status as shown to the user; a draft nobody confirmed in time reads as expired
+ * @param {Object} upload - Upload document or lean object
+ * @returns {string}
+ */
+function displayStatus(upload) {
+  if (upload.status === 'review' && upload.reviewExpiresAt && upload.reviewExpiresAt <= new Date()) {
+    return 'expired';
+  }
+  return upload.status;
+}
+
+/**
+ * Delete an upload from the history, optionally along with what it produced
+ * @param {Object} upload - Upload document that has finished processing
+ * @param {Object} options - { deleteTransactions, deleteFile }
+ * @returns {Promise<Object>} - { deletedTransactions, fileDeleted }
+ */
+async function deleteUpload(upload, { deleteTransactions = false, deleteFile = false } = {}) {
+  let deletedTransactions = 0;
+  if (deleteTransactions && upload.transactions.length > 0) {
+    const [result] = await Promise.all([
+      Transaction.deleteMany({ _id: { $in: upload.transactions }, user: upload.user }),
+      Receipt.deleteMany({ transaction: { $in: upload.transactions }, user: upload.user }),
+      clearDuplicateFlags(upload.user, upload.transactions),
+    ]);
+    deletedTransactions = result.deletedCount;
+  }
+
+  let fileDeleted = false;
+  if (deleteFile && upload.storageId) {
+    fileDeleted = await deleteFromCloudinary(upload.storageId, upload.storageResourceType);
+  }
+
+  await Promise.all([
+    // An unconfirmed draft is meaningless without its upload
+    upload.importBatch && ImportBatch.deleteOne({ _id: upload.importBatch, status: 'draft' }),
+    upload.uploadJob && UploadJob.deleteOne({ _id: upload.uploadJob }),
+    upload.deleteOne(),
+  ]);
+
+  console.log(`🗑️ Upload ${upload._id} deleted (${deletedTransactions} transaction(s), file ${fileDeleted ? 'deleted' : 'kept'})`);
+  return { deletedTransactions, fileDeleted };
+}
+
+module.exports = {
+  hashFile,
+  findPreviousUpload,
+  recordUpload,
+  displayStatus,
+  deleteUpload,
+};
@@ -0,0 +1,326 @@
+const os = require('os');
+const UploadJob = require('../models/UploadJob');
+const Upload = require('../models/Upload');
+const { UPLOAD_JOB_STAGES } = require('../models/UploadJob');
+const { UPLOAD_KINDS, processUpload, cleanupFile } = require('./uploadProcessingService');
+const { notifyInBackground } = require('./notificationService');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Share of the progress bar each stage covers, as [start, end] percentages
+const STAGE_RANGES = {
+  extracting: [0, 35],
+  uploading: [35, 45],
+  parsing: [45, 80],
+  saving: [80, 100],
+};
+
+// A job not heard from in this long belongs to a worker that died
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Passwords for encrypted PDFs, by job id. They stay in this process's memory only and are dropped
+// as soon as the job finishes
+const pdfPasswords = new Map();
+
+// Ids of the jobs this process is running right now
+const runningJobs = new Set();
+
+let pollTimer = null;
+let concurrency = 1;
+let activeJobs = 0;
+let isPumping = false;
+
+function freshStages() {
+  return UPLOAD_JOB_STAGES.map(name => ({ name, status: 'pending' }));
+}
+
+/**
+ * Queue an uploaded file for background processing. The file is on this instance's disk (and any
+ * password in its memory), so the job is pinned to this worker
+ * @param {Object} jobData - { user, kind, upload, file: { originalName, path, mimeType, size } }
+ * @param {Object} options - { pdfPassword } that unlocks an encrypted PDF; never written to the database
+ * @returns {Promise<Object>} - The created UploadJob
+ */
+async function enqueueUploadJob(jobData, { pdfPassword = null } = {}) {
+  const job = await UploadJob.create({
+    ...jobData,
+    passwordProtected: Boolean(pdfPassword),
+    pinnedWorker: WORKER_ID,
+    lockedAt: new Date(),
+  });
+  if (pdfPassword) pdfPasswords.set(String(job._id), pdfPassword);
+  console.log(`📥 Upload job ${job._id} queued: ${job.kind} ${job.file.originalName}`);
+  triggerUploadWorker();
+  return job;
+}
+
+/**
+ * Atomically take this worker's oldest queued job
+ * @returns {Promise<Object|null>} - The claimed job, or null when there is nothing to do
+ */
+async function claimNextJob() {
+  const now = new Date();
+  return UploadJob.findOneAndUpdate(
+    {
+      status: 'queued',
+      pinnedWorker: WORKER_ID,
+      $expr: { $lt: ['$attempts', '$maxAttempts'] },
+    },
+    {
+      $set: {
+        status: 'processing',
+        stage: null,
+        stageDetail: null,
+        progress: 0,
+        stages: freshStages(),
+        error: null,
+        lockedAt: now,
+        lockedBy: WORKER_ID,
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+// This worker's queued jobs and the ones it is running are touched on every poll, so a slow OCR or
+// model call never looks stale, while a worker that stops polling leaves its jobs to go stale
+function refreshWorkerJobs() {
+  return UploadJob.updateMany(
+    {
+      $or: [
+        { status: 'queued', pinnedWorker: WORKER_ID },
+        { status: 'processing', _id: { $in: [...runningJobs] } },
+      ],
+    },
+    { $set: { lockedAt: new Date() } }
+  );
+}
+
+// A stale job's file is on the disk of a worker that is gone, so no other worker can finish it; it is
+// failed so the user can upload the file again
+async function failAbandonedJobs() {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS);
+  const abandoned = await UploadJob.find({
+    $or: [
+      { status: { $in: ['queued', 'processing'] }, lockedAt: { $lt: staleBefore } },
+      { status: 'queued', lockedAt: null, createdAt: { $lt: staleBefore } },
+    ],
+  });
+
+  for (const job of abandoned) {
+    // Only if nothing touched the job since it was read
+    await finishJob(job, new Error('The server that received this file stopped before processing it. Please upload it again.'), null, {
+      status: job.status,
+      lockedAt: job.lockedAt,
+    });
+  }
+}
+
+/**
+ * Build the stage reporter handed to processUpload. Writes are throttled to whole-percent
+ * changes, and every write also refreshes the lock so long jobs are not mistaken for stale ones.
+ * A job that is no longer processing (failed by the stale-lock sweep) is left alone.
+ */
+function createStageReporter(job) {
+  let currentStage = null;
+  let lastProgress = -1;
+  let lastDetail = null;
+
+  return async (stage, fraction = 0, detail = null) => {
+    const [start, end] = STAGE_RANGES[stage];
+    const progress = Math.round(start + (end - start) * Math.min(1, Math.max(0, fraction)));
+    const now = new Date();
+
+    if (stage !== currentStage) {
+      if (currentStage) {
+        await UploadJob.updateOne(
+          { _id: job._id, status: 'processing', 'stages.name': currentStage },
+          { $set: { 'stages.$.status': 'completed', 'stages.$.finishedAt': now } }
+        );
+      }
+      currentStage = stage;
+      lastProgress = progress;
+      lastDetail = detail;
+      await UploadJob.updateOne(
+        { _id: job._id, status: 'processing', 'stages.name': stage },
+        { $set: { 'stages.$.status': 'running', 'stages.$.startedAt': now, stage, stageDetail: detail, progress, lockedAt: now } }
+      );
+      return;
+    }
+
+    if (progress > lastProgress || detail !== lastDetail) {
+      lastProgress = Math.max(progress, lastProgress);
+      lastDetail = detail;
+      await UploadJob.updateOne({ _id: job._id, status: 'processing' }, { $set: { progress: lastProgress, stageDetail: detail, lockedAt: now } });
+    }
+  };
+}
+
+/**
+ * Mark a job completed or failed, then clean up its file and notify the user. Nothing happens unless
+ * the job is still in the expected state, so a run that outlives a stale-lock sweep cannot overwrite
+ * the failure, and the sweep cannot fail a job that just finished
+ * @param {Object} job - The UploadJob
+ * @param {Error|null} error - Why the job failed, or null when it completed
+ * @param {Object|null} result - Result of processUpload for a completed job
+ * @param {Object} expected - Fields the job must still have, { status: 'processing' } by default
+ * @returns {Promise<boolean>} - Whether the job was finished
+ */
+async function finishJob(job, error, result = null, expected = { status: 'processing' }) {
+  pdfPasswords.delete(String(job._id));
+  const now = new Date();
+  const latest = await UploadJob.findById(job._id).select('stage').lean();
+  const stage = latest?.stage;
+
+  let update;
+  if (error) {
+    update = await UploadJob.updateOne(
+      { _id: job._id, ...expected },
+      {
+        $set: {
+          status: 'failed',
+          error: error.message,
+          finishedAt: now,
+          lockedAt: null,
+          ...(stage && { 'stages.$[current].status': 'failed', 'stages.$[current].finishedAt': now, 'stages.$[current].error': error.message }),
+        },
+      },
+      stage ? { arrayFilters: [{ 'current.name': stage }] } : {}
+    );
+  } else {
+    update = await UploadJob.updateOne(
+      { _id: job._id, ...expected },
+      {
+        $set: {
+          status: 'completed',
+          progress: 100,
+          result,
+          finishedAt: now,
+          lockedAt: null,
+          ...(stage && { 'stages.$[current].status': 'completed', 'stages.$[current].finishedAt': now }),
+        },
+      },
+      stage ? { arrayFilters: [{ 'current.name': stage }] } : {}
+    );
+  }
+
+  if (update.matchedCount === 0) {
+    console.warn(`⚠️ Upload job ${job._id} was already finished elsewhere; leaving it as it is`);
+    return false;
+  }
+
+  if (error && job.upload) {
+    await Upload.updateOne({ _id: job.upload }, { $set: { status: 'failed', error: error.message } });
+  }
+
+  await cleanupFile(job.file.path);
+
+  const label = UPLOAD_KINDS[job.kind].label;
+  if (error) {
+    notifyInBackground(job.user, 'upload_failed', {
+      title: `${label} could not be processed`,
+      message: `${job.file.originalName}: ${error.message}`,
+      link: '/upload',
+      data: { jobId: job._id },
+    });
+  } else {
+    notifyInBackground(job.user, 'upload_completed', {
+      title: `${label} processed`,
+      message: `${job.file.originalName}: ${result.message}`,
+      link: '/upload',
+      data: { jobId: job._id, batchId: result.batchId, rowCount: result.stats.rowCount },
+    });
+  }
+  return true;
+}
+
+async function runJob(job) {
+  console.log(`⚙️ Upload job ${job._id} started (attempt ${job.attempts}/${job.maxAttempts})`);
+  runningJobs.add(String(job._id));
+  try {
+    const result = await processUpload(job, createStageReporter(job), { password: pdfPasswords.get(String(job._id)) });
+    if (await finishJob(job, null, result)) console.log(`✅ Upload job ${job._id} completed`);
+  } catch (error) {
+    console.error(`❌ Upload job ${job._id} failed:`, error.message);
+    await finishJob(job, error);
+  } finally {
+    runningJobs.delete(String(job._id));
+  }
+}
+
+async function pumpUploadJobs() {
+  if (isPumping) return;
+  isPumping = true;
+  try {
+    while (activeJobs < concurrency) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs += 1;
+      runJob(job)
+        .catch(error => console.error(`❌ Upload job ${job._id} crashed:`, error.message))
+        .finally(() => {
+          activeJobs -= 1;
+          triggerUploadWorker();
+        });
+    }
+  } finally {
+    isPumping = false;
+  }
+}
+
+/**
+ * Look for work now instead of waiting for the next poll; a no-op when the worker is not running here
+ */
+function triggerUploadWorker() {
+  if (!pollTimer) return;
+  pumpUploadJobs().catch(error => console.error('❌ Upload worker error:', error.message));
+}
+
+/**
+ * Start polling the job queue. Each worker only runs the jobs pinned to it, so it must run on every
+ * instance that accepts uploads.
+ * Concurrency comes from UPLOAD_WORKER_CONCURRENCY, the poll interval from UPLOAD_WORKER_POLL_MS.
+ */
+function startUploadWorker() {
+  if (pollTimer) return;
+
+  concurrency = Math.max(1, parseInt(process.env.UPLOAD_WORKER_CONCURRENCY, 10) || 1);
+  const pollInterval = Math.max(500, parseInt(process.env.UPLOAD_WORKER_POLL_MS, 10) || 3000);
+
+  pollTimer = setInterval(() => {
+    refreshWorkerJobs()
+      .then(failAbandonedJobs)
+      .then(pumpUploadJobs)
+      .catch(error => console.error('❌ Upload worker error:', error.message));
+  }, pollInterval);
+
+  console.log(`⚙️ Upload worker started (${concurrency} at a time, polling every ${pollInterval}ms)`);
+  triggerUploadWorker();
+}
+
+function stopUploadWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Number of queued jobs ahead of this one. Only jobs pinned to the same worker can run before it
+ * @param {Object} job - A queued UploadJob
+ * @returns {Promise<number>}
+ */
+async function getQueuePosition(job) {
+  return UploadJob.countDocuments({ status: 'queued', pinnedWorker: job.pinnedWorker, createdAt: { $lt: job.createdAt } });
+}
+
+module.exports = {
+  enqueueUploadJob,
+  triggerUploadWorker,
+  startUploadWorker,
+  stopUploadWorker,
+  getQueuePosition,
+};
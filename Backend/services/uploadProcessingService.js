@@ -0,0 +1,410 @@
+const cloudinary = require('cloudinary').v2;
+const fs = require('fs').promises;
+const path = require('path');
+const { applyMerchant, isGenericCategory } = require('./merchantService');
+const { getUserCategories, normalizeCategory } = require('./categoryService');
+const Upload = require('../models/Upload');
+const User = require('../models/User');
+const { createDraftBatch, summarizeRows } = require('./importBatchService');
+const { extractText, getOcrSettings } = require('./ocrService');
+const { extractTransactions, extractReceipt } = require('./llmService');
+const { receiptToTransaction } = require('./receiptService');
+const { createDateContext, interpretDate, toIsoDate } = require('./dateParsingService');
+const { detectCurrency } = require('./moneyParsingService');
+const { groupIntoLines, wordsToItems } = require('./textLayout');
+const { parseStatementTable } = require('./statementParsingService');
+
+// ✅ Cloudinary configuration (optional) - UNCHANGED
+let isCloudinaryConfigured = false;
+if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET) {
+  try {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+      secure: true,
+    });
+    isCloudinaryConfigured = true;
+    console.log('✅ Cloudinary configured');
+  } catch (error) {
+    console.warn('⚠️ Cloudinary configuration failed:', error.message);
+  }
+} else {
+  console.warn('⚠️ Cloudinary environment variables not set');
+}
+
+const uploadToCloudinaryOptional = async (filePath, options = {}) => {
+  if (!isCloudinaryConfigured) {
+    console.warn('⚠️ Cloudinary not configured, skipping upload');
+    return { secure_url: null, public_id: null, skipped: true };
+  }
+
+  try {
+    console.log('☁️ Attempting Cloudinary upload...');
+    
+    const result = await Promise.race([
+      cloudinary.uploader.upload(filePath, {
+        resource_type: 'auto',
+        folder: 'expense-tracker',
+        unique_filename: true,
+        overwrite: true,
+        ...options
+      }),
+      new Promise((_, reject) => 
+        setTimeout(() => reject(new Error('Cloudinary timeout after 30 seconds')), 30000)
+      )
+    ]);
+
+    console.log(`✅ Cloudinary upload successful: ${result.secure_url}`);
+    return result;
+  } catch (error) {
+    console.error('❌ Cloudinary upload failed:', error.message);
+    console.log('⚠️ Continuing without cloud storage...');
+    return { secure_url: null, public_id: null, error: error.message };
+  }
+};
+
+/**
+ * Remove a previously stored file from Cloudinary
+ * @param {string} publicId - public_id returned by the upload
+ * @param {string} resourceType - resource_type returned by the upload
+ * @returns {Promise<boolean>} - Whether Cloudinary deleted it
+ */
+const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
+  if (!isCloudinaryConfigured || !publicId) return false;
+
+  try {
+    const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType || 'image' });
+    console.log(`☁️ Cloudinary delete ${publicId}: ${result.result}`);
+    return result.result === 'ok';
+  } catch (error) {
+    console.error('❌ Cloudinary delete failed:', error.message);
+    return false;
+  }
+};
+
+const cleanupFile = async (filePath) => {
+  try {
+    if (filePath) {
+      await fs.unlink(filePath);
+      console.log(`🧹 Cleaned up: ${filePath}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Cleanup warning: ${error.message}`);
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Statement rows a few days outside the printed period (value dates, late postings) are still normal
+const PERIOD_TOLERANCE_MS = 3 * DAY_MS;
+
+/**
+ * Read a parsed transaction's date and flag it only when it is genuinely uncertain: unreadable,
+ * ambiguous between day and month, missing its year, in the future, or outside the statement period
+ * @param {Object} transaction - Parsed transaction with date and, when the parser kept it, dateText
+ * @param {Object} dateContext - Context from createDateContext
+ * @returns {Object} - { date, needsReview, reviewNote, originalDate }
+ */
+function validateParsedDate(transaction, dateContext) {
+  // The date as printed is re-read with the document's date order; the parser's reading is the fallback
+  const printed = transaction.dateText ? interpretDate(transaction.dateText, dateContext) : null;
+  const reading = printed?.date ? printed : interpretDate(transaction.date, dateContext);
+  const originalDate = transaction.dateText || transaction.date;
+
+  if (!reading.date) {
+    console.warn(`⚠️ Unreadable date: ${originalDate}`);
+    return {
+      date: new Date(),
+      needsReview: true,
+      reviewNote: 'Date could not be read from the document. Please enter it manually.',
+      originalDate,
+    };
+  }
+
+  const { date } = reading;
+  const notes = [];
+  if (reading.uncertain) {
+    notes.push(`${reading.reason}.`);
+  }
+  // A day's grace, since the document may be from a time zone ahead of the server
+  if (date.getTime() > dateContext.referenceDate.getTime() + DAY_MS) {
+    notes.push(`${toIsoDate(date)} is in the future.`);
+  }
+
+  const { period } = dateContext;
+  if (period && (date.getTime() < period.start.getTime() - PERIOD_TOLERANCE_MS || date.getTime() > period.end.getTime() + PERIOD_TOLERANCE_MS)) {
+    notes.push(`${toIsoDate(date)} is outside the statement period (${toIsoDate(period.start)} to ${toIsoDate(period.end)}).`);
+  }
+
+  return {
+    date,
+    needsReview: notes.length > 0,
+    reviewNote: notes.length > 0 ? `Please check the date: ${notes.join(' ')}` : null,
+    originalDate,
+  };
+}
+
+// Dates are checked here whichever provider parsed them; a provider's own review flag is kept
+function withValidatedDate(transaction, index, dateContext) {
+  const dateValidation = validateParsedDate(transaction, dateContext);
+  const needsManualReview = Boolean(transaction.needsManualReview) || dateValidation.needsReview;
+  const reviewNote = [transaction.reviewNote, dateValidation.reviewNote].filter(Boolean).join(' ') || null;
+
+  const reviewFlag = needsManualReview ? '🚨 REVIEW NEEDED' : '✅';
+  console.log(`   ${index + 1}. ${transaction.type} ₹${transaction.amount} - ${transaction.description} (${toIsoDate(dateValidation.date)}) ${reviewFlag}`);
+  if (reviewNote) {
+    console.log(`      ⚠️ ${reviewNote}`);
+  }
+
+  return {
+    ...transaction,
+    date: dateValidation.date,
+    needsManualReview,
+    reviewNote,
+  };
+}
+
+// A receipt is staged as a single purchase carrying its line items
+async function parseReceiptText(extractedText, context) {
+  const { receipt, method } = await extractReceipt(extractedText, context);
+  console.log(`🧾 ${receipt.lineItems.length} line item(s), total ${receipt.total ?? 'not found'}`);
+  return { transactions: [receiptToTransaction(receipt)], method };
+}
+
+/**
+ * Check parsed transactions and shape them as draft rows: each needs a description and a date, gets
+ * one of the user's categories and is linked to a known merchant (which may re-categorize it), and is
+ * flagged when its amount is missing or in another currency. The merchant directory is only looked
+ * up here; new merchants are created when the draft is confirmed
+ * @param {ObjectId} userId - Owner of the upload
+ * @param {Array} transactions - Parsed transactions with dates already validated
+ * @param {Object} options - { categories, defaultCurrency, documentCurrency, onProgress(fraction) }
+ * @returns {Promise<Object>} - { rows, failedRows: [{ index, description, error }] }
+ */
+async function stageTransactions(userId, transactions, { categories, defaultCurrency, documentCurrency = null, onProgress = null }) {
+  const rows = [];
+  const failedRows = [];
+
+  for (const [index, transactionData] of transactions.entries()) {
+    try {
+      if (!transactionData.description || Number.isNaN(new Date(transactionData.date).getTime())) {
+        throw new Error('Missing description or date');
+      }
+
+      transactionData.category = normalizeCategory(categories, transactionData.category, transactionData.type === 'income' ? 'income' : 'expense');
+      await applyMerchant(userId, transactionData, { readOnly: true });
+      // Items the parser could not place take the purchase's category, which may be the merchant's
+      const receipt = transactionData.receipt && {
+        ...transactionData.receipt,
+        lineItems: transactionData.receipt.lineItems.map(item => ({
+          ...item,
+          category: isGenericCategory(item.category)
+            ? transactionData.category
+            : normalizeCategory(categories, item.category, 'expense'),
+        })),
+      };
+
+      // Amounts are stored without conversion, so a foreign-currency row must be checked by hand
+      const currency = transactionData.currency || documentCurrency || null;
+      const foreignCurrency = Boolean(currency) && currency !== defaultCurrency;
+      const reviewNote = [
+        transactionData.reviewNote,
+        foreignCurrency && `Amount is in ${currency}, not ${defaultCurrency}; convert it before importing.`,
+      ].filter(Boolean).join(' ') || null;
+
+      rows.push({
+        date: transactionData.date,
+        amount: transactionData.amount,
+        currency,
+        description: transactionData.description,
+        merchant: transactionData.merchant,
+        merchantRef: transactionData.merchantRef,
+        category: transactionData.category,
+        type: transactionData.type === 'income' ? 'income' : 'expense',
+        needsManualReview: transactionData.needsManualReview || transactionData.amount == null || foreignCurrency,
+        reviewNote,
+        receipt: receipt || null,
+      });
+    } catch (rowError) {
+      console.error(`❌ Could not stage transaction ${index + 1}:`, rowError.message);
+      failedRows.push({ index, description: transactionData.description, error: rowError.message });
+    }
+    if (onProgress) await onProgress((index + 1) / transactions.length);
+  }
+
+  return { rows, failedRows };
+}
+
+const UPLOAD_KINDS = {
+  receipt: {
+    label: 'Receipt',
+    publicIdPrefix: 'receipt',
+    folder: 'expense-tracker/receipts',
+    minTextLength: 10,
+    emptyTextError: 'Could not extract readable text from image.',
+  },
+  bank_statement: {
+    label: 'Bank statement',
+    publicIdPrefix: 'statement',
+    folder: 'expense-tracker/statements',
+    minTextLength: 50,
+    emptyTextError: 'Could not extract sufficient text from PDF, even after OCR of its pages.',
+  },
+};
+
+/**
+ * Process one uploaded file end to end: extract text, store the file, parse it and stage the
+ * transactions as a draft import batch for the user to review
+ * @param {Object} job - UploadJob document (user, kind, file)
+ * @param {Function} reportStage - async (stage, fraction, detail) called as each stage starts and advances
+ * @param {Object} options - { password } for an encrypted PDF
+ * @returns {Promise<Object>} - Result stored on the job: message, batchId, stats and details
+ */
+async function processUpload(job, reportStage, { password = null } = {}) {
+  const startTime = Date.now();
+  const kind = UPLOAD_KINDS[job.kind];
+  const { file } = job;
+  const userId = job.user;
+
+  // The password only ever lived in the memory of the worker that queued the job
+  if (job.passwordProtected && !password) {
+    throw new Error('The password for this PDF is no longer available. Please upload it again.');
+  }
+
+  console.log(`📄 ============= EXTRACTING TEXT: ${file.originalName} =============`);
+  await reportStage('extracting', 0);
+  const ocrResult = await extractText(file.path, file.mimeType, {
+    ...(await getOcrSettings(userId)),
+    password,
+    preprocess: job.preprocessSteps,
+    // Tesseract does not wait for its logger, so progress writes must not throw
+    onProgress: (fraction, detail) => {
+      reportStage('extracting', fraction, detail).catch(error => console.warn('⚠️ Progress update failed:', error.message));
+    },
+  });
+  const extractedText = ocrResult.text;
+
+  if (!extractedText || extractedText.length < kind.minTextLength) {
+    throw new Error(kind.emptyTextError);
+  }
+
+  console.log('☁️ ============= UPLOADING TO CLOUDINARY =============');
+  await reportStage('uploading', 0);
+  const cloudinaryResult = await uploadToCloudinaryOptional(file.path, {
+    public_id: `${kind.publicIdPrefix}_${Date.now()}_${path.parse(file.originalName).name}`,
+    folder: kind.folder
+  });
+
+  if (job.upload) {
+    await Upload.updateOne({ _id: job.upload }, {
+      $set: {
+        fileUrl: cloudinaryResult?.secure_url || null,
+        storageId: cloudinaryResult?.public_id || null,
+        storageResourceType: cloudinaryResult?.resource_type || null,
+        extractionMethod: ocrResult.method,
+        ocrConfidence: Math.round(ocrResult.confidence * 100) / 100,
+      },
+    });
+  }
+
+  console.log('🤖 ============= PARSING TRANSACTIONS =============');
+  await reportStage('parsing', 0);
+  const categories = await getUserCategories(userId);
+  const user = await User.findById(userId).select('preferences.timezone preferences.defaultCurrency').lean();
+  const defaultCurrency = user?.preferences?.defaultCurrency || 'INR';
+  const documentCurrency = detectCurrency(extractedText);
+  const dateContext = createDateContext(extractedText, {
+    locale: job.locale,
+    timezone: user?.preferences?.timezone,
+  });
+  console.log(`📅 Dates read as ${dateContext.order} (from ${dateContext.orderSource})${dateContext.period ? `, statement period ${toIsoDate(dateContext.period.start)} to ${toIsoDate(dateContext.period.end)}` : ''}`);
+
+  // A statement whose table can be read by column needs no model, and its rows are checked against the balances
+  const statement = job.kind === 'bank_statement'
+    ? parseStatementTable(ocrResult.lines || groupIntoLines(wordsToItems(ocrResult.words || [])), { dateContext })
+    : null;
+  let parsed;
+  if (statement) {
+    parsed = { transactions: statement.rows, method: 'Statement Table Parser' };
+  } else if (job.kind === 'receipt') {
+    parsed = await parseReceiptText(extractedText, { categories, dateContext });
+  } else {
+    parsed = await extractTransactions(extractedText, { kind: job.kind, categories, dateContext });
+  }
+  const parsingMethod = parsed.method;
+  const reconciliation = statement ? statement.reconciliation : null;
+  if (reconciliation) {
+    console.log(`🧮 Balances: ${reconciliation.checkedRows} row(s) checked, ${reconciliation.mismatchedRows} mismatched, closing balance ${reconciliation.closingMatches === null ? 'not checked' : reconciliation.closingMatches ? 'matches' : 'does not match'}`);
+  }
+
+  console.log('📋 PARSED TRANSACTIONS:');
+  const transactions = parsed.transactions.map((transaction, index) => withValidatedDate(transaction, index, dateContext));
+
+  console.log(`💾 ============= STAGING ${transactions.length} TRANSACTION(S) FOR REVIEW =============`);
+  await reportStage('saving', 0);
+  const { rows, failedRows } = await stageTransactions(userId, transactions, {
+    categories,
+    defaultCurrency,
+    documentCurrency,
+    onProgress: fraction => reportStage('saving', fraction),
+  });
+
+  const fileUrl = cloudinaryResult?.secure_url || null;
+  const batch = await createDraftBatch(job, rows, { fileUrl, extractedText, parsingMethod });
+  const summary = summarizeRows(batch.rows);
+  const processingTime = Date.now() - startTime;
+
+  if (job.upload) {
+    await Upload.updateOne({ _id: job.upload }, {
+      $set: {
+        status: 'review',
+        parsingMethod,
+        importBatch: batch._id,
+        reviewExpiresAt: batch.expiresAt,
+        stats: { ...summary, failedCount: failedRows.length, processingTime },
+      },
+    });
+  }
+
+  const unreconciled = reconciliation && (reconciliation.mismatchedRows > 0 || reconciliation.closingMatches === false);
+
+  console.log(`✅ ${kind.label.toUpperCase()} PROCESSING COMPLETE: ${rows.length} staged in batch ${batch._id}, ${failedRows.length} failed, ${summary.reviewCount} flagged for review`);
+
+  return {
+    message: `${kind.label} processed! ${rows.length} transaction(s) are ready for review.${summary.reviewCount > 0 ? ` ⚠️ ${summary.reviewCount} need a closer look.` : ''}${unreconciled ? ' ⚠️ The statement balances do not reconcile.' : ''}`,
+    batchId: batch._id,
+    failedRows,
+    fileUrl,
+    extractedText: extractedText.substring(0, 1000) + (extractedText.length > 1000 ? '...' : ''),
+    stats: {
+      ...summary,
+      failedCount: failedRows.length,
+      processingTime: processingTime,
+      parsingMethod: parsingMethod,
+      reconciliation
+    },
+    processingDetails: {
+      fileName: file.originalName,
+      fileSize: (file.size / 1024 / 1024).toFixed(2) + 'MB',
+      processingTime: processingTime + 'ms',
+      extractionMethod: ocrResult.method,
+      ocrConfidence: ocrResult.confidence,
+      ocrAttempts: ocrResult.attempts,
+      ocrLanguages: ocrResult.languages || null,
+      languageDetection: ocrResult.languageDetection || null,
+      preprocessing: ocrResult.preprocessing || null,
+      parsingMethod: parsingMethod,
+      openingBalance: statement ? statement.openingBalance : null,
+      closingBalance: statement ? statement.closingBalance : null
+    }
+  };
+}
+
+module.exports = {
+  UPLOAD_KINDS,
+  withValidatedDate,
+  stageTransactions,
+  processUpload,
+  cleanupFile,
+  deleteFromCloudinary,
+};
@@ -1,27 +1,46 @@
 const nodemailer = require('nodemailer');
 require('dotenv').config();
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail', // or other mail provider
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD,
-  },
-});
+let transporter = null;
 
-async function sendBudgetExceededEmail(toEmail, month, budgetAmount, totalSpent) {
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: toEmail,
-    subject: `Monthly Budget Exceeded for ${month}`,
-    text: `Alert: You have exceeded your monthly budget of $${budgetAmount}. Your total spending for ${month} is $${totalSpent}.`,
-  };
+// Any SMTP server works, including a local sink such as MailHog (SMTP_HOST=localhost SMTP_PORT=1025)
+function isEmailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransporter() {
+  if (!transporter) {
+    const user = process.env.SMTP_USER || process.env.EMAIL_USER;
+    const pass = process.env.SMTP_PASS || process.env.EMAIL_PASSWORD;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(user && { auth: { user, pass } }),
+    });
+  }
+  return transporter;
+}
 
-  try {
-    await transporter.sendMail(mailOptions);
-  } catch (error) {
-    console.error('Error sending budget exceeded email:', error);
+/**
+ * Send an email through the configured SMTP server
+ * @param {Object} mail - { to, subject, text, html }
+ * @returns {Promise<Object>} - Nodemailer send info
+ * @throws {Error} - When SMTP is not configured or the server rejects the message
+ */
+async function sendEmail({ to, subject, text, html }) {
+  if (!isEmailConfigured()) {
+    throw new Error('SMTP is not configured (set SMTP_HOST)');
   }
+
+  return getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || process.env.SMTP_USER || process.env.EMAIL_USER || 'Finance Tracker <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+  });
 }
 
-module.exports = { sendBudgetExceededEmail };
+module.exports = { isEmailConfigured, sendEmail };
@@ -0,0 +1,30 @@
+/* Service worker for Web Push notifications sent by the Finance Tracker backend */
+
+self.addEventListener('push', (event) => {
+  const payload = event.data ? event.data.json() : {};
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'Finance Tracker', {
+      body: payload.body || '',
+      icon: '/logo192.png',
+      tag: payload.id || undefined,
+      data: { link: payload.link || '/' },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.link || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const existing = clients.find((client) => client.url.startsWith(self.location.origin));
+      if (existing) {
+        existing.navigate(target);
+        return existing.focus();
+      }
+      return self.clients.openWindow(target);
+    })
+  );
+});
@@ -8,6 +8,9 @@ import Dashboard from './pages/Dashboard';
 import Transactions from './pages/Transactions';
 import AnalyticsPage from './pages/Analytics';
 import Upload from './pages/Upload';
+import Categories from './pages/Categories';
+import Recurring from './pages/Recurring';
+import Budgets from './pages/Budgets';
 import Layout from './components/Layout/Layout';
 
 function App() {
@@ -30,6 +33,9 @@ function App() {
             <Route path="transactions" element={<Transactions />} />
             <Route path="analytics" element={<AnalyticsPage />} />
             <Route path="upload" element={<Upload />} />
+            <Route path="categories" element={<Categories />} />
+            <Route path="recurring" element={<Recurring />} />
+            <Route path="budgets" element={<Budgets />} />
           </Route>
         </Routes>
       </Router>
@@ -0,0 +1,365 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Grid,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Typography,
+  Box,
+  Alert,
+  Checkbox,
+  FormControlLabel,
+  IconButton,
+  Tooltip,
+  LinearProgress,
+} from '@mui/material';
+import { Delete as DeleteIcon, TableChart as CsvIcon } from '@mui/icons-material';
+import { csvImportAPI } from '../services/api';
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.details?.[0] || err.response?.data?.error || err.message || fallback;
+
+const DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' },
+];
+
+const COLUMN_FIELDS = [
+  { field: 'date', label: 'Date', required: true },
+  { field: 'description', label: 'Description', required: true },
+  { field: 'debit', label: 'Debit (money out)', mode: 'split' },
+  { field: 'credit', label: 'Credit (money in)', mode: 'split' },
+  { field: 'amount', label: 'Amount', mode: 'single' },
+  { field: 'balance', label: 'Balance' },
+];
+
+const EMPTY_COLUMNS = { date: '', description: '', debit: '', credit: '', amount: '', balance: '' };
+
+// Walks through a bank's CSV export: preview the first rows, map the columns and number formats
+// (or pick a saved bank profile), then stage the rows as a draft for the usual import review
+const CsvImportDialog = ({ open, file, onClose, onImported }) => {
+  const [preview, setPreview] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState('');
+  const [saveProfile, setSaveProfile] = useState(false);
+  const [profileName, setProfileName] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadPreview = useCallback(async (options = {}) => {
+    if (!file) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') formData.append(key, value);
+      });
+
+      const { data } = await csvImportAPI.preview(formData);
+      setPreview(data);
+      setSettings({ ...data.settings, columns: { ...EMPTY_COLUMNS, ...data.settings.columns } });
+      setProfileId(data.profile?._id || '');
+      setProfileName(data.profile?.name || '');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to read the CSV file'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [file]);
+
+  useEffect(() => {
+    if (!open || !file) return;
+    setPreview(null);
+    setSettings(null);
+    setSaveProfile(false);
+    loadPreview();
+    csvImportAPI.getProfiles()
+      .then(({ data }) => setProfiles(data))
+      .catch(() => setProfiles([]));
+  }, [open, file, loadPreview]);
+
+  const amountMode = settings?.columns.amount ? 'single' : 'split';
+
+  const setColumn = (field, value) => {
+    setSettings(prev => ({ ...prev, columns: { ...prev.columns, [field]: value } }));
+  };
+
+  const setAmountMode = (mode) => {
+    setSettings(prev => ({
+      ...prev,
+      columns: mode === 'single'
+        ? { ...prev.columns, debit: '', credit: '', amount: prev.columns.debit || prev.columns.credit || preview.headers[0] }
+        : { ...prev.columns, amount: '' },
+    }));
+  };
+
+  const handleProfileChange = (id) => {
+    setProfileId(id);
+    if (id) loadPreview({ profileId: id });
+    else loadPreview();
+  };
+
+  const handleDeleteProfile = async () => {
+    try {
+      await csvImportAPI.deleteProfile(profileId);
+      setProfiles(prev => prev.filter(profile => profile._id !== profileId));
+      setProfileId('');
+      setProfileName('');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete the profile'));
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setError(null);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('settings', JSON.stringify({ ...settings, delimiter: preview.delimiter, skipRows: preview.skipRows }));
+      if (profileId) formData.append('profileId', profileId);
+      if (saveProfile && profileName.trim()) formData.append('saveAsProfile', profileName.trim());
+
+      const { data, message } = await csvImportAPI.importFile(formData);
+      onImported?.(data, message);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to import the CSV file'));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const mappedField = (header) => COLUMN_FIELDS.find(({ field }) => settings?.columns[field] === header);
+  const canImport = settings && settings.columns.date && settings.columns.description
+    && (settings.columns.amount || settings.columns.debit || settings.columns.credit)
+    && (!saveProfile || profileName.trim());
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <CsvIcon color="success" />
+        <Box>
+          Import CSV
+          <Typography variant="body2" color="text.secondary">
+            {file?.name}{preview ? ` · ${preview.rowCount} row(s)` : ''}
+          </Typography>
+        </Box>
+      </DialogTitle>
+      <DialogContent>
+        {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {preview && settings && (
+          <>
+            {preview.profile && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Using the saved mapping for <strong>{preview.profile.name}</strong>.
+              </Alert>
+            )}
+
+            <Grid container spacing={2} sx={{ mb: 2, mt: 0 }}>
+              <Grid item xs={12} sm={6} md={4}>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label="Bank profile"
+                    value={profileId}
+                    onChange={(e) => handleProfileChange(e.target.value)}
+                  >
+                    <MenuItem value="">None (map by hand)</MenuItem>
+                    {profiles.map(profile => (
+                      <MenuItem key={profile._id} value={profile._id}>{profile.name}</MenuItem>
+                    ))}
+                  </TextField>
+                  {profileId && (
+                    <Tooltip title="Delete this profile">
+                      <IconButton size="small" onClick={handleDeleteProfile}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </Box>
+              </Grid>
+              <Grid item xs={6} sm={3} md={2}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Delimiter"
+                  value={preview.delimiter}
+                  onChange={(e) => loadPreview({ delimiter: e.target.value, skipRows: preview.skipRows })}
+                >
+                  {DELIMITERS.map(({ value, label }) => <MenuItem key={label} value={value}>{label}</MenuItem>)}
+                </TextField>
+              </Grid>
+              <Grid item xs={6} sm={3} md={2}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Lines above header"
+                  value={preview.skipRows}
+                  inputProps={{ min: 0, max: 50 }}
+                  onChange={(e) => loadPreview({ delimiter: preview.delimiter, skipRows: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={6} sm={4} md={2}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Date format"
+                  value={settings.dateFormat}
+                  onChange={(e) => setSettings(prev => ({ ...prev, dateFormat: e.target.value }))}
+                >
+                  {[...new Set([settings.dateFormat, ...preview.dateFormats])].map(format => (
+                    <MenuItem key={format} value={format}>{format}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={6} sm={4} md={2}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Decimal separator"
+                  value={settings.decimalSeparator}
+                  onChange={(e) => setSettings(prev => ({ ...prev, decimalSeparator: e.target.value }))}
+                >
+                  <MenuItem value=".">Point (1,234.56)</MenuItem>
+                  <MenuItem value=",">Comma (1.234,56)</MenuItem>
+                </TextField>
+              </Grid>
+            </Grid>
+
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+              <Grid item xs={12} sm={4} md={3}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label="Amounts are in"
+                  value={amountMode}
+                  onChange={(e) => setAmountMode(e.target.value)}
+                >
+                  <MenuItem value="split">Separate debit and credit columns</MenuItem>
+                  <MenuItem value="single">One column with a sign</MenuItem>
+                </TextField>
+              </Grid>
+              {amountMode === 'single' && (
+                <Grid item xs={12} sm={4} md={3}>
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label="Negative amounts are"
+                    value={settings.amountSign}
+                    onChange={(e) => setSettings(prev => ({ ...prev, amountSign: e.target.value }))}
+                  >
+                    <MenuItem value="negative-is-expense">Money out (expenses)</MenuItem>
+                    <MenuItem value="negative-is-income">Money in (income)</MenuItem>
+                  </TextField>
+                </Grid>
+              )}
+            </Grid>
+
+            <Grid container spacing={2} sx={{ mb: 3 }}>
+              {COLUMN_FIELDS.filter(({ mode }) => !mode || mode === amountMode).map(({ field, label, required }) => (
+                <Grid item xs={6} sm={4} md={2} key={field}>
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label={label}
+                    required={required}
+                    value={settings.columns[field] || ''}
+                    onChange={(e) => setColumn(field, e.target.value)}
+                  >
+                    {!required && <MenuItem value="">Not in file</MenuItem>}
+                    {preview.headers.map(header => <MenuItem key={header} value={header}>{header}</MenuItem>)}
+                  </TextField>
+                </Grid>
+              ))}
+            </Grid>
+
+            <TableContainer sx={{ maxHeight: 320, border: '1px solid', borderColor: 'divider', borderRadius: 2 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    {preview.headers.map(header => (
+                      <TableCell key={header} sx={{ whiteSpace: 'nowrap' }}>
+                        {header}
+                        <Typography variant="caption" display="block" color={mappedField(header) ? 'primary' : 'text.disabled'}>
+                          {mappedField(header)?.label || 'Ignored'}
+                        </Typography>
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {preview.rows.map((row, rowIndex) => (
+                    <TableRow key={rowIndex}>
+                      {preview.headers.map((header, index) => (
+                        <TableCell key={header} sx={{ whiteSpace: 'nowrap', color: mappedField(header) ? 'text.primary' : 'text.disabled' }}>
+                          {row[index]}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            {preview.rowCount > preview.rows.length && (
+              <Typography variant="caption" color="text.secondary">
+                Showing the first {preview.rows.length} of {preview.rowCount} rows.
+              </Typography>
+            )}
+
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2 }}>
+              <FormControlLabel
+                control={<Checkbox checked={saveProfile} onChange={(e) => setSaveProfile(e.target.checked)} />}
+                label={profileId ? 'Update the saved profile' : 'Save this mapping as a bank profile'}
+              />
+              {saveProfile && (
+                <TextField
+                  size="small"
+                  label="Profile name"
+                  placeholder="e.g. HDFC savings"
+                  value={profileName}
+                  inputProps={{ maxLength: 60 }}
+                  onChange={(e) => setProfileName(e.target.value)}
+                />
+              )}
+            </Box>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 3 }}>
+        <Button onClick={onClose} disabled={isImporting}>Cancel</Button>
+        <Button variant="contained" onClick={handleImport} disabled={!canImport || isLoading || isImporting}>
+          {isImporting ? 'Importing...' : 'Import for Review'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CsvImportDialog;
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Box,
+  Paper,
+  Alert,
+} from '@mui/material';
+import { CallMerge as MergeIcon } from '@mui/icons-material';
+import dayjs from 'dayjs';
+import { transactionAPI } from '../services/api';
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.details?.[0] || err.response?.data?.error || err.message || fallback;
+
+const FIELDS = [
+  { label: 'Date', value: (t) => dayjs(t.date).format('DD MMM YYYY') },
+  { label: 'Amount', value: (t) => `₹${(t.amount ?? 0).toLocaleString('en-IN')}` },
+  { label: 'Description', value: (t) => t.description || '—' },
+  { label: 'Merchant', value: (t) => t.merchant || '—' },
+  { label: 'Category', value: (t) => t.category },
+  { label: 'Receipt', value: (t) => (t.receipt ? 'Attached' : '—') },
+];
+
+// Flagged transactions side by side with the payment each may repeat. Merging keeps the one recorded
+// first and deletes the other; keeping both just clears the flag
+const DuplicateReviewDialog = ({ open, duplicates, onClose, onResolved }) => {
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const resolve = async (transaction, action) => {
+    setBusyId(transaction._id);
+    setError(null);
+    try {
+      if (action === 'merge') {
+        await transactionAPI.mergeDuplicate(transaction._id);
+      } else {
+        await transactionAPI.keepBoth(transaction._id);
+      }
+      onResolved?.(transaction, action);
+    } catch (err) {
+      setError(errorMessage(err, action === 'merge' ? 'Failed to merge the transactions' : 'Failed to keep both transactions'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle>
+        Possible Duplicates
+        <Typography variant="body2" color="text.secondary">
+          Same amount, close dates and a similar description. Merge them if they are the same payment.
+        </Typography>
+      </DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {duplicates.length === 0 && (
+          <Typography color="text.secondary" sx={{ py: 2 }}>
+            Nothing left to review.
+          </Typography>
+        )}
+
+        {duplicates.map((transaction) => {
+          const original = transaction.possibleDuplicateOf;
+          return (
+            <Paper key={transaction._id} variant="outlined" sx={{ p: 2, mb: 2, borderRadius: 2 }}>
+              {original ? (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell />
+                      <TableCell>Recorded first</TableCell>
+                      <TableCell>Possible duplicate</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {FIELDS.map(({ label, value }) => (
+                      <TableRow key={label}>
+                        <TableCell sx={{ color: 'text.secondary' }}>{label}</TableCell>
+                        <TableCell>{value(original)}</TableCell>
+                        <TableCell>{value(transaction)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  {transaction.description} · ₹{(transaction.amount ?? 0).toLocaleString('en-IN')} — the matching
+                  transaction no longer exists.
+                </Typography>
+              )}
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2 }}>
+                <Button size="small" onClick={() => resolve(transaction, 'keep')} disabled={Boolean(busyId)}>
+                  Keep Both
+                </Button>
+                <Button
+                  size="small"
+                  variant="contained"
+                  startIcon={<MergeIcon />}
+                  onClick={() => resolve(transaction, 'merge')}
+                  disabled={Boolean(busyId) || !original}
+                >
+                  Merge
+                </Button>
+              </Box>
+            </Paper>
+          );
+        })}
+      </DialogContent>
+      <DialogActions sx={{ p: 3 }}>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DuplicateReviewDialog;
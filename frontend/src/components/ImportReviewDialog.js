@@ -0,0 +1,432 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Checkbox,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Typography,
+  Box,
+  Chip,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Check as CheckIcon,
+  Close as CloseIcon,
+  CallMerge as MergeIcon,
+} from '@mui/icons-material';
+import dayjs from 'dayjs';
+import { importAPI } from '../services/api';
+import { fetchCategories, orderCategoriesAsTree } from '../features/categories/categorySlice';
+
+// Rows parsed from a foreign-currency document keep its code so they are not mistaken for rupees
+const formatAmount = (amount, currency) => {
+  if (amount == null) return '—';
+  const formatted = amount.toLocaleString('en-IN', { maximumFractionDigits: 2 });
+  return currency && currency !== 'INR' ? `${currency} ${formatted}` : `₹${formatted}`;
+};
+
+const toEditable = (row) => ({
+  date: dayjs(String(row.date).slice(0, 10)).format('YYYY-MM-DD'),
+  description: row.description,
+  merchant: row.merchant || '',
+  category: row.category,
+  type: row.type,
+  amount: row.amount ?? '',
+});
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.details?.[0] || err.response?.data?.error || err.message || fallback;
+
+const ImportReviewDialog = ({ open, batchId, onClose, onConfirmed, onDiscarded }) => {
+  const dispatch = useDispatch();
+  const { items: categoryItems, isLoaded: categoriesLoaded } = useSelector((state) => state.categories);
+
+  const [batch, setBatch] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState(null);
+
+  useEffect(() => {
+    if (open && !categoriesLoaded) dispatch(fetchCategories());
+  }, [dispatch, open, categoriesLoaded]);
+
+  useEffect(() => {
+    if (!open || !batchId) return;
+
+    const load = async () => {
+      setIsLoading(true);
+      setError(null);
+      setSelected([]);
+      setEditingId(null);
+      try {
+        const { data } = await importAPI.getById(batchId);
+        setBatch(data);
+      } catch (err) {
+        setBatch(null);
+        setError(errorMessage(err, 'Failed to load the import'));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, [open, batchId]);
+
+  const categoryOptions = useMemo(
+    () => orderCategoriesAsTree(categoryItems, editValues?.type || 'expense'),
+    [categoryItems, editValues?.type]
+  );
+
+  // Receipt line items are always expenses
+  const lineItemCategoryOptions = useMemo(
+    () => orderCategoriesAsTree(categoryItems, 'expense'),
+    [categoryItems]
+  );
+
+  const isDraft = batch?.status === 'draft';
+  const rows = batch?.rows || [];
+
+  // Every change returns the updated batch, so the table always mirrors the server
+  const runAction = async (action, fallbackError) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const { data } = await action();
+      setBatch(data);
+      return true;
+    } catch (err) {
+      setError(errorMessage(err, fallbackError));
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const startEditing = (row) => {
+    setEditingId(row._id);
+    setEditValues(toEditable(row));
+  };
+
+  const setEditField = (field) => (event) => {
+    const { value } = event.target;
+    setEditValues(prev => ({ ...prev, [field]: value, ...(field === 'type' && { category: '' }) }));
+  };
+
+  const handleSaveRow = async () => {
+    const saved = await runAction(
+      () => importAPI.updateRow(batch._id, editingId, {
+        ...editValues,
+        amount: editValues.amount === '' ? null : parseFloat(editValues.amount),
+        merchant: editValues.merchant || null,
+      }),
+      'Failed to update the row'
+    );
+    if (saved) setEditingId(null);
+  };
+
+  const handleLineItemCategory = (rowId, itemId) => (event) => {
+    runAction(
+      () => importAPI.updateLineItem(batch._id, rowId, itemId, { category: event.target.value }),
+      'Failed to update the line item'
+    );
+  };
+
+  const handleDropRow = async (rowId) => {
+    const dropped = await runAction(() => importAPI.deleteRow(batch._id, rowId), 'Failed to drop the row');
+    if (dropped) setSelected(prev => prev.filter(id => id !== rowId));
+  };
+
+  const handleMerge = async () => {
+    const merged = await runAction(() => importAPI.mergeRows(batch._id, selected), 'Failed to merge the rows');
+    if (merged) setSelected([]);
+  };
+
+  const toggleSelected = (rowId) => {
+    setSelected(prev => (prev.includes(rowId) ? prev.filter(id => id !== rowId) : [...prev, rowId]));
+  };
+
+  const handleConfirm = async () => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const result = await importAPI.confirm(batch._id);
+      onConfirmed?.(result);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to import the transactions'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await importAPI.discard(batch._id);
+      onDiscarded?.(batch);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to discard the import'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const renderEditableRow = (row) => (
+    <TableRow key={row._id}>
+      <TableCell padding="checkbox" />
+      <TableCell>
+        <TextField type="date" size="small" value={editValues.date} onChange={setEditField('date')} />
+      </TableCell>
+      <TableCell>
+        <TextField size="small" fullWidth value={editValues.description} onChange={setEditField('description')} />
+      </TableCell>
+      <TableCell>
+        <TextField size="small" fullWidth value={editValues.merchant} onChange={setEditField('merchant')} />
+      </TableCell>
+      <TableCell>
+        <TextField select size="small" fullWidth value={editValues.type} onChange={setEditField('type')}>
+          <MenuItem value="expense">Expense</MenuItem>
+          <MenuItem value="income">Income</MenuItem>
+        </TextField>
+      </TableCell>
+      <TableCell>
+        <TextField select size="small" fullWidth value={editValues.category} onChange={setEditField('category')}>
+          {categoryOptions.map(category => (
+            <MenuItem key={category._id} value={category.name} sx={{ pl: 2 + category.depth * 2 }}>
+              {category.icon ? `${category.icon} ` : ''}{category.name}
+            </MenuItem>
+          ))}
+        </TextField>
+      </TableCell>
+      <TableCell align="right">
+        <TextField
+          type="number"
+          size="small"
+          value={editValues.amount}
+          onChange={setEditField('amount')}
+          inputProps={{ min: 0, step: '0.01' }}
+          sx={{ width: 110 }}
+        />
+      </TableCell>
+      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+        <IconButton
+          size="small"
+          color="primary"
+          onClick={handleSaveRow}
+          disabled={isBusy || !editValues.description || !editValues.category}
+        >
+          <CheckIcon fontSize="small" />
+        </IconButton>
+        <IconButton size="small" onClick={() => setEditingId(null)} disabled={isBusy}>
+          <CloseIcon fontSize="small" />
+        </IconButton>
+      </TableCell>
+    </TableRow>
+  );
+
+  const renderRow = (row) => (
+    <TableRow key={row._id} hover selected={selected.includes(row._id)}>
+      <TableCell padding="checkbox">
+        {isDraft && (
+          <Checkbox size="small" checked={selected.includes(row._id)} onChange={() => toggleSelected(row._id)} />
+        )}
+      </TableCell>
+      <TableCell sx={{ whiteSpace: 'nowrap' }}>{dayjs(String(row.date).slice(0, 10)).format('DD MMM YYYY')}</TableCell>
+      <TableCell>
+        {row.description}
+        {row.needsManualReview && (
+          <Tooltip title={row.reviewNote || 'Check this row before importing'}>
+            <Chip label="Review" size="small" color="warning" sx={{ ml: 1 }} />
+          </Tooltip>
+        )}
+      </TableCell>
+      <TableCell>{row.merchant || '—'}</TableCell>
+      <TableCell sx={{ textTransform: 'capitalize' }}>{row.type}</TableCell>
+      <TableCell>{row.category}</TableCell>
+      <TableCell align="right" sx={{ color: row.type === 'income' ? 'success.main' : 'error.main', fontWeight: 600 }}>
+        {formatAmount(row.amount, row.currency)}
+      </TableCell>
+      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+        {isDraft && (
+          <>
+            <IconButton size="small" onClick={() => startEditing(row)} disabled={isBusy || Boolean(editingId)}>
+              <EditIcon fontSize="small" />
+            </IconButton>
+            <IconButton size="small" color="error" onClick={() => handleDropRow(row._id)} disabled={isBusy}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </>
+        )}
+      </TableCell>
+    </TableRow>
+  );
+
+  // What a receipt row was made of; each item's category counts toward that category's spending
+  const renderLineItems = (row) => (
+    <TableRow key={`${row._id}-items`}>
+      <TableCell padding="checkbox" />
+      <TableCell colSpan={7} sx={{ pt: 0 }}>
+        <Table size="small">
+          <TableBody>
+            {row.receipt.lineItems.map(item => (
+              <TableRow key={item._id}>
+                <TableCell sx={{ border: 0, color: 'text.secondary' }}>
+                  {item.quantity > 1 ? `${item.quantity} × ` : ''}{item.description}
+                </TableCell>
+                <TableCell sx={{ border: 0, width: 240 }}>
+                  {isDraft ? (
+                    <TextField
+                      select
+                      size="small"
+                      fullWidth
+                      value={item.category}
+                      onChange={handleLineItemCategory(row._id, item._id)}
+                      disabled={isBusy}
+                    >
+                      {lineItemCategoryOptions.map(category => (
+                        <MenuItem key={category._id} value={category.name} sx={{ pl: 2 + category.depth * 2 }}>
+                          {category.icon ? `${category.icon} ` : ''}{category.name}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  ) : item.category}
+                </TableCell>
+                <TableCell align="right" sx={{ border: 0, width: 130 }}>
+                  {formatAmount(item.amount, row.currency)}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        {(row.receipt.tax != null || row.receipt.paymentMethod) && (
+          <Typography variant="caption" color="text.secondary" sx={{ pl: 2 }}>
+            {row.receipt.tax != null && `Tax ${formatAmount(row.receipt.tax, row.currency)}`}
+            {row.receipt.tax != null && row.receipt.paymentMethod && ' · '}
+            {row.receipt.paymentMethod && `Paid by ${row.receipt.paymentMethod.replace('_', ' ')}`}
+          </Typography>
+        )}
+      </TableCell>
+    </TableRow>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle>
+        Review Import
+        {batch && (
+          <Typography variant="body2" color="text.secondary">
+            {batch.fileName} · {batch.summary.rowCount} row(s) · Expenses {formatAmount(batch.summary.totalExpenses)} · Income {formatAmount(batch.summary.totalIncome)}
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : batch && (
+          <>
+            {isDraft ? (
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+                <Typography variant="body2" color="text.secondary">
+                  Nothing is saved until you confirm. This draft expires {dayjs(batch.expiresAt).format('DD MMM YYYY, HH:mm')}.
+                </Typography>
+                <Button
+                  size="small"
+                  startIcon={<MergeIcon />}
+                  onClick={handleMerge}
+                  disabled={isBusy || selected.length < 2}
+                >
+                  Merge selected
+                </Button>
+              </Box>
+            ) : (
+              <Alert severity="success" sx={{ mb: 2 }}>
+                This import was confirmed {dayjs(batch.confirmedAt).format('DD MMM YYYY, HH:mm')}.
+              </Alert>
+            )}
+
+            {batch.summary.reviewCount > 0 && isDraft && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {batch.summary.reviewCount} row(s) need a closer look before importing.
+              </Alert>
+            )}
+
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell padding="checkbox" />
+                    <TableCell>Date</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell>Merchant</TableCell>
+                    <TableCell>Type</TableCell>
+                    <TableCell>Category</TableCell>
+                    <TableCell align="right">Amount</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rows.map(row => (
+                    <React.Fragment key={row._id}>
+                      {row._id === editingId ? renderEditableRow(row) : renderRow(row)}
+                      {row.receipt?.lineItems?.length > 0 && renderLineItems(row)}
+                    </React.Fragment>
+                  ))}
+                  {rows.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={8} align="center" sx={{ py: 4, color: 'text.secondary' }}>
+                        No rows left in this import.
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 3 }}>
+        {isDraft && (
+          <Button color="error" onClick={handleDiscard} disabled={isBusy} sx={{ mr: 'auto' }}>
+            Discard
+          </Button>
+        )}
+        <Button onClick={onClose} color="inherit">
+          {isDraft ? 'Review later' : 'Close'}
+        </Button>
+        {isDraft && (
+          <Button
+            variant="contained"
+            onClick={handleConfirm}
+            disabled={isBusy || Boolean(editingId) || rows.length === 0}
+          >
+            Import {rows.length} transaction(s)
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportReviewDialog;
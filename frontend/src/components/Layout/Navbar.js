@@ -13,6 +13,7 @@ import {
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import ThemeToggle from '../ThemeToggle/ThemeToggle';
+import NotificationBell from './NotificationBell';
 
 const Navbar = ({ handleDrawerToggle }) => {
   // ✅ Get user data from Redux auth state
@@ -111,6 +112,9 @@ const Navbar = ({ handleDrawerToggle }) => {
             {/* ✅ Theme Toggle */}
             <ThemeToggle />
 
+            {/* ✅ Notification Center */}
+            <NotificationBell />
+
             {/* ✅ Dynamic User Avatar */}
             <Avatar 
               sx={{ 
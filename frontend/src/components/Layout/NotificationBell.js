@@ -0,0 +1,198 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  IconButton,
+  Badge,
+  Menu,
+  Box,
+  Typography,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
+  Divider,
+  Tooltip,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Notifications as BellIcon,
+  NotificationsNone as BellEmptyIcon,
+  Settings as SettingsIcon,
+  Close as DismissIcon,
+} from '@mui/icons-material';
+import dayjs from 'dayjs';
+import relativeTime from 'dayjs/plugin/relativeTime';
+import { notificationAPI } from '../../services/api';
+import NotificationSettingsDialog from '../NotificationSettingsDialog';
+
+dayjs.extend(relativeTime);
+
+const POLL_INTERVAL_MS = 60000;
+
+const SEVERITY_COLORS = {
+  info: 'info.main',
+  success: 'success.main',
+  warning: 'warning.main',
+  error: 'error.main',
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+
+  const refreshCount = useCallback(async () => {
+    try {
+      const { data } = await notificationAPI.getUnreadCount();
+      setUnreadCount(data);
+    } catch (err) {
+      // Badge stays as it was; the next poll retries
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshCount();
+    const timer = setInterval(refreshCount, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [refreshCount]);
+
+  const openMenu = async (event) => {
+    setAnchorEl(event.currentTarget);
+    setIsLoading(true);
+    try {
+      const { data, unreadCount: count } = await notificationAPI.getAll({ limit: 20 });
+      setNotifications(data);
+      setUnreadCount(count);
+    } catch (err) {
+      setNotifications([]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleOpenNotification = async (notification) => {
+    if (!notification.readAt) {
+      try {
+        await notificationAPI.markRead(notification._id);
+        setNotifications(prev => prev.map(n => (n._id === notification._id ? { ...n, readAt: new Date().toISOString() } : n)));
+        setUnreadCount(prev => Math.max(0, prev - 1));
+      } catch (err) {
+        // Still follow the link
+      }
+    }
+    if (notification.link) {
+      setAnchorEl(null);
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      const now = new Date().toISOString();
+      setNotifications(prev => prev.map(n => ({ ...n, readAt: n.readAt || now })));
+      setUnreadCount(0);
+    } catch (err) {
+      // Leave the list unchanged
+    }
+  };
+
+  const handleDismiss = async (event, notification) => {
+    event.stopPropagation();
+    try {
+      await notificationAPI.delete(notification._id);
+      setNotifications(prev => prev.filter(n => n._id !== notification._id));
+      if (!notification.readAt) setUnreadCount(prev => Math.max(0, prev - 1));
+    } catch (err) {
+      // Leave the list unchanged
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title="Notifications">
+        <IconButton color="inherit" onClick={openMenu} aria-label="Notifications">
+          <Badge badgeContent={unreadCount} color="error" max={99}>
+            {unreadCount > 0 ? <BellIcon /> : <BellEmptyIcon />}
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        PaperProps={{ sx: { width: 380, maxWidth: '95vw', borderRadius: 3 } }}
+        MenuListProps={{ disablePadding: true }}
+      >
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', px: 2, py: 1.5 }}>
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+            Notifications
+          </Typography>
+          <Box>
+            <Button size="small" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+              Mark all read
+            </Button>
+            <Tooltip title="Notification settings">
+              <IconButton size="small" onClick={() => { setAnchorEl(null); setSettingsOpen(true); }}>
+                <SettingsIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        </Box>
+        <Divider />
+
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : notifications.length === 0 ? (
+          <Typography color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+            You're all caught up.
+          </Typography>
+        ) : (
+          <List disablePadding sx={{ maxHeight: 420, overflowY: 'auto' }}>
+            {notifications.map(notification => (
+              <ListItemButton
+                key={notification._id}
+                onClick={() => handleOpenNotification(notification)}
+                sx={{
+                  alignItems: 'flex-start',
+                  borderLeft: 3,
+                  borderColor: notification.readAt ? 'transparent' : SEVERITY_COLORS[notification.severity],
+                  bgcolor: notification.readAt ? 'transparent' : 'action.hover',
+                }}
+              >
+                <ListItemText
+                  primary={notification.title}
+                  secondary={
+                    <>
+                      {notification.message}
+                      <Typography component="span" variant="caption" display="block" color="text.disabled">
+                        {dayjs(notification.createdAt).fromNow()}
+                      </Typography>
+                    </>
+                  }
+                  primaryTypographyProps={{ fontWeight: notification.readAt ? 400 : 600, variant: 'body2' }}
+                  secondaryTypographyProps={{ variant: 'caption' }}
+                />
+                <IconButton size="small" onClick={(event) => handleDismiss(event, notification)} aria-label="Dismiss">
+                  <DismissIcon fontSize="small" />
+                </IconButton>
+              </ListItemButton>
+            ))}
+          </List>
+        )}
+      </Menu>
+
+      <NotificationSettingsDialog open={settingsOpen} onClose={() => setSettingsOpen(false)} />
+    </>
+  );
+};
+
+export default NotificationBell;
@@ -20,6 +20,9 @@ import {
   AccountBalance as TransactionIcon,
   Analytics as AnalyticsIcon,
   CloudUpload as UploadIcon,
+  Category as CategoryIcon,
+  EventRepeat as RecurringIcon,
+  Savings as BudgetIcon,
   Logout as LogoutIcon,
   AccountCircle as ProfileIcon,
 } from '@mui/icons-material';
@@ -32,6 +35,9 @@ const menuItems = [
   { text: 'Transactions', icon: <TransactionIcon />, path: '/transactions' },
   { text: 'Analytics', icon: <AnalyticsIcon />, path: '/analytics' },
   { text: 'Upload', icon: <UploadIcon />, path: '/upload' },
+  { text: 'Budgets', icon: <BudgetIcon />, path: '/budgets' },
+  { text: 'Recurring', icon: <RecurringIcon />, path: '/recurring' },
+  { text: 'Categories', icon: <CategoryIcon />, path: '/categories' },
 ];
 
 const Sidebar = ({ mobileOpen, handleDrawerToggle, isMobile }) => {
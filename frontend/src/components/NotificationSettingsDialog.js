@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Checkbox,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { notificationAPI } from '../services/api';
+import { isPushSupported, getPushSubscription, enablePush, disablePush } from '../services/pushNotifications';
+
+const CHANNELS = [
+  { key: 'inApp', label: 'In app' },
+  { key: 'email', label: 'Email' },
+  { key: 'push', label: 'Browser push' },
+];
+
+const NotificationSettingsDialog = ({ open, onClose }) => {
+  const [events, setEvents] = useState([]);
+  const [availableChannels, setAvailableChannels] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const load = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const { data } = await notificationAPI.getPreferences();
+        setEvents(data.events);
+        setAvailableChannels(data.availableChannels);
+        setPushEnabled(Boolean(await getPushSubscription()));
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load notification settings');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, [open]);
+
+  const toggle = (event, channel) => {
+    setEvents(prev => prev.map(item => (
+      item.event === event
+        ? { ...item, channels: { ...item.channels, [channel]: !item.channels[channel] } }
+        : item
+    )));
+  };
+
+  const handleTogglePush = async () => {
+    setError(null);
+    try {
+      if (pushEnabled) {
+        await disablePush();
+        setPushEnabled(false);
+      } else {
+        await enablePush();
+        setPushEnabled(true);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to update browser notifications');
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const preferences = Object.fromEntries(events.map(item => [item.event, item.channels]));
+      await notificationAPI.updatePreferences(preferences);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.details?.[0] || err.response?.data?.error || 'Failed to save notification settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle>Notification Settings</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Event</TableCell>
+                  {CHANNELS.map(channel => (
+                    <TableCell key={channel.key} align="center">{channel.label}</TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {events.map(item => (
+                  <TableRow key={item.event}>
+                    <TableCell>{item.label}</TableCell>
+                    {CHANNELS.map(channel => (
+                      <TableCell key={channel.key} align="center">
+                        <Checkbox
+                          checked={Boolean(item.channels[channel.key])}
+                          onChange={() => toggle(item.event, channel.key)}
+                          disabled={!availableChannels[channel.key]}
+                        />
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {(!availableChannels.email || !availableChannels.push) && (
+              <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                Greyed-out channels are not set up on the server.
+              </Typography>
+            )}
+
+            {availableChannels.push && isPushSupported() && (
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mt: 3 }}>
+                <Typography variant="body2">
+                  {pushEnabled ? 'This browser receives push notifications.' : 'This browser is not receiving push notifications.'}
+                </Typography>
+                <Button size="small" variant="outlined" onClick={handleTogglePush}>
+                  {pushEnabled ? 'Turn off' : 'Turn on'}
+                </Button>
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ p: 3 }}>
+        <Button onClick={onClose} color="inherit">Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={isLoading || isSaving}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default NotificationSettingsDialog;
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  CircularProgress,
+} from '@mui/material';
+import { Translate as TranslateIcon } from '@mui/icons-material';
+import { uploadAPI } from '../services/api';
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.details?.[0] || err.response?.data?.error || err.message || fallback;
+
+const ENGINE_OPTIONS = [
+  { value: 'auto', label: 'Automatic (best result)' },
+  { value: 'tesseract', label: 'Tesseract (on this server)' },
+  { value: 'google-vision', label: 'Google Vision' },
+];
+
+// Engine and reading languages for receipt and statement OCR; only installed language packs can be picked
+const OcrSettingsDialog = ({ open, onClose }) => {
+  const [settings, setSettings] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setError(null);
+    setIsLoading(true);
+    uploadAPI.getOcrSettings()
+      .then(({ data }) => setSettings(data))
+      .catch(err => setError(errorMessage(err, 'Failed to load OCR settings')))
+      .finally(() => setIsLoading(false));
+  }, [open]);
+
+  const toggleLanguage = (code) => {
+    setSettings(prev => ({
+      ...prev,
+      languages: prev.languages.includes(code)
+        ? prev.languages.filter(language => language !== code)
+        : [...prev.languages, code],
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await uploadAPI.updateOcrSettings({
+        preference: settings.preference,
+        languages: settings.languages,
+        detectLanguage: settings.detectLanguage,
+      });
+      onClose();
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save OCR settings'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <TranslateIcon color="primary" /> OCR settings
+      </DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {isLoading || !settings ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            {isLoading && <CircularProgress size={32} />}
+          </Box>
+        ) : (
+          <>
+            <FormControl fullWidth sx={{ mt: 1, mb: 3 }}>
+              <InputLabel>OCR engine</InputLabel>
+              <Select
+                label="OCR engine"
+                value={settings.preference}
+                onChange={(event) => setSettings(prev => ({ ...prev, preference: event.target.value }))}
+              >
+                {ENGINE_OPTIONS.map(option => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <Typography variant="subtitle2" gutterBottom>Languages on your receipts</Typography>
+            {settings.installedLanguages.length === 0 ? (
+              <Alert severity="warning">No language packs are installed on the server.</Alert>
+            ) : (
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                {settings.installedLanguages.map(({ code, name }) => (
+                  <Chip
+                    key={code}
+                    label={name}
+                    color={settings.languages.includes(code) ? 'primary' : 'default'}
+                    variant={settings.languages.includes(code) ? 'filled' : 'outlined'}
+                    onClick={() => toggleLanguage(code)}
+                  />
+                ))}
+              </Box>
+            )}
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+              Each extra language makes reading slower, so pick only the ones you need.
+            </Typography>
+
+            <FormControlLabel
+              sx={{ mt: 2 }}
+              control={(
+                <Switch
+                  checked={settings.detectLanguage}
+                  onChange={(event) => setSettings(prev => ({ ...prev, detectLanguage: event.target.checked }))}
+                />
+              )}
+              label="Detect other languages automatically"
+            />
+            {settings.detectLanguage && !settings.scriptDetectionAvailable && (
+              <Typography variant="caption" color="text.secondary" display="block">
+                Only Latin-script languages can be detected until the server has script detection installed.
+              </Typography>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={!settings || isSaving || settings.languages.length === 0 || settings.languages.length > 5}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default OcrSettingsDialog;
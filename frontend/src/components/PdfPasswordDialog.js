@@ -0,0 +1,156 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  IconButton,
+  Tooltip,
+  Typography,
+  Box,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  Divider,
+} from '@mui/material';
+import { Delete as DeleteIcon, Lock as LockIcon } from '@mui/icons-material';
+import { uploadAPI } from '../services/api';
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.details?.[0] || err.response?.data?.error || err.message || fallback;
+
+// Asks for the password of an encrypted statement; the saved hints only remind the user how it is built
+const PdfPasswordDialog = ({ open, fileName, incorrect, hints: initialHints, onSubmit, onClose }) => {
+  const [password, setPassword] = useState('');
+  const [hints, setHints] = useState([]);
+  const [newHint, setNewHint] = useState({ bank: '', hint: '' });
+  const [isSavingHint, setIsSavingHint] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setPassword('');
+    setHints(initialHints || []);
+    setNewHint({ bank: '', hint: '' });
+    setError(null);
+  }, [open, initialHints]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (password) onSubmit(password);
+  };
+
+  const handleAddHint = async () => {
+    setIsSavingHint(true);
+    setError(null);
+    try {
+      const { data } = await uploadAPI.addPasswordHint(newHint);
+      setHints(data);
+      setNewHint({ bank: '', hint: '' });
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save the hint'));
+    } finally {
+      setIsSavingHint(false);
+    }
+  };
+
+  const handleDeleteHint = async (hintId) => {
+    setError(null);
+    try {
+      const { data } = await uploadAPI.deletePasswordHint(hintId);
+      setHints(data);
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to delete the hint'));
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <LockIcon color="primary" /> Password-protected statement
+      </DialogTitle>
+      <form onSubmit={handleSubmit}>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {fileName} is encrypted. Its password is used once to read the file and is not saved.
+          </Typography>
+
+          {incorrect && <Alert severity="warning" sx={{ mb: 2 }}>That password did not open the PDF. Please try again.</Alert>}
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+          <TextField
+            type="password"
+            label="PDF password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            autoComplete="off"
+            autoFocus
+            fullWidth
+          />
+
+          <Divider sx={{ my: 3 }} />
+
+          <Typography variant="subtitle2" gutterBottom>Password hints</Typography>
+          {hints.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">No hints saved yet.</Typography>
+          ) : (
+            <List dense disablePadding>
+              {hints.map((item) => (
+                <ListItem
+                  key={item.id}
+                  disableGutters
+                  secondaryAction={(
+                    <Tooltip title="Delete hint">
+                      <IconButton edge="end" size="small" onClick={() => handleDeleteHint(item.id)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                >
+                  <ListItemText primary={item.bank} secondary={item.hint} />
+                </ListItem>
+              ))}
+            </List>
+          )}
+
+          <Box sx={{ display: 'flex', gap: 1, mt: 2, alignItems: 'flex-start' }}>
+            <TextField
+              size="small"
+              label="Bank"
+              value={newHint.bank}
+              onChange={(event) => setNewHint(prev => ({ ...prev, bank: event.target.value }))}
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              size="small"
+              label="Hint"
+              placeholder="e.g. first 4 letters of name + DDMM"
+              value={newHint.hint}
+              onChange={(event) => setNewHint(prev => ({ ...prev, hint: event.target.value }))}
+              sx={{ flex: 2 }}
+            />
+            <Button
+              variant="outlined"
+              onClick={handleAddHint}
+              disabled={isSavingHint || !newHint.bank.trim() || !newHint.hint.trim()}
+            >
+              Save
+            </Button>
+          </Box>
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+            Describe how the password is made; never type the password itself into a hint.
+          </Typography>
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={!password}>Unlock and upload</Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default PdfPasswordDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Dialog,
@@ -18,6 +18,8 @@ import {
   IconButton,
   Typography,
   Chip,
+  Autocomplete,
+  Tooltip,
 } from '@mui/material';
 import { DateTimePicker } from '@mui/x-date-pickers/DateTimePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
@@ -26,37 +28,63 @@ import {
   CurrencyRupee as MoneyIcon, 
   Close as CloseIcon,
   Save as SaveIcon,
-  Edit as EditIcon 
+  Edit as EditIcon,
+  CallSplit as SplitIcon,
+  Add as AddIcon,
+  DeleteOutline as RemoveIcon,
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 import dayjs from 'dayjs';
 import { createTransaction, updateTransaction } from '../features/transactions/transactionSlice';
+import { fetchCategories, orderCategoriesAsTree } from '../features/categories/categorySlice';
+import { merchantAPI } from '../services/api';
 
-const categories = {
-  income: [
-    'Salary', 'Freelance', 'Investment', 'Rental Income', 'Business Income',
-    'Gift Received', 'Bonus', 'Interest', 'Dividend', 'Other Income'
-  ],
-  expense: [
-    'Food & Dining', 'Transportation', 'Shopping', 'Entertainment', 'Bills & Utilities',
-    'Healthcare', 'Education', 'Travel', 'Rent', 'Insurance', 'Groceries',
-    'Fuel', 'Internet', 'Mobile', 'Clothing', 'Personal Care', 'Other Expense'
-  ]
-};
+const emptyAllocation = () => ({ category: '', amount: '', note: '' });
+
+const toAllocationRows = (allocations = []) => allocations.map(allocation => ({
+  category: allocation.category,
+  amount: allocation.amount?.toString() || '',
+  note: allocation.note || '',
+}));
 
 const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) => {
   const dispatch = useDispatch();
   const { error, isLoading } = useSelector((state) => state.transactions);
+  const { items: categoryItems, isLoaded: categoriesLoaded } = useSelector((state) => state.categories);
   
   const [formData, setFormData] = useState({
     amount: '',
     type: 'expense',
     category: '',
     description: '',
+    merchant: '',
     date: dayjs(),
   });
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
+  const [merchants, setMerchants] = useState([]);
+  // Parts of a split across categories; empty when the whole amount goes to one category
+  const [allocations, setAllocations] = useState([]);
+  const isSplit = allocations.length > 0;
+
+  useEffect(() => {
+    if (open && !categoriesLoaded) {
+      dispatch(fetchCategories());
+    }
+  }, [open, categoriesLoaded, dispatch]);
+
+  // The user's categories for the selected type, parents followed by their subcategories
+  const categoryOptions = useMemo(
+    () => orderCategoriesAsTree(categoryItems, formData.type),
+    [categoryItems, formData.type]
+  );
+
+  useEffect(() => {
+    if (!open) return;
+    merchantAPI.getAll()
+      .then(({ data }) => setMerchants(data))
+      .catch(() => setMerchants([]));
+  }, [open]);
 
   useEffect(() => {
     if (editData) {
@@ -65,21 +93,61 @@ const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) =
         type: editData.type || 'expense',
         category: editData.category || '',
         description: editData.description || '',
+        merchant: editData.merchant || '',
         date: editData.date ? dayjs(editData.date) : dayjs(),
       });
+      setAllocations(toAllocationRows(editData.allocations));
     } else {
       setFormData({
         amount: '',
         type: 'expense',
         category: '',
         description: '',
+        merchant: '',
         date: dayjs(),
       });
+      setAllocations([]);
     }
     setErrors({});
     setTouched({});
   }, [editData, open]);
 
+  const allocatedTotal = allocations.reduce((sum, allocation) => sum + (parseFloat(allocation.amount) || 0), 0);
+  const unallocated = Math.round(((parseFloat(formData.amount) || 0) - allocatedTotal) * 100) / 100;
+
+  // The split must cover the amount exactly, like the server checks
+  const splitError = useMemo(() => {
+    if (!isSplit) return null;
+    if (allocations.some(allocation => !allocation.category || !(parseFloat(allocation.amount) > 0))) {
+      return 'Every allocation needs a category and an amount';
+    }
+    if (unallocated > 0) return `₹${unallocated.toLocaleString('en-IN')} left to allocate`;
+    if (unallocated < 0) return `₹${(-unallocated).toLocaleString('en-IN')} more than the amount`;
+    return null;
+  }, [isSplit, allocations, unallocated]);
+
+  const startSplit = () => {
+    setErrors(({ category, ...rest }) => rest);
+    setAllocations([
+      { ...emptyAllocation(), category: formData.category, amount: formData.amount },
+      emptyAllocation(),
+    ]);
+  };
+
+  const setAllocationField = (index, field) => (event) => {
+    const { value } = event.target;
+    setAllocations(prev => prev.map((allocation, i) => (i === index ? { ...allocation, [field]: value } : allocation)));
+  };
+
+  // A new allocation starts with whatever is left of the amount
+  const addAllocation = () => {
+    setAllocations(prev => [...prev, { ...emptyAllocation(), amount: unallocated > 0 ? unallocated.toString() : '' }]);
+  };
+
+  const removeAllocation = (index) => {
+    setAllocations(prev => prev.filter((_, i) => i !== index));
+  };
+
   const validateField = (name, value) => {
     const newErrors = { ...errors };
     
@@ -123,7 +191,8 @@ const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) =
   };
 
   const validateForm = () => {
-    const fieldsToValidate = ['amount', 'type', 'category'];
+    // A split is filed under its largest part, so the category field is not used
+    const fieldsToValidate = isSplit ? ['amount', 'type'] : ['amount', 'type', 'category'];
     let isValid = true;
     
     fieldsToValidate.forEach(field => {
@@ -137,7 +206,7 @@ const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) =
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    if (!validateForm()) return;
+    if (!validateForm() || splitError) return;
 
     const transactionData = {
       amount: parseFloat(formData.amount),
@@ -147,6 +216,23 @@ const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) =
       date: formData.date.toISOString(),
     };
 
+    if (isSplit) {
+      transactionData.allocations = allocations.map(allocation => ({
+        category: allocation.category,
+        amount: parseFloat(allocation.amount),
+        note: allocation.note.trim(),
+      }));
+      delete transactionData.category;
+    } else if (editData?.allocations?.length > 0) {
+      // Removing the split on edit puts the whole amount back under the category
+      transactionData.allocations = [];
+    }
+
+    // Send an empty merchant on edit so clearing the field unlinks it
+    if (formData.merchant.trim() || editData) {
+      transactionData.merchant = formData.merchant.trim();
+    }
+
     try {
       if (editData) {
         await dispatch(updateTransaction({ id: editData._id, data: transactionData })).unwrap();
@@ -165,8 +251,10 @@ const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) =
       type: 'expense',
       category: '',
       description: '',
+      merchant: '',
       date: dayjs(),
     });
+    setAllocations([]);
     setErrors({});
     setTouched({});
     onClose();
@@ -178,6 +266,7 @@ const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) =
     
     if (field === 'type') {
       setFormData(prev => ({ ...prev, category: '' }));
+      setAllocations([]);
     }
     
     if (touched[field]) {
@@ -185,6 +274,21 @@ const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) =
     }
   };
 
+  const handleMerchantChange = (event, value) => {
+    const name = typeof value === 'string' ? value : value?.name || '';
+    const known = merchants.find(m => m.name.toLowerCase() === name.trim().toLowerCase());
+
+    setFormData(prev => {
+      const next = { ...prev, merchant: name };
+      // Prefill the category the merchant is usually filed under, without overriding a choice
+      const isOption = categoryItems.some(c => c.kind === prev.type && c.name === known?.defaultCategory);
+      if (!prev.category && known?.defaultCategory && isOption) {
+        next.category = known.defaultCategory;
+      }
+      return next;
+    });
+  };
+
   const handleBlur = (field) => () => {
     setTouched(prev => ({ ...prev, [field]: true }));
     validateField(field, formData[field]);
@@ -295,23 +399,55 @@ const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) =
                       onChange={handleChange('category')}
                       onBlur={handleBlur('category')}
                       label="Category *"
-                      disabled={!formData.type || viewMode}
-                      required
+                      disabled={!formData.type || viewMode || isSplit}
+                      required={!isSplit}
                     >
-                      {formData.type && categories[formData.type].map((category) => (
-                        <MenuItem key={category} value={category}>
-                          {category}
+                      {categoryOptions.map((category) => (
+                        <MenuItem key={category._id} value={category.name} sx={{ pl: 2 + category.depth * 2 }}>
+                          {category.icon && <Box component="span" sx={{ mr: 1 }}>{category.icon}</Box>}
+                          {category.name}
                         </MenuItem>
                       ))}
+                      {/* Keep a category that was removed since the transaction was saved selectable */}
+                      {formData.category && !categoryOptions.some(c => c.name === formData.category) && (
+                        <MenuItem value={formData.category}>{formData.category}</MenuItem>
+                      )}
                     </Select>
-                    {errors.category && (
+                    {errors.category && !isSplit && (
                       <Typography variant="caption" color="error" sx={{ ml: 2, mt: 0.5 }}>
                         {errors.category}
                       </Typography>
                     )}
+                    {isSplit && (
+                      <Typography variant="caption" color="text.secondary" sx={{ ml: 2, mt: 0.5 }}>
+                        Filed under the largest allocation
+                      </Typography>
+                    )}
                   </FormControl>
                 </Grid>
 
+                <Grid item xs={12} sm={6}>
+                  <Autocomplete
+                    freeSolo
+                    options={merchants.map(m => m.name)}
+                    value={formData.merchant}
+                    onChange={handleMerchantChange}
+                    onInputChange={(event, value, reason) => {
+                      if (reason === 'input') handleMerchantChange(event, value);
+                    }}
+                    disabled={viewMode}
+                    renderInput={(params) => (
+                      <TextField
+                        {...params}
+                        fullWidth
+                        label="Merchant (Optional)"
+                        placeholder="e.g. Amazon, Swiggy"
+                        inputProps={{ ...params.inputProps, maxLength: 200 }}
+                      />
+                    )}
+                  />
+                </Grid>
+
                 <Grid item xs={12} sm={6}>
                   <DateTimePicker
                     label="Date & Time"
@@ -339,6 +475,100 @@ const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) =
                     inputProps={{ maxLength: 500 }}
                   />
                 </Grid>
+
+                <Grid item xs={12}>
+                  {!isSplit ? (
+                    !viewMode && (
+                      <Button size="small" startIcon={<SplitIcon />} onClick={startSplit} disabled={!formData.type}>
+                        Split across categories
+                      </Button>
+                    )
+                  ) : (
+                    <Box sx={{ border: 1, borderColor: 'divider', borderRadius: 2, p: 2 }}>
+                      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+                        <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <SplitIcon fontSize="small" color="primary" /> Split across categories
+                        </Typography>
+                        {!viewMode && (
+                          <Button size="small" color="inherit" onClick={() => setAllocations([])}>
+                            Remove split
+                          </Button>
+                        )}
+                      </Box>
+
+                      {allocations.map((allocation, index) => (
+                        <Grid container spacing={2} key={index} sx={{ mb: 1 }} alignItems="center">
+                          <Grid item xs={12} sm={4}>
+                            <TextField
+                              select
+                              fullWidth
+                              size="small"
+                              label="Category"
+                              value={allocation.category}
+                              onChange={setAllocationField(index, 'category')}
+                              disabled={viewMode}
+                            >
+                              {categoryOptions.map((category) => (
+                                <MenuItem key={category._id} value={category.name} sx={{ pl: 2 + category.depth * 2 }}>
+                                  {category.icon && <Box component="span" sx={{ mr: 1 }}>{category.icon}</Box>}
+                                  {category.name}
+                                </MenuItem>
+                              ))}
+                              {allocation.category && !categoryOptions.some(c => c.name === allocation.category) && (
+                                <MenuItem value={allocation.category}>{allocation.category}</MenuItem>
+                              )}
+                            </TextField>
+                          </Grid>
+                          <Grid item xs={6} sm={3}>
+                            <TextField
+                              fullWidth
+                              size="small"
+                              label="Amount"
+                              type="number"
+                              value={allocation.amount}
+                              onChange={setAllocationField(index, 'amount')}
+                              disabled={viewMode}
+                              inputProps={{ min: 0, step: 0.01 }}
+                            />
+                          </Grid>
+                          <Grid item xs={6} sm={4}>
+                            <TextField
+                              fullWidth
+                              size="small"
+                              label="Note (Optional)"
+                              value={allocation.note}
+                              onChange={setAllocationField(index, 'note')}
+                              disabled={viewMode}
+                              inputProps={{ maxLength: 200 }}
+                            />
+                          </Grid>
+                          <Grid item xs={12} sm={1} sx={{ textAlign: 'right' }}>
+                            {!viewMode && (
+                              <Tooltip title="Remove allocation">
+                                <span>
+                                  <IconButton size="small" onClick={() => removeAllocation(index)} disabled={allocations.length <= 2}>
+                                    <RemoveIcon fontSize="small" />
+                                  </IconButton>
+                                </span>
+                              </Tooltip>
+                            )}
+                          </Grid>
+                        </Grid>
+                      ))}
+
+                      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mt: 1 }}>
+                        {!viewMode ? (
+                          <Button size="small" startIcon={<AddIcon />} onClick={addAllocation}>
+                            Add allocation
+                          </Button>
+                        ) : <span />}
+                        <Typography variant="caption" color={splitError ? 'error' : 'success.main'}>
+                          {splitError || 'Fully allocated'}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  )}
+                </Grid>
               </Grid>
             </DialogContent>
 
@@ -360,7 +590,7 @@ const TransactionForm = ({ open, onClose, editData = null, viewMode = false }) =
                     variant="contained" 
                     color="primary"
                     size="large"
-                    disabled={isLoading || Object.keys(errors).length > 0}
+                    disabled={isLoading || Object.keys(errors).length > 0 || Boolean(splitError)}
                     startIcon={<SaveIcon />}
                   >
                     {isLoading ? 'Saving...' : editData ? 'Update Transaction' : 'Add Transaction'}
@@ -0,0 +1,149 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { categoryAPI } from '../../services/api';
+import { logout } from '../auth/authSlice';
+
+const errorMessage = (error, fallback) =>
+  error.response?.data?.error || error.response?.data?.message || error.message || fallback;
+
+export const fetchCategories = createAsyncThunk(
+  'categories/fetchAll',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await categoryAPI.getAll();
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, 'Failed to fetch categories'));
+    }
+  }
+);
+
+export const createCategory = createAsyncThunk(
+  'categories/create',
+  async (categoryData, { rejectWithValue }) => {
+    try {
+      const response = await categoryAPI.create(categoryData);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, 'Failed to create category'));
+    }
+  }
+);
+
+// Renames re-tag transactions on the server, so the full list is reloaded afterwards
+export const updateCategory = createAsyncThunk(
+  'categories/update',
+  async ({ id, data }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await categoryAPI.update(id, data);
+      dispatch(fetchCategories());
+      return response;
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, 'Failed to update category'));
+    }
+  }
+);
+
+export const mergeCategories = createAsyncThunk(
+  'categories/merge',
+  async ({ id, mergeIds }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await categoryAPI.merge(id, mergeIds);
+      dispatch(fetchCategories());
+      return response;
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, 'Failed to merge categories'));
+    }
+  }
+);
+
+export const deleteCategory = createAsyncThunk(
+  'categories/delete',
+  async ({ id, reassignTo }, { dispatch, rejectWithValue }) => {
+    try {
+      const response = await categoryAPI.delete(id, reassignTo);
+      dispatch(fetchCategories());
+      return response;
+    } catch (error) {
+      return rejectWithValue(errorMessage(error, 'Failed to delete category'));
+    }
+  }
+);
+
+/**
+ * Order categories so every parent is followed by its subcategories, with a depth for indenting
+ * @param {Array} items - Flat category list from the API
+ * @param {string} kind - Optional 'income' or 'expense' filter
+ * @returns {Array} - Categories with an added `depth`
+ */
+export const orderCategoriesAsTree = (items, kind) => {
+  const list = kind ? items.filter(c => c.kind === kind) : items;
+  const ids = new Set(list.map(c => c._id));
+  const childrenOf = (parentId) => list
+    .filter(c => (parentId ? c.parent === parentId : !c.parent || !ids.has(c.parent)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const ordered = [];
+  const visit = (category, depth) => {
+    ordered.push({ ...category, depth });
+    childrenOf(category._id).forEach(child => visit(child, depth + 1));
+  };
+  childrenOf(null).forEach(root => visit(root, 0));
+  return ordered;
+};
+
+/**
+ * Map category names to their configured colors, falling back to the parent's color
+ * @param {Array} items - Flat category list from the API
+ * @returns {Object} - { [categoryName]: '#rrggbb' }
+ */
+export const getCategoryColorMap = (items) => {
+  const byId = Object.fromEntries(items.map(c => [c._id, c]));
+  return items.reduce((colors, category) => {
+    const color = category.color || byId[category.parent]?.color;
+    if (color) colors[category.name] = color;
+    return colors;
+  }, {});
+};
+
+const categorySlice = createSlice({
+  name: 'categories',
+  initialState: {
+    items: [],
+    isLoaded: false,
+    isLoading: false,
+    error: null,
+  },
+  reducers: {
+    clearCategoryError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchCategories.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchCategories.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.isLoaded = true;
+        state.items = action.payload;
+      })
+      .addCase(fetchCategories.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+      // Mutation errors are returned to the caller through unwrap()
+      .addCase(createCategory.fulfilled, (state, action) => {
+        state.items.push({ ...action.payload, transactionCount: 0 });
+      })
+      // Categories are per user; drop them so the next login loads its own
+      .addCase(logout, (state) => {
+        state.items = [];
+        state.isLoaded = false;
+      });
+  },
+});
+
+export const { clearCategoryError } = categorySlice.actions;
+export default categorySlice.reducer;
@@ -105,6 +105,7 @@ export const createTransaction = createAsyncThunk(
         date: transactionData.date || new Date().toISOString(),
         type: (transactionData.type || 'expense').toLowerCase(),
         ...(transactionData.merchant && { merchant: transactionData.merchant.trim() }),
+        ...(transactionData.allocations?.length > 0 && { allocations: transactionData.allocations }),
         ...(transactionData.source && { source: transactionData.source }),
         ...(transactionData.extractedText && { extractedText: transactionData.extractedText }),
         ...(transactionData.parsingMethod && { parsingMethod: transactionData.parsingMethod }),
@@ -117,7 +118,8 @@ export const createTransaction = createAsyncThunk(
         return rejectWithValue('Amount must be greater than 0');
       }
 
-      if (!validatedData.category.trim()) {
+      // A split is filed under its largest allocation by the server
+      if (!validatedData.category.trim() && !validatedData.allocations) {
         return rejectWithValue('Category is required');
       }
 
@@ -193,6 +195,7 @@ export const createBulkTransactions = createAsyncThunk(
 
         return {
           transactions: validatedTransactions,
+          results: data.results || [],
           summary: data.summary || null
         };
       } else {
@@ -292,6 +295,10 @@ export const deleteTransaction = createAsyncThunk(
   }
 );
 
+// Cache key for a stats query; pages asking for different ranges of the same grouping keep separate results
+export const statsKey = ({ groupBy, startDate, endDate, type, category } = {}) =>
+  [groupBy, startDate, endDate, type, category].map(value => value || '').join('|');
+
 // ✅ Fetch transaction statistics
 export const fetchTransactionStats = createAsyncThunk(
   'transactions/fetchStats',
@@ -303,6 +310,10 @@ export const fetchTransactionStats = createAsyncThunk(
       if (params.startDate) queryParams.append('startDate', params.startDate);
       if (params.endDate) queryParams.append('endDate', params.endDate);
       if (params.groupBy) queryParams.append('groupBy', params.groupBy);
+      if (params.type) queryParams.append('type', params.type);
+      if (params.category) queryParams.append('category', params.category);
+      // Bucket days/weeks/months in the browser's timezone unless told otherwise
+      queryParams.append('timezone', params.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone);
 
       const response = await fetch(`${process.env.REACT_APP_API_URL}/transactions/stats?${queryParams}`, {
         method: 'GET',
@@ -339,8 +350,10 @@ const transactionSlice = createSlice({
     optimisticData: {},
     pagination: null,
     summary: null,
-    stats: null,
+    // /transactions/stats responses by statsKey(params)
+    stats: {},
     isLoading: false,
+    isStatsLoading: false,
     isCreating: false,
     isUpdating: false,
     isDeleting: false,
@@ -671,16 +684,16 @@ const transactionSlice = createSlice({
 
       // ✅ Fetch stats
       .addCase(fetchTransactionStats.pending, (state) => {
-        state.isLoading = true;
+        state.isStatsLoading = true;
         state.error = null;
       })
       .addCase(fetchTransactionStats.fulfilled, (state, action) => {
-        state.isLoading = false;
-        state.stats = action.payload;
-        console.log('✅ Redux: Transaction stats loaded');
+        state.isStatsLoading = false;
+        state.stats = { ...state.stats, [statsKey(action.meta.arg)]: action.payload };
+        console.log('✅ Redux: Transaction stats loaded:', action.payload.groupBy);
       })
       .addCase(fetchTransactionStats.rejected, (state, action) => {
-        state.isLoading = false;
+        state.isStatsLoading = false;
         state.error = action.payload;
         console.error('❌ Redux: Failed to fetch stats:', action.payload);
       });
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Box,
@@ -42,7 +42,8 @@ import {
   CalendarToday,
 } from '@mui/icons-material';
 import dayjs from 'dayjs';
-import { fetchTransactions } from '../features/transactions/transactionSlice';
+import { fetchTransactionStats, statsKey } from '../features/transactions/transactionSlice';
+import { fetchCategories, getCategoryColorMap } from '../features/categories/categorySlice';
 
 // ✅ FIXED: Safe currency formatter with proper null/undefined handling
 const formatCurrency = (value) => {
@@ -145,37 +146,48 @@ const StatCard = ({ title, value, icon, color, subtitle, trend = null }) => {
   );
 };
 
+const CATEGORY_COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff7c7c', '#8dd1e1', '#d084d0', '#ffb347', '#87ceeb'];
+
+const emptyStatistics = {
+  totalIncome: 0,
+  totalExpenses: 0,
+  totalSavings: 0,
+  averageExpenditure: 0,
+  transactionCount: 0,
+  avgDailySpending: 0,
+  highestExpense: 0,
+  highestIncome: 0,
+};
+
 const AnalyticsPage = () => {
   const dispatch = useDispatch();
-  const { data: transactions = [], isLoading, error } = useSelector((state) => state.transactions);
+  const { stats, isStatsLoading: isLoading, error } = useSelector((state) => state.transactions);
+  const { items: categoryItems, isLoaded: categoriesLoaded } = useSelector((state) => state.categories);
+  const categoryColors = useMemo(() => getCategoryColorMap(categoryItems), [categoryItems]);
   
   const [dateRange, setDateRange] = useState({
     startDate: dayjs().subtract(30, 'day'),
     endDate: dayjs(),
   });
 
-  const [filteredData, setFilteredData] = useState({
-    transactions: [],
-    statistics: {
-      totalIncome: 0,
-      totalExpenses: 0,
-      totalSavings: 0,
-      averageExpenditure: 0,
-      transactionCount: 0,
-      avgDailySpending: 0,
-      highestExpense: 0,
-      highestIncome: 0,
-    },
-    chartData: [],
-    categoryData: [],
-  });
+  // Range of the last submitted analysis, so chart buckets match the fetched stats
+  const [analyzedRange, setAnalyzedRange] = useState(null);
 
-  // Fetch transactions on component mount
+  // Fetch stats on component mount
   useEffect(() => {
     handleDateRangeSubmit();
   }, [dispatch]);
 
-  // Filter and analyze data when date range changes
+  useEffect(() => {
+    if (!categoriesLoaded) dispatch(fetchCategories());
+  }, [dispatch, categoriesLoaded]);
+
+  // Aggregate stats for the selected date range on the server
+  const rangeParams = (range) => ({
+    startDate: range.startDate.toISOString(),
+    endDate: range.endDate.toISOString(),
+  });
+
   const handleDateRangeSubmit = () => {
     if (!dateRange.startDate || !dateRange.endDate) {
       alert('Please select both start and end dates');
@@ -187,82 +199,45 @@ const AnalyticsPage = () => {
       return;
     }
 
-    // Fetch transactions for the selected date range
-    const params = {
-      startDate: dateRange.startDate.toISOString(),
-      endDate: dateRange.endDate.toISOString(),
-    };
+    const params = rangeParams(dateRange);
     
-    dispatch(fetchTransactions(params));
+    setAnalyzedRange({ ...dateRange });
+    dispatch(fetchTransactionStats({ ...params, groupBy: 'day' }));
+    dispatch(fetchTransactionStats({ ...params, groupBy: 'category' }));
   };
 
-  // Analyze data when transactions change
-  useEffect(() => {
-    if (transactions && transactions.length > 0) {
-      analyzeTransactionData();
-    } else {
-      // Reset data if no transactions
-      setFilteredData({
-        transactions: [],
-        statistics: {
-          totalIncome: 0,
-          totalExpenses: 0,
-          totalSavings: 0,
-          averageExpenditure: 0,
-          transactionCount: 0,
-          avgDailySpending: 0,
-          highestExpense: 0,
-          highestIncome: 0,
-        },
+  // Shape the aggregated stats for the cards and charts
+  const filteredData = useMemo(() => {
+    const params = analyzedRange && rangeParams(analyzedRange);
+    const dailyStats = params && stats[statsKey({ ...params, groupBy: 'day' })];
+    const categoryStats = params && stats[statsKey({ ...params, groupBy: 'category' })];
+
+    if (!analyzedRange || !dailyStats || !dailyStats.totals.count) {
+      return {
+        statistics: emptyStatistics,
         chartData: [],
         categoryData: [],
-      });
+      };
     }
-  }, [transactions]);
-
-  const analyzeTransactionData = () => {
-    // ✅ FIXED: Safe transaction data processing with amount validation
-    const safeTransactions = transactions.map(t => ({
-      ...t,
-      amount: parseAmount(t.amount)
-    }));
-
-    // Calculate basic statistics with safe amount handling
-    const stats = safeTransactions.reduce((acc, transaction) => {
-      const amount = transaction.amount; // Already safe from parseAmount
-      
-      if (transaction.type === 'income') {
-        acc.totalIncome += amount;
-        acc.highestIncome = Math.max(acc.highestIncome, amount);
-      } else if (transaction.type === 'expense') {
-        acc.totalExpenses += amount;
-        acc.highestExpense = Math.max(acc.highestExpense, amount);
-      }
-      acc.transactionCount++;
-      return acc;
-    }, {
-      totalIncome: 0,
-      totalExpenses: 0,
-      highestIncome: 0,
-      highestExpense: 0,
-      transactionCount: 0,
-    });
 
-    // Calculate derived statistics
-    stats.totalSavings = stats.totalIncome - stats.totalExpenses;
-    stats.averageExpenditure = stats.transactionCount > 0 ? stats.totalExpenses / stats.transactionCount : 0;
-    
-    // Calculate average daily spending
-    const daysDiff = Math.max(1, dateRange.endDate.diff(dateRange.startDate, 'day') + 1);
-    stats.avgDailySpending = stats.totalExpenses / daysDiff;
+    const { totals } = dailyStats;
+    const daysDiff = Math.max(1, analyzedRange.endDate.diff(analyzedRange.startDate, 'day') + 1);
+
+    const statistics = {
+      totalIncome: parseAmount(totals.income),
+      totalExpenses: parseAmount(totals.expense),
+      totalSavings: parseAmount(totals.net),
+      averageExpenditure: totals.count > 0 ? parseAmount(totals.expense) / totals.count : 0,
+      transactionCount: totals.count,
+      avgDailySpending: parseAmount(totals.expense) / daysDiff,
+      highestExpense: parseAmount(totals.highestExpense),
+      highestIncome: parseAmount(totals.highestIncome),
+    };
 
-    // Prepare daily chart data with safe amount handling
+    // Initialize all days in range with 0 values, then fill in the server buckets
     const dailyData = {};
-    
-    // Initialize all days in range with 0 values
-    for (let d = dayjs(dateRange.startDate); d.isBefore(dateRange.endDate) || d.isSame(dateRange.endDate, 'day'); d = d.add(1, 'day')) {
-      const dateKey = d.format('YYYY-MM-DD');
-      dailyData[dateKey] = {
+    for (let d = dayjs(analyzedRange.startDate); d.isBefore(analyzedRange.endDate) || d.isSame(analyzedRange.endDate, 'day'); d = d.add(1, 'day')) {
+      dailyData[d.format('YYYY-MM-DD')] = {
         date: d.format('MMM DD'),
         income: 0,
         expenses: 0,
@@ -270,49 +245,29 @@ const AnalyticsPage = () => {
       };
     }
 
-    // Fill in actual transaction data with safe amounts
-    safeTransactions.forEach(transaction => {
-      const date = dayjs(transaction.date).format('YYYY-MM-DD');
-      const amount = transaction.amount; // Already safe
-      
-      if (dailyData[date]) {
-        if (transaction.type === 'income') {
-          dailyData[date].income += amount;
-        } else if (transaction.type === 'expense') {
-          dailyData[date].expenses += amount;
-        }
-        dailyData[date].net = dailyData[date].income - dailyData[date].expenses;
-      }
-    });
-
-    const chartData = Object.values(dailyData).sort((a, b) => 
-      dayjs(a.date, 'MMM DD').valueOf() - dayjs(b.date, 'MMM DD').valueOf()
-    );
-
-    // Prepare category data for pie chart with safe amounts
-    const categoryBreakdown = {};
-    safeTransactions.forEach(transaction => {
-      if (transaction.type === 'expense') {
-        const category = transaction.category || 'Other';
-        categoryBreakdown[category] = (categoryBreakdown[category] || 0) + transaction.amount;
+    dailyStats.groups.forEach(group => {
+      if (dailyData[group.key]) {
+        dailyData[group.key].income = parseAmount(group.income);
+        dailyData[group.key].expenses = parseAmount(group.expense);
+        dailyData[group.key].net = parseAmount(group.net);
       }
     });
 
-    const categoryData = Object.entries(categoryBreakdown)
-      .map(([name, value], index) => ({
-        name,
-        value,
-        color: ['#8884d8', '#82ca9d', '#ffc658', '#ff7c7c', '#8dd1e1', '#d084d0', '#ffb347', '#87ceeb'][index % 8]
+    const categoryData = (categoryStats?.groups || [])
+      .filter(group => group.expense > 0)
+      .map((group, index) => ({
+        name: group.key || 'Other',
+        value: parseAmount(group.expense),
+        color: categoryColors[group.key] || CATEGORY_COLORS[index % CATEGORY_COLORS.length]
       }))
       .sort((a, b) => b.value - a.value);
 
-    setFilteredData({
-      transactions: safeTransactions,
-      statistics: stats,
-      chartData,
+    return {
+      statistics,
+      chartData: Object.values(dailyData),
       categoryData,
-    });
-  };
+    };
+  }, [stats, analyzedRange, categoryColors]);
 
   const resetDateRange = () => {
     setDateRange({
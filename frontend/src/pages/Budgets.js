@@ -0,0 +1,413 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  IconButton,
+  Tooltip,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Grid,
+  Alert,
+  Snackbar,
+  CircularProgress,
+  LinearProgress,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDayjs } from '@mui/x-date-pickers/AdapterDayjs';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  ChevronLeft as PrevIcon,
+  ChevronRight as NextIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import dayjs from 'dayjs';
+import { FadeIn, SlideIn } from '../components/Animations/AnimatedComponents';
+import DeleteConfirmDialog from '../components/DeleteConfirmDialog';
+import { fetchCategories, orderCategoriesAsTree } from '../features/categories/categorySlice';
+import { budgetAPI } from '../services/api';
+
+const OVERALL = '__overall__';
+
+const ROLLOVER_LABELS = {
+  none: 'No rollover',
+  unused: 'Carry over unused amount',
+  full: 'Carry over unused amount and overspend',
+};
+
+const STATUS_COLORS = { ok: 'success', warning: 'warning', exceeded: 'error' };
+
+const emptyForm = {
+  name: '',
+  category: OVERALL,
+  includeSubcategories: true,
+  amount: '',
+  period: 'monthly',
+  startDate: dayjs().startOf('month'),
+  endDate: dayjs().endOf('month'),
+  rollover: 'none',
+  thresholds: '80, 100',
+};
+
+// Custom ranges are stored as UTC midnight; read only the date part so no timezone shifts the day
+const fromBudgetDate = (date) => dayjs(String(date).slice(0, 10));
+const toDateOnly = (date) => (date ? dayjs(date).format('YYYY-MM-DD') : null);
+const formatAmount = (amount) => `₹${Math.abs(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const parseThresholds = (text) => text
+  .split(',')
+  .map(value => parseFloat(value.trim()))
+  .filter(value => Number.isFinite(value));
+
+const Budgets = () => {
+  const dispatch = useDispatch();
+  const { items: categoryItems, isLoaded: categoriesLoaded } = useSelector((state) => state.categories);
+
+  const [month, setMonth] = useState(dayjs().startOf('month'));
+  const [budgets, setBudgets] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [deleting, setDeleting] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const notify = (message, severity = 'success') => setSnackbar({ open: true, message, severity });
+
+  const loadBudgets = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      // Budgets are evaluated for the period containing this date; today for the current month, else mid-month
+      const referenceDate = month.isSame(dayjs(), 'month') ? dayjs() : month.date(15);
+      const { data } = await budgetAPI.getVsActual(referenceDate.format('YYYY-MM-DD'));
+      setBudgets(data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load budgets');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [month]);
+
+  useEffect(() => {
+    loadBudgets();
+  }, [loadBudgets]);
+
+  useEffect(() => {
+    if (!categoriesLoaded) dispatch(fetchCategories());
+  }, [dispatch, categoriesLoaded]);
+
+  const categoryOptions = useMemo(
+    () => orderCategoriesAsTree(categoryItems, 'expense'),
+    [categoryItems]
+  );
+
+  const openCreate = () => {
+    setEditing(null);
+    setFormData(emptyForm);
+    setFormOpen(true);
+  };
+
+  const openEdit = (budget) => {
+    setEditing(budget);
+    setFormData({
+      name: budget.name || '',
+      category: budget.category || OVERALL,
+      includeSubcategories: budget.includeSubcategories,
+      amount: String(budget.amount),
+      period: budget.period,
+      startDate: budget.startDate ? fromBudgetDate(budget.startDate) : emptyForm.startDate,
+      endDate: budget.endDate ? fromBudgetDate(budget.endDate) : emptyForm.endDate,
+      rollover: budget.rollover,
+      thresholds: (budget.thresholds || []).join(', '),
+    });
+    setFormOpen(true);
+  };
+
+  const setField = (field) => (event) => {
+    const value = event.target.value;
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    const payload = {
+      name: formData.name.trim(),
+      category: formData.category === OVERALL ? null : formData.category,
+      includeSubcategories: formData.includeSubcategories,
+      amount: parseFloat(formData.amount),
+      period: formData.period,
+      rollover: formData.period === 'monthly' ? formData.rollover : 'none',
+      thresholds: parseThresholds(formData.thresholds),
+      ...(formData.period === 'custom' && {
+        startDate: toDateOnly(formData.startDate),
+        endDate: toDateOnly(formData.endDate),
+      }),
+      ...(!editing && { timezone: Intl.DateTimeFormat().resolvedOptions().timeZone }),
+    };
+
+    try {
+      if (editing) {
+        await budgetAPI.update(editing._id, payload);
+      } else {
+        await budgetAPI.create(payload);
+      }
+      notify('Budget saved');
+      setFormOpen(false);
+      loadBudgets();
+    } catch (err) {
+      notify(err.response?.data?.details?.[0] || err.response?.data?.error || 'Failed to save', 'error');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await budgetAPI.delete(deleting._id);
+      notify('Budget deleted');
+      setDeleting(null);
+      loadBudgets();
+    } catch (err) {
+      notify(err.response?.data?.error || 'Failed to delete', 'error');
+    }
+  };
+
+  const budgetTitle = (budget) => budget.name || budget.category || 'Overall spending';
+
+  const canSave = parseFloat(formData.amount) > 0
+    && parseThresholds(formData.thresholds).length > 0
+    && (formData.period === 'monthly' || (formData.startDate && formData.endDate));
+
+  return (
+    <LocalizationProvider dateAdapter={AdapterDayjs}>
+      <Box>
+        <FadeIn>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4, gap: 2, flexWrap: 'wrap' }}>
+            <Typography variant="h4" sx={{ fontWeight: 700 }}>
+              Budgets
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+              <IconButton onClick={() => setMonth(prev => prev.subtract(1, 'month'))} aria-label="Previous month">
+                <PrevIcon />
+              </IconButton>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600, minWidth: 120, textAlign: 'center' }}>
+                {month.format('MMMM YYYY')}
+              </Typography>
+              <IconButton onClick={() => setMonth(prev => prev.add(1, 'month'))} aria-label="Next month">
+                <NextIcon />
+              </IconButton>
+              <motion.div whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+                <Button variant="contained" startIcon={<AddIcon />} onClick={openCreate} sx={{ px: 3, py: 1.5 }}>
+                  Add Budget
+                </Button>
+              </motion.div>
+            </Box>
+          </Box>
+        </FadeIn>
+
+        {error && <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>}
+
+        <SlideIn direction="up" delay={0.1}>
+          {isLoading && budgets.length === 0 ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+              <CircularProgress />
+            </Box>
+          ) : budgets.length === 0 ? (
+            <Card sx={{ borderRadius: 3 }}>
+              <CardContent>
+                <Typography color="text.secondary" sx={{ textAlign: 'center', py: 6 }}>
+                  No budgets for this month. Add an overall limit or one per category to track your spending.
+                </Typography>
+              </CardContent>
+            </Card>
+          ) : (
+            <Grid container spacing={3}>
+              {budgets.map(budget => (
+                <Grid item xs={12} md={6} key={budget._id}>
+                  <Card sx={{ borderRadius: 3, height: '100%' }}>
+                    <CardContent>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
+                        <Box>
+                          <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                            {budgetTitle(budget)}
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {budget.period === 'custom'
+                              ? `${fromBudgetDate(budget.startDate).format('DD MMM')} – ${fromBudgetDate(budget.endDate).format('DD MMM YYYY')}`
+                              : 'Monthly'}
+                            {budget.name && budget.category ? ` · ${budget.category}` : ''}
+                            {budget.category && budget.includeSubcategories && budget.categories?.length > 1 ? ' and subcategories' : ''}
+                          </Typography>
+                        </Box>
+                        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                          <Chip
+                            size="small"
+                            label={budget.status === 'exceeded' ? 'Over budget' : budget.status === 'warning' ? 'Almost there' : 'On track'}
+                            color={STATUS_COLORS[budget.status]}
+                            sx={{ mr: 1 }}
+                          />
+                          <Tooltip title="Edit">
+                            <IconButton size="small" onClick={() => openEdit(budget)}>
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Delete">
+                            <IconButton size="small" color="error" onClick={() => setDeleting(budget)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </Box>
+                      </Box>
+
+                      <LinearProgress
+                        variant="determinate"
+                        value={Math.min(100, budget.percentUsed ?? 100)}
+                        color={STATUS_COLORS[budget.status]}
+                        sx={{ height: 10, borderRadius: 5, mb: 1 }}
+                      />
+
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                        <Typography variant="body2">
+                          {formatAmount(budget.spent)} of {formatAmount(budget.limit)}
+                        </Typography>
+                        <Typography variant="body2" color={budget.remaining < 0 ? 'error.main' : 'text.secondary'}>
+                          {budget.remaining < 0
+                            ? `${formatAmount(budget.remaining)} over`
+                            : `${formatAmount(budget.remaining)} left`}
+                        </Typography>
+                      </Box>
+
+                      {budget.rolloverAmount !== 0 && (
+                        <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                          {budget.rolloverAmount > 0 ? 'Includes ' : 'Reduced by '}
+                          {formatAmount(budget.rolloverAmount)} carried over from last month
+                        </Typography>
+                      )}
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        Alerts at {budget.thresholds.map(t => `${t}%`).join(', ')}
+                      </Typography>
+                    </CardContent>
+                  </Card>
+                </Grid>
+              ))}
+            </Grid>
+          )}
+        </SlideIn>
+
+        <Dialog open={formOpen} onClose={() => setFormOpen(false)} maxWidth="sm" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+          <DialogTitle>{editing ? 'Edit Budget' : 'Add Budget'}</DialogTitle>
+          <DialogContent>
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12}>
+                <TextField fullWidth label="Name (Optional)" value={formData.name} onChange={setField('name')} placeholder="e.g. Eating out" inputProps={{ maxLength: 100 }} />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField select fullWidth label="Category" value={formData.category} onChange={setField('category')}>
+                  <MenuItem value={OVERALL}>All expenses</MenuItem>
+                  {categoryOptions.map(category => (
+                    <MenuItem key={category._id} value={category.name} sx={{ pl: 2 + category.depth * 2 }}>
+                      {category.icon ? `${category.icon} ` : ''}{category.name}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={6}>
+                <TextField fullWidth label="Limit" type="number" value={formData.amount} onChange={setField('amount')} inputProps={{ min: 0, step: 0.01 }} required />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField select fullWidth label="Period" value={formData.period} onChange={setField('period')}>
+                  <MenuItem value="monthly">Every month</MenuItem>
+                  <MenuItem value="custom">Custom dates</MenuItem>
+                </TextField>
+              </Grid>
+              <Grid item xs={6}>
+                <TextField
+                  fullWidth
+                  label="Alert at (%)"
+                  value={formData.thresholds}
+                  onChange={setField('thresholds')}
+                  helperText="Comma-separated, e.g. 50, 80, 100"
+                />
+              </Grid>
+              {formData.period === 'monthly' ? (
+                <Grid item xs={12}>
+                  <TextField select fullWidth label="Rollover" value={formData.rollover} onChange={setField('rollover')}>
+                    {Object.entries(ROLLOVER_LABELS).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+              ) : (
+                <>
+                  <Grid item xs={6}>
+                    <DatePicker
+                      label="Starts"
+                      value={formData.startDate}
+                      onChange={(value) => setFormData(prev => ({ ...prev, startDate: value }))}
+                      slotProps={{ textField: { fullWidth: true } }}
+                    />
+                  </Grid>
+                  <Grid item xs={6}>
+                    <DatePicker
+                      label="Ends"
+                      value={formData.endDate}
+                      onChange={(value) => setFormData(prev => ({ ...prev, endDate: value }))}
+                      slotProps={{ textField: { fullWidth: true } }}
+                    />
+                  </Grid>
+                </>
+              )}
+              {formData.category !== OVERALL && (
+                <Grid item xs={12}>
+                  <FormControlLabel
+                    control={<Switch checked={formData.includeSubcategories} onChange={(e) => setFormData(prev => ({ ...prev, includeSubcategories: e.target.checked }))} />}
+                    label="Include subcategories"
+                  />
+                </Grid>
+              )}
+            </Grid>
+          </DialogContent>
+          <DialogActions sx={{ p: 3 }}>
+            <Button onClick={() => setFormOpen(false)} color="inherit">Cancel</Button>
+            <Button variant="contained" onClick={handleSave} disabled={!canSave}>
+              {editing ? 'Save Changes' : 'Add Budget'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        <DeleteConfirmDialog
+          open={!!deleting}
+          onClose={() => setDeleting(null)}
+          onConfirm={handleDelete}
+          title="Delete Budget"
+          message={`Delete the "${deleting ? budgetTitle(deleting) : ''}" budget? Your transactions are not affected.`}
+        />
+
+        <Snackbar
+          open={snackbar.open}
+          autoHideDuration={4000}
+          onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+          anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        >
+          <Alert severity={snackbar.severity} onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}>
+            {snackbar.message}
+          </Alert>
+        </Snackbar>
+      </Box>
+    </LocalizationProvider>
+  );
+};
+
+export default Budgets;
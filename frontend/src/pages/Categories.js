@@ -0,0 +1,407 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  Grid,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Alert,
+  Snackbar,
+  CircularProgress,
+  Checkbox,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  CallMerge as MergeIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import { FadeIn, SlideIn } from '../components/Animations/AnimatedComponents';
+import {
+  fetchCategories,
+  createCategory,
+  updateCategory,
+  mergeCategories,
+  deleteCategory,
+  clearCategoryError,
+  orderCategoriesAsTree,
+} from '../features/categories/categorySlice';
+
+const KINDS = [
+  { value: 'expense', label: 'Expense Categories', color: 'error' },
+  { value: 'income', label: 'Income Categories', color: 'success' },
+];
+
+const emptyForm = { name: '', kind: 'expense', parent: '', icon: '', color: '#8884d8' };
+
+const Categories = () => {
+  const dispatch = useDispatch();
+  const { items, isLoading, error } = useSelector((state) => state.categories);
+
+  const [formOpen, setFormOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [mergeTarget, setMergeTarget] = useState(null);
+  const [mergeIds, setMergeIds] = useState([]);
+  const [deleting, setDeleting] = useState(null);
+  const [reassignTo, setReassignTo] = useState('');
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  useEffect(() => {
+    dispatch(fetchCategories());
+  }, [dispatch]);
+
+  const treeByKind = useMemo(() => ({
+    expense: orderCategoriesAsTree(items, 'expense'),
+    income: orderCategoriesAsTree(items, 'income'),
+  }), [items]);
+
+  // Parents offered in the form: same kind, and never the category itself or one of its descendants
+  const parentOptions = useMemo(() => {
+    const tree = treeByKind[formData.kind] || [];
+    if (!editing) return tree;
+
+    const excluded = new Set([editing._id]);
+    tree.forEach(category => {
+      if (excluded.has(category.parent)) excluded.add(category._id);
+    });
+    return tree.filter(category => !excluded.has(category._id));
+  }, [treeByKind, formData.kind, editing]);
+
+  const notify = (message, severity = 'success') => setSnackbar({ open: true, message, severity });
+
+  const openCreate = (kind) => {
+    setEditing(null);
+    setFormData({ ...emptyForm, kind });
+    setFormOpen(true);
+  };
+
+  const openEdit = (category) => {
+    setEditing(category);
+    setFormData({
+      name: category.name,
+      kind: category.kind,
+      parent: category.parent || '',
+      icon: category.icon || '',
+      color: category.color || '#8884d8',
+    });
+    setFormOpen(true);
+  };
+
+  const handleSave = async () => {
+    const payload = {
+      name: formData.name.trim(),
+      parent: formData.parent || null,
+      icon: formData.icon.trim() || null,
+      color: formData.color || null,
+    };
+
+    try {
+      if (editing) {
+        const result = await dispatch(updateCategory({ id: editing._id, data: payload })).unwrap();
+        notify(result.transactionsUpdated > 0
+          ? `Category updated; ${result.transactionsUpdated} transaction(s) re-tagged`
+          : 'Category updated');
+      } else {
+        await dispatch(createCategory({ ...payload, kind: formData.kind })).unwrap();
+        notify('Category created');
+      }
+      setFormOpen(false);
+    } catch (err) {
+      notify(err, 'error');
+    }
+  };
+
+  const handleMerge = async () => {
+    try {
+      const result = await dispatch(mergeCategories({ id: mergeTarget._id, mergeIds })).unwrap();
+      notify(`Merged ${mergeIds.length} categor${mergeIds.length === 1 ? 'y' : 'ies'} into ${mergeTarget.name}; ${result.transactionsUpdated} transaction(s) re-tagged`);
+      setMergeTarget(null);
+      setMergeIds([]);
+    } catch (err) {
+      notify(err, 'error');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      const result = await dispatch(deleteCategory({ id: deleting._id, reassignTo: reassignTo || undefined })).unwrap();
+      notify(`Category deleted; ${result.transactionsUpdated} transaction(s) moved to ${result.reassignedTo}`);
+      setDeleting(null);
+      setReassignTo('');
+    } catch (err) {
+      notify(err, 'error');
+    }
+  };
+
+  const renderCategory = (category) => (
+    <ListItem
+      key={category._id}
+      sx={{ pl: 2 + category.depth * 3, borderRadius: 2, '&:hover': { bgcolor: 'action.hover' } }}
+      secondaryAction={
+        <Box>
+          <Tooltip title="Edit">
+            <IconButton size="small" onClick={() => openEdit(category)}>
+              <EditIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title="Merge other categories into this one">
+            <IconButton size="small" onClick={() => { setMergeTarget(category); setMergeIds([]); }}>
+              <MergeIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={category.isFallback ? 'The catch-all category cannot be deleted' : 'Delete'}>
+            <span>
+              <IconButton
+                size="small"
+                color="error"
+                disabled={category.isFallback}
+                onClick={() => { setDeleting(category); setReassignTo(''); }}
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+      }
+    >
+      <Box
+        sx={{
+          width: 12,
+          height: 12,
+          borderRadius: '50%',
+          bgcolor: category.color || 'grey.400',
+          mr: 1.5,
+          flexShrink: 0,
+        }}
+      />
+      <ListItemText
+        primary={`${category.icon ? category.icon + ' ' : ''}${category.name}`}
+        secondary={`${category.transactionCount || 0} transaction(s)`}
+      />
+    </ListItem>
+  );
+
+  return (
+    <Box>
+      <FadeIn>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
+          <Typography variant="h4" sx={{ fontWeight: 700 }}>
+            Categories
+          </Typography>
+          <motion.div whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={() => openCreate('expense')}
+              sx={{ px: 3, py: 1.5 }}
+            >
+              Add Category
+            </Button>
+          </motion.div>
+        </Box>
+      </FadeIn>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => dispatch(clearCategoryError())}>
+          {error}
+        </Alert>
+      )}
+
+      {isLoading && items.length === 0 ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <SlideIn direction="up" delay={0.1}>
+          <Grid container spacing={3}>
+            {KINDS.map(kind => (
+              <Grid item xs={12} md={6} key={kind.value}>
+                <Card sx={{ borderRadius: 3 }}>
+                  <CardContent>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography variant="h6">{kind.label}</Typography>
+                        <Chip label={treeByKind[kind.value].length} color={kind.color} size="small" />
+                      </Box>
+                      <Button size="small" startIcon={<AddIcon />} onClick={() => openCreate(kind.value)}>
+                        Add
+                      </Button>
+                    </Box>
+                    <List dense>
+                      {treeByKind[kind.value].map(renderCategory)}
+                    </List>
+                  </CardContent>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+        </SlideIn>
+      )}
+
+      {/* Create / edit */}
+      <Dialog open={formOpen} onClose={() => setFormOpen(false)} maxWidth="sm" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+        <DialogTitle>{editing ? 'Edit Category' : 'Add Category'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} sm={8}>
+              <TextField
+                fullWidth
+                label="Name"
+                value={formData.name}
+                onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                helperText={editing ? 'Renaming re-tags every transaction in this category' : ''}
+                inputProps={{ maxLength: 100 }}
+                required
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                select
+                fullWidth
+                label="Kind"
+                value={formData.kind}
+                onChange={(e) => setFormData(prev => ({ ...prev, kind: e.target.value, parent: '' }))}
+                disabled={!!editing}
+              >
+                <MenuItem value="expense">Expense</MenuItem>
+                <MenuItem value="income">Income</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                select
+                fullWidth
+                label="Parent category"
+                value={formData.parent}
+                onChange={(e) => setFormData(prev => ({ ...prev, parent: e.target.value }))}
+              >
+                <MenuItem value="">None (top level)</MenuItem>
+                {parentOptions.map(option => (
+                  <MenuItem key={option._id} value={option._id} sx={{ pl: 2 + option.depth * 2 }}>
+                    {option.icon ? `${option.icon} ` : ''}{option.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={8}>
+              <TextField
+                fullWidth
+                label="Icon (emoji)"
+                value={formData.icon}
+                onChange={(e) => setFormData(prev => ({ ...prev, icon: e.target.value }))}
+                inputProps={{ maxLength: 50 }}
+              />
+            </Grid>
+            <Grid item xs={4}>
+              <TextField
+                fullWidth
+                type="color"
+                label="Color"
+                value={formData.color}
+                onChange={(e) => setFormData(prev => ({ ...prev, color: e.target.value }))}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions sx={{ p: 3 }}>
+          <Button onClick={() => setFormOpen(false)} color="inherit">Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={!formData.name.trim()}>
+            {editing ? 'Save Changes' : 'Add Category'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Merge */}
+      <Dialog open={!!mergeTarget} onClose={() => setMergeTarget(null)} maxWidth="sm" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+        <DialogTitle>Merge into {mergeTarget?.name}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Transactions in the selected categories are re-tagged as {mergeTarget?.name}, and the selected categories are removed.
+          </Typography>
+          <List dense>
+            {mergeTarget && treeByKind[mergeTarget.kind]
+              .filter(c => c._id !== mergeTarget._id && !c.isFallback)
+              .map(c => (
+                <ListItem
+                  key={c._id}
+                  sx={{ pl: 1 + c.depth * 2 }}
+                  onClick={() => setMergeIds(prev => prev.includes(c._id) ? prev.filter(id => id !== c._id) : [...prev, c._id])}
+                >
+                  <Checkbox edge="start" checked={mergeIds.includes(c._id)} tabIndex={-1} />
+                  <ListItemText primary={`${c.icon ? c.icon + ' ' : ''}${c.name}`} secondary={`${c.transactionCount || 0} transaction(s)`} />
+                </ListItem>
+              ))}
+          </List>
+        </DialogContent>
+        <DialogActions sx={{ p: 3 }}>
+          <Button onClick={() => setMergeTarget(null)} color="inherit">Cancel</Button>
+          <Button variant="contained" onClick={handleMerge} disabled={mergeIds.length === 0} startIcon={<MergeIcon />}>
+            Merge
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete */}
+      <Dialog open={!!deleting} onClose={() => setDeleting(null)} maxWidth="sm" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+        <DialogTitle>Delete {deleting?.name}?</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Subcategories move up one level. Its {deleting?.transactionCount || 0} transaction(s) will be moved to the category below,
+            or to the parent category (or the catch-all category) if you leave it empty.
+          </Typography>
+          <TextField
+            select
+            fullWidth
+            label="Move transactions to"
+            value={reassignTo}
+            onChange={(e) => setReassignTo(e.target.value)}
+          >
+            <MenuItem value="">Default</MenuItem>
+            {deleting && treeByKind[deleting.kind]
+              .filter(c => c._id !== deleting._id)
+              .map(c => (
+                <MenuItem key={c._id} value={c._id} sx={{ pl: 2 + c.depth * 2 }}>
+                  {c.icon ? `${c.icon} ` : ''}{c.name}
+                </MenuItem>
+              ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions sx={{ p: 3 }}>
+          <Button onClick={() => setDeleting(null)} color="inherit">Cancel</Button>
+          <Button variant="contained" color="error" onClick={handleDelete} startIcon={<DeleteIcon />}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={4000}
+        onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+      >
+        <Alert severity={snackbar.severity} onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+};
+
+export default Categories;
@@ -46,7 +46,8 @@ import {
 } from '@mui/icons-material';
 import { PieChart, Pie, Cell, ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend } from 'recharts';
 import { motion, AnimatePresence } from 'framer-motion';
-import { fetchTransactions, deleteTransaction, updateTransaction } from '../features/transactions/transactionSlice';
+import { fetchTransactions, fetchTransactionStats, statsKey, deleteTransaction, updateTransaction } from '../features/transactions/transactionSlice';
+import { fetchCategories, getCategoryColorMap } from '../features/categories/categorySlice';
 import { transactionAPI } from '../services/api';
 
 // ✅ FIXED: Move COLORS constant to top, before component definition
@@ -122,8 +123,10 @@ const Dashboard = () => {
   const dispatch = useDispatch();
   console.log(process.env.REACT_APP_API_URL);
   // ✅ ALL HOOKS AT TOP LEVEL
-  const { data: transactions = [], isLoading, error } = useSelector((state) => state.transactions);
+  const { data: transactions = [], pagination, summary, stats: transactionStats, isLoading, error } = useSelector((state) => state.transactions);
   const { user } = useSelector((state) => state.auth);
+  const { items: categoryItems, isLoaded: categoriesLoaded } = useSelector((state) => state.categories);
+  const categoryColors = useMemo(() => getCategoryColorMap(categoryItems), [categoryItems]);
 
   const [notification, setNotification] = useState({ open: false, message: '', severity: 'success' });
   const [selectedCategory, setSelectedCategory] = useState('all');
@@ -131,14 +134,6 @@ const Dashboard = () => {
   const [anchorEl, setAnchorEl] = useState(null);
   const [selectedTransaction, setSelectedTransaction] = useState(null);
   const [deleteLoading, setDeleteLoading] = useState(false);
-  const [stats, setStats] = useState({
-    totalIncome: 0,
-    totalExpenses: 0,
-    netBalance: 0,
-    transactionCount: 0,
-    categoriesCount: 0,
-    avgDailySpending: 0
-  });
 
   const [refreshTrigger, setRefreshTrigger] = useState(0);
   const [lastTransactionCount, setLastTransactionCount] = useState(0);
@@ -147,32 +142,41 @@ const Dashboard = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(10);
 
+  // The recent list is one page of the period, filtered and paginated by the server
+  const listParams = useMemo(() => {
+    const periodStart = new Date();
+    periodStart.setDate(periodStart.getDate() - parseInt(timeFilter));
+    periodStart.setHours(0, 0, 0, 0);
+
+    return {
+      page: currentPage,
+      limit: itemsPerPage,
+      sort: 'date',
+      order: 'desc',
+      startDate: periodStart.toISOString(),
+      ...(selectedCategory !== 'all' && { category: selectedCategory })
+    };
+  }, [timeFilter, selectedCategory, currentPage, itemsPerPage]);
+
   // ✅ Initial fetch
   useEffect(() => {
     const fetchData = async () => {
       try {
-        await dispatch(fetchTransactions()).unwrap();
+        await dispatch(fetchTransactions(listParams)).unwrap();
         console.log('✅ Dashboard: Transactions fetched successfully');
       } catch (error) {
         console.error('❌ Dashboard: Failed to fetch transactions:', error);
       }
     };
     fetchData();
-  }, [dispatch, refreshTrigger]);
+  }, [dispatch, listParams, refreshTrigger]);
 
-  // ✅ Auto-refresh detection
   useEffect(() => {
-    if (transactions.length > lastTransactionCount && lastTransactionCount > 0) {
-      const newTransactionsCount = transactions.length - lastTransactionCount;
-      setNotification({
-        open: true,
-        message: `🎉 ${newTransactionsCount} new transaction(s) added! Dashboard updated.`,
-        severity: 'success'
-      });
-      console.log(`✅ Dashboard: Detected ${newTransactionsCount} new transactions`);
-    }
-    setLastTransactionCount(transactions.length);
-  }, [transactions.length, lastTransactionCount]);
+    if (!categoriesLoaded) dispatch(fetchCategories());
+  }, [dispatch, categoriesLoaded]);
+
+  // Matching transactions in the period, from the server's summary of the whole filtered set
+  const totalFilteredCount = summary?.transactionCount ?? pagination?.total ?? 0;
 
   // ✅ Listen for external updates
   useEffect(() => {
@@ -197,29 +201,20 @@ const Dashboard = () => {
   useEffect(() => {
     const interval = setInterval(() => {
       console.log('🔄 Dashboard: Auto-refreshing transactions...');
-      dispatch(fetchTransactions());
+      setRefreshTrigger(prev => prev + 1);
     }, 30000);
     return () => clearInterval(interval);
-  }, [dispatch]);
+  }, []);
 
-  // ✅ CRITICAL FIX: More lenient transaction filtering with spread operator
+  // ✅ Normalize the current page for display
   const filteredTransactions = useMemo(() => {
-    console.log('🔍 Dashboard: Starting transaction filtering...', {
-      totalTransactions: transactions.length,
-      selectedCategory,
-      timeFilter
-    });
-
     if (!transactions || !Array.isArray(transactions)) {
       console.warn('⚠️ Dashboard: No transactions or invalid format');
       return [];
     }
 
     // ✅ CRITICAL: Create a copy of transactions first to avoid read-only errors
-    let filtered = [...transactions].map((t, index) => {
-      // ✅ ROBUST DATE PARSING
-      const normalizedDate = parseTransactionDate(t.date);
-
+    return [...transactions].map((t) => {
       // ✅ ROBUST AMOUNT PARSING
       let normalizedAmount = 0;
       try {
@@ -233,254 +228,132 @@ const Dashboard = () => {
         normalizedAmount = 0;
       }
 
-      const normalizedTransaction = {
+      return {
         ...t,
         amount: normalizedAmount,
-        date: normalizedDate,
+        date: parseTransactionDate(t.date),
         type: t.type || 'expense',
         category: t.category || 'Other',
         description: t.description || t.category || 'Unknown Transaction',
         source: t.source || 'manual'
       };
-
-      return normalizedTransaction;
     });
-
-    console.log(`✅ Dashboard: Normalized ${filtered.length} transactions`);
-
-    // ✅ Category filtering
-    if (selectedCategory !== 'all') {
-      const beforeFilter = filtered.length;
-      filtered = filtered.filter(t => t.category === selectedCategory);
-      console.log(`🔍 Category filter (${selectedCategory}): ${beforeFilter} → ${filtered.length}`);
-    }
-
-    // ✅ EMERGENCY FIX: Very lenient time filtering (increased buffer)
-    const now = new Date();
-    const timeFilterDays = parseInt(timeFilter);
-
-    // ✅ CRITICAL FIX: Add 2 days buffer and set to start of day
-    const filterDate = new Date();
-    filterDate.setDate(now.getDate() - timeFilterDays - 2); // Extra 2 days buffer
-    filterDate.setHours(0, 0, 0, 0);
-
-    console.log(`🕒 Time filter setup (LENIENT):`, {
-      timeFilterDays: timeFilterDays,
-      actualDaysBack: timeFilterDays + 2,
-      filterDate: filterDate.toISOString().split('T')[0],
-      now: now.toISOString().split('T')[0]
-    });
-
-    const beforeTimeFilter = filtered.length;
-    filtered = filtered.filter((t, index) => {
-      const transactionDate = t.date;
-      const isInRange = transactionDate >= filterDate;
-
-      // Debug ALL transactions that might be filtered out
-      if (!isInRange) {
-        console.log(`❌ FILTERED OUT:`, {
-          id: t._id?.substring(0, 8),
-          desc: t.description?.substring(0, 25),
-          date: transactionDate.toISOString().split('T')[0],
-          source: t.source,
-          daysDiff: Math.ceil((now - transactionDate) / (1000 * 60 * 60 * 24))
-        });
-      }
-
-      return isInRange;
-    });
-
-    console.log(`✅ Time filter result: ${beforeTimeFilter} → ${filtered.length} (filtered out: ${beforeTimeFilter - filtered.length})`);
-
-    // ✅ CRITICAL FIX: Create copy before sorting
-    const finalFiltered = [...filtered].sort((a, b) => b.date - a.date);
-
-    // Pagination: slice the filtered array for current page and itemsPerPage
-    const startIdx = (currentPage - 1) * itemsPerPage;
-    const paginatedTransactions = finalFiltered.slice(startIdx, startIdx + itemsPerPage);
-
-    // ✅ Final detailed summary
-    const summary = {
-      total: finalFiltered.length,
-      sources: {},
-      types: { income: 0, expense: 0 },
-      totalAmount: 0,
-      dateRange: {
-        oldest: finalFiltered.length > 0 ? finalFiltered[finalFiltered.length - 1].date.toISOString().split('T')[0] : 'N/A',
-        newest: finalFiltered.length > 0 ? finalFiltered[0].date.toISOString().split('T')[0] : 'N/A'
-      }
+  }, [transactions]);
+
+  const totalPages = Math.max(1, pagination?.totalPages || Math.ceil(totalFilteredCount / itemsPerPage));
+
+  // ✅ Server-side aggregates: all-time totals, category split and totals for the period, last 7 days trend
+  const statsQueries = useMemo(() => {
+    const periodStart = new Date();
+    periodStart.setDate(periodStart.getDate() - parseInt(timeFilter));
+    periodStart.setHours(0, 0, 0, 0);
+
+    const weekStart = new Date();
+    weekStart.setDate(weekStart.getDate() - 6);
+    weekStart.setHours(0, 0, 0, 0);
+
+    return {
+      totals: { groupBy: 'type' },
+      categories: { groupBy: 'category', startDate: periodStart.toISOString() },
+      trend: {
+        groupBy: 'day',
+        startDate: weekStart.toISOString(),
+        ...(selectedCategory !== 'all' && { category: selectedCategory })
+      },
     };
+  }, [timeFilter, selectedCategory]);
 
-    finalFiltered.forEach(t => {
-      summary.sources[t.source] = (summary.sources[t.source] || 0) + 1;
-      summary.types[t.type]++;
-      summary.totalAmount += t.amount;
-    });
-
-    console.log('✅ FINAL FILTERED TRANSACTIONS:', summary);
-
-    // Return paginated filtered transactions
-    return paginatedTransactions;
-  }, [transactions, selectedCategory, timeFilter, currentPage, itemsPerPage]);
-
-  // Calculate total pages for pagination controls
-  const totalFilteredCount = useMemo(() => {
-    if (!transactions || !Array.isArray(transactions)) return 0;
-
-    let filtered = [...transactions];
-    if (selectedCategory !== 'all') {
-      filtered = filtered.filter(t => t.category === selectedCategory);
-    }
-    const now = new Date();
-    const timeFilterDays = parseInt(timeFilter);
-    const filterDate = new Date();
-    filterDate.setDate(now.getDate() - timeFilterDays - 2);
-    filterDate.setHours(0, 0, 0, 0);
-    filtered = filtered.filter(t => parseTransactionDate(t.date) >= filterDate);
-
-    return filtered.length;
-  }, [transactions, selectedCategory, timeFilter]);
+  const fetchDashboardStats = useCallback(() => {
+    Object.values(statsQueries).forEach(params => dispatch(fetchTransactionStats(params)));
+  }, [dispatch, statsQueries]);
 
-  const totalPages = Math.max(1, Math.ceil(totalFilteredCount / itemsPerPage));
-
-  // ✅ EMERGENCY DEBUG: Log the filtering issue
   useEffect(() => {
-    console.log('🔍 FILTERING DEBUG:', {
-      totalTransactions: transactions.length,
-      filteredTransactions: filteredTransactions.length,
-      totalFilteredCount,
-      currentPage,
-      itemsPerPage,
-      missingCount: transactions.length - filteredTransactions.length,
-      timeFilter: timeFilter,
-      selectedCategory: selectedCategory,
+    fetchDashboardStats();
+  }, [fetchDashboardStats, refreshTrigger]);
 
-      // Show details of filtered out transactions
-      filteredOutTransactions: transactions
-        .filter(t => !filteredTransactions.some(ft => ft._id === t._id))
-        .map(t => ({
-          id: t._id?.substring(0, 8),
-          amount: t.amount,
-          date: t.date,
-          source: t.source,
-          description: t.description?.substring(0, 30),
-          parsedDate: parseTransactionDate(t.date).toISOString().split('T')[0]
-        }))
-    });
-  }, [transactions, filteredTransactions, timeFilter, selectedCategory, filteredTransactions.length, totalFilteredCount, currentPage, itemsPerPage]);
+  const totalsStats = transactionStats[statsKey(statsQueries.totals)];
+  const categoryStats = transactionStats[statsKey(statsQueries.categories)];
+  const trendStats = transactionStats[statsKey(statsQueries.trend)];
+  const allTimeCount = totalsStats?.totals?.count ?? 0;
 
-  // ✅ ENHANCED: Statistics calculation with all transactions for stats
+  // ✅ Auto-refresh detection
   useEffect(() => {
-    const calculateStats = () => {
-      const allNormalizedTransactions = [...transactions].map(t => ({
-        ...t,
-        amount: typeof t.amount === 'number' ? t.amount : parseFloat(t.amount) || 0,
-        date: parseTransactionDate(t.date),
-        type: t.type || 'expense'
-      }));
-
-      if (!allNormalizedTransactions.length) {
-        setStats({
-          totalIncome: 0,
-          totalExpenses: 0,
-          netBalance: 0,
-          transactionCount: 0,
-          categoriesCount: 0,
-          avgDailySpending: 0
-        });
-        return;
-      }
-
-      const incomeTransactions = allNormalizedTransactions.filter(t => t.type === 'income');
-      const expenseTransactions = allNormalizedTransactions.filter(t => t.type === 'expense');
-
-      const totalIncome = incomeTransactions.reduce((sum, t) => sum + t.amount, 0);
-      const totalExpenses = expenseTransactions.reduce((sum, t) => sum + t.amount, 0);
-
-      const categories = new Set(allNormalizedTransactions.map(t => t.category).filter(Boolean));
-      const days = parseInt(timeFilter);
-
-      const newStats = {
-        totalIncome,
-        totalExpenses,
-        netBalance: totalIncome - totalExpenses,
-        transactionCount: allNormalizedTransactions.length,
-        categoriesCount: categories.size,
-        avgDailySpending: totalExpenses / days
+    if (allTimeCount > lastTransactionCount && lastTransactionCount > 0) {
+      const newTransactionsCount = allTimeCount - lastTransactionCount;
+      setNotification({
+        open: true,
+        message: `🎉 ${newTransactionsCount} new transaction(s) added! Dashboard updated.`,
+        severity: 'success'
+      });
+      console.log(`✅ Dashboard: Detected ${newTransactionsCount} new transactions`);
+    }
+    setLastTransactionCount(allTimeCount);
+  }, [allTimeCount, lastTransactionCount]);
+
+  const stats = useMemo(() => {
+    const totals = totalsStats?.totals;
+    const periodExpense = categoryStats?.totals?.expense ?? 0;
+    if (!totals) {
+      return {
+        totalIncome: 0,
+        totalExpenses: 0,
+        netBalance: 0,
+        transactionCount: 0,
+        categoriesCount: 0,
+        avgDailySpending: 0
       };
+    }
 
-      setStats(newStats);
-
-      console.log('📊 Stats calculated (ALL TRANSACTIONS):', {
-        transactions: newStats.transactionCount,
-        income: formatCurrency(newStats.totalIncome),
-        expenses: formatCurrency(newStats.totalExpenses),
-        balance: formatCurrency(newStats.netBalance),
-        incomeCount: incomeTransactions.length,
-        expenseCount: expenseTransactions.length,
-        sources: allNormalizedTransactions.reduce((acc, t) => {
-          acc[t.source || 'manual'] = (acc[t.source || 'manual'] || 0) + 1;
-          return acc;
-        }, {})
-      });
+    return {
+      totalIncome: totals.income,
+      totalExpenses: totals.expense,
+      netBalance: totals.net,
+      transactionCount: totals.count,
+      categoriesCount: totals.categoriesCount,
+      // Daily average over the selected period only, not all-time spending
+      avgDailySpending: periodExpense / parseInt(timeFilter)
     };
-    calculateStats();
-  }, [transactions, timeFilter]); // ✅ Use transactions, not filteredTransactions
+  }, [totalsStats, categoryStats, timeFilter]);
 
-  // Category data for pie chart (use filtered for visualization)
+  // Category data for pie chart (expenses in the selected period)
   const categoryData = useMemo(() => {
-    const categoryBreakdown = {};
-    
-    filteredTransactions
-      .filter(t => t.type === 'expense')
-      .forEach(t => {
-        const category = t.category || 'Other';
-        categoryBreakdown[category] = (categoryBreakdown[category] || 0) + t.amount;
-      });
-
-    return Object.entries(categoryBreakdown)
-      .map(([name, value], index) => ({
-        name,
-        value,
-        color: COLORS[index % COLORS.length]
+    return (categoryStats?.groups || [])
+      .filter(group => group.expense > 0)
+      .map((group, index) => ({
+        name: group.key || 'Other',
+        value: group.expense,
+        color: categoryColors[group.key] || COLORS[index % COLORS.length]
       }))
-      .sort((a, b) => b.value - a.value)
       .slice(0, 6);
-  }, [filteredTransactions]);
+  }, [categoryStats, categoryColors]);
 
-  // Chart data for trends (use filtered for visualization)
+  // Chart data for trends over the last 7 days
   const chartData = useMemo(() => {
+    const dailyGroups = {};
+    (trendStats?.groups || []).forEach(group => {
+      dailyGroups[group.key] = group;
+    });
+
     const last7Days = [];
     const now = new Date();
     
     for (let i = 6; i >= 0; i--) {
       const date = new Date(now);
       date.setDate(now.getDate() - i);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      const dayTransactions = filteredTransactions.filter(t => {
-        const tDateStr = t.date.toISOString().split('T')[0];
-        return tDateStr === dateStr;
-      });
-      
-      const income = dayTransactions
-        .filter(t => t.type === 'income')
-        .reduce((sum, t) => sum + t.amount, 0);
-      
-      const expenses = dayTransactions
-        .filter(t => t.type === 'expense')
-        .reduce((sum, t) => sum + t.amount, 0);
+      // Stats are bucketed in the browser's timezone, so key on the local calendar date
+      const dateKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+      const group = dailyGroups[dateKey];
 
       last7Days.push({
         date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        income,
-        expenses,
-        net: income - expenses
+        income: group?.income || 0,
+        expenses: group?.expense || 0,
+        net: group?.net || 0
       });
     }
     
     return last7Days;
-  }, [filteredTransactions]);
+  }, [trendStats]);
 
   // Event handlers
   const handleCategoryFilter = useCallback((categoryName) => {
@@ -519,6 +392,7 @@ const Dashboard = () => {
 
       // After delete, reload first page since data changed
       setCurrentPage(1);
+      setRefreshTrigger(prev => prev + 1);
     } catch (error) {
       setNotification({
         open: true,
@@ -538,13 +412,13 @@ const Dashboard = () => {
   const loadExpenses = useCallback(async () => {
     try {
       console.log('🔄 Dashboard: Manual refresh triggered');
-      await dispatch(fetchTransactions()).unwrap();
+      const { pagination: refreshed } = await dispatch(fetchTransactions(listParams)).unwrap();
+      fetchDashboardStats();
       setNotification({
         open: true,
-        message: `✅ Refreshed! Found ${transactions.length} transactions`,
+        message: `✅ Refreshed! Found ${refreshed?.total ?? 0} transactions in the period`,
         severity: 'success'
       });
-      setCurrentPage(1); // Reset page on refresh
     } catch (error) {
       setNotification({
         open: true,
@@ -552,7 +426,7 @@ const Dashboard = () => {
         severity: 'error'
       });
     }
-  }, [dispatch, transactions.length]);
+  }, [dispatch, fetchDashboardStats, listParams]);
 
   // Pagination controls handlers
   const handlePageChange = (page) => {
@@ -628,7 +502,7 @@ const Dashboard = () => {
             Here's your financial overview for the selected period
           </Typography>
           <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
-            Last updated: {new Date().toLocaleTimeString()} • {transactions.length} total • {totalFilteredCount} in period
+            Last updated: {new Date().toLocaleTimeString()} • {allTimeCount} total • {totalFilteredCount} in period
           </Typography>
         </Box>
         
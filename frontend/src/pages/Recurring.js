@@ -0,0 +1,450 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box,
+  Typography,
+  Button,
+  Card,
+  CardContent,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  IconButton,
+  Tooltip,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Grid,
+  Alert,
+  Snackbar,
+  CircularProgress,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDayjs } from '@mui/x-date-pickers/AdapterDayjs';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Pause as PauseIcon,
+  PlayArrow as PlayIcon,
+  Autorenew as RunIcon,
+} from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import dayjs from 'dayjs';
+import { FadeIn, SlideIn } from '../components/Animations/AnimatedComponents';
+import DeleteConfirmDialog from '../components/DeleteConfirmDialog';
+import { fetchCategories, orderCategoriesAsTree } from '../features/categories/categorySlice';
+import { recurringAPI } from '../services/api';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const INTERVAL_UNITS = { weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' };
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const emptyForm = {
+  description: '',
+  amount: '',
+  type: 'expense',
+  category: '',
+  merchant: '',
+  frequency: 'monthly',
+  interval: 1,
+  dayOfWeek: 1,
+  dayOfMonth: 1,
+  monthOfYear: 1,
+  startDate: dayjs(),
+  endDate: null,
+  isActive: true,
+};
+
+// Rule dates are stored as UTC midnight; read only the date part so no timezone shifts the day
+const fromRuleDate = (date) => dayjs(String(date).slice(0, 10));
+const formatRuleDate = (date) => (date ? fromRuleDate(date).format('DD MMM YYYY') : '—');
+const toDateOnly = (date) => (date ? dayjs(date).format('YYYY-MM-DD') : null);
+
+const describeCadence = (rule) => {
+  const every = rule.interval > 1 ? `Every ${rule.interval} ` : 'Every ';
+  switch (rule.frequency) {
+    case 'weekly':
+      return `${every}${rule.interval > 1 ? 'weeks' : 'week'} on ${WEEKDAYS[rule.dayOfWeek]}`;
+    case 'monthly':
+      return `${every}${rule.interval > 1 ? 'months' : 'month'} on day ${rule.dayOfMonth}`;
+    case 'yearly':
+      return `${every}${rule.interval > 1 ? 'years' : 'year'} on ${rule.dayOfMonth} ${MONTHS[rule.monthOfYear - 1]}`;
+    default:
+      return rule.frequency;
+  }
+};
+
+const Recurring = () => {
+  const dispatch = useDispatch();
+  const { items: categoryItems, isLoaded: categoriesLoaded } = useSelector((state) => state.categories);
+
+  const [rules, setRules] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [deleting, setDeleting] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const notify = (message, severity = 'success') => setSnackbar({ open: true, message, severity });
+
+  const loadRules = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const { data } = await recurringAPI.getAll();
+      setRules(data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load recurring transactions');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  useEffect(() => {
+    if (!categoriesLoaded) dispatch(fetchCategories());
+  }, [dispatch, categoriesLoaded]);
+
+  const categoryOptions = useMemo(
+    () => orderCategoriesAsTree(categoryItems, formData.type),
+    [categoryItems, formData.type]
+  );
+
+  const openCreate = () => {
+    setEditing(null);
+    setFormData(emptyForm);
+    setFormOpen(true);
+  };
+
+  const openEdit = (rule) => {
+    setEditing(rule);
+    setFormData({
+      description: rule.description || '',
+      amount: String(rule.amount),
+      type: rule.type,
+      category: rule.category,
+      merchant: rule.merchant || '',
+      frequency: rule.frequency,
+      interval: rule.interval || 1,
+      dayOfWeek: rule.dayOfWeek ?? 1,
+      dayOfMonth: rule.dayOfMonth ?? 1,
+      monthOfYear: rule.monthOfYear ?? 1,
+      startDate: fromRuleDate(rule.startDate),
+      endDate: rule.endDate ? fromRuleDate(rule.endDate) : null,
+      isActive: rule.isActive,
+    });
+    setFormOpen(true);
+  };
+
+  const setField = (field) => (event) => {
+    const value = event.target.value;
+    setFormData(prev => ({ ...prev, [field]: value, ...(field === 'type' && { category: '' }) }));
+  };
+
+  const handleSave = async () => {
+    const payload = {
+      description: formData.description.trim(),
+      amount: parseFloat(formData.amount),
+      type: formData.type,
+      category: formData.category,
+      merchant: formData.merchant.trim(),
+      frequency: formData.frequency,
+      interval: parseInt(formData.interval, 10) || 1,
+      startDate: toDateOnly(formData.startDate),
+      endDate: toDateOnly(formData.endDate),
+      isActive: formData.isActive,
+      ...(formData.frequency === 'weekly' && { dayOfWeek: formData.dayOfWeek }),
+      ...(formData.frequency !== 'weekly' && { dayOfMonth: formData.dayOfMonth }),
+      ...(formData.frequency === 'yearly' && { monthOfYear: formData.monthOfYear }),
+    };
+
+    try {
+      const result = editing
+        ? await recurringAPI.update(editing._id, payload)
+        : await recurringAPI.create(payload);
+      notify(result.transactionsCreated > 0
+        ? `Saved; ${result.transactionsCreated} due transaction(s) created`
+        : 'Recurring transaction saved');
+      setFormOpen(false);
+      loadRules();
+    } catch (err) {
+      notify(err.response?.data?.details?.[0] || err.response?.data?.error || 'Failed to save', 'error');
+    }
+  };
+
+  const toggleActive = async (rule) => {
+    try {
+      await recurringAPI.update(rule._id, { isActive: !rule.isActive });
+      notify(rule.isActive ? 'Paused' : 'Resumed');
+      loadRules();
+    } catch (err) {
+      notify(err.response?.data?.error || 'Failed to update', 'error');
+    }
+  };
+
+  const handleRunDue = async () => {
+    try {
+      const { data } = await recurringAPI.runDue();
+      notify(`${data.created} transaction(s) created`);
+      loadRules();
+    } catch (err) {
+      notify(err.response?.data?.error || 'Failed to run recurring transactions', 'error');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await recurringAPI.delete(deleting._id);
+      notify('Recurring transaction deleted');
+      setDeleting(null);
+      loadRules();
+    } catch (err) {
+      notify(err.response?.data?.error || 'Failed to delete', 'error');
+    }
+  };
+
+  const canSave = parseFloat(formData.amount) > 0 && formData.category && formData.startDate;
+
+  return (
+    <LocalizationProvider dateAdapter={AdapterDayjs}>
+      <Box>
+        <FadeIn>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4, gap: 2, flexWrap: 'wrap' }}>
+            <Typography variant="h4" sx={{ fontWeight: 700 }}>
+              Recurring Transactions
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <Button variant="outlined" startIcon={<RunIcon />} onClick={handleRunDue}>
+                Create Due Now
+              </Button>
+              <motion.div whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+                <Button variant="contained" startIcon={<AddIcon />} onClick={openCreate} sx={{ px: 3, py: 1.5 }}>
+                  Add Recurring
+                </Button>
+              </motion.div>
+            </Box>
+          </Box>
+        </FadeIn>
+
+        {error && <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>}
+
+        <SlideIn direction="up" delay={0.1}>
+          <Card sx={{ borderRadius: 3 }}>
+            <CardContent>
+              {isLoading && rules.length === 0 ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+                  <CircularProgress />
+                </Box>
+              ) : rules.length === 0 ? (
+                <Typography color="text.secondary" sx={{ textAlign: 'center', py: 6 }}>
+                  No recurring transactions yet. Add rent, salary or subscriptions to have them created automatically.
+                </Typography>
+              ) : (
+                <TableContainer>
+                  <Table>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Description</TableCell>
+                        <TableCell>Category</TableCell>
+                        <TableCell align="right">Amount</TableCell>
+                        <TableCell>Schedule</TableCell>
+                        <TableCell>Next</TableCell>
+                        <TableCell>Status</TableCell>
+                        <TableCell align="right">Actions</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {rules.map(rule => (
+                        <TableRow key={rule._id} hover>
+                          <TableCell>
+                            <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                              {rule.description || rule.category}
+                            </Typography>
+                            {rule.merchant && (
+                              <Typography variant="caption" color="text.secondary">{rule.merchant}</Typography>
+                            )}
+                          </TableCell>
+                          <TableCell>{rule.category}</TableCell>
+                          <TableCell align="right" sx={{ color: rule.type === 'income' ? 'success.main' : 'error.main', fontWeight: 600 }}>
+                            {rule.type === 'income' ? '+' : '-'}₹{rule.amount.toLocaleString('en-IN')}
+                          </TableCell>
+                          <TableCell>
+                            {describeCadence(rule)}
+                            {rule.endDate && (
+                              <Typography variant="caption" display="block" color="text.secondary">
+                                until {formatRuleDate(rule.endDate)}
+                              </Typography>
+                            )}
+                          </TableCell>
+                          <TableCell>{formatRuleDate(rule.upcoming?.[0])}</TableCell>
+                          <TableCell>
+                            <Chip
+                              size="small"
+                              label={rule.isActive ? 'Active' : rule.nextRunAt ? 'Paused' : 'Ended'}
+                              color={rule.isActive ? 'success' : 'default'}
+                            />
+                          </TableCell>
+                          <TableCell align="right">
+                            <Tooltip title={rule.isActive ? 'Pause' : 'Resume'}>
+                              <IconButton size="small" onClick={() => toggleActive(rule)}>
+                                {rule.isActive ? <PauseIcon fontSize="small" /> : <PlayIcon fontSize="small" />}
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Edit">
+                              <IconButton size="small" onClick={() => openEdit(rule)}>
+                                <EditIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Delete">
+                              <IconButton size="small" color="error" onClick={() => setDeleting(rule)}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              )}
+            </CardContent>
+          </Card>
+        </SlideIn>
+
+        <Dialog open={formOpen} onClose={() => setFormOpen(false)} maxWidth="sm" fullWidth PaperProps={{ sx: { borderRadius: 3 } }}>
+          <DialogTitle>{editing ? 'Edit Recurring Transaction' : 'Add Recurring Transaction'}</DialogTitle>
+          <DialogContent>
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12}>
+                <TextField fullWidth label="Description" value={formData.description} onChange={setField('description')} placeholder="e.g. Rent, Netflix" inputProps={{ maxLength: 500 }} />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField fullWidth label="Amount" type="number" value={formData.amount} onChange={setField('amount')} inputProps={{ min: 0, step: 0.01 }} required />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField select fullWidth label="Type" value={formData.type} onChange={setField('type')}>
+                  <MenuItem value="expense">Expense</MenuItem>
+                  <MenuItem value="income">Income</MenuItem>
+                </TextField>
+              </Grid>
+              <Grid item xs={6}>
+                <TextField select fullWidth label="Category" value={formData.category} onChange={setField('category')} required>
+                  {categoryOptions.map(category => (
+                    <MenuItem key={category._id} value={category.name} sx={{ pl: 2 + category.depth * 2 }}>
+                      {category.icon ? `${category.icon} ` : ''}{category.name}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={6}>
+                <TextField fullWidth label="Merchant (Optional)" value={formData.merchant} onChange={setField('merchant')} inputProps={{ maxLength: 200 }} />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField select fullWidth label="Repeats" value={formData.frequency} onChange={setField('frequency')}>
+                  <MenuItem value="weekly">Weekly</MenuItem>
+                  <MenuItem value="monthly">Monthly</MenuItem>
+                  <MenuItem value="yearly">Yearly</MenuItem>
+                </TextField>
+              </Grid>
+              <Grid item xs={6}>
+                <TextField fullWidth label="Every" type="number" value={formData.interval} onChange={setField('interval')} inputProps={{ min: 1, max: 52 }} helperText={INTERVAL_UNITS[formData.frequency]} />
+              </Grid>
+              {formData.frequency === 'weekly' && (
+                <Grid item xs={12}>
+                  <TextField select fullWidth label="On" value={formData.dayOfWeek} onChange={setField('dayOfWeek')}>
+                    {WEEKDAYS.map((day, index) => <MenuItem key={day} value={index}>{day}</MenuItem>)}
+                  </TextField>
+                </Grid>
+              )}
+              {formData.frequency === 'yearly' && (
+                <Grid item xs={6}>
+                  <TextField select fullWidth label="Month" value={formData.monthOfYear} onChange={setField('monthOfYear')}>
+                    {MONTHS.map((month, index) => <MenuItem key={month} value={index + 1}>{month}</MenuItem>)}
+                  </TextField>
+                </Grid>
+              )}
+              {formData.frequency !== 'weekly' && (
+                <Grid item xs={formData.frequency === 'yearly' ? 6 : 12}>
+                  <TextField
+                    fullWidth
+                    label="Day of month"
+                    type="number"
+                    value={formData.dayOfMonth}
+                    onChange={setField('dayOfMonth')}
+                    inputProps={{ min: 1, max: 31 }}
+                    helperText="Falls on the last day in shorter months"
+                  />
+                </Grid>
+              )}
+              <Grid item xs={6}>
+                <DatePicker
+                  label="Starts"
+                  value={formData.startDate}
+                  onChange={(value) => setFormData(prev => ({ ...prev, startDate: value }))}
+                  slotProps={{ textField: { fullWidth: true } }}
+                />
+              </Grid>
+              <Grid item xs={6}>
+                <DatePicker
+                  label="Ends (Optional)"
+                  value={formData.endDate}
+                  onChange={(value) => setFormData(prev => ({ ...prev, endDate: value }))}
+                  slotProps={{ textField: { fullWidth: true }, field: { clearable: true } }}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={<Switch checked={formData.isActive} onChange={(e) => setFormData(prev => ({ ...prev, isActive: e.target.checked }))} />}
+                  label="Active"
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+          <DialogActions sx={{ p: 3 }}>
+            <Button onClick={() => setFormOpen(false)} color="inherit">Cancel</Button>
+            <Button variant="contained" onClick={handleSave} disabled={!canSave}>
+              {editing ? 'Save Changes' : 'Add Recurring'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        <DeleteConfirmDialog
+          open={!!deleting}
+          onClose={() => setDeleting(null)}
+          onConfirm={handleDelete}
+          title="Delete Recurring Transaction"
+          message={`Stop creating "${deleting?.description || deleting?.category}"? Transactions it already created are kept.`}
+        />
+
+        <Snackbar
+          open={snackbar.open}
+          autoHideDuration={4000}
+          onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}
+          anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        >
+          <Alert severity={snackbar.severity} onClose={() => setSnackbar(prev => ({ ...prev, open: false }))}>
+            {snackbar.message}
+          </Alert>
+        </Snackbar>
+      </Box>
+    </LocalizationProvider>
+  );
+};
+
+export default Recurring;
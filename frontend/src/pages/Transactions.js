@@ -48,6 +48,7 @@ import {
   Close as CloseIcon,
   Warning as WarningIcon,
   Save as SaveIcon,
+  ContentCopy as DuplicateIcon,
 } from '@mui/icons-material';
 import ScheduleIcon from '@mui/icons-material/Schedule';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
@@ -65,6 +66,8 @@ import {
 } from '../features/transactions/transactionSlice';
 import TransactionForm from '../components/TransactionForm';
 import DeleteConfirmDialog from '../components/DeleteConfirmDialog';
+import DuplicateReviewDialog from '../components/DuplicateReviewDialog';
+import { transactionAPI } from '../services/api';
 import {
   FadeIn,
   SlideIn,
@@ -84,6 +87,28 @@ const dateRangePresets = [
   { label: 'This Year', getValue: () => ({ start: dayjs().startOf('year'), end: dayjs().endOf('year') }) },
 ];
 
+// Marks a transaction split across categories; the tooltip lists the parts
+const SplitChip = ({ allocations }) => {
+  if (!allocations || allocations.length === 0) return null;
+  return (
+    <Tooltip
+      title={allocations
+        .map(a => `${a.category}: ₹${a.amount.toLocaleString('en-IN')}${a.note ? ` (${a.note})` : ''}`)
+        .join(' · ')}
+    >
+      <Chip label={`Split ${allocations.length} ways`} size="small" variant="outlined" sx={{ ml: 1 }} />
+    </Tooltip>
+  );
+};
+
+// Marks a transaction that may repeat one already recorded; clicking it opens the review
+const DuplicateChip = ({ transaction, onClick }) => {
+  if (!transaction.possibleDuplicateOf) return null;
+  return (
+    <Chip label="Possible duplicate" size="small" color="warning" variant="outlined" onClick={onClick} sx={{ ml: 1 }} />
+  );
+};
+
 // Date validation helper
 const isFutureDate = (date) => {
   const today = dayjs().startOf('day');
@@ -308,7 +333,7 @@ const EnhancedPagination = ({
 
 const Transactions = () => {
   const dispatch = useDispatch();
-  const { data: transactions, pagination, isLoading, error, filters } = useSelector(
+  const { data: transactions, pagination, summary: filteredSummary, isLoading, error, filters } = useSelector(
     (state) => state.transactions
   );
 
@@ -323,6 +348,8 @@ const Transactions = () => {
   const [dateFixDialog, setDateFixDialog] = useState({ open: false, transaction: null });
   const [dateFixLoading, setDateFixLoading] = useState(false);
   const [showFutureDateAlert, setShowFutureDateAlert] = useState(true);
+  const [duplicates, setDuplicates] = useState([]);
+  const [duplicateDialogOpen, setDuplicateDialogOpen] = useState(false);
 
   const futureDateTransactions = transactions.filter((transaction) => isFutureDate(transaction.date));
 
@@ -334,9 +361,19 @@ const Transactions = () => {
     setLocalFilters(filters);
   }, [filters]);
 
+  // Refreshed with the list, since a new or imported transaction may have been flagged
+  useEffect(() => {
+    transactionAPI.getDuplicates()
+      .then(({ data }) => setDuplicates(data))
+      .catch(() => setDuplicates([]));
+  }, [transactions]);
+
   const applyFilters = () => {
     const params = {
       page: filters.page,
+      limit: filters.limit,
+      sort: filters.sort,
+      order: filters.order,
       ...(filters.search && { search: filters.search }),
       ...(filters.type && { type: filters.type }),
       ...(filters.category && { category: filters.category }),
@@ -444,6 +481,18 @@ const Transactions = () => {
     }
   };
 
+  const handleReviewDuplicates = () => {
+    setDuplicateDialogOpen(true);
+    handleCloseActionMenu();
+  };
+
+  const handleDuplicateResolved = (transaction) => {
+    const remaining = duplicates.filter((d) => d._id !== transaction._id);
+    setDuplicates(remaining);
+    if (remaining.length === 0) setDuplicateDialogOpen(false);
+    applyFilters();
+  };
+
   const handlePageChange = (newPage) => {
     window.scrollTo({ top: 0, behavior: 'smooth' });
     handleFilterChange('page', newPage);
@@ -452,7 +501,8 @@ const Transactions = () => {
   const getTypeColor = (type) => (type === 'income' ? 'success' : 'error');
   const getTypeIcon = (type) => (type === 'income' ? <TrendingUp /> : <TrendingDown />);
 
-  const summary = transactions.reduce(
+  // Prefer the server totals, which cover every page of the current filter
+  const summary = filteredSummary || transactions.reduce(
     (acc, transaction) => {
       const amount = typeof transaction.amount === 'number' ? transaction.amount : 0;
       if (transaction.type === 'income') {
@@ -530,6 +580,8 @@ const Transactions = () => {
 
               <Typography variant="subtitle1" sx={{ fontWeight: 500, mb: 1 }}>
                 {transaction.category}
+                <SplitChip allocations={transaction.allocations} />
+                <DuplicateChip transaction={transaction} onClick={handleReviewDuplicates} />
               </Typography>
 
               {transaction.description && (
@@ -632,6 +684,22 @@ const Transactions = () => {
           </Collapse>
         )}
 
+        {duplicates.length > 0 && (
+          <Alert
+            severity="info"
+            icon={<DuplicateIcon />}
+            sx={{ mb: 3, borderRadius: 2 }}
+            action={
+              <Button size="small" variant="outlined" color="info" onClick={handleReviewDuplicates}>
+                Review
+              </Button>
+            }
+          >
+            {duplicates.length} transaction(s) look like payments already recorded, for example an expense you entered
+            that later came in on a statement. Merge them or keep both.
+          </Alert>
+        )}
+
         <FadeIn>
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 4 }}>
             <Typography variant="h4" sx={{ fontWeight: 700 }}>
@@ -814,6 +882,8 @@ const Transactions = () => {
                               <TableCell sx={{ minWidth: '220px', verticalAlign: 'top' }}>
                                 <Typography variant="body2" sx={{ lineHeight: 1.4 }}>
                                   {transaction.category}
+                                  <SplitChip allocations={transaction.allocations} />
+                                  <DuplicateChip transaction={transaction} onClick={handleReviewDuplicates} />
                                 </Typography>
                               </TableCell>
 
@@ -943,6 +1013,14 @@ const Transactions = () => {
             </ListItemIcon>
             <ListItemText>Edit Transaction</ListItemText>
           </MenuItem>
+          {actionMenu.transaction?.possibleDuplicateOf && (
+            <MenuItem onClick={handleReviewDuplicates} sx={{ color: 'warning.main' }}>
+              <ListItemIcon>
+                <DuplicateIcon fontSize="small" color="warning" />
+              </ListItemIcon>
+              <ListItemText>Review Duplicate</ListItemText>
+            </MenuItem>
+          )}
           {actionMenu.transaction && isFutureDate(actionMenu.transaction.date) && (
             <>
               <Divider />
@@ -965,6 +1043,13 @@ const Transactions = () => {
 
         <DateFixDialog open={dateFixDialog.open} onClose={() => setDateFixDialog({ open: false, transaction: null })} transaction={dateFixDialog.transaction} onSave={handleDateFixSave} isLoading={dateFixLoading} />
 
+        <DuplicateReviewDialog
+          open={duplicateDialogOpen}
+          duplicates={duplicates}
+          onClose={() => setDuplicateDialogOpen(false)}
+          onResolved={handleDuplicateResolved}
+        />
+
         <TransactionForm open={openForm} onClose={handleCloseForm} editData={editTransaction} viewMode={!!viewTransaction} />
 
         <DeleteConfirmDialog
@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useEffect, useMemo } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { useDispatch } from 'react-redux';
 import {
   Box,
@@ -24,6 +24,8 @@ import {
   IconButton,
   Tooltip,
   Dialog,
+  Checkbox,
+  FormControlLabel,
   DialogTitle,
   DialogContent,
   DialogActions,
@@ -53,11 +55,90 @@ import {
   Download as DownloadIcon,
   Info as InfoIcon,
   Image as ImageIcon,
+  FactCheck as ReviewIcon,
+  Translate as TranslateIcon,
+  TableChart as CsvIcon,
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
-import { uploadAPI, transactionAPI } from '../services/api';
+import dayjs from 'dayjs';
+import { uploadAPI, transactionAPI, importAPI, uploadHistoryAPI } from '../services/api';
 import { fetchTransactions } from '../features/transactions/transactionSlice';
 import { FadeIn, SlideIn, AnimatedCard } from '../components/Animations/AnimatedComponents';
+import ImportReviewDialog from '../components/ImportReviewDialog';
+import PdfPasswordDialog from '../components/PdfPasswordDialog';
+import OcrSettingsDialog from '../components/OcrSettingsDialog';
+import CsvImportDialog from '../components/CsvImportDialog';
+
+const JOB_POLL_INTERVAL_MS = 1500;
+
+const JOB_STAGE_MESSAGES = {
+  receipt: {
+    extracting: '🔍 Reading the receipt with OCR...',
+    uploading: '☁️ Storing the image...',
+    parsing: '🤖 AI parsing the receipt...',
+    saving: '💾 Saving validated data to database...',
+  },
+  bank_statement: {
+    extracting: '📄 Extracting text from the PDF...',
+    uploading: '☁️ Storing the statement...',
+    parsing: '🤖 AI parsing transactions...',
+    saving: '💾 Saving to database...',
+  },
+};
+
+// Image cleanup the server runs before OCR; the names match the backend's preprocessing steps
+const PREPROCESSING_STEPS = [
+  { step: 'autoRotate', label: 'Auto-rotate' },
+  { step: 'downscale', label: 'Downscale' },
+  { step: 'upscale', label: 'Upscale' },
+  { step: 'grayscale', label: 'Grayscale' },
+  { step: 'deskew', label: 'Deskew' },
+  { step: 'crop', label: 'Crop' },
+  { step: 'threshold', label: 'Threshold' },
+];
+
+const UPLOAD_STATUS_LABELS = {
+  processing: 'Processing',
+  review: 'Awaiting review',
+  imported: 'Imported',
+  discarded: 'Discarded',
+  expired: 'Expired',
+  failed: 'Failed',
+};
+
+// Shape a server-side upload for the history table
+const toUploadRecord = (upload) => ({
+  id: upload._id,
+  type: upload.kind === 'receipt' ? 'receipt' : 'statement',
+  filename: upload.fileName,
+  fileSize: upload.fileSize,
+  fileType: upload.mimeType,
+  status: upload.status === 'failed' ? 'error' : upload.status === 'processing' ? 'processing' : 'success',
+  state: upload.status,
+  message: upload.error || UPLOAD_STATUS_LABELS[upload.status],
+  cloudinaryUrl: upload.fileUrl,
+  extractedCount: upload.status === 'imported' ? upload.transactionCount : upload.stats?.rowCount || 0,
+  transactionCount: upload.transactionCount,
+  needsReview: upload.status === 'review' ? upload.stats?.reviewCount || 0 : 0,
+  batchId: upload.importBatch,
+  timestamp: upload.createdAt,
+  processingStats: {
+    extractionMethod: upload.extractionMethod,
+    parsingMethod: upload.parsingMethod,
+    ocrConfidence: upload.ocrConfidence != null ? `${upload.ocrConfidence}%` : null,
+    processingTime: upload.stats?.processingTime ? `${upload.stats.processingTime}ms` : null,
+  },
+});
+
+const describeJobStage = (job) => {
+  if (job.status === 'queued') {
+    return job.queuePosition > 0
+      ? `⏳ Waiting in queue (${job.queuePosition} ahead)...`
+      : '⏳ Waiting for the upload worker...';
+  }
+  const message = JOB_STAGE_MESSAGES[job.kind]?.[job.stage] || '⚙️ Processing...';
+  return job.stageDetail ? `${message} (${job.stageDetail})` : message;
+};
 
 const Upload = () => {
   const dispatch = useDispatch();
@@ -71,6 +152,32 @@ const Upload = () => {
   const [processingStage, setProcessingStage] = useState('');
   const [processingProgress, setProcessingProgress] = useState(0);
   const [debugInfo, setDebugInfo] = useState(null);
+  const [preprocessSteps, setPreprocessSteps] = useState(() => PREPROCESSING_STEPS.map(({ step }) => step));
+  const [ocrSettingsOpen, setOcrSettingsOpen] = useState(false);
+  const [drafts, setDrafts] = useState([]);
+  const [reviewBatchId, setReviewBatchId] = useState(null);
+  const [passwordPrompt, setPasswordPrompt] = useState(null);
+  const [csvFile, setCsvFile] = useState(null);
+  const isMountedRef = useRef(true);
+
+  useEffect(() => () => {
+    isMountedRef.current = false;
+  }, []);
+
+  // Poll a queued upload until the server finishes it, mirroring its real stage and progress
+  const waitForJob = useCallback(async (jobId) => {
+    while (isMountedRef.current) {
+      const { data: job } = await uploadAPI.getProgress(jobId);
+      setProcessingStage(describeJobStage(job));
+      setProcessingProgress(job.progress || 0);
+
+      if (job.status === 'completed') return job;
+      if (job.status === 'failed') throw new Error(job.error || 'Processing failed');
+
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+    return null;
+  }, []);
   
   // Upload management state
   const [uploads, setUploads] = useState([]);
@@ -83,18 +190,13 @@ const Upload = () => {
   const [showDebugInfo, setShowDebugInfo] = useState(false);
   const [selectedUpload, setSelectedUpload] = useState(null);
   const [detailsDialog, setDetailsDialog] = useState(false);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [deleteOptions, setDeleteOptions] = useState({ deleteTransactions: false, deleteFile: false });
 
   // ✅ NEW: Pagination state
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(10);
 
-  // Statistics
-  const [stats, setStats] = useState({
-    totalUploads: 0,
-    successfulUploads: 0,
-    failedUploads: 0,
-    totalProcessed: 0
-  });
 
   // ✅ NEW: Paginated uploads calculation
   const paginatedUploads = useMemo(() => {
@@ -106,28 +208,35 @@ const Upload = () => {
   // ✅ NEW: Calculate total pages
   const totalPages = Math.ceil(filteredUploads.length / itemsPerPage);
 
-  // Load uploads on component mount
-  useEffect(() => {
-    loadUploads();
+  // Parsed uploads waiting for the user to confirm or discard them
+  const loadDrafts = useCallback(async () => {
+    try {
+      const { data } = await importAPI.getAll();
+      setDrafts(data);
+    } catch (error) {
+      console.error('❌ Error loading drafts:', error);
+    }
   }, []);
 
+  useEffect(() => {
+    loadDrafts();
+  }, [loadDrafts]);
+
   // Apply filters and sorting
   useEffect(() => {
     applyFiltersAndSort();
     setCurrentPage(1); // Reset to first page when filters change
   }, [uploads, filter, sortBy, sortOrder]);
 
-  const loadUploads = async () => {
+  const loadUploads = useCallback(async () => {
     try {
       setTableLoading(true);
-      console.log('🔄 Loading uploads from localStorage...');
-      
-      // Load from localStorage for now - you can replace with API call
-      const savedUploads = JSON.parse(localStorage.getItem('uploadHistory') || '[]');
-      console.log(`📊 Loaded ${savedUploads.length} uploads`);
-      
-      setUploads(savedUploads);
-      calculateStats(savedUploads);
+      console.log('🔄 Loading upload history...');
+
+      const { data } = await uploadHistoryAPI.getAll();
+      console.log(`📊 Loaded ${data.length} uploads`);
+
+      setUploads(data.map(toUploadRecord));
     } catch (error) {
       console.error('❌ Error loading uploads:', error);
       setNotification({
@@ -139,32 +248,19 @@ const Upload = () => {
     } finally {
       setTableLoading(false);
     }
-  };
+  }, []);
 
-  const saveUploads = (uploadsData) => {
-    try {
-      localStorage.setItem('uploadHistory', JSON.stringify(uploadsData));
-      console.log('✅ Upload history saved to localStorage');
-    } catch (error) {
-      console.error('❌ Error saving uploads:', error);
-    }
-  };
+  // Load uploads on component mount
+  useEffect(() => {
+    loadUploads();
+  }, [loadUploads]);
 
-  const calculateStats = (uploadsData) => {
-    const totalUploads = uploadsData.length;
-    const successfulUploads = uploadsData.filter(upload => upload.status === 'success').length;
-    const failedUploads = uploadsData.filter(upload => upload.status === 'error').length;
-    const totalProcessed = uploadsData.reduce((sum, upload) => {
-      return sum + (upload.extractedCount || 0);
-    }, 0);
-
-    setStats({
-      totalUploads,
-      successfulUploads,
-      failedUploads,
-      totalProcessed
-    });
-  };
+  const stats = useMemo(() => ({
+    totalUploads: uploads.length,
+    successfulUploads: uploads.filter(upload => upload.status === 'success').length,
+    failedUploads: uploads.filter(upload => upload.status === 'error').length,
+    totalProcessed: uploads.reduce((sum, upload) => sum + (upload.extractedCount || 0), 0)
+  }), [uploads]);
 
   const applyFiltersAndSort = () => {
     let filtered = [...uploads];
@@ -242,105 +338,90 @@ const Upload = () => {
 
     setUploading(true);
     setProcessingStage('📤 Uploading image to server...');
-    setProcessingProgress(10);
+    setProcessingProgress(0);
     setDebugInfo(null);
 
     const formData = new FormData();
     formData.append('file', file);
+    // Lets the server tell DD/MM from MM/DD dates the way this user writes them
+    formData.append('locale', navigator.language);
+    formData.append('preprocess', preprocessSteps.length > 0 ? preprocessSteps.join(',') : 'none');
 
     try {
-      setProcessingStage('🔍 Enhanced OCR processing with multiple passes...');
-      setProcessingProgress(30);
-
       console.log('📤 Starting enhanced upload for:', file.name);
       const response = await uploadAPI.uploadReceipt(formData);
-      console.log('✅ Upload response:', response.data);
+      console.log('✅ Receipt queued:', response.data?.data?.id);
+
+      const job = await waitForJob(response.data.data.id);
+      if (!job) return;
+
+      const result = job.result;
+      const processedCount = result.stats?.rowCount || 0;
+      const needsReviewCount = result.stats?.reviewCount || 0;
+
+      // Store debug information
+      setDebugInfo({
+        ocrMethod: result.processingDetails?.extractionMethod || 'Unknown',
+        preprocessing: result.processingDetails?.preprocessing || null,
+        ocrLanguages: result.processingDetails?.ocrLanguages || null,
+        languageDetection: result.processingDetails?.languageDetection || null,
+        parsingMethod: result.stats?.parsingMethod || 'Unknown',
+        textLength: result.extractedText?.length || 0,
+        processingTime: result.stats?.processingTime || 0,
+        ocrPreview: result.extractedText || '',
+        rawOcrText: result.extractedText || '',
+        fileUrl: result.fileUrl
+      });
 
-      setProcessingStage('🤖 AI parsing with Google Gemini 1.5 Flash...');
-      setProcessingProgress(60);
+      // Create upload record
+      const uploadRecord = {
+        id: Date.now(),
+        jobId: job.id,
+        type: 'receipt',
+        filename: file.name,
+        fileSize: file.size,
+        fileType: file.type,
+        status: 'success',
+        message: `${processedCount} expense(s) awaiting review`,
+        cloudinaryUrl: result.fileUrl,
+        extractedCount: processedCount,
+        needsReview: needsReviewCount,
+        timestamp: new Date().toISOString(),
+        processingStats: {
+          ocrMethod: result.processingDetails?.extractionMethod,
+          parsingMethod: result.stats?.parsingMethod,
+          textLength: result.extractedText?.length,
+          processingTime: result.stats?.processingTime
+        },
+        batchId: result.batchId,
+        extractedData: [],
+        ocrPreview: result.extractedText
+      };
 
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      loadUploads();
 
-      setProcessingStage('💾 Saving validated data to database...');
-      setProcessingProgress(85);
+      // Add to upload results for immediate display
+      setUploadResults(prev => [uploadRecord, ...prev]);
 
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      setProcessingProgress(100);
+      // Nothing is saved until the user confirms the draft
+      loadDrafts();
+      setReviewBatchId(result.batchId);
 
-      const result = response.data;
-      if (result.success) {
-        let processedCount = 0;
-        let needsReviewCount = 0;
-        
-        if (result.expenses && result.expenses.length > 0) {
-          processedCount = result.expenses.length;
-          needsReviewCount = result.stats?.needsManualAmount || 0;
+      // Show detailed success message
+      let message = `🎉 Receipt processed successfully!`;
+      if (processedCount > 0) {
+        message += ` Found ${processedCount} expense(s) to review.`;
+        if (needsReviewCount > 0) {
+          message += ` ${needsReviewCount} need manual review.`;
         }
-
-        // Store debug information
-        setDebugInfo({
-          ocrMethod: result.stats?.ocrMethod || 'Unknown',
-          parsingMethod: result.stats?.parsingMethod || 'Unknown',
-          textLength: result.stats?.textLength || 0,
-          processingTime: result.stats?.processingTime || 0,
-          ocrPreview: result.ocrPreview || '',
-          rawOcrText: result.rawOcrText || '',
-          fileUrl: result.fileUrl
-        });
-
-        // Create upload record
-        const uploadRecord = {
-          id: Date.now(),
-          type: 'receipt',
-          filename: file.name,
-          fileSize: file.size,
-          fileType: file.type,
-          status: 'success',
-          message: `Processed ${processedCount} expense(s)`,
-          cloudinaryUrl: result.fileUrl,
-          extractedCount: processedCount,
-          needsReview: needsReviewCount,
-          timestamp: new Date().toISOString(),
-          processingStats: {
-            ocrMethod: result.stats?.ocrMethod,
-            parsingMethod: result.stats?.parsingMethod,
-            textLength: result.stats?.textLength,
-            processingTime: result.stats?.processingTime
-          },
-          extractedData: result.expenses || [],
-          ocrPreview: result.ocrPreview
-        };
-
-        // Update uploads state and save to localStorage
-        const updatedUploads = [uploadRecord, ...uploads];
-        setUploads(updatedUploads);
-        saveUploads(updatedUploads);
-
-        // Add to upload results for immediate display
-        setUploadResults(prev => [uploadRecord, ...prev]);
-
-        // Refresh the transactions list
-        dispatch(fetchTransactions());
-
-        // Show detailed success message
-        let message = `🎉 Receipt processed successfully!`;
-        if (processedCount > 0) {
-          message += ` Found ${processedCount} expense(s).`;
-          if (needsReviewCount > 0) {
-            message += ` ${needsReviewCount} need manual review.`;
-          }
-        }
-
-        setNotification({
-          open: true,
-          message: message,
-          severity: processedCount > 0 ? 'success' : 'warning'
-        });
-
-      } else {
-        throw new Error(result.message || 'Processing failed');
       }
 
+      setNotification({
+        open: true,
+        message: message,
+        severity: processedCount > 0 ? 'success' : 'warning'
+      });
+
     } catch (error) {
       console.error('❌ Receipt upload error:', error);
       
@@ -357,9 +438,7 @@ const Upload = () => {
         extractedCount: 0
       };
 
-      const updatedUploads = [errorRecord, ...uploads];
-      setUploads(updatedUploads);
-      saveUploads(updatedUploads);
+      loadUploads();
       setUploadResults(prev => [errorRecord, ...prev]);
 
       setNotification({
@@ -373,113 +452,97 @@ const Upload = () => {
       setProcessingProgress(0);
       event.target.value = '';
     }
-  }, [dispatch, uploads]);
-
-  // Enhanced file upload handler for bank statements
-  const handleStatementUpload = useCallback(async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  }, [waitForJob, loadDrafts, loadUploads, preprocessSteps]);
 
-    if (file.type !== 'application/pdf') {
-      setNotification({
-        open: true,
-        message: '❌ Please select a valid PDF file',
-        severity: 'error'
-      });
-      return;
-    }
-
-    if (file.size > 10 * 1024 * 1024) {
-      setNotification({
-        open: true,
-        message: '❌ File size must be less than 10MB',
-        severity: 'error'
-      });
-      return;
-    }
+  const togglePreprocessStep = (step) => {
+    setPreprocessSteps(prev => (prev.includes(step)
+      ? prev.filter(name => name !== step)
+      : PREPROCESSING_STEPS.map(item => item.step).filter(name => name === step || prev.includes(name))));
+  };
 
+  // Upload one statement, with the password when it is an encrypted PDF
+  const uploadStatement = useCallback(async (file, password = null) => {
     setUploading(true);
     setProcessingStage('📤 Uploading PDF to server...');
-    setProcessingProgress(10);
+    setProcessingProgress(0);
     setDebugInfo(null);
 
     const formData = new FormData();
     formData.append('file', file);
+    formData.append('locale', navigator.language);
+    if (password) formData.append('password', password);
 
     try {
-      setProcessingStage('📄 Enhanced PDF text extraction...');
-      setProcessingProgress(40);
-
       const response = await uploadAPI.uploadBankStatement(formData);
-      console.log('✅ Bank statement response:', response.data);
-
-      setProcessingStage('🤖 AI parsing transactions...');
-      setProcessingProgress(70);
-
-      await new Promise(resolve => setTimeout(resolve, 1500));
-
-      setProcessingStage('💾 Saving to database...');
-      setProcessingProgress(90);
+      console.log('✅ Bank statement queued:', response.data?.data?.id);
+
+      const job = await waitForJob(response.data.data.id);
+      if (!job) return;
+
+      const result = job.result;
+      const processedCount = result.stats?.rowCount || 0;
+      const needsReviewCount = result.stats?.reviewCount || 0;
+
+      // Store debug information
+      setDebugInfo({
+        extractionMethod: result.processingDetails?.extractionMethod || 'Unknown',
+        parsingMethod: result.stats?.parsingMethod || 'Unknown',
+        textLength: result.extractedText?.length || 0,
+        processingTime: result.stats?.processingTime || 0,
+        ocrPreview: result.extractedText || '',
+        rawOcrText: result.extractedText || '',
+        fileUrl: result.fileUrl
+      });
 
-      await new Promise(resolve => setTimeout(resolve, 500));
-      setProcessingProgress(100);
+      // Create upload record
+      const uploadRecord = {
+        id: Date.now(),
+        jobId: job.id,
+        type: 'statement',
+        filename: file.name,
+        fileSize: file.size,
+        fileType: file.type,
+        status: 'success',
+        message: `${processedCount} transaction(s) awaiting review`,
+        cloudinaryUrl: result.fileUrl,
+        extractedCount: processedCount,
+        needsReview: needsReviewCount,
+        timestamp: new Date().toISOString(),
+        processingStats: {
+          extractionMethod: result.processingDetails?.extractionMethod,
+          parsingMethod: result.stats?.parsingMethod,
+          textLength: result.extractedText?.length,
+          processingTime: result.stats?.processingTime
+        },
+        batchId: result.batchId,
+        extractedData: [],
+        ocrPreview: result.extractedText
+      };
 
-      const result = response.data;
-      if (result.success) {
-        const processedCount = result.transactions?.length || 0;
-        const needsReviewCount = result.stats?.needsManualAmount || 0;
+      loadUploads();
+      setUploadResults(prev => [uploadRecord, ...prev]);
 
-        // Store debug information
-        setDebugInfo({
-          extractionMethod: result.stats?.extractionMethod || 'Unknown',
-          parsingMethod: result.stats?.parsingMethod || 'Unknown',
-          textLength: result.rawOcrText?.length || 0,
-          processingTime: result.stats?.processingTime || 0,
-          ocrPreview: result.ocrPreview || '',
-          rawOcrText: result.rawOcrText || '',
-          fileUrl: result.fileUrl
-        });
+      loadDrafts();
+      setReviewBatchId(result.batchId);
 
-        // Create upload record
-        const uploadRecord = {
-          id: Date.now(),
-          type: 'statement',
-          filename: file.name,
-          fileSize: file.size,
-          fileType: file.type,
-          status: 'success',
-          message: `Imported ${processedCount} transaction(s)`,
-          cloudinaryUrl: result.fileUrl,
-          extractedCount: processedCount,
-          needsReview: needsReviewCount,
-          timestamp: new Date().toISOString(),
-          processingStats: {
-            extractionMethod: result.stats?.extractionMethod,
-            parsingMethod: result.stats?.parsingMethod,
-            textLength: result.rawOcrText?.length,
-            processingTime: result.stats?.processingTime
-          },
-          extractedData: result.transactions || [],
-          ocrPreview: result.ocrPreview
-        };
-
-        // Update uploads state and save to localStorage
-        const updatedUploads = [uploadRecord, ...uploads];
-        setUploads(updatedUploads);
-        saveUploads(updatedUploads);
-        setUploadResults(prev => [uploadRecord, ...prev]);
-
-        // Refresh the transactions list
-        dispatch(fetchTransactions());
+      setNotification({
+        open: true,
+        message: `🏦 Bank statement processed! ${processedCount} transaction(s) ready to review.${needsReviewCount > 0 ? ` ${needsReviewCount} need a closer look.` : ''}`,
+        severity: 'success'
+      });
 
-        setNotification({
-          open: true,
-          message: `🏦 Bank statement processed! Imported ${processedCount} transaction(s).${needsReviewCount > 0 ? ` ${needsReviewCount} need review.` : ''}`,
-          severity: 'success'
+    } catch (error) {
+      // Encrypted statements are turned away before processing; ask for the password and try again
+      const passwordError = error.response?.data?.code;
+      if (passwordError === 'PDF_PASSWORD_REQUIRED' || passwordError === 'PDF_PASSWORD_INCORRECT') {
+        setPasswordPrompt({
+          file,
+          incorrect: passwordError === 'PDF_PASSWORD_INCORRECT',
+          hints: error.response.data.data?.passwordHints || [],
         });
+        return;
       }
 
-    } catch (error) {
       console.error('❌ Statement upload error:', error);
       
       const errorRecord = {
@@ -495,9 +558,7 @@ const Upload = () => {
         extractedCount: 0
       };
 
-      const updatedUploads = [errorRecord, ...uploads];
-      setUploads(updatedUploads);
-      saveUploads(updatedUploads);
+      loadUploads();
       setUploadResults(prev => [errorRecord, ...prev]);
 
       setNotification({
@@ -509,40 +570,110 @@ const Upload = () => {
       setUploading(false);
       setProcessingStage('');
       setProcessingProgress(0);
-      event.target.value = '';
     }
-  }, [dispatch, uploads]);
+  }, [waitForJob, loadDrafts, loadUploads]);
+
+  // Enhanced file upload handler for bank statements
+  const handleStatementUpload = useCallback(async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    if (file.type !== 'application/pdf') {
+      setNotification({
+        open: true,
+        message: '❌ Please select a valid PDF file',
+        severity: 'error'
+      });
+      return;
+    }
+
+    if (file.size > 10 * 1024 * 1024) {
+      setNotification({
+        open: true,
+        message: '❌ File size must be less than 10MB',
+        severity: 'error'
+      });
+      return;
+    }
+
+    await uploadStatement(file);
+    event.target.value = '';
+  }, [uploadStatement]);
+
+  const handlePasswordSubmit = (password) => {
+    const { file } = passwordPrompt;
+    setPasswordPrompt(null);
+    uploadStatement(file, password);
+  };
+
+  const handleCsvSelect = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) setCsvFile(file);
+  };
+
+  // The CSV rows wait in a draft like any upload, so the review opens straight away
+  const handleCsvImported = (result, message) => {
+    setCsvFile(null);
+    loadUploads();
+    loadDrafts();
+    setReviewBatchId(result.batchId);
+    setNotification({
+      open: true,
+      message: `📊 ${message}${result.failedRows.length > 0 ? ` ${result.failedRows.length} row(s) were skipped.` : ''}`,
+      severity: 'success'
+    });
+  };
+
+  const handleImportConfirmed = ({ message }) => {
+    setReviewBatchId(null);
+    loadUploads();
+    loadDrafts();
+    dispatch(fetchTransactions());
+    setNotification({ open: true, message: `✅ ${message}`, severity: 'success' });
+  };
+
+  const handleImportDiscarded = (batch) => {
+    setReviewBatchId(null);
+    loadDrafts();
+    loadUploads();
+    setNotification({ open: true, message: `🗑️ Discarded the import of ${batch.fileName}`, severity: 'info' });
+  };
 
   // Upload management functions
-  const handleDeleteUpload = async (uploadId) => {
+  const handleDeleteUpload = (uploadId) => {
     const upload = uploads.find(u => u.id === uploadId);
     if (!upload) return;
 
-    const confirmMessage = `Are you sure you want to delete this upload?\n\n` +
-      `File: ${upload.filename}\n` +
-      `Uploaded: ${new Date(upload.timestamp).toLocaleString()}`;
-      
-    if (!window.confirm(confirmMessage)) {
-      return;
-    }
+    setDeleteOptions({ deleteTransactions: false, deleteFile: false });
+    setDeleteTarget(upload);
+  };
+
+  const confirmDeleteUpload = async () => {
+    const upload = deleteTarget;
+    setDeleteTarget(null);
+    setDeleteLoading(upload.id);
 
-    setDeleteLoading(uploadId);
-    
     try {
-      const updatedUploads = uploads.filter(u => u.id !== uploadId);
-      setUploads(updatedUploads);
-      saveUploads(updatedUploads);
-      
+      const { data } = await uploadHistoryAPI.delete(upload.id, deleteOptions);
+      await loadUploads();
+
+      if (data?.deletedTransactions > 0) {
+        dispatch(fetchTransactions());
+      }
+
       setNotification({
         open: true,
-        message: 'Upload record deleted successfully',
+        message: data?.deletedTransactions > 0
+          ? `Upload deleted along with ${data.deletedTransactions} transaction(s)`
+          : 'Upload record deleted successfully',
         severity: 'success'
       });
     } catch (error) {
       console.error('❌ Delete failed:', error);
       setNotification({
         open: true,
-        message: `Failed to delete upload: ${error.message}`,
+        message: `Failed to delete upload: ${error.response?.data?.error || error.message}`,
         severity: 'error'
       });
     } finally {
@@ -593,7 +724,7 @@ const Upload = () => {
       {/* Upload Cards - Side by Side */}
       <SlideIn direction="up" delay={0.1}>
         <Grid container spacing={3} sx={{ mb: 4 }}>
-          <Grid item xs={12} md={6}>
+          <Grid item xs={12} md={4}>
             <AnimatedCard>
               <Card sx={{ 
                 borderRadius: 3, 
@@ -642,6 +773,31 @@ const Upload = () => {
                     <Typography variant="body2" color="text.secondary">
                       Advanced multi-pass OCR with Google Gemini AI parsing
                     </Typography>
+
+                    <Typography variant="caption" display="block" color="text.secondary" sx={{ mt: 2, mb: 1 }}>
+                      Image cleanup before OCR
+                    </Typography>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, justifyContent: 'center' }}>
+                      {PREPROCESSING_STEPS.map(({ step, label }) => (
+                        <Chip
+                          key={step}
+                          label={label}
+                          size="small"
+                          disabled={uploading}
+                          color={preprocessSteps.includes(step) ? 'primary' : 'default'}
+                          variant={preprocessSteps.includes(step) ? 'filled' : 'outlined'}
+                          onClick={() => togglePreprocessStep(step)}
+                        />
+                      ))}
+                    </Box>
+                    <Button
+                      size="small"
+                      startIcon={<TranslateIcon />}
+                      onClick={() => setOcrSettingsOpen(true)}
+                      sx={{ mt: 1 }}
+                    >
+                      OCR languages
+                    </Button>
                   </Box>
                   
                   <Box sx={{ mt: 'auto' }}>
@@ -680,7 +836,7 @@ const Upload = () => {
             </AnimatedCard>
           </Grid>
 
-          <Grid item xs={12} md={6}>
+          <Grid item xs={12} md={4}>
             <AnimatedCard>
               <Card sx={{ 
                 borderRadius: 3, 
@@ -767,6 +923,88 @@ const Upload = () => {
               </Card>
             </AnimatedCard>
           </Grid>
+
+          <Grid item xs={12} md={4}>
+            <AnimatedCard>
+              <Card sx={{ 
+                borderRadius: 3, 
+                height: '100%',
+                background: `linear-gradient(135deg, ${alpha(theme.palette.success.light, 0.05)}, ${alpha(theme.palette.background.paper, 0.8)})`,
+                transition: 'all 0.3s ease',
+                border: '2px solid',
+                borderColor: 'divider',
+                boxShadow: theme.shadows[4],
+                '&:hover': {
+                  borderColor: 'success.main',
+                  boxShadow: theme.shadows[8],
+                }
+              }}>
+                <CardContent sx={{ p: 4, textAlign: 'center', height: '100%', display: 'flex', flexDirection: 'column' }}>
+                  <Box sx={{ mb: 2 }}>
+                    <CsvIcon sx={{ fontSize: 48, color: 'success.main' }} />
+                  </Box>
+                  
+                  <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
+                    📊 Import Bank CSV
+                  </Typography>
+                  
+                  <Box sx={{ mb: 3, flexGrow: 1 }}>
+                    <Paper sx={{ 
+                      p: 2, 
+                      bgcolor: 'success.main', 
+                      color: 'success.contrastText',
+                      borderRadius: 2,
+                      mb: 2
+                    }}>
+                      <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                        Supported File Format
+                      </Typography>
+                      <Typography variant="h6" sx={{ fontWeight: 700 }}>
+                        CSV
+                      </Typography>
+                    </Paper>
+                    
+                    <Typography variant="body2" color="text.secondary">
+                      Map the columns once and save them as a profile for your bank
+                    </Typography>
+                  </Box>
+                  
+                  <Box sx={{ mt: 'auto' }}>
+                    <input
+                      accept=".csv,text/csv"
+                      style={{ display: 'none' }}
+                      id="csv-upload"
+                      type="file"
+                      onChange={handleCsvSelect}
+                      disabled={uploading}
+                    />
+                    <label htmlFor="csv-upload">
+                      <Button
+                        variant="contained"
+                        component="span"
+                        startIcon={<UploadIcon />}
+                        size="large"
+                        disabled={uploading}
+                        color="success"
+                        sx={{ 
+                          px: 3, 
+                          py: 1.5, 
+                          fontWeight: 600,
+                          borderRadius: 2,
+                        }}
+                      >
+                        Select CSV File
+                      </Button>
+                    </label>
+
+                    <Typography variant="caption" display="block" sx={{ mt: 1, color: 'text.secondary' }}>
+                      Maximum file size: 10MB
+                    </Typography>
+                  </Box>
+                </CardContent>
+              </Card>
+            </AnimatedCard>
+          </Grid>
         </Grid>
       </SlideIn>
 
@@ -826,6 +1064,40 @@ const Upload = () => {
         )}
       </AnimatePresence>
 
+      {/* Drafts awaiting review */}
+      {drafts.length > 0 && (
+        <SlideIn direction="up" delay={0.15}>
+          <Paper sx={{ p: 3, mb: 4, borderRadius: 3, border: '1px solid', borderColor: alpha(theme.palette.warning.main, 0.4) }}>
+            <Typography variant="h6" sx={{ fontWeight: 600, mb: 2 }}>
+              📝 Awaiting review ({drafts.length})
+            </Typography>
+            <Stack spacing={1.5}>
+              {drafts.map(draft => (
+                <Box key={draft._id} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <Avatar sx={{ bgcolor: draft.kind === 'receipt' ? 'primary.main' : 'secondary.main', width: 36, height: 36 }}>
+                    {{ receipt: <ReceiptIcon fontSize="small" />, csv: <CsvIcon fontSize="small" /> }[draft.kind] || <PdfIcon fontSize="small" />}
+                  </Avatar>
+                  <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                    <Typography variant="body2" sx={{ fontWeight: 600 }} noWrap>
+                      {draft.fileName}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {draft.summary.rowCount} row(s) · expires {dayjs(draft.expiresAt).format('DD MMM, HH:mm')}
+                    </Typography>
+                  </Box>
+                  {draft.summary.reviewCount > 0 && (
+                    <Chip label={`${draft.summary.reviewCount} to check`} size="small" color="warning" />
+                  )}
+                  <Button size="small" variant="outlined" startIcon={<ReviewIcon />} onClick={() => setReviewBatchId(draft._id)}>
+                    Review
+                  </Button>
+                </Box>
+              ))}
+            </Stack>
+          </Paper>
+        </SlideIn>
+      )}
+
       {/* Debug Information Panel */}
       {debugInfo && (
         <SlideIn direction="up" delay={0.2}>
@@ -876,6 +1148,26 @@ const Upload = () => {
                     <Typography variant="body2" sx={{ mb: 0.5 }}>
                       OCR Method: {debugInfo.ocrMethod || debugInfo.extractionMethod}
                     </Typography>
+                    {debugInfo.ocrLanguages && (
+                      <Typography variant="body2" sx={{ mb: 0.5 }}>
+                        OCR Languages: {debugInfo.ocrLanguages.join(' + ')}
+                        {debugInfo.languageDetection?.language && ` (detected ${debugInfo.languageDetection.language.language} from ${debugInfo.languageDetection.language.evidence})`}
+                      </Typography>
+                    )}
+                    {debugInfo.preprocessing?.confidenceBefore != null && (
+                      <Typography variant="body2" sx={{ mb: 0.5 }}>
+                        OCR Confidence: {debugInfo.preprocessing.confidenceBefore.toFixed(1)}% before preprocessing,{' '}
+                        {debugInfo.preprocessing.confidenceAfter.toFixed(1)}% after (used the {debugInfo.preprocessing.used} image)
+                      </Typography>
+                    )}
+                    {debugInfo.preprocessing && (
+                      <Typography variant="body2" sx={{ mb: 0.5 }}>
+                        Preprocessing: {debugInfo.preprocessing.steps
+                          .filter(step => step.applied)
+                          .map(step => `${step.step} (${step.detail})`)
+                          .join(', ')}
+                      </Typography>
+                    )}
                     <Typography variant="body2" sx={{ mb: 0.5 }}>
                       Parsing Method: {debugInfo.parsingMethod || 'PDF Processing'}
                     </Typography>
@@ -1207,9 +1499,9 @@ const Upload = () => {
                           transition: 'all 0.3s ease',
                           borderLeft: '4px solid transparent',
                           '&:hover': { 
-                            borderLeftColor: upload.status === 'success' ? 'success.main' : 'error.main',
+                            borderLeftColor: upload.status === 'error' ? 'error.main' : 'success.main',
                             backgroundColor: alpha(
-                              upload.status === 'success' ? theme.palette.success.main : theme.palette.error.main, 
+                              upload.status === 'error' ? theme.palette.error.main : theme.palette.success.main, 
                               0.05
                             ),
                           },
@@ -1274,10 +1566,10 @@ const Upload = () => {
                         {/* Status Column */}
                         <TableCell>
                           <Chip
-                            icon={upload.status === 'success' ? <SuccessIcon /> : <ErrorIcon />}
-                            label={upload.status}
+                            icon={upload.status === 'error' ? <ErrorIcon /> : <SuccessIcon />}
+                            label={UPLOAD_STATUS_LABELS[upload.state] || upload.status}
                             size="small"
-                            color={upload.status === 'success' ? 'success' : 'error'}
+                            color={upload.status === 'error' ? 'error' : upload.state === 'review' ? 'warning' : upload.status === 'success' ? 'success' : 'default'}
                             sx={{ 
                               fontWeight: 600,
                               textTransform: 'capitalize',
@@ -1390,6 +1682,22 @@ const Upload = () => {
                                 <InfoIcon fontSize="small" />
                               </IconButton>
                             </Tooltip>
+                            {upload.state === 'review' && (
+                              <Tooltip title="Review Import">
+                                <IconButton
+                                  size="small"
+                                  onClick={() => setReviewBatchId(upload.batchId)}
+                                  sx={{
+                                    color: 'warning.main',
+                                    '&:hover': {
+                                      backgroundColor: alpha(theme.palette.warning.main, 0.1),
+                                    }
+                                  }}
+                                >
+                                  <ReviewIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                            )}
                             <Tooltip title="Delete Upload">
                               <IconButton
                                 size="small"
@@ -1760,6 +2068,77 @@ const Upload = () => {
         </SlideIn>
       )}
 
+      {/* Delete Upload Dialog */}
+      <Dialog
+        open={Boolean(deleteTarget)}
+        onClose={() => setDeleteTarget(null)}
+        maxWidth="xs"
+        fullWidth
+        PaperProps={{ sx: { borderRadius: 3 } }}
+      >
+        <DialogTitle>Delete Upload</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            Remove <strong>{deleteTarget?.filename}</strong> from your upload history?
+          </Typography>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={deleteOptions.deleteTransactions}
+                onChange={(e) => setDeleteOptions(prev => ({ ...prev, deleteTransactions: e.target.checked }))}
+              />
+            }
+            label={`Also delete the ${deleteTarget?.transactionCount || 0} transaction(s) it imported`}
+            disabled={!deleteTarget?.transactionCount}
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={deleteOptions.deleteFile}
+                onChange={(e) => setDeleteOptions(prev => ({ ...prev, deleteFile: e.target.checked }))}
+              />
+            }
+            label="Also delete the stored file"
+            disabled={!deleteTarget?.cloudinaryUrl}
+          />
+        </DialogContent>
+        <DialogActions sx={{ p: 3 }}>
+          <Button onClick={() => setDeleteTarget(null)} color="inherit">Cancel</Button>
+          <Button variant="contained" color="error" onClick={confirmDeleteUpload}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <ImportReviewDialog
+        open={Boolean(reviewBatchId)}
+        batchId={reviewBatchId}
+        onClose={() => {
+          setReviewBatchId(null);
+          loadDrafts();
+        }}
+        onConfirmed={handleImportConfirmed}
+        onDiscarded={handleImportDiscarded}
+      />
+
+      <CsvImportDialog
+        open={Boolean(csvFile)}
+        file={csvFile}
+        onClose={() => setCsvFile(null)}
+        onImported={handleCsvImported}
+      />
+
+      <PdfPasswordDialog
+        open={Boolean(passwordPrompt)}
+        fileName={passwordPrompt?.file.name}
+        incorrect={passwordPrompt?.incorrect}
+        hints={passwordPrompt?.hints}
+        onSubmit={handlePasswordSubmit}
+        onClose={() => setPasswordPrompt(null)}
+      />
+
+      <OcrSettingsDialog open={ocrSettingsOpen} onClose={() => setOcrSettingsOpen(false)} />
+
       {/* Notification Snackbar */}
       <Snackbar
         open={notification.open}
@@ -234,13 +234,50 @@ export const transactionAPI = {
       const createdTransactions = response.data?.data || response.data?.transactions || [];
       console.log(`✅ Bulk created ${createdTransactions.length} transactions`);
       
-      return { data: createdTransactions };
+      // ✅ Per-row outcome: { index, status: 'created' | 'failed', id?, errors? }
+      return {
+        data: createdTransactions,
+        results: response.data?.results || [],
+        summary: response.data?.summary || null
+      };
     } catch (error) {
       console.error('❌ Failed to bulk create transactions:', error);
       throw error;
     }
   },
 
+  getDuplicates: async () => {
+    try {
+      const response = await api.get('/transactions/duplicates');
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to fetch possible duplicates:', error);
+      throw error;
+    }
+  },
+
+  // Folds the flagged transaction into the one recorded first
+  mergeDuplicate: async (id) => {
+    try {
+      const response = await api.post(`/transactions/${id}/merge`);
+      console.log('🔀 Duplicate merged:', id);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to merge duplicate:', error);
+      throw error;
+    }
+  },
+
+  keepBoth: async (id) => {
+    try {
+      const response = await api.post(`/transactions/${id}/keep-both`);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to keep both transactions:', error);
+      throw error;
+    }
+  },
+
   getStats: async (params = {}) => {
     try {
       console.log('📊 Fetching transaction stats');
@@ -257,6 +294,546 @@ export const transactionAPI = {
   },
 };
 
+// ✅ Merchant directory: canonical names, known spellings and default categories
+export const merchantAPI = {
+  getAll: async (params = {}) => {
+    try {
+      const response = await api.get('/merchants', { params });
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to fetch merchants:', error);
+      throw error;
+    }
+  },
+
+  create: async (merchantData) => {
+    try {
+      const response = await api.post('/merchants', merchantData);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to create merchant:', error);
+      throw error;
+    }
+  },
+
+  update: async (id, merchantData) => {
+    try {
+      const response = await api.put(`/merchants/${id}`, merchantData);
+      return { data: response.data?.data, transactionsUpdated: response.data?.transactionsUpdated || 0 };
+    } catch (error) {
+      console.error('❌ Failed to update merchant:', error);
+      throw error;
+    }
+  },
+
+  merge: async (id, mergeIds) => {
+    try {
+      const response = await api.post(`/merchants/${id}/merge`, { mergeIds });
+      return { data: response.data?.data, transactionsUpdated: response.data?.transactionsUpdated || 0 };
+    } catch (error) {
+      console.error('❌ Failed to merge merchants:', error);
+      throw error;
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/merchants/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to delete merchant:', error);
+      throw error;
+    }
+  },
+};
+
+// ✅ Category management: per-user income/expense categories with nesting
+export const categoryAPI = {
+  getAll: async (params = {}) => {
+    try {
+      const response = await api.get('/categories', { params });
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to fetch categories:', error);
+      throw error;
+    }
+  },
+
+  create: async (categoryData) => {
+    try {
+      const response = await api.post('/categories', categoryData);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to create category:', error);
+      throw error;
+    }
+  },
+
+  update: async (id, categoryData) => {
+    try {
+      const response = await api.put(`/categories/${id}`, categoryData);
+      return { data: response.data?.data, transactionsUpdated: response.data?.transactionsUpdated || 0 };
+    } catch (error) {
+      console.error('❌ Failed to update category:', error);
+      throw error;
+    }
+  },
+
+  merge: async (id, mergeIds) => {
+    try {
+      const response = await api.post(`/categories/${id}/merge`, { mergeIds });
+      return { data: response.data?.data, transactionsUpdated: response.data?.transactionsUpdated || 0 };
+    } catch (error) {
+      console.error('❌ Failed to merge categories:', error);
+      throw error;
+    }
+  },
+
+  delete: async (id, reassignTo) => {
+    try {
+      const response = await api.delete(`/categories/${id}`, { params: reassignTo ? { reassignTo } : {} });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to delete category:', error);
+      throw error;
+    }
+  },
+};
+
+// ✅ Recurring rules: rent, salary, subscriptions created automatically when due
+export const recurringAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/recurring');
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to fetch recurring rules:', error);
+      throw error;
+    }
+  },
+
+  create: async (ruleData) => {
+    try {
+      const response = await api.post('/recurring', ruleData);
+      return { data: response.data?.data, transactionsCreated: response.data?.transactionsCreated || 0 };
+    } catch (error) {
+      console.error('❌ Failed to create recurring rule:', error);
+      throw error;
+    }
+  },
+
+  update: async (id, ruleData) => {
+    try {
+      const response = await api.put(`/recurring/${id}`, ruleData);
+      return { data: response.data?.data, transactionsCreated: response.data?.transactionsCreated || 0 };
+    } catch (error) {
+      console.error('❌ Failed to update recurring rule:', error);
+      throw error;
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/recurring/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to delete recurring rule:', error);
+      throw error;
+    }
+  },
+
+  runDue: async () => {
+    try {
+      const response = await api.post('/recurring/run');
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to run recurring rules:', error);
+      throw error;
+    }
+  },
+};
+
+export const budgetAPI = {
+  getAll: async () => {
+    try {
+      const response = await api.get('/budgets');
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to fetch budgets:', error);
+      throw error;
+    }
+  },
+
+  getVsActual: async (date) => {
+    try {
+      const response = await api.get('/budgets/vs-actual', { params: date ? { date } : {} });
+      return { data: response.data?.data || [], summary: response.data?.summary };
+    } catch (error) {
+      console.error('❌ Failed to fetch budget progress:', error);
+      throw error;
+    }
+  },
+
+  create: async (budgetData) => {
+    try {
+      const response = await api.post('/budgets', budgetData);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to create budget:', error);
+      throw error;
+    }
+  },
+
+  update: async (id, budgetData) => {
+    try {
+      const response = await api.put(`/budgets/${id}`, budgetData);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to update budget:', error);
+      throw error;
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/budgets/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to delete budget:', error);
+      throw error;
+    }
+  },
+};
+
+export const notificationAPI = {
+  getAll: async (params = {}) => {
+    try {
+      const response = await api.get('/notifications', { params });
+      return {
+        data: response.data?.data || [],
+        unreadCount: response.data?.unreadCount || 0,
+        pagination: response.data?.pagination,
+      };
+    } catch (error) {
+      console.error('❌ Failed to fetch notifications:', error);
+      throw error;
+    }
+  },
+
+  getUnreadCount: async () => {
+    try {
+      const response = await api.get('/notifications/unread-count');
+      return { data: response.data?.data?.unreadCount || 0 };
+    } catch (error) {
+      console.error('❌ Failed to fetch unread notification count:', error);
+      throw error;
+    }
+  },
+
+  markRead: async (id) => {
+    try {
+      const response = await api.put(`/notifications/${id}/read`);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to mark notification read:', error);
+      throw error;
+    }
+  },
+
+  markAllRead: async () => {
+    try {
+      const response = await api.put('/notifications/read-all');
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to mark notifications read:', error);
+      throw error;
+    }
+  },
+
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/notifications/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to delete notification:', error);
+      throw error;
+    }
+  },
+
+  getPreferences: async () => {
+    try {
+      const response = await api.get('/notifications/preferences');
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to fetch notification preferences:', error);
+      throw error;
+    }
+  },
+
+  updatePreferences: async (preferences) => {
+    try {
+      const response = await api.put('/notifications/preferences', { preferences });
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to update notification preferences:', error);
+      throw error;
+    }
+  },
+
+  getPushPublicKey: async () => {
+    try {
+      const response = await api.get('/notifications/push/public-key');
+      return { data: response.data?.data?.publicKey };
+    } catch (error) {
+      console.error('❌ Failed to fetch push public key:', error);
+      throw error;
+    }
+  },
+
+  subscribePush: async (subscription) => {
+    try {
+      const response = await api.post('/notifications/push/subscriptions', subscription);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to register push subscription:', error);
+      throw error;
+    }
+  },
+
+  unsubscribePush: async (endpoint) => {
+    try {
+      const response = await api.delete('/notifications/push/subscriptions', { data: { endpoint } });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to remove push subscription:', error);
+      throw error;
+    }
+  },
+};
+
+// ✅ Import review: parsed uploads wait here as drafts until confirmed or discarded
+export const importAPI = {
+  getAll: async (params = {}) => {
+    try {
+      const response = await api.get('/imports', { params });
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to fetch imports:', error);
+      throw error;
+    }
+  },
+
+  getById: async (id) => {
+    try {
+      const response = await api.get(`/imports/${id}`);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to fetch import:', error);
+      throw error;
+    }
+  },
+
+  updateRow: async (id, rowId, rowData) => {
+    try {
+      const response = await api.put(`/imports/${id}/rows/${rowId}`, rowData);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to update import row:', error);
+      throw error;
+    }
+  },
+
+  // Re-categorize one line item of a receipt row
+  updateLineItem: async (id, rowId, itemId, itemData) => {
+    try {
+      const response = await api.put(`/imports/${id}/rows/${rowId}/items/${itemId}`, itemData);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to update receipt line item:', error);
+      throw error;
+    }
+  },
+
+  deleteRow: async (id, rowId) => {
+    try {
+      const response = await api.delete(`/imports/${id}/rows/${rowId}`);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to drop import row:', error);
+      throw error;
+    }
+  },
+
+  mergeRows: async (id, rowIds, rowData = {}) => {
+    try {
+      const response = await api.post(`/imports/${id}/merge`, { rowIds, ...rowData });
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to merge import rows:', error);
+      throw error;
+    }
+  },
+
+  confirm: async (id) => {
+    try {
+      const response = await api.post(`/imports/${id}/confirm`);
+      return { data: response.data?.data, message: response.data?.message };
+    } catch (error) {
+      console.error('❌ Failed to confirm import:', error);
+      throw error;
+    }
+  },
+
+  discard: async (id) => {
+    try {
+      const response = await api.delete(`/imports/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Failed to discard import:', error);
+      throw error;
+    }
+  },
+};
+
+// ✅ Receipts read from uploads, with their line items
+export const receiptAPI = {
+  getAll: async (params = {}) => {
+    try {
+      const response = await api.get('/receipts', { params });
+      return { data: response.data?.data || [], pagination: response.data?.pagination };
+    } catch (error) {
+      console.error('❌ Failed to fetch receipts:', error);
+      throw error;
+    }
+  },
+
+  getById: async (id) => {
+    try {
+      const response = await api.get(`/receipts/${id}`);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to fetch receipt:', error);
+      throw error;
+    }
+  },
+
+  // Returns { receipt, transaction } with the purchase's category breakdown recomputed
+  updateLineItem: async (id, itemId, itemData) => {
+    try {
+      const response = await api.put(`/receipts/${id}/items/${itemId}`, itemData);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to update receipt line item:', error);
+      throw error;
+    }
+  },
+};
+
+// ✅ Upload history kept on the server (replaces the old localStorage uploadHistory)
+export const uploadHistoryAPI = {
+  getAll: async (params = {}) => {
+    try {
+      const response = await api.get('/uploads', { params });
+      return { data: response.data?.data || [], pagination: response.data?.pagination };
+    } catch (error) {
+      console.error('❌ Failed to fetch upload history:', error);
+      throw error;
+    }
+  },
+
+  getById: async (id) => {
+    try {
+      const response = await api.get(`/uploads/${id}`);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to fetch upload:', error);
+      throw error;
+    }
+  },
+
+  // options: { deleteTransactions, deleteFile }
+  delete: async (id, options = {}) => {
+    try {
+      const response = await api.delete(`/uploads/${id}`, { params: options });
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to delete upload:', error);
+      throw error;
+    }
+  },
+};
+
+// ✅ Bank CSV exports: preview, column mapping and saved per-bank profiles
+export const csvImportAPI = {
+  // formData: file, and optionally profileId, delimiter and skipRows
+  preview: async (formData) => {
+    try {
+      const response = await api.post('/import/csv/preview', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to preview CSV:', error);
+      throw error;
+    }
+  },
+
+  // formData: file, settings (JSON string) or profileId, and optionally saveAsProfile.
+  // Returns { batchId, uploadId, stats, failedRows, profile } with the rows waiting for review
+  importFile: async (formData) => {
+    try {
+      const response = await api.post('/import/csv', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 60000,
+      });
+      return { data: response.data?.data, message: response.data?.message };
+    } catch (error) {
+      console.error('❌ Failed to import CSV:', error);
+      throw error;
+    }
+  },
+
+  getProfiles: async () => {
+    try {
+      const response = await api.get('/import/csv/profiles');
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to fetch import profiles:', error);
+      throw error;
+    }
+  },
+
+  createProfile: async (profileData) => {
+    try {
+      const response = await api.post('/import/csv/profiles', profileData);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to create import profile:', error);
+      throw error;
+    }
+  },
+
+  updateProfile: async (id, profileData) => {
+    try {
+      const response = await api.put(`/import/csv/profiles/${id}`, profileData);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to update import profile:', error);
+      throw error;
+    }
+  },
+
+  deleteProfile: async (id) => {
+    try {
+      await api.delete(`/import/csv/profiles/${id}`);
+      return { data: null };
+    } catch (error) {
+      console.error('❌ Failed to delete import profile:', error);
+      throw error;
+    }
+  },
+};
+
 // ✅ ENHANCED: Upload API with better error handling
 export const uploadAPI = {
   uploadReceipt: async (formData) => {
@@ -272,7 +849,7 @@ export const uploadAPI = {
         headers: { 
           'Content-Type': 'multipart/form-data'
         },
-        timeout: 120000, // 2 minutes for OCR + AI processing
+        timeout: 60000, // Only covers the transfer; OCR and parsing run as a background job
         onUploadProgress: (progressEvent) => {
           const percentCompleted = Math.round(
             (progressEvent.loaded * 100) / progressEvent.total
@@ -312,7 +889,7 @@ export const uploadAPI = {
         headers: { 
           'Content-Type': 'multipart/form-data'
         },
-        timeout: 120000, // 2 minutes for PDF processing
+        timeout: 60000, // Only covers the transfer; extraction and parsing run as a background job
         onUploadProgress: (progressEvent) => {
           const percentCompleted = Math.round(
             (progressEvent.loaded * 100) / progressEvent.total
@@ -338,6 +915,78 @@ export const uploadAPI = {
       throw error;
     }
   },
+
+  // Uploads are processed in the background; poll this with the job id the upload returned
+  getProgress: async (jobId) => {
+    try {
+      const response = await api.get(`/upload/progress/${jobId}`);
+      return { data: response.data?.data };
+    } catch (error) {
+      console.error('❌ Failed to fetch upload progress:', error);
+      throw error;
+    }
+  },
+
+  getJobs: async (params = {}) => {
+    try {
+      const response = await api.get('/upload/jobs', { params });
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to fetch upload jobs:', error);
+      throw error;
+    }
+  },
+
+  // Reminders of how each bank builds its statement password; the passwords themselves are never saved
+  getPasswordHints: async () => {
+    try {
+      const response = await api.get('/upload/password-hints');
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to fetch password hints:', error);
+      throw error;
+    }
+  },
+
+  addPasswordHint: async (hint) => {
+    try {
+      const response = await api.post('/upload/password-hints', hint);
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to save password hint:', error);
+      throw error;
+    }
+  },
+
+  deletePasswordHint: async (hintId) => {
+    try {
+      const response = await api.delete(`/upload/password-hints/${hintId}`);
+      return { data: response.data?.data || [] };
+    } catch (error) {
+      console.error('❌ Failed to delete password hint:', error);
+      throw error;
+    }
+  },
+
+  getOcrSettings: async () => {
+    try {
+      const response = await api.get('/upload/ocr-settings');
+      return { data: response.data?.data || null };
+    } catch (error) {
+      console.error('❌ Failed to fetch OCR settings:', error);
+      throw error;
+    }
+  },
+
+  updateOcrSettings: async (settings) => {
+    try {
+      const response = await api.put('/upload/ocr-settings', settings);
+      return { data: response.data?.data || null };
+    } catch (error) {
+      console.error('❌ Failed to update OCR settings:', error);
+      throw error;
+    }
+  },
 };
 
 // Authentication API
@@ -509,7 +1158,16 @@ export default api;
 export const API = {
   auth: authAPI,
   transactions: transactionAPI,
+  merchants: merchantAPI,
+  categories: categoryAPI,
+  recurring: recurringAPI,
+  budgets: budgetAPI,
+  notifications: notificationAPI,
   upload: uploadAPI,
+  imports: importAPI,
+  csvImport: csvImportAPI,
+  uploadHistory: uploadHistoryAPI,
+  receipts: receiptAPI,
   helpers: apiHelpers,
 };
 
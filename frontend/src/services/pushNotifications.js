@@ -0,0 +1,50 @@
+import { notificationAPI } from './api';
+
+const SERVICE_WORKER_URL = '/push-sw.js';
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from([...raw].map((char) => char.charCodeAt(0)));
+};
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+/**
+ * Ask for permission, subscribe this browser and register it with the backend
+ */
+export const enablePush = async () => {
+  if (!isPushSupported()) throw new Error('This browser does not support push notifications');
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') throw new Error('Notification permission was not granted');
+
+  const { data: publicKey } = await notificationAPI.getPushPublicKey();
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  await navigator.serviceWorker.ready;
+
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(publicKey),
+  });
+
+  await notificationAPI.subscribePush(subscription.toJSON());
+  return subscription;
+};
+
+export const disablePush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await notificationAPI.unsubscribePush(subscription.endpoint);
+  await subscription.unsubscribe();
+};
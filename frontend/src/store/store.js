@@ -1,11 +1,13 @@
 import { configureStore } from '@reduxjs/toolkit';
 import authSlice from '../features/auth/authSlice';
 import transactionSlice from '../features/transactions/transactionSlice';
+import categorySlice from '../features/categories/categorySlice';
 
 export const store = configureStore({
   reducer: {
     auth: authSlice,
     transactions: transactionSlice,
+    categories: categorySlice,
   },
 });
 